@@ -6,6 +6,192 @@
 // Global variables
 let uploadedFiles = [];
 let processedResults = [];
+let currentJobId = null;
+let currentBatchId = null;
+let currentSessionId = null;
+let currentCriteria = null;
+let studentMapping = null;
+let importedRubric = null;
+let loadedPreset = null;
+let resultsView = 'table';
+
+// Check names shown for imported rubric rows
+const RUBRIC_CHECK_LABELS = {
+    filename: 'Filename',
+    dimensions: 'Dimensions',
+    colorMode: 'Color Mode',
+    layers: 'Minimum Layers',
+    requiredLayers: 'Required Layers',
+    resolution: 'Resolution',
+    bitDepth: 'Bit Depth',
+    colorProfile: 'Color Profile',
+    fonts: 'Fonts',
+    adjustmentLayers: 'Adjustment Layers',
+    layerMasks: 'Layer Masks',
+    layerEffects: 'Layer Effects',
+    smartObjects: 'Smart Objects',
+    blendModes: 'Blend Modes',
+    nonDestructive: 'Non-Destructive Editing',
+    layerNames: 'Layer Names',
+    emptyLayers: 'Empty Layers',
+    offCanvasLayers: 'Layers Outside the Canvas',
+    hiddenLayers: 'Hidden Layers',
+    ungroupedLayers: 'Layer Groups',
+    groupNesting: 'Group Nesting',
+    requiredText: 'Required Text',
+    forbiddenText: 'Placeholder Text',
+    textLength: 'Text Length',
+    spelling: 'Spelling',
+    textSize: 'Text Size',
+    sizeHierarchy: 'Type Hierarchy',
+    fauxStyles: 'Faux Styles',
+    typefaces: 'Typefaces',
+    leading: 'Leading',
+    tracking: 'Tracking',
+    palette: 'Color Palette',
+    contrast: 'Text Contrast',
+    bleedSize: 'Document Size with Bleed',
+    safeMargin: 'Safe Margin',
+    inkCoverage: 'Total Ink Coverage',
+    spotChannels: 'Spot Channels'
+};
+
+// Technique checks and the form inputs that configure them
+const TECHNIQUE_INPUTS = {
+    adjustmentLayers: { min: 'adjustmentLayersMin', types: 'adjustmentLayersTypes' },
+    layerMasks: { min: 'layerMasksMin' },
+    layerEffects: { min: 'layerEffectsMin', types: 'layerEffectsTypes' },
+    smartObjects: { min: 'smartObjectsMin' },
+    blendModes: { min: 'blendModesMin', types: 'blendModesTypes' }
+};
+
+// Organization checks: the checkbox that turns each on and the inputs for its settings
+const ORGANIZATION_INPUTS = {
+    layerNames: { enabled: 'layerNamesEnabled', settings: { allowed: 'layerNamesAllowed' } },
+    emptyLayers: { enabled: 'emptyLayersEnabled', settings: { allowed: 'emptyLayersAllowed' } },
+    offCanvasLayers: { enabled: 'offCanvasLayersEnabled', settings: { allowed: 'offCanvasLayersAllowed' } },
+    hiddenLayers: { enabled: 'hiddenLayersEnabled', settings: { allowed: 'hiddenLayersAllowed' } },
+    ungroupedLayers: { enabled: 'ungroupedLayersEnabled', settings: { allowed: 'ungroupedLayersAllowed', threshold: 'ungroupedThreshold' } },
+    groupNesting: { enabled: 'groupNestingEnabled', settings: { allowed: 'groupNestingAllowed', maxDepth: 'groupNestingMaxDepth' } }
+};
+
+// Typography checks: the checkbox that turns each on and the inputs for its settings
+const TYPOGRAPHY_INPUTS = {
+    textSize: { enabled: 'textSizeEnabled', settings: { min: 'textSizeMin' } },
+    sizeHierarchy: { enabled: 'sizeHierarchyEnabled', settings: { min: 'sizeHierarchyMin' } },
+    fauxStyles: { enabled: 'fauxStylesEnabled', settings: {} },
+    typefaces: { enabled: 'typefacesEnabled', settings: { max: 'typefacesMax' } },
+    leading: { enabled: 'leadingEnabled', settings: { min: 'leadingMin', max: 'leadingMax' } },
+    tracking: { enabled: 'trackingEnabled', settings: { min: 'trackingMin', max: 'trackingMax' } }
+};
+
+// Partial credit each text check gets when the Text Content select asks for it
+const TEXT_PARTIAL_CREDIT = {
+    requiredText: 'perItem',
+    forbiddenText: 'proportional',
+    textLength: 'proportional',
+    spelling: 'proportional'
+};
+
+// Form inputs for criteria fields, so server validation errors can be shown
+// next to them. Fields are matched by their longest listed prefix.
+const CRITERIA_FIELD_INPUTS = {
+    'filename.patternType': '#filenamePatternType',
+    'filename.pattern': '#filenamePattern',
+    'filename.points': '#filenamePoints',
+    'technical.width': '#reqWidth',
+    'technical.height': '#reqHeight',
+    'technical.colorMode': '.color-mode-radios',
+    'technical.minLayers': '#minLayers',
+    'technical.requiredLayers': '#reqLayers',
+    'technical.resolution': '#reqResolution',
+    'technical.bitDepth': '#reqBitDepth',
+    'technical.colorProfile.profiles': '#reqColorProfile',
+    'technical.pointsPerCriterion': '#pointsPerCriterion',
+    'fonts.approvedFonts': '#approvedFonts',
+    'fonts.requiredFonts': '#requiredFonts',
+    'fonts.pointsPerCriterion': '#fontPoints',
+    'scoring.weights.dimensions': '#weightDimensions',
+    'scoring.weights.colorMode': '#weightColorMode',
+    'scoring.weights.resolution': '#weightResolution',
+    'scoring.weights.layers': '#weightLayers',
+    'scoring.weights.requiredLayers': '#weightRequiredLayers',
+    'scoring.partialCredit.dimensions': '#partialDimensions',
+    'scoring.partialCredit.resolution': '#partialResolution',
+    'scoring.partialCredit.layers': '#partialLayers',
+    'scoring.partialCredit.requiredLayers': '#partialRequiredLayers',
+    'scoring.partialCredit.fonts': '#partialFonts',
+    'scoring.partialCredit.adjustmentLayers': '#partialTechniques',
+    'techniques.pointsPerCriterion': '#techniquePoints',
+    'techniques.adjustmentLayers.min': '#adjustmentLayersMin',
+    'techniques.adjustmentLayers.types': '#adjustmentLayersTypes',
+    'techniques.layerMasks': '#layerMasksMin',
+    'techniques.layerEffects.min': '#layerEffectsMin',
+    'techniques.layerEffects.types': '#layerEffectsTypes',
+    'techniques.smartObjects': '#smartObjectsMin',
+    'techniques.blendModes.min': '#blendModesMin',
+    'techniques.blendModes.types': '#blendModesTypes',
+    'techniques.nonDestructive.minNonDestructive': '#nonDestructiveMin',
+    'techniques.nonDestructive.maxDestructive': '#nonDestructiveMaxDestructive',
+    'organization.pointsPerCriterion': '#organizationPoints',
+    ...Object.fromEntries(Object.entries(ORGANIZATION_INPUTS).flatMap(([type, inputs]) =>
+        Object.entries(inputs.settings).map(([setting, id]) => [`organization.${type}.${setting}`, `#${id}`])
+    )),
+    'scoring.partialCredit.layerNames': '#partialOrganization',
+    'scoring.partialCredit.requiredText': '#partialText',
+    'text.pointsPerCriterion': '#textPoints',
+    'typography.pointsPerCriterion': '#typographyPoints',
+    ...Object.fromEntries(Object.entries(TYPOGRAPHY_INPUTS).flatMap(([type, inputs]) =>
+        Object.entries(inputs.settings).map(([setting, id]) => [`typography.${type}.${setting}`, `#${id}`])
+    )),
+    'scoring.partialCredit.textSize': '#partialTypography',
+    'color.pointsPerCriterion': '#colorPoints',
+    'color.palette.colors': '#paletteColors',
+    'color.palette.tolerance': '#paletteTolerance',
+    'color.palette.minCoverage': '#paletteMinCoverage',
+    'color.palette.allowed': '#paletteAllowed',
+    'color.contrast.level': '#contrastLevel',
+    'color.contrast.allowed': '#contrastAllowed',
+    'scoring.partialCredit.palette': '#partialColor',
+    'preflight.pointsPerCriterion': '#preflightPoints',
+    'preflight.unit': '#preflightUnit',
+    'preflight.bleed': '#preflightBleed',
+    'preflight.bleedSize.width': '#bleedSizeWidth',
+    'preflight.bleedSize.height': '#bleedSizeHeight',
+    'preflight.safeMargin.margin': '#safeMarginSize',
+    'preflight.safeMargin.layers': '#safeMarginLayers',
+    'preflight.safeMargin.allowed': '#safeMarginAllowed',
+    'preflight.inkCoverage.max': '#inkCoverageMax',
+    'preflight.spotChannels.mode': '#spotChannelsMode',
+    'preflight.spotChannels.names': '#spotChannelsNames',
+    'scoring.partialCredit.safeMargin': '#partialPreflight',
+    'text.requiredText.phrases': '#requiredTextPhrases',
+    'text.requiredText.matchPercent': '#requiredTextMatch',
+    'text.forbiddenText.phrases': '#forbiddenTextPhrases',
+    'text.textLength.min': '#textLengthMin',
+    'text.textLength.max': '#textLengthMax',
+    'text.textLength.layer': '#textLengthLayer',
+    'text.spelling.customWords': '#spellingCustomWords',
+    'text.spelling.allowed': '#spellingAllowed',
+    'scoring.bands.dimensions.0': '#dimBandFullWithin',
+    'scoring.bands.dimensions.1.within': '#dimBandPartialWithin',
+    'scoring.bands.dimensions.1.credit': '#dimBandPartialCredit',
+    'scoring.levels.0': '#levelExemplary',
+    'scoring.levels.1': '#levelProficient',
+    'rubric': '#importedRubric',
+    'ferpa.method': '#anonMethod',
+    'ferpa.prefix': '#anonPrefix',
+    'late.type': '#latePolicyType',
+    'late.percent': '#canvasLatePenalty',
+    'late.dueDate': '#lateDueDate',
+    'late.capPercent': '#latePenaltyCap',
+    'late.graceMinutes': '#lateGraceMinutes',
+    'late.useFileTimes': '#lateUseFileTimes',
+    'canvas.assignmentName': '#canvasAssignmentName',
+    'canvas.sectionName': '#canvasSectionName',
+    'canvas.assignmentId': '#canvasAssignmentId',
+    'canvas.studentIdSource': '#canvasStudentIdSource'
+};
 
 // API endpoint
 const API_URL = window.location.hostname === 'localhost' 
@@ -26,6 +212,11 @@ document.addEventListener('DOMContentLoaded', () => {
     initializeColorModeRadios(); // New radio buttons
     initializeCollapsibleSections();
     initializeProcessButton();
+    initializeCancelButton();
+    initializeSessionPicker();
+    initializeRubricImport();
+    initializeFontListCheck();
+    initializePresets();
     
     // Add input listeners for filename help text
     updatePatternHelp();
@@ -135,7 +326,7 @@ function displayFileList() {
         ${uploadedFiles.map((file, index) => `
             <div class="file-item">
                 <span class="file-icon">📄</span>
-                <span>${file.name}</span>
+                <span>${window.PSDUtils.UIUtils.escapeHtml(file.name)}</span>
                 <span style="margin-left: auto; color: #6b7280; font-size: 0.85rem;">
                     ${window.PSDUtils.UIUtils.formatFileSize(file.size)}
                 </span>
@@ -489,6 +680,46 @@ function initializeCollapsibleSections() {
             sectionId: 'technicalSection',
             defaultChecked: true
         },
+        {
+            checkboxId: 'enableTechniquesSection',
+            sectionId: 'techniquesSection',
+            defaultChecked: false
+        },
+        {
+            checkboxId: 'enableOrganizationSection',
+            sectionId: 'organizationSection',
+            defaultChecked: false
+        },
+        {
+            checkboxId: 'enableTextSection',
+            sectionId: 'textSection',
+            defaultChecked: false
+        },
+        {
+            checkboxId: 'enableTypographySection',
+            sectionId: 'typographySection',
+            defaultChecked: false
+        },
+        {
+            checkboxId: 'enableColorSection',
+            sectionId: 'colorSection',
+            defaultChecked: false
+        },
+        {
+            checkboxId: 'enablePreflightSection',
+            sectionId: 'preflightSection',
+            defaultChecked: false
+        },
+        {
+            checkboxId: 'enableRubricSection',
+            sectionId: 'rubricSection',
+            defaultChecked: false
+        },
+        {
+            checkboxId: 'enableScoringSection',
+            sectionId: 'scoringSection',
+            defaultChecked: false
+        },
         {
             checkboxId: 'enableFerpaSection',
             sectionId: 'ferpaSection',
@@ -582,6 +813,10 @@ function getEnabledCriteria() {
             minLayers: document.getElementById('minLayers')?.value ? parseInt(document.getElementById('minLayers').value) : null,
             requiredLayers: document.getElementById('reqLayers')?.value.split(',').map(l => l.trim()).filter(l => l),
             resolution: document.getElementById('reqResolution')?.value ? parseInt(document.getElementById('reqResolution').value) : null, // NEW
+            bitDepth: document.getElementById('reqBitDepth')?.value ? parseInt(document.getElementById('reqBitDepth').value) : null,
+            colorProfile: document.getElementById('reqColorProfileEnabled')?.checked
+                ? { profiles: (document.getElementById('reqColorProfile')?.value || '').split(',').map(p => p.trim()).filter(p => p) }
+                : null,
             pointsPerCriterion: parseInt(document.getElementById('pointsPerCriterion')?.value) || 20
         },
         fonts: { // NEW SECTION
@@ -590,10 +825,19 @@ function getEnabledCriteria() {
             requiredFonts: document.getElementById('requiredFonts')?.value.split(',').map(f => f.trim()).filter(f => f),
             pointsPerCriterion: parseInt(document.getElementById('fontPoints')?.value) || 20
         },
+        techniques: getTechniqueSettings(),
+        organization: getOrganizationSettings(),
+        text: getTextSettings(),
+        typography: getTypographySettings(),
+        color: getColorSettings(),
+        preflight: getPreflightSettings(),
+        scoring: getScoringSettings(),
         ferpa: {
             enabled: document.getElementById('enableFerpaSection')?.checked || false,
+            method: document.getElementById('anonMethod')?.value || 'canvas',
             prefix: document.getElementById('anonPrefix')?.value || ''
         },
+        late: getLatePolicy(),
         canvas: {
             enabled: document.getElementById('enableCanvasSection')?.checked || false,
             assignmentName: document.getElementById('canvasAssignmentName')?.value || '',
@@ -602,10 +846,306 @@ function getEnabledCriteria() {
             studentIdSource: document.getElementById('canvasStudentIdSource')?.value || 'lastname'
         }
     };
+    
+    // An imported Canvas rubric replaces the rubric built from the form
+    if (importedRubric && document.getElementById('enableRubricSection')?.checked) {
+        criteria.rubric = importedRubric;
+    }
 
     return criteria;
 }
 
+/**
+ * Whether the criteria grade anything: an imported rubric or at least one enabled section
+ */
+function hasEnabledCriteria(criteria) {
+    const sections = ['filename', 'technical', 'fonts', 'techniques', 'organization', 'text', 'typography', 'color', 'preflight'];
+    return Boolean(criteria.rubric) || sections.some(section => criteria[section]?.enabled);
+}
+
+/**
+ * Read technique requirements; techniques without a minimum are left out
+ */
+function getTechniqueSettings() {
+    const techniques = {
+        enabled: document.getElementById('enableTechniquesSection')?.checked || false,
+        pointsPerCriterion: parseInt(document.getElementById('techniquePoints')?.value) || 10
+    };
+    
+    Object.entries(TECHNIQUE_INPUTS).forEach(([type, inputs]) => {
+        const min = parseInt(document.getElementById(inputs.min)?.value);
+        if (!(min > 0)) return;
+        
+        const types = inputs.types ? document.getElementById(inputs.types)?.value || '' : '';
+        techniques[type] = {
+            min: min,
+            types: types.split(',').map(entry => entry.trim()).filter(entry => entry)
+        };
+    });
+    
+    if (document.getElementById('nonDestructiveEnabled')?.checked) {
+        techniques.nonDestructive = {
+            minNonDestructive: parseInt(document.getElementById('nonDestructiveMin')?.value) || 0,
+            maxDestructive: parseInt(document.getElementById('nonDestructiveMaxDestructive')?.value) || 0
+        };
+    }
+    
+    return techniques;
+}
+
+/**
+ * Read layer organization rules; unticked rules are left out
+ */
+function getOrganizationSettings() {
+    const organization = {
+        enabled: document.getElementById('enableOrganizationSection')?.checked || false,
+        pointsPerCriterion: parseInt(document.getElementById('organizationPoints')?.value) || 5
+    };
+    
+    Object.entries(ORGANIZATION_INPUTS).forEach(([type, inputs]) => {
+        if (!document.getElementById(inputs.enabled)?.checked) return;
+        
+        organization[type] = Object.fromEntries(Object.entries(inputs.settings).map(([setting, id]) => {
+            const value = parseInt(document.getElementById(id)?.value);
+            return [setting, Number.isNaN(value) ? null : value];
+        }));
+    });
+    
+    return organization;
+}
+
+/**
+ * Read text content rules; unticked rules are left out
+ */
+function getTextSettings() {
+    const checked = id => document.getElementById(id)?.checked || false;
+    const value = id => document.getElementById(id)?.value || '';
+    const number = id => {
+        const parsed = parseInt(value(id));
+        return Number.isNaN(parsed) ? null : parsed;
+    };
+    const list = id => value(id).split(/[,\n]/).map(entry => entry.trim()).filter(entry => entry);
+    
+    const text = {
+        enabled: checked('enableTextSection'),
+        pointsPerCriterion: number('textPoints') ?? 10
+    };
+    
+    if (checked('requiredTextEnabled')) {
+        text.requiredText = {
+            phrases: value('requiredTextPhrases').split('\n').map(parseRequiredPhrase).filter(phrase => phrase.text),
+            matchPercent: number('requiredTextMatch')
+        };
+    }
+    if (checked('forbiddenTextEnabled')) {
+        text.forbiddenText = { phrases: list('forbiddenTextPhrases') };
+    }
+    if (checked('textLengthEnabled')) {
+        text.textLength = {
+            min: number('textLengthMin'),
+            max: number('textLengthMax'),
+            layer: value('textLengthLayer').trim()
+        };
+    }
+    if (checked('spellingEnabled')) {
+        text.spelling = {
+            customWords: list('spellingCustomWords'),
+            allowed: number('spellingAllowed') ?? 0
+        };
+    }
+    
+    return text;
+}
+
+/**
+ * Read typography rules; unticked rules are left out
+ */
+function getTypographySettings() {
+    const typography = {
+        enabled: document.getElementById('enableTypographySection')?.checked || false,
+        pointsPerCriterion: parseInt(document.getElementById('typographyPoints')?.value) || 10
+    };
+    
+    Object.entries(TYPOGRAPHY_INPUTS).forEach(([type, inputs]) => {
+        if (!document.getElementById(inputs.enabled)?.checked) return;
+        
+        typography[type] = Object.fromEntries(Object.entries(inputs.settings).map(([setting, id]) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return [setting, Number.isNaN(value) ? null : value];
+        }));
+    });
+    
+    return typography;
+}
+
+/**
+ * Read the color palette and contrast rules; unticked rules are left out
+ */
+function getColorSettings() {
+    const number = id => {
+        const value = parseFloat(document.getElementById(id)?.value);
+        return Number.isNaN(value) ? null : value;
+    };
+    const colors = (document.getElementById('paletteColors')?.value || '')
+        .split(/[,\s]+/)
+        .map(entry => entry.trim())
+        .filter(entry => entry);
+    
+    const color = {
+        enabled: document.getElementById('enableColorSection')?.checked || false,
+        pointsPerCriterion: parseInt(document.getElementById('colorPoints')?.value) || 10
+    };
+    
+    if (document.getElementById('paletteEnabled')?.checked) {
+        color.palette = {
+            colors: colors,
+            tolerance: number('paletteTolerance'),
+            minCoverage: number('paletteMinCoverage'),
+            allowNeutrals: document.getElementById('paletteAllowNeutrals')?.checked || false,
+            allowed: number('paletteAllowed') ?? 0
+        };
+    }
+    if (document.getElementById('contrastEnabled')?.checked) {
+        color.contrast = {
+            level: document.getElementById('contrastLevel')?.value || 'AA',
+            allowed: number('contrastAllowed') ?? 0
+        };
+    }
+    
+    return color;
+}
+
+/**
+ * Read the print preflight rules; unticked rules are left out
+ */
+function getPreflightSettings() {
+    const number = id => {
+        const value = parseFloat(document.getElementById(id)?.value);
+        return Number.isNaN(value) ? null : value;
+    };
+    const list = id => (document.getElementById(id)?.value || '').split(',').map(entry => entry.trim()).filter(entry => entry);
+    
+    const preflight = {
+        enabled: document.getElementById('enablePreflightSection')?.checked || false,
+        pointsPerCriterion: parseInt(document.getElementById('preflightPoints')?.value) || 10,
+        unit: document.getElementById('preflightUnit')?.value || 'in',
+        bleed: number('preflightBleed') ?? 0
+    };
+    
+    if (document.getElementById('bleedSizeEnabled')?.checked) {
+        preflight.bleedSize = { width: number('bleedSizeWidth'), height: number('bleedSizeHeight') };
+    }
+    if (document.getElementById('safeMarginEnabled')?.checked) {
+        preflight.safeMargin = {
+            margin: number('safeMarginSize') ?? 0,
+            layers: list('safeMarginLayers'),
+            allowed: number('safeMarginAllowed') ?? 0
+        };
+    }
+    if (document.getElementById('inkCoverageEnabled')?.checked) {
+        preflight.inkCoverage = { max: number('inkCoverageMax') };
+    }
+    if (document.getElementById('spotChannelsEnabled')?.checked) {
+        preflight.spotChannels = {
+            mode: document.getElementById('spotChannelsMode')?.value || 'none',
+            names: list('spotChannelsNames')
+        };
+    }
+    
+    return preflight;
+}
+
+/**
+ * Read one line of the Required Text box: "Layer: phrase" or just "phrase"
+ */
+function parseRequiredPhrase(line) {
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+        return { text: line.trim() };
+    }
+    return { text: line.slice(separator + 1).trim(), layer: line.slice(0, separator).trim() };
+}
+
+/**
+ * Read rubric weights, partial credit and levels; the rubric is built from these on the server
+ */
+function getScoringSettings() {
+    if (!document.getElementById('enableScoringSection')?.checked) {
+        return {};
+    }
+    
+    const number = id => {
+        const value = document.getElementById(id)?.value;
+        return value === '' || value === undefined ? null : parseFloat(value);
+    };
+    
+    return {
+        weights: {
+            dimensions: number('weightDimensions'),
+            colorMode: number('weightColorMode'),
+            resolution: number('weightResolution'),
+            layers: number('weightLayers'),
+            requiredLayers: number('weightRequiredLayers')
+        },
+        partialCredit: {
+            dimensions: document.getElementById('partialDimensions')?.value || 'all',
+            resolution: document.getElementById('partialResolution')?.value || 'all',
+            layers: document.getElementById('partialLayers')?.value || 'all',
+            requiredLayers: document.getElementById('partialRequiredLayers')?.value || 'all',
+            fonts: document.getElementById('partialFonts')?.value || 'all',
+            ...Object.fromEntries(Object.keys(TECHNIQUE_INPUTS).concat('nonDestructive').map(type =>
+                [type, document.getElementById('partialTechniques')?.value || 'all']
+            )),
+            ...Object.fromEntries(Object.keys(ORGANIZATION_INPUTS).map(type =>
+                [type, document.getElementById('partialOrganization')?.value || 'all']
+            )),
+            ...Object.fromEntries(Object.entries(TEXT_PARTIAL_CREDIT).map(([type, scoring]) =>
+                [type, document.getElementById('partialText')?.value === 'partial' ? scoring : 'all']
+            )),
+            // Typeface limits are all or nothing
+            ...Object.fromEntries(Object.keys(TYPOGRAPHY_INPUTS).filter(type => type !== 'typefaces').map(type =>
+                [type, document.getElementById('partialTypography')?.value || 'all']
+            )),
+            palette: document.getElementById('partialColor')?.value || 'all',
+            contrast: document.getElementById('partialColor')?.value || 'all',
+            safeMargin: document.getElementById('partialPreflight')?.value || 'all'
+        },
+        bands: {
+            dimensions: [
+                { within: number('dimBandFullWithin') || 0, credit: 100 },
+                { within: number('dimBandPartialWithin') || 0, credit: number('dimBandPartialCredit') || 0 }
+            ]
+        },
+        levels: [
+            { name: 'Exemplary', min: number('levelExemplary') ?? 90 },
+            { name: 'Proficient', min: number('levelProficient') ?? 70 },
+            { name: 'Developing', min: 0 }
+        ]
+    };
+}
+
+/**
+ * Read the late policy; it applies only when Canvas integration is enabled
+ */
+function getLatePolicy() {
+    const type = document.getElementById('latePolicyType')?.value || 'none';
+    const dueDate = document.getElementById('lateDueDate')?.value;
+    
+    if (!document.getElementById('enableCanvasSection')?.checked || type === 'none') {
+        return { type: 'none' };
+    }
+    
+    return {
+        type: type,
+        percent: parseFloat(document.getElementById('canvasLatePenalty')?.value) || 0,
+        // datetime-local is in the instructor's time zone; send an absolute time
+        dueDate: dueDate ? new Date(dueDate).toISOString() : null,
+        capPercent: parseFloat(document.getElementById('latePenaltyCap')?.value) || null,
+        graceMinutes: parseInt(document.getElementById('lateGraceMinutes')?.value) || 0,
+        useFileTimes: document.getElementById('lateUseFileTimes')?.checked || false
+    };
+}
+
 /**
  * Initialize process button
  */
@@ -621,11 +1161,18 @@ function initializeProcessButton() {
         const criteria = getEnabledCriteria();
         
         // Validate that at least one criterion is enabled
-        if (!criteria.filename.enabled && !criteria.technical.enabled) {
+        if (!hasEnabledCriteria(criteria)) {
             showToast('Please enable at least one grading criterion', 'warning');
             return;
         }
         
+        if (criteria.ferpa.enabled && document.getElementById('anonPassphrase').value.length < 8) {
+            showToast('Anonymization needs a mapping passphrase of at least 8 characters', 'warning');
+            return;
+        }
+        
+        clearCriteriaErrors();
+        
         // Show processing indicator
         document.getElementById('resultsSection').style.display = 'block';
         document.getElementById('processingIndicator').style.display = 'block';
@@ -649,114 +1196,1162 @@ function initializeProcessButton() {
 }
 
 /**
- * Process uploaded files
+ * Mark the criteria inputs the server rejected, with its message under each.
+ * Sections holding a marked input are expanded so the problem is visible.
+ * @param {Array} errors - Validation errors ({ field, message })
  */
-async function processFiles(criteria) {
-    const formData = new FormData();
+function showCriteriaErrors(errors) {
+    clearCriteriaErrors();
+    
+    errors.forEach(error => {
+        const prefix = Object.keys(CRITERIA_FIELD_INPUTS)
+            .filter(key => error.field === key || error.field.startsWith(`${key}.`))
+            .sort((a, b) => b.length - a.length)[0];
+        const input = prefix && document.querySelector(CRITERIA_FIELD_INPUTS[prefix]);
+        if (!input) return;
+        
+        input.classList.add('input-error');
+        input.closest('.criteria-section')?.classList.remove('collapsed');
+        
+        const message = document.createElement('p');
+        message.className = 'field-error';
+        message.textContent = error.message;
+        input.insertAdjacentElement('afterend', message);
+        
+        input.addEventListener('input', () => clearFieldError(input), { once: true });
+        input.addEventListener('change', () => clearFieldError(input), { once: true });
+    });
     
-    // Add files to form data
-    uploadedFiles.forEach(file => {
-        formData.append('files', file);
+    document.querySelector('.input-error')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Remove the error marking from one input
+ */
+function clearFieldError(input) {
+    input.classList.remove('input-error');
+    const message = input.nextElementSibling;
+    if (message && message.classList.contains('field-error')) {
+        message.remove();
+    }
+}
+
+/**
+ * Remove all validation error markings from the criteria form
+ */
+function clearCriteriaErrors() {
+    document.querySelectorAll('.input-error').forEach(clearFieldError);
+}
+
+/**
+ * Initialize cancel button for running jobs
+ */
+function initializeCancelButton() {
+    const cancelButton = document.getElementById('cancelProcessing');
+    if (!cancelButton) return;
+    
+    cancelButton.addEventListener('click', async () => {
+        if (!currentJobId) return;
+        
+        cancelButton.disabled = true;
+        try {
+            await fetch(`${API_URL}/jobs/${currentJobId}`, { method: 'DELETE' });
+            document.getElementById('progressText').textContent = 'Cancelling...';
+        } catch (error) {
+            console.error('Cancel failed:', error);
+            showToast('Could not cancel processing', 'error');
+            cancelButton.disabled = false;
+        }
+    });
+}
+
+/**
+ * Initialize the criteria preset library
+ */
+function initializePresets() {
+    document.getElementById('presetSelect').addEventListener('change', () => loadPresetVersions());
+    document.getElementById('loadPreset').addEventListener('click', loadPreset);
+    document.getElementById('savePresetVersion').addEventListener('click', savePresetVersion);
+    document.getElementById('savePreset').addEventListener('click', savePreset);
+    document.getElementById('renamePreset').addEventListener('click', renamePreset);
+    document.getElementById('exportPreset').addEventListener('click', exportPreset);
+    document.getElementById('deletePreset').addEventListener('click', deletePreset);
+    
+    const importInput = document.getElementById('importPresetFile');
+    document.getElementById('importPreset').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        if (importInput.files.length > 0) {
+            importPreset(importInput.files[0]);
+            importInput.value = '';
+        }
     });
     
-    // Add criteria to form data
-    formData.append('criteria', JSON.stringify(criteria));
+    loadPresets();
+}
+
+/**
+ * Fill the preset picker, keeping the given preset selected
+ */
+async function loadPresets(selectedId = loadedPreset?.id) {
+    const select = document.getElementById('presetSelect');
+    const escape = window.PSDUtils.UIUtils.escapeHtml;
     
     try {
-        const response = await fetch(`${API_URL}/process`, {
-            method: 'POST',
-            body: formData
-        });
-        
+        const response = await fetch(`${API_URL}/presets`);
         if (!response.ok) {
             throw new Error(`Server error: ${response.statusText}`);
         }
         
-        const results = await response.json();
-        processedResults = results.files || [];
-        
-        displayResults(results, criteria);
-        showToast(`Successfully processed ${processedResults.length} files`, 'success');
+        const { presets } = await response.json();
+        select.innerHTML = presets.length === 0 ?
+            '<option value="">No saved presets</option>' :
+            presets.map(preset => {
+                const selected = preset.id === selectedId ? ' selected' : '';
+                return `<option value="${preset.id}" data-name="${escape(preset.name)}"${selected}>${escape(preset.name)} (v${preset.latestVersion})</option>`;
+            }).join('');
         
+        await loadPresetVersions();
     } catch (error) {
-        console.error('Processing error:', error);
-        throw error;
+        console.error('Could not load presets:', error);
     }
 }
 
 /**
- * Display processing results
+ * Fill the version picker with the selected preset's history, newest first
  */
-function displayResults(results, criteria) {
-    // Display summary statistics
-    displaySummaryStats(results);
+async function loadPresetVersions() {
+    const presetId = document.getElementById('presetSelect').value;
+    const select = document.getElementById('presetVersionSelect');
+    const escape = window.PSDUtils.UIUtils.escapeHtml;
     
-    // Display detailed results table
-    displayResultsTable(results, criteria);
+    if (!presetId) {
+        select.innerHTML = '';
+        return;
+    }
     
-    // Show Canvas instructions if enabled
-    if (criteria.canvas.enabled) {
-        document.getElementById('canvasInstructions').style.display = 'block';
-    } else {
-        document.getElementById('canvasInstructions').style.display = 'none';
+    try {
+        const response = await fetch(`${API_URL}/presets/${presetId}`);
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.statusText}`);
+        }
+        
+        const preset = await response.json();
+        select.innerHTML = preset.versions.slice().reverse().map(entry => {
+            const date = new Date(entry.createdAt).toLocaleDateString();
+            const label = `v${entry.version} · ${date}${entry.note ? ` · ${entry.note}` : ''}`;
+            return `<option value="${entry.version}">${escape(label)}</option>`;
+        }).join('');
+    } catch (error) {
+        console.error('Could not load preset versions:', error);
     }
 }
 
 /**
- * Display summary statistics
+ * Load the selected preset version into the criteria form
  */
-function displaySummaryStats(results) {
-    const stats = results.summary || {};
-    const summaryDiv = document.getElementById('summaryStats');
+async function loadPreset() {
+    const presetSelect = document.getElementById('presetSelect');
+    const version = document.getElementById('presetVersionSelect').value;
+    if (!presetSelect.value || !version) return;
     
-    summaryDiv.innerHTML = `
-        <div class="stat-card">
-            <div class="stat-number">${stats.totalFiles || 0}</div>
-            <div class="stat-label">Files Processed</div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-number">${stats.averageScore || 0}%</div>
-            <div class="stat-label">Average Score</div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-number">${stats.passed || 0}</div>
-            <div class="stat-label">Passed (≥70%)</div>
-        </div>
-        <div class="stat-card" title="Files scoring below 70% that may need instructor review">
-            <div class="stat-number">${stats.failed || 0}</div>
-            <div class="stat-label">Below 70%</div>
-        </div>
-    `;
+    try {
+        const response = await fetch(`${API_URL}/presets/${presetSelect.value}/versions/${version}`);
+        if (!response.ok) {
+            throw new Error(response.status === 404 ? 'Preset version not found' : `Server error: ${response.statusText}`);
+        }
+        
+        const preset = await response.json();
+        applyCriteriaToForm(preset.criteria);
+        setLoadedPreset({ id: preset.id, name: preset.name, version: preset.version });
+        showToast(`Loaded "${preset.name}" v${preset.version}`, 'success');
+    } catch (error) {
+        console.error('Load preset error:', error);
+        showToast('Could not load preset: ' + error.message, 'error');
+    }
 }
 
 /**
- * Display results table
+ * Save the form's criteria as a new preset
  */
-function displayResultsTable(results, criteria) {
-    const resultsDiv = document.getElementById('results');
-    const files = results.files || [];
+async function savePreset() {
+    const suggested = document.getElementById('canvasAssignmentName')?.value || '';
+    const name = prompt('Preset name:', suggested);
+    if (!name || !name.trim()) return;
     
-    if (files.length === 0) {
-        resultsDiv.innerHTML = '<p style="text-align: center; color: #6b7280;">No files processed</p>';
+    try {
+        const preset = await sendPreset(`${API_URL}/presets`, { name: name.trim(), criteria: getEnabledCriteria() });
+        setLoadedPreset({ id: preset.id, name: preset.name, version: preset.latestVersion });
+        await loadPresets(preset.id);
+        showToast(`Saved preset "${preset.name}"`, 'success');
+    } catch (error) {
+        console.error('Save preset error:', error);
+        showToast('Could not save preset: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Save the form's criteria as the next version of the selected preset
+ */
+async function savePresetVersion() {
+    const presetId = document.getElementById('presetSelect').value;
+    if (!presetId) {
+        showToast('Select a preset, or save a new one', 'warning');
         return;
     }
     
-    // Create download buttons
-    const downloadButtons = `
-        <div style="margin-bottom: 20px; text-align: right;">
-            <button class="download-results" onclick="downloadCSV()">
-                📥 Download Results CSV
-            </button>
-            ${criteria.canvas.enabled ? `
-                <button class="download-canvas" onclick="downloadCanvasCSV()">
-                    🎓 Download for Canvas
-                </button>
-            ` : ''}
-        </div>
-    `;
+    const note = prompt('What changed in this version? (optional)', '');
+    if (note === null) return;
     
-    // Create results table
-    const table = `
+    try {
+        const preset = await sendPreset(`${API_URL}/presets/${presetId}/versions`, { criteria: getEnabledCriteria(), note });
+        setLoadedPreset({ id: preset.id, name: preset.name, version: preset.latestVersion });
+        await loadPresets(preset.id);
+        showToast(`Saved "${preset.name}" v${preset.latestVersion}`, 'success');
+    } catch (error) {
+        console.error('Save preset version error:', error);
+        showToast('Could not save version: ' + error.message, 'error');
+    }
+}
+
+/**
+ * POST preset contents and return the saved preset
+ */
+async function sendPreset(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        if (data.errors) showCriteriaErrors(data.errors);
+        throw new Error(data.message || data.error);
+    }
+    return data;
+}
+
+/**
+ * Rename the selected preset
+ */
+async function renamePreset() {
+    const option = document.getElementById('presetSelect').selectedOptions[0];
+    if (!option || !option.value) return;
+    
+    const name = prompt('Preset name:', option.dataset.name);
+    if (!name || !name.trim()) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/presets/${option.value}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.statusText}`);
+        }
+        
+        if (loadedPreset?.id === option.value) {
+            setLoadedPreset({ ...loadedPreset, name: name.trim() });
+        }
+        await loadPresets(option.value);
+    } catch (error) {
+        console.error('Rename preset error:', error);
+        showToast('Could not rename preset: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Download the selected preset with its history as a JSON file
+ */
+function exportPreset() {
+    const presetId = document.getElementById('presetSelect').value;
+    if (!presetId) return;
+    
+    window.location.href = `${API_URL}/presets/${presetId}/export`;
+}
+
+/**
+ * Add a preset from an exported JSON file
+ */
+async function importPreset(file) {
+    try {
+        const preset = await sendPreset(`${API_URL}/presets/import`, JSON.parse(await file.text()));
+        await loadPresets(preset.id);
+        showToast(`Imported preset "${preset.name}"`, 'success');
+    } catch (error) {
+        console.error('Import preset error:', error);
+        showToast('Could not import preset: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Delete the selected preset and its history
+ */
+async function deletePreset() {
+    const option = document.getElementById('presetSelect').selectedOptions[0];
+    if (!option || !option.value) return;
+    if (!confirm(`Delete preset "${option.dataset.name}" and all its versions?`)) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/presets/${option.value}`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.statusText}`);
+        }
+        
+        if (loadedPreset?.id === option.value) {
+            setLoadedPreset(null);
+        }
+        await loadPresets();
+        showToast('Preset deleted', 'success');
+    } catch (error) {
+        console.error('Delete preset error:', error);
+        showToast('Could not delete preset: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Remember which preset version is in the form, and say so
+ */
+function setLoadedPreset(preset) {
+    loadedPreset = preset;
+    document.getElementById('presetStatus').textContent = preset ?
+        `Using "${preset.name}" v${preset.version}. Sessions record this version and whether you changed it.` :
+        'Criteria are not from a preset.';
+}
+
+/**
+ * Fill the criteria form from a criteria object (the reverse of getEnabledCriteria)
+ */
+function applyCriteriaToForm(criteria) {
+    const setValue = (id, value) => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        element.value = value === null || value === undefined ? '' : value;
+        // Sliders and labels follow their inputs through these events
+        element.dispatchEvent(new Event('input'));
+        element.dispatchEvent(new Event('change'));
+    };
+    const setSection = (id, enabled) => {
+        const checkbox = document.getElementById(id);
+        if (!checkbox) return;
+        checkbox.checked = Boolean(enabled);
+        checkbox.dispatchEvent(new Event('change'));
+    };
+    
+    const filename = criteria.filename || {};
+    setSection('enableFilenameSection', filename.enabled);
+    // The pattern type resets the pattern, so it goes first
+    setValue('filenamePatternType', filename.patternType || 'custom');
+    setValue('filenamePattern', filename.pattern);
+    setValue('filenamePoints', filename.points);
+    setValue('filenameCaseSensitive', filename.caseSensitive ? 'yes' : 'no');
+    
+    const technical = criteria.technical || {};
+    setSection('enableTechnicalSection', technical.enabled);
+    setValue('reqWidth', technical.width);
+    setValue('reqHeight', technical.height);
+    const colorRadio = document.querySelector(`input[name="colorMode"][value="${technical.colorMode || ''}"]`);
+    if (colorRadio) colorRadio.checked = true;
+    setValue('minLayers', technical.minLayers);
+    setValue('reqLayers', (technical.requiredLayers || []).join(', '));
+    setValue('reqResolution', technical.resolution);
+    setValue('reqBitDepth', technical.bitDepth || '');
+    document.getElementById('reqColorProfileEnabled').checked = Boolean(technical.colorProfile);
+    setValue('reqColorProfile', (technical.colorProfile?.profiles || []).join(', '));
+    setValue('pointsPerCriterion', technical.pointsPerCriterion);
+    
+    const fonts = criteria.fonts || {};
+    setSection('enableFontsSection', fonts.enabled);
+    setValue('approvedFonts', (fonts.approvedFonts || []).join(', '));
+    setValue('requiredFonts', (fonts.requiredFonts || []).join(', '));
+    setValue('fontPoints', fonts.pointsPerCriterion);
+    checkFontLists();
+    
+    const techniques = criteria.techniques || {};
+    setSection('enableTechniquesSection', techniques.enabled);
+    setValue('techniquePoints', techniques.pointsPerCriterion ?? 10);
+    Object.entries(TECHNIQUE_INPUTS).forEach(([type, inputs]) => {
+        setValue(inputs.min, techniques[type]?.min);
+        if (inputs.types) setValue(inputs.types, (techniques[type]?.types || []).join(', '));
+    });
+    document.getElementById('nonDestructiveEnabled').checked = Boolean(techniques.nonDestructive);
+    setValue('nonDestructiveMin', techniques.nonDestructive?.minNonDestructive ?? 1);
+    setValue('nonDestructiveMaxDestructive', techniques.nonDestructive?.maxDestructive ?? 0);
+    
+    const organization = criteria.organization || {};
+    setSection('enableOrganizationSection', organization.enabled);
+    setValue('organizationPoints', organization.pointsPerCriterion ?? 5);
+    Object.entries(ORGANIZATION_INPUTS).forEach(([type, inputs]) => {
+        document.getElementById(inputs.enabled).checked = Boolean(organization[type]);
+        Object.entries(inputs.settings).forEach(([setting, id]) => {
+            const value = organization[type]?.[setting];
+            if (value !== null && value !== undefined) setValue(id, value);
+        });
+    });
+    
+    const text = criteria.text || {};
+    setSection('enableTextSection', text.enabled);
+    setValue('textPoints', text.pointsPerCriterion ?? 10);
+    document.getElementById('requiredTextEnabled').checked = Boolean(text.requiredText);
+    setValue('requiredTextPhrases', (text.requiredText?.phrases || [])
+        .map(phrase => typeof phrase === 'string' ? phrase : `${phrase.layer ? `${phrase.layer}: ` : ''}${phrase.text}`)
+        .join('\n'));
+    setValue('requiredTextMatch', text.requiredText?.matchPercent ?? 85);
+    document.getElementById('forbiddenTextEnabled').checked = Boolean(text.forbiddenText);
+    setValue('forbiddenTextPhrases', (text.forbiddenText?.phrases || ['Lorem ipsum']).join(', '));
+    document.getElementById('textLengthEnabled').checked = Boolean(text.textLength);
+    setValue('textLengthMin', text.textLength?.min);
+    setValue('textLengthMax', text.textLength?.max);
+    setValue('textLengthLayer', text.textLength?.layer);
+    document.getElementById('spellingEnabled').checked = Boolean(text.spelling);
+    setValue('spellingCustomWords', (text.spelling?.customWords || []).join(', '));
+    setValue('spellingAllowed', text.spelling?.allowed ?? 0);
+    
+    const typography = criteria.typography || {};
+    setSection('enableTypographySection', typography.enabled);
+    setValue('typographyPoints', typography.pointsPerCriterion ?? 10);
+    Object.entries(TYPOGRAPHY_INPUTS).forEach(([type, inputs]) => {
+        document.getElementById(inputs.enabled).checked = Boolean(typography[type]);
+        Object.entries(inputs.settings).forEach(([setting, id]) => {
+            const value = typography[type]?.[setting];
+            if (value !== null && value !== undefined) setValue(id, value);
+        });
+    });
+    
+    const color = criteria.color || {};
+    setSection('enableColorSection', color.enabled);
+    setValue('colorPoints', color.pointsPerCriterion ?? 10);
+    document.getElementById('paletteEnabled').checked = Boolean(color.palette);
+    setValue('paletteColors', (color.palette?.colors || []).join('\n'));
+    setValue('paletteTolerance', color.palette?.tolerance ?? 10);
+    setValue('paletteMinCoverage', color.palette?.minCoverage ?? 2);
+    document.getElementById('paletteAllowNeutrals').checked = color.palette?.allowNeutrals !== false;
+    setValue('paletteAllowed', color.palette?.allowed ?? 0);
+    document.getElementById('contrastEnabled').checked = Boolean(color.contrast);
+    setValue('contrastLevel', color.contrast?.level || 'AA');
+    setValue('contrastAllowed', color.contrast?.allowed ?? 0);
+    
+    const preflight = criteria.preflight || {};
+    setSection('enablePreflightSection', preflight.enabled);
+    setValue('preflightPoints', preflight.pointsPerCriterion ?? 10);
+    setValue('preflightUnit', preflight.unit || 'in');
+    setValue('preflightBleed', preflight.bleed ?? 0.125);
+    document.getElementById('bleedSizeEnabled').checked = Boolean(preflight.bleedSize);
+    setValue('bleedSizeWidth', preflight.bleedSize?.width);
+    setValue('bleedSizeHeight', preflight.bleedSize?.height);
+    document.getElementById('safeMarginEnabled').checked = Boolean(preflight.safeMargin);
+    setValue('safeMarginSize', preflight.safeMargin?.margin ?? 0.125);
+    setValue('safeMarginLayers', (preflight.safeMargin?.layers || []).join(', '));
+    setValue('safeMarginAllowed', preflight.safeMargin?.allowed ?? 0);
+    document.getElementById('inkCoverageEnabled').checked = Boolean(preflight.inkCoverage);
+    setValue('inkCoverageMax', preflight.inkCoverage?.max ?? 300);
+    document.getElementById('spotChannelsEnabled').checked = Boolean(preflight.spotChannels);
+    setValue('spotChannelsMode', preflight.spotChannels?.mode || 'none');
+    setValue('spotChannelsNames', (preflight.spotChannels?.names || []).join(', '));
+    
+    importedRubric = criteria.rubric || null;
+    setSection('enableRubricSection', Boolean(criteria.rubric));
+    renderImportedRubric();
+    
+    const scoring = criteria.scoring || {};
+    const weights = scoring.weights || {};
+    const partialCredit = scoring.partialCredit || {};
+    const dimensionBands = scoring.bands?.dimensions || [];
+    const levels = scoring.levels || [];
+    setSection('enableScoringSection', Object.keys(scoring).length > 0);
+    setValue('weightDimensions', weights.dimensions);
+    setValue('weightColorMode', weights.colorMode);
+    setValue('weightResolution', weights.resolution);
+    setValue('weightLayers', weights.layers);
+    setValue('weightRequiredLayers', weights.requiredLayers);
+    setValue('partialDimensions', partialCredit.dimensions || 'all');
+    setValue('partialResolution', partialCredit.resolution || 'all');
+    setValue('partialLayers', partialCredit.layers || 'all');
+    setValue('partialRequiredLayers', partialCredit.requiredLayers || 'all');
+    setValue('partialFonts', partialCredit.fonts || 'all');
+    setValue('partialTechniques', partialCredit.adjustmentLayers || 'all');
+    setValue('partialOrganization', partialCredit.layerNames || 'all');
+    setValue('partialText', partialCredit.requiredText && partialCredit.requiredText !== 'all' ? 'partial' : 'all');
+    setValue('partialTypography', partialCredit.textSize || 'all');
+    setValue('partialColor', partialCredit.palette || partialCredit.contrast || 'all');
+    setValue('partialPreflight', partialCredit.safeMargin || 'all');
+    if (dimensionBands.length >= 2) {
+        setValue('dimBandFullWithin', dimensionBands[0].within);
+        setValue('dimBandPartialWithin', dimensionBands[1].within);
+        setValue('dimBandPartialCredit', dimensionBands[1].credit);
+    }
+    if (levels.length >= 2) {
+        setValue('levelExemplary', levels[0].min);
+        setValue('levelProficient', levels[1].min);
+    }
+    
+    const ferpa = criteria.ferpa || {};
+    setSection('enableFerpaSection', ferpa.enabled);
+    setValue('anonMethod', ferpa.method || 'canvas');
+    setValue('anonPrefix', ferpa.prefix);
+    
+    const canvas = criteria.canvas || {};
+    const late = criteria.late || {};
+    setSection('enableCanvasSection', canvas.enabled);
+    setValue('canvasAssignmentName', canvas.assignmentName);
+    setValue('canvasSectionName', canvas.sectionName);
+    setValue('canvasAssignmentId', canvas.assignmentId);
+    setValue('canvasStudentIdSource', canvas.studentIdSource || 'lastname');
+    setValue('latePolicyType', late.type || 'none');
+    setValue('canvasLatePenalty', late.percent || 0);
+    setValue('lateDueDate', late.dueDate ? toDateTimeLocal(late.dueDate) : '');
+    setValue('latePenaltyCap', late.capPercent);
+    setValue('lateGraceMinutes', late.graceMinutes || 0);
+    document.getElementById('lateUseFileTimes').checked = Boolean(late.useFileTimes);
+}
+
+/**
+ * Format an ISO time for a datetime-local input, in the browser's time zone
+ */
+function toDateTimeLocal(iso) {
+    const date = new Date(iso);
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Initialize Canvas rubric import
+ */
+function initializeRubricImport() {
+    const input = document.getElementById('rubricFile');
+    input?.addEventListener('change', () => {
+        if (input.files.length > 0) {
+            importCanvasRubric(input.files[0]);
+        }
+    });
+}
+
+/**
+ * Check the approved and required font lists against the font catalog as they change
+ */
+function initializeFontListCheck() {
+    ['approvedFonts', 'requiredFonts'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', checkFontLists);
+    });
+}
+
+/**
+ * List font names the catalog does not know, with the family each was probably meant to be
+ */
+async function checkFontLists() {
+    const notes = document.getElementById('fontListNotes');
+    if (!notes) return;
+    
+    const names = ['approvedFonts', 'requiredFonts']
+        .flatMap(id => (document.getElementById(id)?.value || '').split(','))
+        .map(name => name.trim())
+        .filter(name => name);
+    
+    try {
+        const response = await fetch(`${API_URL}/fonts/check`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ names: names })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || data.error);
+        }
+        
+        const escape = window.PSDUtils.UIUtils.escapeHtml;
+        notes.innerHTML = data.fonts
+            .filter(font => !font.known)
+            .map(font => font.suggestion
+                ? `<li>“${escape(font.name)}” is not in the font catalog. Did you mean ${escape(font.suggestion)}?</li>`
+                : `<li>“${escape(font.name)}” is not in the font catalog, so it only matches fonts named ${escape(font.family)}</li>`
+            ).join('');
+    } catch (error) {
+        console.error('Font list check error:', error);
+        notes.innerHTML = '';
+    }
+}
+
+/**
+ * Upload a Canvas rubric export and use it for grading
+ */
+async function importCanvasRubric(file) {
+    const formData = new FormData();
+    formData.append('rubric', file);
+    
+    try {
+        const response = await fetch(`${API_URL}/rubrics/import`, { method: 'POST', body: formData });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || data.error);
+        }
+        
+        importedRubric = data.rubric;
+        renderImportedRubric(data.unmatched, data.needsSettings);
+        showToast(`Imported ${importedRubric.rows.length} rubric rows`, 'success');
+        if (data.unmatched.length > 0) {
+            showToast(`${data.unmatched.length} rows need instructor review: ${data.unmatched.join(', ')}`, 'warning', 6000);
+        }
+        if (data.needsSettings.length > 0) {
+            showToast(`Set up ${data.needsSettings.map(row => row.name).join(', ')} in the criteria form before grading`, 'warning', 6000);
+        }
+    } catch (error) {
+        console.error('Rubric import error:', error);
+        showToast('Could not import rubric: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Show the imported rubric's rows and the checks they were matched to,
+ * marking rows whose check still has to be set up in the form
+ */
+function renderImportedRubric(unmatched = [], needsSettings = []) {
+    const container = document.getElementById('importedRubric');
+    const escape = window.PSDUtils.UIUtils.escapeHtml;
+    
+    if (!importedRubric) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const setup = new Map(needsSettings.map(entry => [entry.name, entry.missing]));
+    const rows = importedRubric.rows.map(row => `
+        <tr>
+            <td>${escape(row.title)}</td>
+            <td>
+                ${row.type === 'manual' ? '<em>Instructor review</em>' : escape(RUBRIC_CHECK_LABELS[row.type] || row.type)}
+                ${setup.has(row.title) ? `<br><small>Needs ${escape(setup.get(row.title))} in the form</small>` : ''}
+            </td>
+            <td>${row.points}</td>
+            <td>${(row.levels || []).map(level => escape(level.name)).join(' / ') || 'Default levels'}</td>
+        </tr>
+    `).join('');
+    
+    container.innerHTML = `
+        <div class="imported-rubric">
+            <div class="imported-rubric-header">
+                <strong>${escape(importedRubric.title || 'Imported rubric')}</strong>
+                <button type="button" class="review-link" onclick="clearImportedRubric()">Remove</button>
+            </div>
+            <table>
+                <thead><tr><th>Canvas row</th><th>Graded by</th><th>Points</th><th>Ratings</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${unmatched.length > 0 ? `<p>Rows graded by instructor review start at 0 points; use Override on each file.</p>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Go back to grading with the rubric built from the form
+ */
+function clearImportedRubric() {
+    importedRubric = null;
+    document.getElementById('rubricFile').value = '';
+    renderImportedRubric();
+}
+
+/**
+ * Download the current rubric in a Canvas rubric format ('csv' or 'json')
+ */
+async function exportCanvasRubric(format) {
+    try {
+        const criteria = getEnabledCriteria();
+        const response = await fetch(`${API_URL}/rubrics/export`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ criteria, format })
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || data.error);
+        }
+        
+        const name = (criteria.rubric?.title || criteria.canvas.assignmentName || 'rubric')
+            .replace(/[^A-Za-z0-9_-]+/g, '_').toLowerCase();
+        downloadFile(
+            await response.text(),
+            `${name}_rubric.${format}`,
+            format === 'json' ? 'application/json' : 'text/csv'
+        );
+    } catch (error) {
+        console.error('Rubric export error:', error);
+        showToast('Could not export rubric: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Initialize the saved session picker
+ */
+function initializeSessionPicker() {
+    document.getElementById('openSession').addEventListener('click', openSession);
+    document.getElementById('renameSession').addEventListener('click', renameSession);
+    document.getElementById('deleteSession').addEventListener('click', deleteSession);
+    
+    loadSessions();
+}
+
+/**
+ * Fill the session picker with saved sessions, newest first
+ */
+async function loadSessions() {
+    const select = document.getElementById('sessionSelect');
+    
+    try {
+        const response = await fetch(`${API_URL}/sessions`);
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.statusText}`);
+        }
+        
+        const { sessions } = await response.json();
+        
+        if (sessions.length === 0) {
+            select.innerHTML = '<option value="">No saved sessions</option>';
+            return;
+        }
+        
+        select.innerHTML = sessions.map(session => {
+            const date = new Date(session.createdAt).toLocaleString();
+            const average = session.summary ? ` · ${session.summary.averageScore}% avg` : '';
+            const preset = session.preset ?
+                ` · ${session.preset.name} v${session.preset.version}${session.preset.modified ? ' (edited)' : ''}` : '';
+            const label = `${session.name} — ${session.fileCount} files${average}${preset} · ${date}`;
+            const selected = session.id === currentSessionId ? ' selected' : '';
+            const escape = window.PSDUtils.UIUtils.escapeHtml;
+            return `<option value="${session.id}" data-name="${escape(session.name)}"${selected}>${escape(label)}</option>`;
+        }).join('');
+    } catch (error) {
+        console.error('Could not load sessions:', error);
+    }
+}
+
+/**
+ * Get the ID of the session selected in the picker
+ */
+function getSelectedSessionId() {
+    const sessionId = document.getElementById('sessionSelect').value;
+    if (!sessionId) {
+        showToast('No saved session selected', 'warning');
+    }
+    return sessionId;
+}
+
+/**
+ * Reopen a saved session and show its results
+ */
+async function openSession() {
+    const sessionId = getSelectedSessionId();
+    if (!sessionId) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/sessions/${sessionId}`);
+        if (!response.ok) {
+            throw new Error(response.status === 404 ? 'Session not found' : `Server error: ${response.statusText}`);
+        }
+        
+        const session = await response.json();
+        processedResults = session.files;
+        currentBatchId = session.batchId;
+        currentSessionId = session.id;
+        currentCriteria = session.criteria;
+        studentMapping = null;
+        
+        document.getElementById('resultsSection').style.display = 'block';
+        document.getElementById('processingIndicator').style.display = 'none';
+        displayResults(session, session.criteria);
+        
+        showToast(`Opened "${session.name}"`, 'success');
+    } catch (error) {
+        console.error('Open session error:', error);
+        showToast('Could not open session: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Rename the selected session
+ */
+async function renameSession() {
+    const sessionId = getSelectedSessionId();
+    if (!sessionId) return;
+    
+    const select = document.getElementById('sessionSelect');
+    const name = prompt('Session name:', select.options[select.selectedIndex].dataset.name);
+    if (!name || !name.trim()) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/sessions/${sessionId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.statusText}`);
+        }
+        
+        await loadSessions();
+        showToast('Session renamed', 'success');
+    } catch (error) {
+        console.error('Rename session error:', error);
+        showToast('Could not rename session: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Delete the selected session
+ */
+async function deleteSession() {
+    const sessionId = getSelectedSessionId();
+    if (!sessionId) return;
+    
+    if (!confirm('Delete this grading session? This cannot be undone.')) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/sessions/${sessionId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.statusText}`);
+        }
+        
+        if (sessionId === currentSessionId) {
+            currentSessionId = null;
+        }
+        
+        await loadSessions();
+        showToast('Session deleted', 'success');
+    } catch (error) {
+        console.error('Delete session error:', error);
+        showToast('Could not delete session: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Process uploaded files as a server-side job
+ */
+async function processFiles(criteria) {
+    const formData = new FormData();
+    
+    // Add files to form data
+    uploadedFiles.forEach(file => {
+        formData.append('files', file);
+    });
+    
+    // Modification times stand in for submission times in late policies
+    formData.append('fileTimestamps', JSON.stringify(uploadedFiles.map(file => file.lastModified)));
+    
+    // Add criteria to form data
+    formData.append('criteria', JSON.stringify(criteria));
+    
+    // The server records which preset version the session was graded with
+    if (loadedPreset) {
+        formData.append('preset', JSON.stringify(loadedPreset));
+    }
+    
+    // Sent separately so it never ends up in the stored criteria
+    if (criteria.ferpa.enabled) {
+        formData.append('ferpaPassphrase', document.getElementById('anonPassphrase').value);
+    }
+    
+    updateProgress({ status: 'uploading', completed: 0, total: 0 });
+    
+    const response = await fetch(`${API_URL}/jobs`, {
+        method: 'POST',
+        body: formData
+    });
+    
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        if (data.errors) showCriteriaErrors(data.errors);
+        throw new Error(data.message || `Server error: ${response.statusText}`);
+    }
+    
+    const { jobId } = await response.json();
+    currentJobId = jobId;
+    
+    try {
+        const results = await streamJobProgress(jobId, criteria);
+        processedResults = results.files;
+        currentBatchId = results.batchId;
+        currentSessionId = results.sessionId;
+        currentCriteria = criteria;
+        studentMapping = null;
+        
+        displayResults(results, criteria);
+        loadSessions();
+        
+        if (results.status === 'cancelled') {
+            showToast(`Processing cancelled after ${processedResults.length} files`, 'warning');
+        } else {
+            showToast(`Successfully processed ${processedResults.length} files`, 'success');
+        }
+    } finally {
+        currentJobId = null;
+    }
+}
+
+/**
+ * Re-grade the last batch with the current criteria using the server's cached analyses
+ */
+async function regradeResults() {
+    if (!currentBatchId) {
+        showToast('Nothing to re-grade yet', 'warning');
+        return;
+    }
+    
+    const criteria = getEnabledCriteria();
+    
+    if (!hasEnabledCriteria(criteria)) {
+        showToast('Please enable at least one grading criterion', 'warning');
+        return;
+    }
+    
+    clearCriteriaErrors();
+    const regradeButton = document.getElementById('regradeResults');
+    regradeButton.disabled = true;
+    regradeButton.textContent = '⏳ Re-grading...';
+    
+    try {
+        const response = await fetch(`${API_URL}/batches/${currentBatchId}/regrade`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ criteria, sessionId: currentSessionId, preset: loadedPreset })
+        });
+        
+        if (response.status === 404) {
+            throw new Error('This batch is no longer available; upload the files again');
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            if (data.errors) showCriteriaErrors(data.errors);
+            throw new Error(data.message || `Server error: ${response.statusText}`);
+        }
+        
+        const results = await response.json();
+        processedResults = results.files;
+        currentCriteria = criteria;
+        
+        displayResults(results, criteria);
+        showToast(`Re-graded ${processedResults.length} files`, 'success');
+    } catch (error) {
+        console.error('Re-grade error:', error);
+        showToast('Error re-grading files: ' + error.message, 'error');
+        regradeButton.disabled = false;
+        regradeButton.textContent = '🔄 Re-grade with current criteria';
+    }
+}
+
+/**
+ * Follow a job over Server-Sent Events, showing rows as results arrive
+ */
+function streamJobProgress(jobId, criteria) {
+    return new Promise((resolve, reject) => {
+        const files = [];
+        const source = new EventSource(`${API_URL}/jobs/${jobId}/events`);
+        
+        startLiveResults(criteria);
+        
+        source.addEventListener('progress', (e) => {
+            updateProgress(JSON.parse(e.data));
+        });
+        
+        source.addEventListener('result', (e) => {
+            const data = JSON.parse(e.data);
+            // Results are replayed after a reconnect, so skip ones we already have
+            if (!files[data.index]) {
+                files[data.index] = data.result;
+                appendResultRow(data.result, criteria);
+            }
+            updateProgress(data);
+        });
+        
+        source.addEventListener('done', (e) => {
+            const data = JSON.parse(e.data);
+            source.close();
+            
+            if (data.status === 'failed') {
+                reject(new Error(data.error || 'Processing failed'));
+                return;
+            }
+            
+            resolve({
+                status: data.status,
+                files: files.filter(Boolean),
+                summary: data.summary,
+                batchId: data.batchId,
+                sessionId: data.sessionId
+            });
+        });
+        
+        source.onerror = () => {
+            // EventSource reconnects on its own unless the stream is closed for good
+            if (source.readyState === EventSource.CLOSED) {
+                reject(new Error('Lost connection to the server'));
+            }
+        };
+    });
+}
+
+/**
+ * Update the progress bar from a job progress event
+ */
+function updateProgress(progress) {
+    const progressText = document.getElementById('progressText');
+    const progressFill = document.getElementById('progressFill');
+    const progressDetails = document.getElementById('progressDetails');
+    const cancelButton = document.getElementById('cancelProcessing');
+    
+    const total = progress.total || 0;
+    const completed = progress.completed || 0;
+    const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+    
+    progressFill.style.width = `${percentage}%`;
+    progressFill.textContent = `${percentage}%`;
+    cancelButton.disabled = progress.status === 'uploading' || progress.status === 'cancelling';
+    
+    if (progress.status === 'uploading') {
+        progressText.textContent = 'Uploading files...';
+        progressDetails.textContent = '';
+    } else if (progress.status === 'cancelling') {
+        progressText.textContent = 'Cancelling...';
+    } else if (total > 0) {
+        progressText.textContent = `Processed ${completed} of ${total} files`;
+        progressDetails.textContent = progress.currentFile ? `Current file: ${progress.currentFile}` : '';
+    } else {
+        progressText.textContent = 'Reading uploads...';
+    }
+}
+
+/**
+ * Prepare an empty results table that fills in while a job runs
+ */
+function startLiveResults(criteria) {
+    document.getElementById('results').innerHTML = `
+        <table class="results-table">
+            <thead>
+                <tr>
+                    <th>Student File</th>
+                    <th>Score</th>
+                    <th>Details</th>
+                </tr>
+            </thead>
+            <tbody id="liveResultsBody"></tbody>
+        </table>
+    `;
+}
+
+/**
+ * Append a single result row to the live results table
+ */
+function appendResultRow(file, criteria) {
+    const body = document.getElementById('liveResultsBody');
+    if (body) {
+        body.insertAdjacentHTML('beforeend', createResultRow(file, criteria));
+    }
+}
+
+/**
+ * Display processing results
+ */
+function displayResults(results, criteria) {
+    // Display summary statistics
+    displaySummaryStats(results);
+    
+    // Display detailed results table
+    displayResultsTable(results, criteria);
+    
+    // Show Canvas instructions if enabled
+    if (criteria.canvas.enabled) {
+        document.getElementById('canvasInstructions').style.display = 'block';
+    } else {
+        document.getElementById('canvasInstructions').style.display = 'none';
+    }
+}
+
+/**
+ * Display summary statistics
+ */
+function displaySummaryStats(results) {
+    const stats = results.summary || {};
+    const summaryDiv = document.getElementById('summaryStats');
+    
+    summaryDiv.innerHTML = `
+        <div class="stat-card">
+            <div class="stat-number">${stats.totalFiles || 0}</div>
+            <div class="stat-label">Files Processed</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-number">${stats.averageScore || 0}%</div>
+            <div class="stat-label">Average Score</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-number">${stats.passed || 0}</div>
+            <div class="stat-label">Passed (≥70%)</div>
+        </div>
+        <div class="stat-card" title="Files scoring below 70% that may need instructor review">
+            <div class="stat-number">${stats.failed || 0}</div>
+            <div class="stat-label">Below 70%</div>
+        </div>
+    `;
+}
+
+/**
+ * Display results table
+ */
+function displayResultsTable(results, criteria) {
+    const resultsDiv = document.getElementById('results');
+    const files = results.files || [];
+    
+    if (files.length === 0) {
+        resultsDiv.innerHTML = '<p style="text-align: center; color: #6b7280;">No files processed</p>';
+        return;
+    }
+    
+    // Create download buttons
+    const downloadButtons = `
+        <div style="margin-bottom: 20px; text-align: right;">
+            ${currentBatchId ? `
+                <button class="regrade-results" id="regradeResults" onclick="regradeResults()">
+                    🔄 Re-grade with current criteria
+                </button>
+            ` : ''}
+            <button class="download-results" onclick="downloadCSV()">
+                📥 Download Results CSV
+            </button>
+            ${currentSessionId && files.some(file => file.anonymized) ? `
+                <button class="download-results" onclick="unlockStudentNames()">
+                    🔑 ${studentMapping ? 'Names Unlocked' : 'Unlock Names for Export'}
+                </button>
+                <button class="download-results" onclick="downloadMapping()">
+                    🔒 Download Encrypted Name Mapping
+                </button>
+            ` : ''}
+            ${currentSessionId ? `
+                <button class="download-results" onclick="downloadFeedbackReports()">
+                    📝 Download Feedback Reports
+                </button>
+            ` : ''}
+            ${criteria.canvas.enabled ? `
+                <button class="download-canvas" onclick="downloadCanvasCSV()">
+                    🎓 Download for Canvas
+                </button>
+                <button class="download-canvas" onclick="downloadRubricAssessments()">
+                    📋 Download Rubric Assessments
+                </button>
+            ` : ''}
+        </div>
+    `;
+    
+    const viewToggle = `
+        <div class="results-view-toggle">
+            <button type="button" class="view-toggle ${resultsView === 'table' ? 'active' : ''}" onclick="setResultsView('table')">☰ Table</button>
+            <button type="button" class="view-toggle ${resultsView === 'gallery' ? 'active' : ''}" onclick="setResultsView('gallery')">▦ Gallery</button>
+        </div>
+    `;
+    
+    if (resultsView === 'gallery') {
+        resultsDiv.innerHTML = downloadButtons + viewToggle + createResultsGallery(files);
+        return;
+    }
+    
+    // Create results table
+    const table = `
         <table class="results-table">
             <thead>
                 <tr>
@@ -766,44 +2361,128 @@ function displayResultsTable(results, criteria) {
                 </tr>
             </thead>
             <tbody>
-                ${files.map(file => createResultRow(file, criteria)).join('')}
+                ${files.map((file, index) => createResultRow(file, criteria, index)).join('')}
             </tbody>
         </table>
     `;
     
-    resultsDiv.innerHTML = downloadButtons + table;
+    resultsDiv.innerHTML = downloadButtons + viewToggle + table;
+}
+
+/**
+ * Switch the results between the table and the gallery
+ */
+function setResultsView(view) {
+    resultsView = view;
+    displayResultsTable({ files: processedResults }, currentCriteria);
+}
+
+/**
+ * Gallery of every submission's preview with its score, side by side
+ */
+function createResultsGallery(files) {
+    const escape = window.PSDUtils.UIUtils.escapeHtml;
+    const scoreUtils = window.PSDUtils.ScoreUtils;
+    
+    const cards = files.map((file, index) => {
+        const percentage = scoreUtils.calculatePercentage(scoreUtils.getFinalScore(file), file.maxScore);
+        const image = file.preview || file.thumbnail;
+        
+        return `
+            <button type="button" class="gallery-card" onclick="openPreview(${index})">
+                <div class="gallery-image">
+                    ${image ? `<img src="${escape(image)}" alt="" loading="lazy">` : 'No preview'}
+                </div>
+                <div class="gallery-caption">
+                    <span class="filename" title="${escape(getResultName(file))}">${escape(getResultName(file))}</span>
+                    <span class="score-percentage ${scoreUtils.getScoreColorClass(percentage)}">${percentage}%</span>
+                </div>
+            </button>
+        `;
+    }).join('');
+    
+    return `<div class="results-gallery">${cards}</div>`;
+}
+
+/**
+ * Show one submission's preview with its score and the checks it missed
+ */
+function openPreview(index) {
+    const file = processedResults[index];
+    if (!file) return;
+    
+    const escape = window.PSDUtils.UIUtils.escapeHtml;
+    const scoreUtils = window.PSDUtils.ScoreUtils;
+    const finalScore = scoreUtils.getFinalScore(file);
+    const image = file.preview || file.thumbnail;
+    const missed = (file.checks || []).filter(check => !check.passed && !check.manual);
+    
+    document.getElementById('previewTitle').textContent = getResultName(file);
+    document.getElementById('previewBody').innerHTML = `
+        ${image ? `<img src="${escape(image)}" alt="Preview of ${escape(getResultName(file))}">` : '<p>No preview could be rendered for this file.</p>'}
+        <p><strong>${finalScore}/${file.maxScore} pts (${scoreUtils.calculatePercentage(finalScore, file.maxScore)}%)</strong></p>
+        ${missed.length > 0 ? `
+            <ul>${missed.map(check => `<li>✗ ${escape(check.criterion)}: ${escape(check.actual ?? '')}</li>`).join('')}</ul>
+        ` : ''}
+    `;
+    document.getElementById('previewModal').hidden = false;
+    document.addEventListener('keydown', closePreviewOnEscape);
+}
+
+/**
+ * Hide the submission preview
+ */
+function closePreview() {
+    document.getElementById('previewModal').hidden = true;
+    document.removeEventListener('keydown', closePreviewOnEscape);
+}
+
+/**
+ * Close the submission preview with the Escape key
+ */
+function closePreviewOnEscape(event) {
+    if (event.key === 'Escape') {
+        closePreview();
+    }
+}
+
+/**
+ * Name shown for a result: the Canvas student and submitted file, or the filename
+ */
+function getResultName(file) {
+    return file.canvasData ?
+        `${file.canvasData.studentName} (${file.canvasData.originalFilename})` :
+        (file.displayName || file.filename);
 }
 
 /**
- * Create a result row for the table
+ * Create a result row for the table; `index` enables review controls
  */
-function createResultRow(file, criteria) {
-    const percentage = window.PSDUtils.ScoreUtils.calculatePercentage(file.score, file.maxScore);
+function createResultRow(file, criteria, index) {
+    const scoreUtils = window.PSDUtils.ScoreUtils;
+    const finalScore = scoreUtils.getFinalScore(file);
+    const reviewedScore = scoreUtils.getReviewedScore(file);
+    const latePenalty = scoreUtils.getLatePenalty(file);
+    const overridden = scoreUtils.hasOverrides(file);
+    const percentage = scoreUtils.calculatePercentage(finalScore, file.maxScore);
     const colorClass = window.PSDUtils.ScoreUtils.getScoreColorClass(percentage);
     
     // Build details HTML
     let details = '<div class="details-cell">';
     
+    // Show late submission warning and any penalty
+    if (file.isLate || file.late?.daysLate > 0) {
+        details += createLateDetail(file, index);
+    }
+    
     // Show Canvas metadata if available
     if (file.canvasData) {
-        // Show late submission warning
-        if (file.isLate) {
-            details += `
-                <div class="detail-row" style="background: #fef3c7; border-left: 3px solid #f59e0b;">
-                    <span class="detail-label">⚠️ Submission:</span>
-                    <span class="detail-value" style="color: #d97706; font-weight: 600;">
-                        LATE
-                    </span>
-                </div>
-            `;
-        }
-        
         // Show Canvas User ID
         details += `
             <div class="detail-row">
                 <span class="detail-label">Canvas ID:</span>
                 <span class="detail-value" style="font-family: monospace; font-size: 0.85rem;">
-                    ${file.canvasData.userId}
+                    ${window.PSDUtils.UIUtils.escapeHtml(file.canvasData.userId)}
                 </span>
             </div>
         `;
@@ -813,47 +2492,66 @@ function createResultRow(file, criteria) {
             <div class="detail-row">
                 <span class="detail-label">Student's file:</span>
                 <span class="detail-value" style="font-style: italic;">
-                    ${file.canvasData.originalFilename}
+                    ${window.PSDUtils.UIUtils.escapeHtml(file.canvasData.originalFilename)}
                 </span>
             </div>
         `;
     }
     
-    // Filename check with descriptive text
-    if (criteria.filename.enabled && file.criteria?.filename) {
-        const filenameCheck = file.criteria.filename;
+    // Embedded color profile and bit depth, whether or not the rubric grades them
+    if (!file.error) {
         details += `
             <div class="detail-row">
-                <span class="detail-label">Filename:</span>
+                <span class="detail-label">Color profile:</span>
                 <span class="detail-value">
-                    ${filenameCheck.valid ? 
-                        '<span class="status-indicator status-pass">✓</span> Matches pattern' : 
-                        '<span class="status-indicator status-fail">✗</span> Fails pattern match'}
+                    ${window.PSDUtils.UIUtils.escapeHtml(describeColorProfile(file))}${file.bitDepth ? ` · ${file.bitDepth}-bit` : ''}
                 </span>
             </div>
         `;
     }
     
-    // [Rest of your existing detail rows code...]
+    // Per-criterion breakdown from the grading pipeline
+    if (file.error) {
+        details += `
+            <div class="detail-row error-row">
+                <span class="detail-label">Error:</span>
+                <span class="detail-value error-text">${window.PSDUtils.UIUtils.escapeHtml(file.error)}</span>
+            </div>
+        `;
+    }
+    
+    (file.checks || []).forEach(check => {
+        details += createCheckDetail(check, file, index);
+    });
     
+    details += createCommentDetail(file, index);
     details += '</div>';
     
     // Build the row - show student name from Canvas if available
-    const displayName = file.canvasData ? 
-        `${file.canvasData.studentName} (${file.canvasData.originalFilename})` : 
-        (file.displayName || file.filename);
+    const displayName = window.PSDUtils.UIUtils.escapeHtml(getResultName(file));
+    const thumbnail = file.thumbnail ? `<img src="${window.PSDUtils.UIUtils.escapeHtml(file.thumbnail)}" alt="">` : '';
     
     return `
         <tr class="${file.isLate ? 'late-submission' : ''}">
             <td>
                 <div class="file-info-cell">
+                    ${thumbnail && index !== undefined ? `
+                        <button type="button" class="result-thumbnail" onclick="openPreview(${index})" title="Show preview">${thumbnail}</button>
+                    ` : thumbnail ? `<span class="result-thumbnail">${thumbnail}</span>` : ''}
                     <span class="filename">${displayName}</span>
                 </div>
             </td>
             <td>
                 <div class="score-prominent">
                     <div class="score-percentage ${colorClass}">${percentage}%</div>
-                    <div class="score-details">${file.score}/${file.maxScore} pts</div>
+                    <div class="score-details">${finalScore}/${file.maxScore} pts</div>
+                    ${overridden ? `
+                        <div class="override-badge" title="Includes instructor overrides">✎ Overridden</div>
+                        <div class="score-details">Automated: ${file.score}/${file.maxScore} pts</div>
+                    ` : ''}
+                    ${latePenalty > 0 ? `
+                        <div class="score-details">Before late penalty: ${reviewedScore}/${file.maxScore} pts</div>
+                    ` : ''}
                 </div>
             </td>
             <td>${details}</td>
@@ -861,6 +2559,322 @@ function createResultRow(file, criteria) {
     `;
 }
 
+/**
+ * Create the late submission row, with the penalty and a waive control
+ */
+function createLateDetail(file, index) {
+    const late = file.late;
+    const penalty = late ? late.penaltyPoints : 0;
+    let status = 'LATE';
+    
+    if (late && late.daysLate > 0) {
+        status += ` (${late.daysLate} day${late.daysLate === 1 ? '' : 's'})`;
+    }
+    if (penalty > 0) {
+        status += file.lateWaived ?
+            ' · penalty waived' :
+            ` · −${penalty} pts (${late.penaltyPercent}%)`;
+    }
+    
+    return `
+        <div class="detail-row" style="background: #fef3c7; border-left: 3px solid #f59e0b;">
+            <span class="detail-label">⚠️ Submission:</span>
+            <span class="detail-value" style="color: #d97706; font-weight: 600;">
+                ${status}
+                ${penalty > 0 && index !== undefined ? `
+                    <button class="review-link" onclick="toggleLateWaiver(${index})">
+                        ${file.lateWaived ? 'Restore penalty' : 'Waive penalty'}
+                    </button>
+                ` : ''}
+            </span>
+        </div>
+    `;
+}
+
+/**
+ * Small square showing a hex color
+ */
+function colorSwatch(hex) {
+    return `<span class="color-swatch" style="background: ${window.PSDUtils.UIUtils.escapeHtml(hex)}"></span>`;
+}
+
+/**
+ * The file's preview with boxes marking areas of the document ({ left, top, width, height } in percent)
+ */
+function createMarkedPreview(file, boxes) {
+    const image = file.preview || file.thumbnail;
+    const marks = boxes.filter(Boolean);
+    if (!image || marks.length === 0) return '';
+    
+    return `
+        <div class="marked-preview">
+            <img src="${window.PSDUtils.UIUtils.escapeHtml(image)}" alt="Preview with problem areas marked">
+            ${marks.map(box => `<span class="preview-mark" style="left: ${box.left}%; top: ${box.top}%; width: ${box.width}%; height: ${box.height}%"></span>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Create a detail row for a single criterion check, with its override if any
+ */
+function createCheckDetail(check, file, index) {
+    let status = check.passed ?
+        '<span class="status-indicator status-pass">✓</span>' :
+        '<span class="status-indicator status-fail">✗</span>';
+    if (check.manual) {
+        status = '<span class="status-indicator">✎</span>';
+    }
+    
+    const type = check.type || check.id;
+    const level = window.PSDUtils.ScoreUtils.getCheckLevel(check, file);
+    let extra = '';
+    if (type === 'requiredLayers' && check.details) {
+        const escape = window.PSDUtils.UIUtils.escapeHtml;
+        extra = check.details.map(layer => 
+            `${layer.found ? '✓' : '✗'} ${escape(layer.name)}${layer.found && layer.actualMatch !== layer.name ? ` (${escape(layer.actualMatch)})` : ''}`
+        ).join(', ');
+    } else if (type === 'fonts' && check.fontDetails?.length > 0) {
+        const escape = window.PSDUtils.UIUtils.escapeHtml;
+        extra = check.fontDetails.map(font => {
+            const family = font.family && font.family !== font.name ? ` (${escape(font.family)})` : '';
+            const nearMiss = font.nearMiss ? ` – close to approved “${escape(font.nearMiss)}”; did you mean ${escape(font.family)}?` : '';
+            return `${font.approved ? '✓' : '✗'} ${escape(font.name)}${family}${nearMiss}`;
+        }).join(', ');
+        if (check.violations?.some(v => v.startsWith('Missing'))) {
+            extra += '<br>' + check.violations.filter(v => v.startsWith('Missing')).map(escape).join('<br>');
+        }
+    } else if (type === 'nonDestructive' && check.audit) {
+        const escape = window.PSDUtils.UIUtils.escapeHtml;
+        extra = check.audit.destructive.map(entry => `✗ ${escape(entry.layer)}: ${escape(entry.description)}`).join('<br>');
+        if (!check.audit.pixelsRead) {
+            extra += `${extra ? '<br>' : ''}Layer pixels were not read, so erased areas were not checked`;
+        }
+        if (check.note) {
+            extra += `${extra ? '<br>' : ''}${escape(check.note)}`;
+        }
+    } else if (type === 'requiredText' && check.details) {
+        const escape = window.PSDUtils.UIUtils.escapeHtml;
+        extra = check.details.map(detail =>
+            `${detail.found ? '✓' : '✗'} ${escape(detail.text)}${detail.found && detail.score < 100 ? ` (“${escape(detail.match)}” in ${escape(detail.foundIn)}, ${detail.score}%)` : ''}`
+        ).join('<br>');
+    } else if (type === 'spelling' && check.misspellings?.length > 0) {
+        const escape = window.PSDUtils.UIUtils.escapeHtml;
+        extra = check.misspellings.map(entry =>
+            `✗ ${escape(entry.word)} in ${escape(entry.layer)}${entry.suggestions.length > 0 ? ` (${escape(entry.suggestions.join(', '))}?)` : ''}`
+        ).join('<br>');
+    } else if (type === 'palette' && check.colors) {
+        const escape = window.PSDUtils.UIUtils.escapeHtml;
+        extra = check.flagged.map(entry =>
+            `${colorSwatch(entry.hex)} ✗ ${escape(entry.hex)} in ${escape(entry.layer)}${entry.nearest ? ` (ΔE ${entry.deltaE} from ${colorSwatch(entry.nearest)} ${escape(entry.nearest)})` : ''}`
+        ).join('<br>');
+        if (check.palette?.length > 0) {
+            extra += `${extra ? '<br>' : ''}Palette: ${check.palette.map(hex => `${colorSwatch(hex)} ${escape(hex)}`).join(' ')}`;
+        }
+    } else if (type === 'contrast' && check.layers?.length > 0) {
+        const escape = window.PSDUtils.UIUtils.escapeHtml;
+        extra = check.layers.map(layer =>
+            `${layer.passed ? '✓' : '✗'} ${escape(layer.layer)} “${escape(layer.text)}”: ${colorSwatch(layer.color)} on ${colorSwatch(layer.background)} ${layer.ratio}:1` +
+            ` · AA ${layer.aa ? '✓' : '✗'} · AAA ${layer.aaa ? '✓' : '✗'}${layer.large ? ' (large text)' : ''}`
+        ).join('<br>');
+        extra += createMarkedPreview(file, check.flagged.map(entry => entry.box));
+    } else if (type === 'safeMargin' && check.flagged?.length > 0) {
+        const escape = window.PSDUtils.UIUtils.escapeHtml;
+        extra = check.flagged.map(entry => `✗ ${escape(entry.layer)}: ${escape(entry.reason)}`).join('<br>');
+        extra += createMarkedPreview(file, check.flagged.map(entry => entry.box));
+    } else if (check.flagged?.length > 0) {
+        const escape = window.PSDUtils.UIUtils.escapeHtml;
+        extra = check.flagged.map(entry =>
+            `✗ ${escape(entry.layer)}${entry.text ? ` “${escape(entry.text)}”` : ''}: ${escape(entry.reason)}`
+        ).join('<br>');
+    }
+    
+    return `
+        <div class="detail-row">
+            <span class="detail-label">${window.PSDUtils.UIUtils.escapeHtml(check.criterion)}:</span>
+            <span class="detail-value">
+                ${status} ${window.PSDUtils.UIUtils.escapeHtml(check.actual)}
+                ${check.passed || check.manual ? '' : `<span class="expected">Expected: ${window.PSDUtils.UIUtils.escapeHtml(check.expected)}</span>`}
+                <span class="score-details">${check.points}/${check.maxPoints} pts</span>
+                ${level ? `<span class="level-badge level-${level.toLowerCase().replace(/[^a-z]/g, '')}">${window.PSDUtils.UIUtils.escapeHtml(level)}</span>` : ''}
+                ${extra ? `<br><span style="font-size: 0.85rem;">${extra}</span>` : ''}
+                ${createOverrideDetail(check, file, index)}
+            </span>
+        </div>
+    `;
+}
+
+/**
+ * Show a check's override and, when reviewable, the form to change it
+ */
+function createOverrideDetail(check, file, index) {
+    const escape = window.PSDUtils.UIUtils.escapeHtml;
+    const override = (file.overrides || {})[check.id];
+    let html = '';
+    
+    if (override) {
+        html += `
+            <div class="override-note">
+                ✎ Overridden to <strong>${override.points}/${check.maxPoints} pts</strong>: ${escape(override.reason)}
+            </div>
+        `;
+    }
+    
+    if (index === undefined) return html;
+    
+    const formId = `override-${index}-${check.id}`;
+    html += `
+        <button class="review-link" onclick="toggleReviewForm('${formId}')">
+            ${override ? 'Edit override' : 'Override'}
+        </button>
+        <div class="review-form" id="${formId}" style="display: none;">
+            <input type="number" class="override-points" min="0" max="${check.maxPoints}" step="0.5"
+                value="${override ? override.points : check.points}" aria-label="Points">
+            <span>/ ${check.maxPoints} pts</span>
+            <input type="text" class="override-reason" placeholder="Reason (required)"
+                value="${override ? escape(override.reason) : ''}" aria-label="Reason">
+            <button class="btn" onclick="saveOverride(${index}, '${check.id}')">Save</button>
+            ${override ? `<button class="btn" onclick="clearOverride(${index}, '${check.id}')">Remove</button>` : ''}
+        </div>
+    `;
+    
+    return html;
+}
+
+/**
+ * Show the instructor comment for a submission and the form to edit it
+ */
+function createCommentDetail(file, index) {
+    const escape = window.PSDUtils.UIUtils.escapeHtml;
+    let html = '';
+    
+    if (file.comment) {
+        html += `
+            <div class="detail-row comment-row">
+                <span class="detail-label">💬 Comment:</span>
+                <span class="detail-value">${escape(file.comment)}</span>
+            </div>
+        `;
+    }
+    
+    if (index === undefined) return html;
+    
+    const formId = `comment-${index}`;
+    html += `
+        <button class="review-link" onclick="toggleReviewForm('${formId}')">
+            ${file.comment ? 'Edit comment' : '💬 Add comment'}
+        </button>
+        <div class="review-form" id="${formId}" style="display: none;">
+            <textarea class="comment-text" rows="3" placeholder="Comment for this submission">${escape(file.comment || '')}</textarea>
+            <button class="btn" onclick="saveComment(${index})">Save</button>
+        </div>
+    `;
+    
+    return html;
+}
+
+/**
+ * Show or hide an inline override/comment form
+ */
+function toggleReviewForm(formId) {
+    const form = document.getElementById(formId);
+    form.style.display = form.style.display === 'none' ? 'flex' : 'none';
+}
+
+/**
+ * Override the points for one check on a file
+ */
+function saveOverride(index, checkId) {
+    const file = processedResults[index];
+    const check = file.checks.find(c => c.id === checkId);
+    const form = document.getElementById(`override-${index}-${checkId}`);
+    const points = parseFloat(form.querySelector('.override-points').value);
+    const reason = form.querySelector('.override-reason').value.trim();
+    
+    if (isNaN(points) || points < 0 || points > check.maxPoints) {
+        showToast(`Points must be between 0 and ${check.maxPoints}`, 'warning');
+        return;
+    }
+    if (!reason) {
+        showToast('Please give a reason for the override', 'warning');
+        form.querySelector('.override-reason').focus();
+        return;
+    }
+    
+    const overrides = { ...(file.overrides || {}), [checkId]: { points, reason } };
+    saveReview(index, { ...getReview(file), overrides });
+}
+
+/**
+ * Remove an override, restoring the automated points for a check
+ */
+function clearOverride(index, checkId) {
+    const file = processedResults[index];
+    const overrides = { ...(file.overrides || {}) };
+    delete overrides[checkId];
+    
+    saveReview(index, { ...getReview(file), overrides });
+}
+
+/**
+ * Save the instructor comment for a file
+ */
+function saveComment(index) {
+    const file = processedResults[index];
+    const comment = document.querySelector(`#comment-${index} .comment-text`).value.trim();
+    
+    saveReview(index, { ...getReview(file), comment });
+}
+
+/**
+ * Waive or restore the late penalty for a file
+ */
+function toggleLateWaiver(index) {
+    const file = processedResults[index];
+    
+    saveReview(index, { ...getReview(file), lateWaived: !file.lateWaived });
+}
+
+/**
+ * Current instructor review of a file, as sent to the server
+ */
+function getReview(file) {
+    return {
+        overrides: file.overrides || {},
+        comment: file.comment || '',
+        lateWaived: Boolean(file.lateWaived)
+    };
+}
+
+/**
+ * Store a file's overrides and comment in its session and redraw the results
+ */
+async function saveReview(index, review) {
+    if (!currentSessionId) {
+        showToast('Results are not saved in a session, so reviews cannot be stored', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_URL}/sessions/${currentSessionId}/files/${index}/review`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(review)
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.details ? data.details.join('; ') : data.error);
+        }
+        
+        processedResults[index] = data.file;
+        displayResults({ files: processedResults, summary: data.summary }, currentCriteria);
+        showToast('Review saved', 'success');
+    } catch (error) {
+        console.error('Save review error:', error);
+        showToast('Could not save review: ' + error.message, 'error');
+    }
+}
+
 /**
  * Download results as CSV
  */
@@ -871,30 +2885,180 @@ function downloadCSV() {
     }
     
     // Create CSV content
-    const headers = ['Filename', 'Score', 'Percentage', 'Letter Grade', 'Status'];
+    const headers = [
+        'Filename', 'Score', 'Percentage', 'Letter Grade', 'Status',
+        'Score Before Late Penalty', 'Late Penalty', 'Automated Score', 'Overrides', 'Instructor Comment',
+        'Color Profile', 'Bit Depth'
+    ];
     const rows = processedResults.map(file => {
-        const percentage = window.PSDUtils.ScoreUtils.calculatePercentage(file.score, file.maxScore);
+        const finalScore = window.PSDUtils.ScoreUtils.getFinalScore(file);
+        const percentage = window.PSDUtils.ScoreUtils.calculatePercentage(finalScore, file.maxScore);
         const letterGrade = window.PSDUtils.ScoreUtils.getLetterGrade(percentage);
         const status = percentage >= 70 ? 'Pass' : 'Needs Review';
         
         return [
-            file.filename,
-            file.score,
+            getExportFilename(file),
+            finalScore,
             percentage + '%',
             letterGrade,
-            status
+            status,
+            window.PSDUtils.ScoreUtils.getReviewedScore(file),
+            describeLatePenalty(file),
+            file.score,
+            describeOverrides(file),
+            file.comment || '',
+            file.error ? '' : describeColorProfile(file),
+            file.bitDepth || ''
         ];
     });
     
     const csvContent = [
         headers.join(','),
-        ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
+        ...rows.map(row => row.map(csvCell).join(','))
     ].join('\n');
     
     // Download file
     downloadFile(csvContent, 'grading_results.csv', 'text/csv');
 }
 
+/**
+ * Download a ZIP of per-student feedback reports for Canvas bulk upload
+ */
+function downloadFeedbackReports() {
+    if (!currentSessionId) {
+        showToast('No saved session to export', 'warning');
+        return;
+    }
+    
+    window.location.href = `${API_URL}/sessions/${currentSessionId}/feedback`;
+    showToast('Upload this ZIP in Canvas SpeedGrader via "Upload Feedback Files"', 'success', 5000);
+}
+
+/**
+ * Fetch the encrypted name mapping of the current session and decrypt it with the passphrase
+ */
+async function unlockStudentNames() {
+    try {
+        const encrypted = await fetchMapping();
+        const passphrase = prompt('Mapping passphrase:');
+        if (!passphrase) return;
+        
+        const mapping = await decryptMapping(encrypted, passphrase);
+        studentMapping = new Map(mapping.students.map(student => [student.pseudonym, student]));
+        
+        displayResultsTable({ files: processedResults }, currentCriteria);
+        showToast('Names unlocked in this browser; exports now use real names', 'success', 5000);
+    } catch (error) {
+        console.error('Unlock names error:', error.name);
+        const message = error.name === 'OperationError' ? 'Wrong passphrase' : error.message;
+        showToast('Could not unlock names: ' + message, 'error');
+    }
+}
+
+/**
+ * Download the encrypted name mapping so it can be kept locally
+ */
+async function downloadMapping() {
+    try {
+        const encrypted = await fetchMapping();
+        downloadFile(JSON.stringify(encrypted, null, 2), `name_mapping_${currentSessionId}.json`, 'application/json');
+    } catch (error) {
+        showToast('Could not download mapping: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Get the current session's encrypted name mapping from the server
+ */
+async function fetchMapping() {
+    const response = await fetch(`${API_URL}/sessions/${currentSessionId}/mapping`);
+    if (!response.ok) {
+        throw new Error(response.status === 404 ? 'This session has no name mapping' : `Server error: ${response.statusText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Decrypt a mapping made by the server's Anonymizer (PBKDF2 key, AES-GCM)
+ */
+async function decryptMapping(encrypted, passphrase) {
+    const toBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    
+    const baseKey = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    const key = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: toBytes(encrypted.salt), iterations: encrypted.iterations, hash: encrypted.hash },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['decrypt']
+    );
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: toBytes(encrypted.iv) }, key, toBytes(encrypted.data)
+    );
+    
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Real student behind an anonymized result, once names are unlocked
+ */
+function getStudentIdentity(file) {
+    if (!studentMapping || !file.anonymized) return null;
+    return studentMapping.get(file.pseudonym) || null;
+}
+
+/**
+ * Filename to export, restoring the original name when names are unlocked
+ */
+function getExportFilename(file) {
+    const identity = getStudentIdentity(file);
+    if (!identity) return file.filename;
+    
+    return identity.filenames.length === 1 ? identity.filenames[0] : `${identity.name} (${file.filename})`;
+}
+
+/**
+ * Quote a value for a CSV cell
+ */
+function csvCell(value) {
+    return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Summarize a file's late penalty for export, e.g. "-2.5 (10%, 1 day)"
+ */
+function describeLatePenalty(file) {
+    const late = file.late;
+    if (!late || late.penaltyPoints === 0) return '';
+    
+    const days = `${late.daysLate} day${late.daysLate === 1 ? '' : 's'}`;
+    return file.lateWaived ?
+        `Waived (${days})` :
+        `-${late.penaltyPoints} (${late.penaltyPercent}%, ${days})`;
+}
+
+/**
+ * Summarize a file's overrides for export, e.g. "Dimensions: 0 → 10 (reason)"
+ */
+function describeOverrides(file) {
+    return (file.checks || [])
+        .filter(check => file.overrides && file.overrides[check.id])
+        .map(check => {
+            const override = file.overrides[check.id];
+            return `${check.criterion}: ${check.points} → ${override.points} (${override.reason})`;
+        })
+        .join('; ');
+}
+
+/**
+ * Name of the file's embedded ICC profile, or "None embedded"
+ */
+function describeColorProfile(file) {
+    return file.colorProfile || 'None embedded';
+}
+
 /**
  * Download Canvas-formatted CSV
  */
@@ -904,18 +3068,23 @@ function downloadCanvasCSV() {
         return;
     }
     
-    const criteria = getEnabledCriteria();
+    // Reopened sessions export with the criteria they were graded with
+    const criteria = currentCriteria || getEnabledCriteria();
     const assignmentName = criteria.canvas.assignmentName || 'Assignment';
     
     // Create Canvas CSV format with user IDs
     const headers = ['Student', 'ID', 'SIS User ID', 'SIS Login ID', assignmentName];
     const rows = processedResults.map(file => {
-        const percentage = window.PSDUtils.ScoreUtils.calculatePercentage(file.score, file.maxScore);
+        // Instructor overrides replace the automated points they cover
+        const finalScore = window.PSDUtils.ScoreUtils.getFinalScore(file);
+        const percentage = window.PSDUtils.ScoreUtils.calculatePercentage(finalScore, file.maxScore);
+        
+        const identity = getStudentIdentity(file);
         
         if (file.canvasData) {
             // Use Canvas user ID for perfect matching
             return [
-                file.canvasData.studentName,     // Student column
+                identity ? identity.name : file.canvasData.studentName, // Student column
                 file.canvasData.userId,           // ID column (Canvas User ID)
                 '',                               // SIS User ID (leave blank)
                 '',                               // SIS Login ID (leave blank)
@@ -924,7 +3093,9 @@ function downloadCanvasCSV() {
         } else {
             // Fallback for non-Canvas files
             let studentId = file.filename.replace(/\.psd$/i, '');
-            if (file.studentName) {
+            if (identity) {
+                studentId = identity.name;
+            } else if (file.studentName) {
                 studentId = file.studentName;
             }
             
@@ -938,15 +3109,19 @@ function downloadCanvasCSV() {
         }
     });
     
-    // Check for late submissions
-    const lateCount = processedResults.filter(r => r.isLate).length;
-    if (lateCount > 0) {
-        showToast(`Note: ${lateCount} late submissions detected. Apply late penalties in Canvas.`, 'warning', 5000);
+    // Late penalties are already in the exported grades; flag late files with no policy
+    const penalizedCount = processedResults.filter(r => window.PSDUtils.ScoreUtils.getLatePenalty(r) > 0).length;
+    const unpenalizedCount = processedResults.filter(r => r.isLate && !r.late).length;
+    if (penalizedCount > 0) {
+        showToast(`Late penalties applied to ${penalizedCount} submissions.`, 'info', 5000);
+    }
+    if (unpenalizedCount > 0) {
+        showToast(`Note: ${unpenalizedCount} late submissions have no late policy applied.`, 'warning', 5000);
     }
     
     const csvContent = [
         headers.join(','),
-        ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
+        ...rows.map(row => row.map(csvCell).join(','))
     ].join('\n');
     
     // Download file
@@ -956,6 +3131,51 @@ function downloadCanvasCSV() {
     showToast('Canvas CSV ready! The User IDs will auto-match in Canvas.', 'success', 5000);
 }
 
+/**
+ * Export each Canvas submission's rubric scores as Submissions API payloads,
+ * so the rubric grid in Canvas can be filled in alongside the grade import
+ */
+function downloadRubricAssessments() {
+    const criteria = currentCriteria || getEnabledCriteria();
+    const assignmentName = criteria.canvas.assignmentName || 'Assignment';
+    
+    const assessments = processedResults
+        .filter(file => file.canvasUserId && file.checks?.length > 0)
+        .map(file => {
+            const rubricAssessment = {};
+            
+            // Canvas only takes its own criterion IDs, which rows imported from Canvas carry
+            file.checks.filter(check => check.canvasId).forEach(check => {
+                const override = (file.overrides || {})[check.id];
+                const levelName = window.PSDUtils.ScoreUtils.getCheckLevel(check, file);
+                const rating = (check.levels || []).find(level => level.name === levelName);
+                const assessment = { points: override ? override.points : check.points };
+                
+                if (rating?.id) assessment.rating_id = rating.id;
+                if (override) assessment.comments = override.reason;
+                
+                rubricAssessment[check.canvasId] = assessment;
+            });
+            
+            return {
+                user_id: file.canvasUserId,
+                submission_id: file.canvasData?.submissionId || null,
+                rubric_assessment: rubricAssessment
+            };
+        })
+        .filter(assessment => Object.keys(assessment.rubric_assessment).length > 0);
+    
+    if (assessments.length === 0) {
+        showToast('Rubric assessments need Canvas submission files (with user IDs) and a rubric imported from Canvas as JSON', 'warning');
+        return;
+    }
+    
+    const content = JSON.stringify({ assignment: assignmentName, assessments }, null, 2);
+    downloadFile(content, `rubric_assessments_${assignmentName.replace(/\s+/g, '_').toLowerCase()}.json`, 'application/json');
+    
+    showToast('Send each rubric_assessment to the Canvas Submissions API for its user_id', 'success', 5000);
+}
+
 /**
  * Download file utility
  */
@@ -1188,4 +3408,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Make functions available globally for onclick handlers
 window.downloadCSV = downloadCSV;
+window.regradeResults = regradeResults;
+window.downloadFeedbackReports = downloadFeedbackReports;
+window.unlockStudentNames = unlockStudentNames;
+window.downloadMapping = downloadMapping;
+window.toggleReviewForm = toggleReviewForm;
+window.saveOverride = saveOverride;
+window.clearOverride = clearOverride;
+window.saveComment = saveComment;
+window.toggleLateWaiver = toggleLateWaiver;
 window.downloadCanvasCSV = downloadCanvasCSV;
+window.downloadRubricAssessments = downloadRubricAssessments;
+window.exportCanvasRubric = exportCanvasRubric;
+window.clearImportedRubric = clearImportedRubric;
@@ -173,6 +173,18 @@ const UIUtils = {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     },
 
+    /**
+     * Escape text for safe insertion into HTML
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
     /**
      * Debounce function to limit rapid function calls
      */
@@ -231,6 +243,53 @@ const ScoreUtils = {
         return Math.round((score / maxScore) * 100);
     },
 
+    /**
+     * Final score after overrides and late penalty (mirrors Grader.finalScore on the server)
+     */
+    getFinalScore(file) {
+        const score = this.getReviewedScore(file) - this.getLatePenalty(file);
+        return Math.max(0, Math.round(score * 100) / 100);
+    },
+
+    /**
+     * Points the late policy deducts, unless waived (mirrors Grader.latePenalty)
+     */
+    getLatePenalty(file) {
+        if (file.lateWaived || !file.late) return 0;
+        return file.late.penaltyPoints;
+    },
+
+    /**
+     * Score after instructor overrides, before any late penalty (mirrors Grader.reviewedScore)
+     */
+    getReviewedScore(file) {
+        const overrides = file.overrides || {};
+        if (!file.checks || Object.keys(overrides).length === 0) return file.score;
+        const score = file.checks.reduce((sum, check) => {
+            const override = overrides[check.id];
+            return sum + (override ? override.points : check.points);
+        }, 0);
+        return Math.round(score * 100) / 100;
+    },
+
+    /**
+     * Rubric level a check reaches, counting any override (mirrors Rubric.levelForPoints)
+     */
+    getCheckLevel(check, file) {
+        if (!check.levels || check.levels.length === 0) return null;
+        const override = (file.overrides || {})[check.id];
+        const points = override ? override.points : check.points;
+        const level = check.levels.find(range => points >= range.min);
+        return (level || check.levels[check.levels.length - 1]).name;
+    },
+
+    /**
+     * Whether an instructor has overridden any check on a file
+     */
+    hasOverrides(file) {
+        return Object.keys(file.overrides || {}).length > 0;
+    },
+
     /**
      * Get letter grade from percentage
      */
@@ -8,23 +8,54 @@ const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
-const { createCanvas, Image } = require('canvas');
-const psd = require('ag-psd');
-const PSD = require('psd');
-const JSZip = require('jszip');
+const os = require('os');
+const FileProcessor = require('./utils/file-processor');
+const JobManager = require('./utils/job-manager');
+const WorkerPool = require('./utils/worker-pool');
+const AnalysisCache = require('./utils/analysis-cache');
+const SessionStore = require('./utils/session-store');
+const PresetStore = require('./utils/preset-store');
+const FeedbackReport = require('./utils/feedback-report');
+const Anonymizer = require('./utils/anonymizer');
+const Rubric = require('./utils/rubric');
+const CanvasRubric = require('./utils/canvas-rubric');
+const CriteriaValidator = require('./utils/criteria-validator');
+const FontCatalog = require('./utils/font-catalog');
+const { initializePsdCanvas, enableCmykDocuments } = require('./utils/canvas-setup');
 
 const app = express();
+
+// PSD parsing runs on worker threads so one bad file cannot stall the server
+const psdPool = new WorkerPool(path.join(__dirname, 'utils', 'psd-worker.js'), {
+    size: parseInt(process.env.PSD_WORKERS) || Math.max(1, os.cpus().length - 1),
+    timeoutMs: (parseInt(process.env.PSD_TIMEOUT_SECONDS) || 120) * 1000,
+    maxHeapMb: parseInt(process.env.PSD_WORKER_HEAP_MB) || 1024
+});
+const analysisCache = new AnalysisCache({
+    dir: process.env.ANALYSIS_CACHE_DIR || path.join(__dirname, '..', 'data', 'cache')
+});
+const sessionStore = new SessionStore({
+    filename: process.env.SESSIONS_DB || path.join(__dirname, '..', 'data', 'sessions.db')
+});
+const presetStore = new PresetStore({
+    filename: process.env.PRESETS_DB || path.join(__dirname, '..', 'data', 'presets.db')
+});
+const fileProcessor = new FileProcessor({
+    pool: psdPool,
+    cache: analysisCache,
+    maxFileMb: parseInt(process.env.PSD_MAX_FILE_MB) || 500,
+    maxMegapixels: parseInt(process.env.PSD_MAX_MEGAPIXELS) || 150
+});
+const jobManager = new JobManager(fileProcessor, { sessions: sessionStore });
+const feedbackReport = new FeedbackReport();
+const canvasRubric = new CanvasRubric();
+const criteriaValidator = new CriteriaValidator();
+const fontCatalog = new FontCatalog();
 const PORT = process.env.PORT || 3000;
 
 // Initialize canvas for ag-psd
-psd.initializeCanvas(
-    (width, height) => {
-        const canvas = createCanvas(width, height);
-        const context = canvas.getContext('2d');
-        return { canvas, context };
-    },
-    (canvas) => canvas.toBuffer()
-);
+initializePsdCanvas();
+enableCmykDocuments();
 
 // Middleware
 app.use(cors());
@@ -36,10 +67,10 @@ console.log('📁 Static files directory:', staticPath);
 // Serve static files from src/public
 app.use(express.static(staticPath));
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
+// Configure multer for file uploads - streamed to disk so large ZIPs never sit in memory
+const uploadsDir = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads');
 const upload = multer({ 
-    storage: storage,
+    dest: uploadsDir,
     limits: {
         fileSize: 500 * 1024 * 1024 // 500MB limit
     }
@@ -58,59 +89,35 @@ app.get('/api/health', (req, res) => {
 app.post('/api/process', upload.array('files', 100), async (req, res) => {
     try {
         const files = req.files;
-        const criteria = JSON.parse(req.body.criteria || '{}');
+        const criteria = readCriteria(req.body.criteria, res);
+        if (!criteria) return;
+        attachTimestamps(files, req.body.fileTimestamps);
+        const anonymizer = createAnonymizer(criteria, req.body.ferpaPassphrase, res);
+        if (anonymizer === false) return;
         
         console.log(`📁 Processing ${files.length} files...`);
         console.log('📋 Criteria:', JSON.stringify(criteria, null, 2));
         
+        const preset = await resolvePreset(req.body.preset, criteria);
+        const gradedFiles = await fileProcessor.processFiles(files, criteria, { anonymizer });
+        const batch = await fileProcessor.createBatch(gradedFiles);
+        const summary = fileProcessor.grader.summarize(gradedFiles);
+        const session = await sessionStore.create({
+            criteria: criteria,
+            files: gradedFiles,
+            summary: summary,
+            batchId: batch ? batch.id : null,
+            mapping: anonymizer ? await anonymizer.encryptMapping() : null,
+            preset: preset
+        });
         const results = {
-            files: [],
-            summary: {
-                totalFiles: 0,
-                averageScore: 0,
-                passed: 0,
-                failed: 0
-            }
+            batchId: session.batchId,
+            sessionId: session.id,
+            preset: preset,
+            files: gradedFiles,
+            summary: summary
         };
         
-        // Process each file
-        for (const file of files) {
-            let fileResults = [];
-            
-            if (file.originalname.toLowerCase().endsWith('.zip')) {
-                // Handle ZIP files
-                fileResults = await processZipFile(file, criteria);
-            } else if (file.originalname.toLowerCase().endsWith('.psd')) {
-                // Handle single PSD file
-                const result = await processPSDFile(file, criteria);
-                fileResults.push(result);
-            }
-            
-            results.files.push(...fileResults);
-        }
-        
-        // Calculate summary statistics
-        results.summary.totalFiles = results.files.length;
-        if (results.files.length > 0) {
-            const validFiles = results.files.filter(f => f.maxScore > 0);
-            if (validFiles.length > 0) {
-                const totalScore = validFiles.reduce((sum, f) => sum + f.score, 0);
-                const totalMaxScore = validFiles.reduce((sum, f) => sum + f.maxScore, 0);
-                results.summary.averageScore = totalMaxScore > 0 ? Math.round((totalScore / totalMaxScore) * 100) : 0;
-            }
-            
-            results.files.forEach(file => {
-                if (file.maxScore > 0) {
-                    const percentage = (file.score / file.maxScore) * 100;
-                    if (percentage >= 70) {
-                        results.summary.passed++;
-                    } else {
-                        results.summary.failed++;
-                    }
-                }
-            });
-        }
-        
         console.log(`✅ Processing complete`);
         res.json(results);
         
@@ -120,648 +127,617 @@ app.post('/api/process', upload.array('files', 100), async (req, res) => {
             error: 'Failed to process files', 
             message: error.message 
         });
+    } finally {
+        await fileProcessor.removeUploads(req.files || []);
     }
 });
 
-// Process ZIP file
-async function processZipFile(file, criteria) {
-    const results = [];
-    
+// Submit files as an asynchronous grading job
+app.post('/api/jobs', upload.array('files', 100), async (req, res) => {
     try {
-        const zip = await JSZip.loadAsync(file.buffer);
-        const psdFiles = Object.keys(zip.files).filter(name => 
-            name.toLowerCase().endsWith('.psd') && 
-            !name.includes('__MACOSX') &&
-            !name.startsWith('.')
-        );
-        
-        for (const psdName of psdFiles) {
-            const psdData = await zip.files[psdName].async('nodebuffer');
-            const result = await processPSDFile({
-                buffer: psdData,
-                originalname: path.basename(psdName)
-            }, criteria);
-            results.push(result);
+        const criteria = readCriteria(req.body.criteria, res);
+        const anonymizer = criteria && createAnonymizer(criteria, req.body.ferpaPassphrase, res);
+        if (!criteria || anonymizer === false) {
+            fileProcessor.removeUploads(req.files || []);
+            return;
         }
+        attachTimestamps(req.files || [], req.body.fileTimestamps);
+
+        const preset = await resolvePreset(req.body.preset, criteria);
+        const job = jobManager.createJob(req.files || [], criteria, { anonymizer, preset });
+
+        console.log(`📥 Job ${job.id} queued with ${(req.files || []).length} uploads`);
+        res.status(202).json({ jobId: job.id, status: job.status });
+
     } catch (error) {
-        console.error('Error processing ZIP:', error);
+        fileProcessor.removeUploads(req.files || []);
+        console.error('❌ Job creation error:', error);
+        res.status(500).json({
+            error: 'Failed to create job',
+            message: error.message
+        });
     }
-    
-    return results;
-}
+});
+
+// Job status and results so far
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(jobManager.toJSON(job));
+});
 
-// Process PSD file
-async function processPSDFileCanvas(file, criteria) {
-    const result = {
-        filename: file.originalname,
-        displayName: file.originalname,
-        score: 0,
-        maxScore: 0,
-        criteria: {},
-        thumbnail: null,
-        canvasData: null // NEW: Store Canvas metadata
+// Live job progress as Server-Sent Events
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     };
-    
-    // Try to parse Canvas filename format
-    const canvasInfo = parseCanvasFilename(file.originalname);
-    
-    if (canvasInfo) {
-        result.canvasData = canvasInfo;
-        result.displayName = `${canvasInfo.lastName} - ${canvasInfo.originalFilename}`;
-        result.studentName = canvasInfo.lastName;
-        result.canvasUserId = canvasInfo.userId;
-        result.isLate = canvasInfo.isLate;
-        
-        // For filename checking, use the ORIGINAL filename that student submitted
-        file.originalFilenameForChecking = canvasInfo.originalFilename + '.psd';
-        
-        console.log(`📚 Canvas submission from ${canvasInfo.studentName} (ID: ${canvasInfo.userId})`);
-        if (canvasInfo.isLate) {
-            console.log(`  ⚠️ Late submission`);
+
+    // Replay what already happened so late or reconnecting clients catch up
+    sendEvent('progress', jobManager.getProgress(job));
+    job.results.forEach((result, index) => {
+        if (result) {
+            sendEvent('result', { ...jobManager.getProgress(job), index, result });
         }
-    } else {
-        // Not a Canvas filename, use as-is
-        file.originalFilenameForChecking = file.originalname;
-    }
-    
-    // Continue with rest of processing...
-    // [Rest of your existing processPSDFile code, but use file.originalFilenameForChecking for pattern checking]
-    
+    });
+
+    if (jobManager.isFinished(job)) {
+        sendEvent('done', jobManager.getProgress(job));
+        return res.end();
+    }
+
+    const onProgress = (data) => sendEvent('progress', data);
+    const onResult = (data) => sendEvent('result', data);
+    const onDone = (data) => {
+        sendEvent('done', data);
+        res.end();
+    };
+
+    job.events.on('progress', onProgress);
+    job.events.on('result', onResult);
+    job.events.on('done', onDone);
+
+    req.on('close', () => {
+        job.events.off('progress', onProgress);
+        job.events.off('result', onResult);
+        job.events.off('done', onDone);
+    });
+});
+
+// Cancel a running job
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const cancelled = jobManager.cancelJob(job.id);
+    res.json({ jobId: job.id, cancelled: cancelled, status: job.status });
+});
+
+// Re-grade a previous upload batch against new criteria using cached analyses
+app.post('/api/batches/:id/regrade', async (req, res) => {
     try {
-        let psdData = null;
-        let parseError = null;
-        
-        console.log(`\n🔍 Processing ${file.originalname}...`);
-        
-        // [Your existing PSD parsing code here...]
-        
-        // Check filename criteria - use the ORIGINAL student filename
-        if (criteria.filename?.enabled) {
-            const filenameToCheck = file.originalFilenameForChecking || file.originalname;
-            const filenameCheck = checkFilename(filenameToCheck, criteria.filename);
-            
-            // Add Canvas info to the check result
-            if (canvasInfo) {
-                filenameCheck.canvasInfo = canvasInfo;
-                filenameCheck.displayName = `Original: ${canvasInfo.originalFilename}`;
-            }
-            
-            result.criteria.filename = filenameCheck;
-            result.maxScore += criteria.filename.points || 0;
-            if (filenameCheck.valid) {
-                result.score += criteria.filename.points || 0;
-            }
-            
-            // Extract student name if not from Canvas
-            if (!canvasInfo && filenameCheck.studentName) {
-                result.studentName = filenameCheck.studentName;
-            }
+        const batch = await analysisCache.getBatch(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
         }
-        
-        // [Rest of your existing processing code...]
+
+        const criteria = readCriteria(req.body.criteria, res);
+        if (!criteria) return;
+
+        // Only the session that owns this batch may be overwritten with its grades
+        const sessionId = req.body.sessionId || null;
+        const session = sessionId ? await sessionStore.get(sessionId) : null;
+        if (sessionId && !session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (session && session.batchId !== batch.id) {
+            return res.status(400).json({
+                error: 'Session does not match batch',
+                message: `Session ${session.id} was not graded from batch ${batch.id}`
+            });
+        }
+
+        console.log(`🔁 Re-grading batch ${batch.id} (${batch.files.length} files)`);
+        let gradedFiles = await fileProcessor.regradeBatch(batch, criteria);
+
+        // Keep the session in step with the new grades, carrying over
+        // instructor reviews for checks that still exist
+        if (session) {
+            gradedFiles = carryOverReviews(session.files, gradedFiles);
+        }
+
+        const summary = fileProcessor.grader.summarize(gradedFiles);
+        const preset = await resolvePreset(req.body.preset, criteria);
+        if (session) {
+            await sessionStore.update(session.id, { criteria, files: gradedFiles, summary, preset });
+        }
+
+        res.json({
+            batchId: batch.id,
+            sessionId: sessionId,
+            preset: preset,
+            files: gradedFiles,
+            summary: summary
+        });
+
     } catch (error) {
-        console.error(`Error processing ${file.originalname}:`, error);
-        result.error = error.message;
+        console.error('❌ Re-grade error:', error);
+        res.status(500).json({
+            error: 'Failed to re-grade batch',
+            message: error.message
+        });
     }
-    
-    return result;
-}
+});
 
+// List saved grading sessions, newest first
+app.get('/api/sessions', async (req, res) => {
+    try {
+        res.json({ sessions: await sessionStore.list() });
+    } catch (error) {
+        console.error('❌ Session list error:', error);
+        res.status(500).json({ error: 'Failed to list sessions', message: error.message });
+    }
+});
 
-// Check filename requirements (simplified)
-function checkFilename(filename, criteria) {
-    const nameWithoutExt = filename.replace(/\.psd$/i, '');
-    const result = {
-        valid: false,
-        message: ''
-    };
-    
-    // Validate pattern
-    result.valid = validateFilenamePattern(filename, criteria.pattern, criteria.patternType, criteria.caseSensitive);
-    
-    // Simplified message - just mark as incorrect
-    if (!result.valid) {
-        result.message = 'Incorrect';
-    }
-    
-    // Try to extract student name
-    if (criteria.pattern && (criteria.pattern.includes('{LASTNAME}') || criteria.patternType.includes('name'))) {
-        const match = extractFromPattern(nameWithoutExt, criteria.pattern, criteria.patternType);
-        if (match && match.LASTNAME) {
-            result.studentName = match.LASTNAME;
+// Reopen a saved session with its criteria and results
+app.get('/api/sessions/:id', async (req, res) => {
+    try {
+        const session = await sessionStore.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
         }
+        res.json(session);
+    } catch (error) {
+        console.error('❌ Session load error:', error);
+        res.status(500).json({ error: 'Failed to load session', message: error.message });
     }
-    
-    return result;
-}
+});
 
-// Validate filename pattern
-function validateFilenamePattern(filename, pattern, patternType, caseSensitive = false) {
-    const nameWithoutExt = filename.replace(/\.psd$/i, '');
-    let checkName = caseSensitive ? nameWithoutExt : nameWithoutExt.toLowerCase();
-    let checkPattern = caseSensitive ? pattern : pattern.toLowerCase();
-    
-    console.log(`🔍 Validating: "${nameWithoutExt}" against pattern "${pattern}" (type: ${patternType}, case: ${caseSensitive})`);
-    
-    // Handle predefined pattern types
-    switch(patternType) {
-        case 'class_name_assignment':
-            pattern = '{CLASS}_{LASTNAME}_{ASSIGNMENT}';
-            checkPattern = caseSensitive ? pattern : pattern.toLowerCase();
-            return validatePlaceholderPattern(nameWithoutExt, pattern, caseSensitive);
-            
-        case 'name_class_assignment':
-            pattern = '{LASTNAME}_{CLASS}_{ASSIGNMENT}';
-            checkPattern = caseSensitive ? pattern : pattern.toLowerCase();
-            return validatePlaceholderPattern(nameWithoutExt, pattern, caseSensitive);
-            
-        case 'assignment_name_class':
-            pattern = '{ASSIGNMENT}_{LASTNAME}_{CLASS}';
-            checkPattern = caseSensitive ? pattern : pattern.toLowerCase();
-            return validatePlaceholderPattern(nameWithoutExt, pattern, caseSensitive);
-            
-        case 'exact':
-            return checkName === checkPattern;
-            
-        case 'contains':
-            return checkName.includes(checkPattern);
-            
-        case 'regex':
-            try {
-                const regex = new RegExp(pattern, caseSensitive ? '' : 'i');
-                return regex.test(nameWithoutExt);
-            } catch(e) {
-                console.error('Invalid regex pattern:', e);
-                return false;
-            }
-            
-        case 'custom':
-        default:
-            return validatePlaceholderPattern(nameWithoutExt, pattern, caseSensitive);
+// Rename a session
+app.patch('/api/sessions/:id', async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name) {
+            return res.status(400).json({ error: 'Session name is required' });
+        }
+
+        const session = await sessionStore.rename(req.params.id, name);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ id: session.id, name: session.name, updatedAt: session.updatedAt });
+    } catch (error) {
+        console.error('❌ Session rename error:', error);
+        res.status(500).json({ error: 'Failed to rename session', message: error.message });
     }
-}
+});
 
-// Validate placeholder patterns
-function validatePlaceholderPattern(filename, pattern, caseSensitive) {
-    let checkName = caseSensitive ? filename : filename.toLowerCase();
-    let checkPattern = caseSensitive ? pattern : pattern.toLowerCase();
-    
-    console.log(`📝 Placeholder validation: "${checkName}" vs pattern "${checkPattern}"`);
-    
-    // Convert pattern to regex
-    let regexPattern = checkPattern
-        .replace(/[.*+?^${}()|\[\]\\]/g, '\\$&')  // Escape special chars
-        .replace(/\\\{class\\\}/gi, '([A-Za-z]{2,5}[\\s\\-]?\\d{2,4})')
-        .replace(/\\\{lastname\\\}/gi, '([A-Za-z\\-]+)')
-        .replace(/\\\{firstname\\\}/gi, '([A-Za-z\\-]+)')
-        .replace(/\\\{assignment\\\}/gi, '([A-Za-z]*[\\s\\-]?\\d+[A-Za-z]?)')
-        .replace(/\\\{number\\\}/gi, '(\\d+)')
-        .replace(/\\\{any\\\}/gi, '(.+)');
-    
+// Save instructor overrides and comment for one file in a session
+app.put('/api/sessions/:id/files/:index/review', async (req, res) => {
     try {
-        const regex = new RegExp('^' + regexPattern + '$', caseSensitive ? '' : 'i');
-        const matches = checkName.match(regex);
-        
-        if (matches) {
-            console.log(`✅ Pattern match SUCCESS: "${filename}"`);
-            return true;
-        } else {
-            console.log(`❌ Pattern match FAILED: "${filename}"`);
-            console.log(`   Expected pattern: ${pattern}`);
-            console.log(`   Generated regex: ${regexPattern}`);
+        const session = await sessionStore.get(req.params.id);
+        const index = parseInt(req.params.index);
+        const file = session && session.files[index];
+        if (!file) {
+            return res.status(404).json({ error: 'Session file not found' });
         }
-        return matches !== null;
-    } catch(e) {
-        console.error('Pattern error:', e);
-        return false;
-    }
-}
 
-// Extract values from pattern
-function extractFromPattern(filename, pattern, patternType) {
-    // Convert pattern type to actual pattern if needed
-    switch(patternType) {
-        case 'class_name_assignment':
-            pattern = '{CLASS}_{LASTNAME}_{ASSIGNMENT}';
-            break;
-        case 'name_class_assignment':
-            pattern = '{LASTNAME}_{CLASS}_{ASSIGNMENT}';
-            break;
-        case 'assignment_name_class':
-            pattern = '{ASSIGNMENT}_{LASTNAME}_{CLASS}';
-            break;
-    }
-    
-    const placeholders = ['CLASS', 'LASTNAME', 'FIRSTNAME', 'ASSIGNMENT', 'NUMBER'];
-    
-    // Build regex with named groups
-    let regexPattern = pattern;
-    placeholders.forEach(placeholder => {
-        const placeholderRegex = new RegExp(`\\{${placeholder}\\}`, 'gi');
-        let capturePattern = '[^_]+';
-        
-        switch(placeholder) {
-            case 'CLASS':
-                capturePattern = '[A-Za-z]{2,5}[\\s\\-]?\\d{2,4}';
-                break;
-            case 'LASTNAME':
-            case 'FIRSTNAME':
-                capturePattern = '[A-Za-z\\-]+';
-                break;
-            case 'ASSIGNMENT':
-                capturePattern = '[A-Za-z]*[\\s\\-]?\\d+[A-Za-z]?';
-                break;
-            case 'NUMBER':
-                capturePattern = '\\d+';
-                break;
+        const grader = fileProcessor.grader;
+        const review = req.body || {};
+        const errors = grader.validateReview(file, review);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid review', details: errors });
         }
-        
-        regexPattern = regexPattern.replace(placeholderRegex, `(?<${placeholder}>${capturePattern})`);
-    });
-    
+
+        const updated = await sessionStore.updateFile(
+            session.id,
+            index,
+            stored => grader.applyReview(stored, review),
+            files => grader.summarize(files)
+        );
+        if (!updated) {
+            return res.status(404).json({ error: 'Session file not found' });
+        }
+
+        res.json({ file: updated.files[index], summary: updated.summary });
+    } catch (error) {
+        console.error('❌ Review save error:', error);
+        res.status(500).json({ error: 'Failed to save review', message: error.message });
+    }
+});
+
+// Encrypted pseudonym-to-student mapping of an anonymized session; decrypted in the browser
+app.get('/api/sessions/:id/mapping', async (req, res) => {
     try {
-        const regex = new RegExp('^' + regexPattern + '$', 'i');
-        const match = filename.match(regex);
-        if (match && match.groups) {
-            return match.groups;
+        const mapping = await sessionStore.getMapping(req.params.id);
+        if (!mapping) {
+            return res.status(404).json({ error: 'No name mapping for this session' });
         }
-    } catch(e) {
-        console.error('Pattern extraction error:', e);
+        res.json(mapping);
+    } catch (error) {
+        console.error('❌ Mapping load error:', error);
+        res.status(500).json({ error: 'Failed to load mapping', message: error.message });
     }
-    
-    return null;
-}
+});
 
-// UPDATED: Check technical requirements with better layer handling
-function checkTechnicalRequirements(psdData, criteria) {
-    const result = {};
-    
-    // Check dimensions
-    if (criteria.width || criteria.height) {
-        result.dimensions = {
-            valid: true,
-            actual: `${psdData.width}x${psdData.height}px`,
-            expected: `${criteria.width || 'any'}x${criteria.height || 'any'}px`
-        };
-        
-        if (criteria.width && psdData.width !== criteria.width) {
-            result.dimensions.valid = false;
+// Download per-student HTML feedback reports as a ZIP for Canvas bulk feedback upload
+app.get('/api/sessions/:id/feedback', async (req, res) => {
+    try {
+        const session = await sessionStore.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
         }
-        if (criteria.height && psdData.height !== criteria.height) {
-            result.dimensions.valid = false;
+
+        const baseName = session.name.replace(/[^A-Za-z0-9_-]+/g, '_').toLowerCase();
+        res.attachment(`feedback_${baseName}.zip`);
+        feedbackReport.createZip(session).pipe(res);
+    } catch (error) {
+        console.error('❌ Feedback export error:', error);
+        res.status(500).json({ error: 'Failed to build feedback reports', message: error.message });
+    }
+});
+
+// Delete a session
+app.delete('/api/sessions/:id', async (req, res) => {
+    try {
+        const deleted = await sessionStore.delete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Session not found' });
         }
+        res.json({ id: req.params.id, deleted: true });
+    } catch (error) {
+        console.error('❌ Session delete error:', error);
+        res.status(500).json({ error: 'Failed to delete session', message: error.message });
     }
-    
-    // Check color mode
-    if (criteria.colorMode) {
-        const colorModeMap = {
-            0: 'Bitmap',
-            1: 'Grayscale',
-            2: 'Indexed',
-            3: 'RGB',
-            4: 'CMYK',
-            7: 'Multichannel',
-            8: 'Duotone',
-            9: 'Lab'
-        };
-        
-        const actualMode = colorModeMap[psdData.colorMode] || 'Unknown';
-        result.colorMode = {
-            valid: actualMode === criteria.colorMode || criteria.colorMode === '',
-            actual: actualMode,
-            expected: criteria.colorMode || 'Any'
-        };
+});
+
+// List criteria presets by name
+app.get('/api/presets', async (req, res) => {
+    try {
+        res.json({ presets: await presetStore.list() });
+    } catch (error) {
+        console.error('❌ Preset list error:', error);
+        res.status(500).json({ error: 'Failed to list presets', message: error.message });
     }
-    
-    // FIXED: Check layer count (include ALL layers, not just visible)
-    if (criteria.minLayers !== null && criteria.minLayers !== undefined) {
-        const layerCount = countAllLayers(psdData);
-        result.layers = {
-            valid: layerCount >= criteria.minLayers,
-            count: layerCount,
-            minimum: criteria.minLayers
-        };
+});
+
+// Save criteria as a new preset (version 1)
+app.post('/api/presets', async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name || !req.body.criteria) {
+            return res.status(400).json({ error: 'Preset name and criteria are required' });
+        }
+
+        const criteria = readCriteria(req.body.criteria, res);
+        if (!criteria) return;
+
+        const preset = await presetStore.create({ name, criteria, note: req.body.note });
+        res.status(201).json(preset);
+    } catch (error) {
+        console.error('❌ Preset save error:', error);
+        res.status(500).json({ error: 'Failed to save preset', message: error.message });
     }
-    
-    // ENHANCED: Check required layers with individual results
-    if (criteria.requiredLayers?.length > 0) {
-        const layerNames = getAllLayerNames(psdData);
-        const requiredLayersDetails = [];
-        
-        criteria.requiredLayers.forEach(reqLayer => {
-            const found = layerNames.some(name => 
-                name.toLowerCase().includes(reqLayer.toLowerCase())
-            );
-            requiredLayersDetails.push({
-                name: reqLayer,
-                found: found,
-                actualMatch: found ? layerNames.find(name => 
-                    name.toLowerCase().includes(reqLayer.toLowerCase())
-                ) : null
+});
+
+// Import a preset file made by the export endpoint
+app.post('/api/presets/import', async (req, res) => {
+    try {
+        // Check every version now, so an old or hand-edited file fails here instead of when it is used
+        const versions = Array.isArray(req.body?.versions) ? req.body.versions : [];
+        const errors = versions.flatMap((entry, index) =>
+            criteriaValidator.validate(entry?.criteria).map(error => ({
+                field: `versions.${index}.criteria${error.field ? `.${error.field}` : ''}`,
+                message: error.message
+            }))
+        );
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Could not import preset',
+                message: errors.map(error => `${error.field}: ${error.message}`).join('; '),
+                errors: errors
             });
-        });
-        
-        result.requiredLayers = {
-            valid: requiredLayersDetails.every(l => l.found),
-            details: requiredLayersDetails
-        };
-        result.requiredLayersDetails = requiredLayersDetails; // For individual scoring
+        }
+
+        res.status(201).json(await presetStore.import(req.body));
+    } catch (error) {
+        res.status(400).json({ error: 'Could not import preset', message: error.message });
     }
-    
-    // NEW: Check resolution (DPI)
-    if (criteria.resolution) {
-        let actualResolution = 72; // default
-        
-        if (psdData.imageResources?.resolutionInfo) {
-            actualResolution = Math.round(
-                psdData.imageResources.resolutionInfo.horizontalResolution || 72
-            );
+});
+
+// Get a preset with its version history
+app.get('/api/presets/:id', async (req, res) => {
+    try {
+        const preset = await presetStore.get(req.params.id);
+        if (!preset) {
+            return res.status(404).json({ error: 'Preset not found' });
         }
-        
-        result.resolution = {
-            valid: actualResolution >= criteria.resolution,
-            actual: actualResolution,
-            expected: criteria.resolution
-        };
+        res.json(preset);
+    } catch (error) {
+        console.error('❌ Preset load error:', error);
+        res.status(500).json({ error: 'Failed to load preset', message: error.message });
     }
-    
-    return result;
-}
+});
 
-// NEW: Check font requirements
-function checkFontRequirements(psdData, criteria) {
-    const result = {
-        valid: true,
-        usedFonts: [],
-        violations: [],
-        fontDetails: [] // NEW: detailed font info for display
-    };
-    
-    // Extract all fonts from text layers
-    const usedFonts = new Set();
-    
-    function extractFonts(layers) {
-        if (!layers) return;
-        
-        for (const layer of layers) {
-            if (layer.text) {
-                // Try multiple ways to get font info
-                if (layer.text.style?.font) {
-                    usedFonts.add(layer.text.style.font);
-                }
-                if (layer.text.style?.fontName) {
-                    usedFonts.add(layer.text.style.fontName);
-                }
-                if (layer.text.style?.fontFamily) {
-                    usedFonts.add(layer.text.style.fontFamily);
-                }
-                
-                // Check engineData for font info
-                if (layer.text.document?.engineData?.EngineDict?.StyleRun?.RunArray) {
-                    const runArray = layer.text.document.engineData.EngineDict.StyleRun.RunArray;
-                    runArray.forEach(run => {
-                        if (run.StyleSheet?.StyleSheetData?.Font) {
-                            usedFonts.add(run.StyleSheet.StyleSheetData.Font);
-                        }
-                    });
-                }
-            }
-            
-            if (layer.children) {
-                extractFonts(layer.children);
-            }
+// Save criteria as the next version of a preset
+app.post('/api/presets/:id/versions', async (req, res) => {
+    try {
+        if (!req.body.criteria) {
+            return res.status(400).json({ error: 'Criteria are required' });
         }
+
+        const criteria = readCriteria(req.body.criteria, res);
+        if (!criteria) return;
+
+        const preset = await presetStore.addVersion(req.params.id, { criteria, note: req.body.note });
+        if (!preset) {
+            return res.status(404).json({ error: 'Preset not found' });
+        }
+        res.status(201).json(preset);
+    } catch (error) {
+        console.error('❌ Preset version error:', error);
+        res.status(500).json({ error: 'Failed to save preset version', message: error.message });
     }
-    
-    extractFonts(psdData.children);
-    result.usedFonts = Array.from(usedFonts);
-    
-    // FIX: If no fonts found, it means there are no text layers
-    if (result.usedFonts.length === 0) {
-        result.hasNoFonts = true; // Flag for no fonts
-        result.valid = true; // No fonts is not a violation
-        return result;
-    }
-    
-    // Check each font against approved list
-    if (criteria.approvedFonts?.length > 0) {
-        const approvedList = criteria.approvedFonts.map(f => f.toLowerCase().trim());
-        
-        result.usedFonts.forEach(font => {
-            const fontLower = font.toLowerCase();
-            const isApproved = approvedList.some(approved => 
-                fontLower.includes(approved) || approved.includes(fontLower)
-            );
-            
-            // Store detailed info for each font
-            result.fontDetails.push({
-                name: font,
-                approved: isApproved
-            });
-            
-            if (!isApproved) {
-                result.violations.push(`Unapproved font: ${font}`);
-                result.valid = false;
-            }
-        });
-    } else {
-        // If no approved list, all fonts are considered approved
-        result.usedFonts.forEach(font => {
-            result.fontDetails.push({
-                name: font,
-                approved: true
-            });
-        });
+});
+
+// Get one version of a preset
+app.get('/api/presets/:id/versions/:version', async (req, res) => {
+    try {
+        const version = await presetStore.getVersion(req.params.id, req.params.version);
+        if (!version) {
+            return res.status(404).json({ error: 'Preset version not found' });
+        }
+        res.json(version);
+    } catch (error) {
+        console.error('❌ Preset version load error:', error);
+        res.status(500).json({ error: 'Failed to load preset version', message: error.message });
     }
-    
-    // Check for required fonts
-    if (criteria.requiredFonts?.length > 0) {
-        criteria.requiredFonts.forEach(reqFont => {
-            if (!result.usedFonts.some(font => 
-                font.toLowerCase().includes(reqFont.toLowerCase())
-            )) {
-                result.violations.push(`Missing required font: ${reqFont}`);
-                result.valid = false;
-            }
-        });
+});
+
+// Download a preset with its history as a JSON file for sharing
+app.get('/api/presets/:id/export', async (req, res) => {
+    try {
+        const preset = await presetStore.get(req.params.id);
+        if (!preset) {
+            return res.status(404).json({ error: 'Preset not found' });
+        }
+
+        const baseName = preset.name.replace(/[^A-Za-z0-9_-]+/g, '_').toLowerCase();
+        res.attachment(`preset_${baseName}.json`);
+        res.send(JSON.stringify(presetStore.toExport(preset), null, 2));
+    } catch (error) {
+        console.error('❌ Preset export error:', error);
+        res.status(500).json({ error: 'Failed to export preset', message: error.message });
     }
-    
-    return result;
-}
+});
 
-// FIXED: Count ALL layers (including hidden ones)
-function countAllLayers(psdData) {
-    let count = 0;
-    let hasBackground = false;
-    
-    function countInGroup(layers, depth = 0) {
-        if (!layers) return;
-        
-        for (const layer of layers) {
-            count++;
-            const indent = '  '.repeat(depth);
-            console.log(`${indent}Layer: "${layer.name || 'Unnamed'}" (hidden: ${layer.hidden || false})`);
-            
-            // Check if this is a background layer
-            if (layer.name && layer.name.toLowerCase() === 'background') {
-                hasBackground = true;
-            }
-            
-            if (layer.children && layer.children.length > 0) {
-                console.log(`${indent}  └─ Group with ${layer.children.length} children`);
-                countInGroup(layer.children, depth + 1);
-            }
+// Rename a preset
+app.patch('/api/presets/:id', async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name) {
+            return res.status(400).json({ error: 'Preset name is required' });
         }
+
+        const preset = await presetStore.rename(req.params.id, name);
+        if (!preset) {
+            return res.status(404).json({ error: 'Preset not found' });
+        }
+        res.json({ id: preset.id, name: preset.name, updatedAt: preset.updatedAt });
+    } catch (error) {
+        console.error('❌ Preset rename error:', error);
+        res.status(500).json({ error: 'Failed to rename preset', message: error.message });
     }
-    
-    // Try different layer properties
-    if (psdData.children && psdData.children.length > 0) {
-        console.log(`  Counting layers from psdData.children:`);
-        countInGroup(psdData.children);
-    } else if (psdData.layers && psdData.layers.length > 0) {
-        console.log(`  Counting layers from psdData.layers:`);
-        countInGroup(psdData.layers);
-    } else {
-        console.log(`  ⚠️ No layer data found in PSD structure`);
-        // If no layers found, assume at least a background layer exists
-        console.log(`  Adding implicit background layer`);
-        count = 1;
-        hasBackground = true;
-    }
-    
-    // CONSISTENCY FIX: If we have no layers at all, ensure we count at least the background
-    if (count === 0) {
-        console.log(`  No layers detected, assuming background layer exists`);
-        count = 1;
-    }
-    
-    // CONSISTENCY FIX: In Photoshop, there's always at least a background
-    // If we only found a background layer and nothing else, still count it as 1
-    // This ensures consistency between files with just background vs. those with multiple layers
-    
-    console.log(`  Total layer count: ${count} (has background: ${hasBackground})`);
-    return count;
-}
+});
 
-// FIXED: Get all layer names (including hidden)
-function getAllLayerNames(psdData) {
-    const names = [];
-    
-    function collectNames(layers, depth = 0) {
-        if (!layers) return;
-        
-        for (const layer of layers) {
-            if (layer.name) {
-                names.push(layer.name);
-                const indent = '  '.repeat(depth);
-                console.log(`${indent}Found layer: "${layer.name}" (hidden: ${layer.hidden || false})`);
-            }
-            if (layer.children && layer.children.length > 0) {
-                collectNames(layer.children, depth + 1);
-            }
+// Delete a preset and its history
+app.delete('/api/presets/:id', async (req, res) => {
+    try {
+        const deleted = await presetStore.delete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Preset not found' });
         }
+        res.json({ id: req.params.id, deleted: true });
+    } catch (error) {
+        console.error('❌ Preset delete error:', error);
+        res.status(500).json({ error: 'Failed to delete preset', message: error.message });
     }
-    
-    // Try different layer properties
-    if (psdData.children && psdData.children.length > 0) {
-        collectNames(psdData.children);
-    } else if (psdData.layers && psdData.layers.length > 0) {
-        collectNames(psdData.layers);
+});
+
+// Import a Canvas rubric (rubric CSV or Rubrics API JSON) as rubric rows
+app.post('/api/rubrics/import', upload.single('rubric'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No rubric file uploaded' });
     }
-    
-    console.log(`  Layer names found: [${names.join(', ')}]`);
-    return names;
-}
 
-function generatePlaceholderThumbnail(width, height, colorMode) {
     try {
-        const thumbnailCanvas = createCanvas(100, 100);
-        const ctx = thumbnailCanvas.getContext('2d');
-        
-        // Background
-        ctx.fillStyle = '#f0f0f0';
-        ctx.fillRect(0, 0, 100, 100);
-        
-        // Draw a placeholder rectangle with aspect ratio
-        const scale = Math.min(80 / width, 80 / height);
-        const rectWidth = width * scale;
-        const rectHeight = height * scale;
-        const x = (100 - rectWidth) / 2;
-        const y = (100 - rectHeight) / 2;
-        
-        // Different colors for different modes
-        if (colorMode === 4) { // CMYK
-            ctx.fillStyle = '#00BCD4'; // Cyan-ish for CMYK
-        } else if (colorMode === 1) { // Grayscale
-            ctx.fillStyle = '#757575';
-        } else { // RGB
-            ctx.fillStyle = '#4CAF50';
+        const content = await fs.readFile(req.file.path, 'utf8');
+        res.json(canvasRubric.parse(content, req.file.originalname));
+    } catch (error) {
+        res.status(400).json({ error: 'Could not import rubric', message: error.message });
+    } finally {
+        await fileProcessor.removeUploads([req.file]);
+    }
+});
+
+// Export grading criteria as a Canvas rubric, as CSV for rubric import or Rubrics API JSON
+app.post('/api/rubrics/export', (req, res) => {
+    const criteria = readCriteria(req.body.criteria, res);
+    if (!criteria) return;
+
+    let rubric;
+    try {
+        rubric = Rubric.fromCriteria(criteria);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid rubric', message: error.message });
+    }
+
+    const baseName = (rubric.title || 'rubric').replace(/[^A-Za-z0-9_-]+/g, '_').toLowerCase();
+    if (req.body.format === 'json') {
+        res.attachment(`${baseName}_rubric.json`);
+        return res.send(JSON.stringify(canvasRubric.toJson(rubric), null, 2));
+    }
+
+    res.attachment(`${baseName}_rubric.csv`);
+    res.send(canvasRubric.toCsv(rubric));
+});
+
+// Look up font names from the approved and required lists in the font catalog, with near misses
+app.post('/api/fonts/check', (req, res) => {
+    const names = req.body.names;
+    if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+        return res.status(400).json({ error: 'Font names are required', message: 'Send { names } as an array of strings' });
+    }
+
+    res.json({ fonts: fontCatalog.checkNames(names) });
+});
+
+/**
+ * Work out which preset version a grading request started from, and whether
+ * its criteria were changed after the preset was loaded
+ * @param {string|Object} reference - `{ id, version }`, JSON-encoded in multipart forms
+ * @param {Object} criteria - Criteria the request grades with
+ * @returns {Object|null} - { id, name, version, modified }, or null without a known preset
+ */
+async function resolvePreset(reference, criteria) {
+    let ref = reference;
+    if (typeof ref === 'string') {
+        try {
+            ref = JSON.parse(ref);
+        } catch (error) {
+            return null;
         }
-        
-        ctx.fillRect(x, y, rectWidth, rectHeight);
-        
-        // Add text indicator
-        ctx.fillStyle = 'white';
-        ctx.font = 'bold 10px Arial';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        
-        const modeText = colorMode === 4 ? 'CMYK' : colorMode === 1 ? 'GRAY' : 'RGB';
-        ctx.fillText(modeText, 50, 50);
-        
-        // Add dimensions text
-        ctx.font = '8px Arial';
-        ctx.fillText(`${width}×${height}`, 50, 65);
-        
-        return thumbnailCanvas.toDataURL('image/png');
+    }
+    if (!ref || !ref.id) return null;
+
+    const version = await presetStore.getVersion(ref.id, ref.version);
+    if (!version) return null;
+
+    return {
+        id: version.id,
+        name: version.name,
+        version: version.version,
+        modified: !presetStore.isSameCriteria(version.criteria, criteria)
+    };
+}
+
+/**
+ * Attach the modification times the browser reported for each upload, used
+ * as submission times by late policies (ZIP entries carry their own)
+ * @param {Array} files - Uploaded files, in form order
+ * @param {string} timestamps - JSON array of milliseconds, one per file
+ */
+function attachTimestamps(files, timestamps) {
+    let times = [];
+    try {
+        times = JSON.parse(timestamps || '[]');
     } catch (error) {
-        console.log('  Failed to generate placeholder thumbnail');
-        return null;
+        console.log('Ignoring malformed file timestamps:', error.message);
     }
+
+    files.forEach((file, index) => {
+        const time = Number(times[index]);
+        if (time > 0) {
+            file.lastModified = new Date(time);
+        }
+    });
 }
 
-function parseCanvasFilename(filename) {
-    // Remove file extension first
-    const nameWithoutExt = filename.replace(/\.(psd|zip)$/i, '');
-    
-    // Split by underscore
-    const parts = nameWithoutExt.split('_');
-    
-    if (parts.length < 5) {
-        // Not a Canvas filename format
+/**
+ * Parse and validate the criteria of a request, answering 400 with
+ * field-level errors when they are unusable
+ * @param {string|Object} value - Criteria, JSON-encoded in multipart forms
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Criteria, or null when a 400 was sent
+ */
+function readCriteria(value, res) {
+    let criteria = value === undefined || value === '' ? {} : value;
+    if (typeof criteria === 'string') {
+        try {
+            criteria = JSON.parse(criteria);
+        } catch (error) {
+            res.status(400).json({
+                error: 'Invalid criteria',
+                message: `Criteria are not valid JSON: ${error.message}`,
+                errors: [{ field: '', message: 'Not valid JSON' }]
+            });
+            return null;
+        }
+    }
+
+    const errors = criteriaValidator.validate(criteria);
+    if (errors.length > 0) {
+        res.status(400).json({
+            error: 'Invalid criteria',
+            message: errors.map(error => error.field ? `${error.field}: ${error.message}` : error.message).join('; '),
+            errors: errors
+        });
         return null;
     }
-    
-    // Check if submission is late
-    const isLate = parts[1] === 'LATE';
-    
-    // Adjust indices based on whether LATE is present
-    const startIdx = isLate ? 2 : 1;
-    
-    // Extract components
-    const result = {
-        studentName: parts[0],
-        isLate: isLate,
-        submissionStatus: isLate ? 'LATE' : parts[1],
-        userId: parts[startIdx],
-        submissionId: parts[startIdx + 1],
-        originalFilename: parts.slice(startIdx + 2).join('_') // Rejoin remaining parts
-    };
-    
-    // Try to split student name into first/last
-    // Canvas concatenates them, we'll make a best guess
-    const nameMatch = result.studentName.match(/^([a-z]+)([A-Z][a-z]+)?$/);
-    if (nameMatch) {
-        result.firstName = nameMatch[1];
-        result.lastName = nameMatch[2] || nameMatch[1];
-    } else {
-        // Fallback - use whole name as last name
-        result.firstName = '';
-        result.lastName = result.studentName;
-    }
-    
-    console.log(`📋 Parsed Canvas filename:`, result);
-    return result;
+
+    return criteria;
+}
+
+/**
+ * Set up FERPA anonymization for a request, answering 400 when it cannot be
+ * @param {Object} criteria - Nested grading criteria
+ * @param {string} passphrase - Instructor passphrase from the upload form
+ * @param {Object} res - Express response
+ * @returns {Anonymizer|null|false} - Anonymizer, null when off, false when a 400 was sent
+ */
+function createAnonymizer(criteria, passphrase, res) {
+    try {
+        return Anonymizer.fromCriteria(criteria, passphrase);
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid anonymization settings', message: error.message });
+        return false;
+    }
+}
+
+/**
+ * Copy instructor overrides, comments and late waivers from a session's previous results
+ * onto re-graded results, dropping overrides for checks that no longer exist
+ * @param {Array} previousFiles - Results stored in the session
+ * @param {Array} gradedFiles - Freshly re-graded results
+ * @returns {Array} - Re-graded results with reviews applied
+ */
+function carryOverReviews(previousFiles, gradedFiles) {
+    const grader = fileProcessor.grader;
+    const reviews = new Map(previousFiles.map(file => [file.filename, file]));
+
+    return gradedFiles.map(file => {
+        const previous = reviews.get(file.filename);
+        if (!previous || (!previous.overrides && !previous.comment && !previous.lateWaived)) {
+            return file;
+        }
+
+        const overrides = {};
+        Object.entries(previous.overrides || {}).forEach(([checkId, override]) => {
+            if (grader.validateReview(file, { overrides: { [checkId]: override } }).length === 0) {
+                overrides[checkId] = override;
+            }
+        });
+
+        return grader.applyReview({ ...file, overrides: previous.overrides }, {
+            overrides: overrides,
+            comment: previous.comment,
+            lateWaived: previous.lateWaived
+        });
+    });
 }
 
 // Start server
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Caches PSD analyses by the SHA-256 of the file contents, in memory and on disk,
+ * and remembers which files made up each upload batch so batches can be re-graded
+ * without re-uploading or re-parsing.
+ */
+class AnalysisCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {string} options.dir - Directory for cached analyses and batch manifests
+     * @param {number} options.maxMemoryEntries - Analyses kept in memory (least recently used are dropped)
+     */
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.maxMemoryEntries = options.maxMemoryEntries || 200;
+        this.memory = new Map();
+        this.batches = new Map();
+    }
+
+    /**
+     * Hash file contents
+     * @param {Buffer|Uint8Array} data - File contents
+     * @returns {string} - Hex SHA-256 digest
+     */
+    static hash(data) {
+        return crypto.createHash('sha256').update(data).digest('hex');
+    }
+
+    /**
+     * Look up a cached analysis
+     * @param {string} hash - SHA-256 of the file
+     * @returns {Object|null} - Analysis without file-specific names, or null
+     */
+    async get(hash) {
+        if (this.memory.has(hash)) {
+            const analysis = this.memory.get(hash);
+            // Re-insert to mark as most recently used
+            this.memory.delete(hash);
+            this.memory.set(hash, analysis);
+            return analysis;
+        }
+
+        if (!this.dir) return null;
+
+        try {
+            const analysis = JSON.parse(await fs.promises.readFile(this.analysisPath(hash), 'utf8'));
+            this.remember(hash, analysis);
+            return analysis;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Store an analysis
+     * @param {string} hash - SHA-256 of the file
+     * @param {Object} analysis - Output of FileProcessor.analyzePSDData
+     */
+    async set(hash, analysis) {
+        // The same bytes can arrive under different names, so names are not cached
+        const { filename, originalFilename, ...stored } = analysis;
+        this.remember(hash, stored);
+
+        if (!this.dir) return;
+
+        try {
+            await fs.promises.mkdir(path.join(this.dir, 'analyses'), { recursive: true });
+            await fs.promises.writeFile(this.analysisPath(hash), JSON.stringify(stored));
+        } catch (error) {
+            console.log(`Could not write analysis cache for ${hash}:`, error.message);
+        }
+    }
+
+    /**
+     * Save the list of files that made up an upload batch
+     * @param {Array} files - Batch files ({ filename, hash, error })
+     * @returns {Object} - Batch record with its ID
+     */
+    async saveBatch(files) {
+        const batch = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            files: files
+        };
+
+        if (this.dir) {
+            await fs.promises.mkdir(path.join(this.dir, 'batches'), { recursive: true });
+            await fs.promises.writeFile(this.batchPath(batch.id), JSON.stringify(batch));
+        } else {
+            this.batches.set(batch.id, batch);
+        }
+
+        return batch;
+    }
+
+    /**
+     * Load a batch record
+     * @param {string} id - Batch ID
+     * @returns {Object|null} - Batch record, or null if unknown
+     */
+    async getBatch(id) {
+        if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+
+        if (!this.dir) {
+            return this.batches.get(id) || null;
+        }
+
+        try {
+            return JSON.parse(await fs.promises.readFile(this.batchPath(id), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Keep an analysis in memory, evicting the least recently used
+     * @param {string} hash - SHA-256 of the file
+     * @param {Object} analysis - Analysis to keep
+     */
+    remember(hash, analysis) {
+        this.memory.delete(hash);
+        this.memory.set(hash, analysis);
+
+        // Maps iterate in insertion order, so the first key is the least recently used
+        if (this.memory.size > this.maxMemoryEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    /**
+     * @param {string} hash - SHA-256 of the file
+     * @returns {string} - Path of the cached analysis
+     */
+    analysisPath(hash) {
+        return path.join(this.dir, 'analyses', `${hash}.json`);
+    }
+
+    /**
+     * @param {string} id - Batch ID
+     * @returns {string} - Path of the batch manifest
+     */
+    batchPath(id) {
+        return path.join(this.dir, 'batches', `${id}.json`);
+    }
+}
+
+module.exports = AnalysisCache;
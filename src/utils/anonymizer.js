@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const Rubric = require('./rubric');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const METHODS = ['canvas', 'sequential', 'random'];
+const PBKDF2_ITERATIONS = 250000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Replaces student names with pseudonyms for one grading run (FERPA mode).
+ * Entries are renamed as soon as they are listed, so later logging, caching,
+ * progress events and results only ever see pseudonyms. The pseudonym-to-name
+ * mapping leaves this class only encrypted with the instructor's passphrase.
+ */
+class Anonymizer {
+    /**
+     * @param {Object} settings - The `ferpa` block of the criteria ({ method, prefix })
+     * @param {string} passphrase - Encrypts the mapping and keys the pseudonyms
+     */
+    constructor(settings, passphrase) {
+        this.method = METHODS.includes(settings.method) ? settings.method : 'canvas';
+        // Underscores would break Canvas filename parsing of the pseudonymized names
+        this.prefix = String(settings.prefix || '').replace(/[^A-Za-z0-9-]/g, '') || 'Student';
+        this.passphrase = passphrase;
+        this.students = new Map();
+    }
+
+    /**
+     * Create an anonymizer when the criteria ask for one
+     * @param {Object} criteria - Nested grading criteria
+     * @param {string} passphrase - Instructor passphrase
+     * @returns {Anonymizer|null} - Anonymizer, or null when anonymization is off
+     * @throws {Error} - When anonymization is on but the passphrase is too short
+     */
+    static fromCriteria(criteria, passphrase) {
+        if (!criteria.ferpa?.enabled) return null;
+
+        if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Anonymization needs a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        return new Anonymizer(criteria.ferpa, passphrase);
+    }
+
+    /**
+     * Rename entries to pseudonyms before anything else sees them. The filename
+     * check needs the real name, so it is graded here and kept without the name.
+     * @param {Array} entries - Entries from FileProcessor.collectEntries
+     * @param {Object} criteria - Nested grading criteria
+     * @param {FileProcessor} fileProcessor - Supplies Canvas parsing and the grader
+     */
+    prepare(entries, criteria, fileProcessor) {
+        const filenameRow = Rubric.fromCriteria(criteria).find('filename');
+        const identities = entries.map(entry => this.identify(entry.filename, filenameRow, fileProcessor));
+        this.assignPseudonyms(identities);
+
+        entries.forEach((entry, index) => {
+            const identity = identities[index];
+            const student = this.students.get(identity.key);
+
+            student.filenames.push(entry.filename);
+            entry.filename = this.pseudonymizeFilename(identity, student.pseudonym);
+            entry.pseudonym = student.pseudonym;
+
+            if (identity.filenameCheck) {
+                entry.filenameCheck = this.scrubFilenameCheck(identity.filenameCheck);
+            }
+        });
+    }
+
+    /**
+     * Work out who submitted a file
+     * @param {string} filename - Real filename
+     * @param {Object|null} filenameRow - Rubric row of the filename check, if graded
+     * @param {FileProcessor} fileProcessor - Supplies Canvas parsing and the grader
+     * @returns {Object} - { key, name, canvasData, filenameCheck }
+     */
+    identify(filename, filenameRow, fileProcessor) {
+        const canvasData = fileProcessor.parseCanvasFilename(filename);
+        const submittedName = canvasData ? `${canvasData.originalFilename}.psd` : filename;
+        const filenameCheck = filenameRow
+            ? fileProcessor.grader.checkFilename(submittedName, filenameRow.settings)
+            : null;
+
+        if (canvasData) {
+            return { key: `canvas:${canvasData.userId}`, name: canvasData.studentName, canvasData, filenameCheck };
+        }
+        if (filenameCheck?.studentName) {
+            const name = filenameCheck.studentName;
+            return { key: `name:${name.toLowerCase()}`, name, canvasData: null, filenameCheck };
+        }
+
+        const name = filename.replace(/\.psd$/i, '');
+        return { key: `file:${filename.toLowerCase()}`, name, canvasData: null, filenameCheck };
+    }
+
+    /**
+     * Give every student a pseudonym; the same student gets the same one throughout the run.
+     * Keyed pseudonyms (the canvas method) depend only on the student's identity and the
+     * passphrase, so they stay the same across batches and assignments; random ones do not.
+     * @param {Array} identities - Results of identify()
+     */
+    assignPseudonyms(identities) {
+        const sequential = [];
+
+        identities.forEach(identity => {
+            if (this.students.has(identity.key)) return;
+
+            this.students.set(identity.key, {
+                pseudonym: null,
+                name: identity.name,
+                userId: identity.canvasData?.userId || null,
+                submissionId: identity.canvasData?.submissionId || null,
+                filenames: []
+            });
+
+            if (this.method === 'sequential') {
+                sequential.push(identity.key);
+            } else if (this.method === 'random') {
+                this.students.get(identity.key).pseudonym = this.randomPseudonym();
+            } else {
+                // Canvas identities are keyed by user ID, which unlike the submission ID is the same in every assignment
+                this.students.get(identity.key).pseudonym = this.keyedPseudonym(identity.key);
+            }
+        });
+
+        // Sequential numbers follow sorted identities, so they only repeat for the same set of files
+        sequential.sort().forEach((key, index) => {
+            this.students.get(key).pseudonym = `${this.prefix}${String(index + 1).padStart(3, '0')}`;
+        });
+    }
+
+    /**
+     * Pseudonym derived from the student's identity with an HMAC keyed by the
+     * passphrase, so it is stable across runs with the same passphrase but
+     * cannot be reversed without it
+     * @param {string} key - Student identity key
+     * @returns {string} - Pseudonym
+     */
+    keyedPseudonym(key) {
+        const digest = crypto.createHmac('sha256', this.passphrase).update(key).digest('hex').toUpperCase();
+        return this.unusedPseudonym(digest);
+    }
+
+    /**
+     * Pseudonym drawn at random for this run only, so the same student gets a
+     * different one in every batch
+     * @returns {string} - Pseudonym
+     */
+    randomPseudonym() {
+        return this.unusedPseudonym(crypto.randomBytes(32).toString('hex').toUpperCase());
+    }
+
+    /**
+     * Shortest prefix of a hex code, at least 6 characters, that no other student has
+     * @param {string} code - Hex code
+     * @returns {string} - Pseudonym
+     */
+    unusedPseudonym(code) {
+        const used = new Set(Array.from(this.students.values()).map(student => student.pseudonym));
+
+        let length = 6;
+        while (used.has(`${this.prefix}${code.slice(0, length)}`)) {
+            length++;
+        }
+        return `${this.prefix}${code.slice(0, length)}`;
+    }
+
+    /**
+     * Build the name an entry is processed under. Canvas files keep their
+     * user and submission IDs so grades and feedback still match in Canvas.
+     * @param {Object} identity - Result of identify()
+     * @param {string} pseudonym - Student's pseudonym
+     * @returns {string} - Filename without any part of the real name
+     */
+    pseudonymizeFilename(identity, pseudonym) {
+        const canvasData = identity.canvasData;
+        if (!canvasData) {
+            return `${pseudonym}.psd`;
+        }
+
+        const parts = [pseudonym];
+        if (canvasData.isLate) parts.push('LATE');
+        parts.push(canvasData.userId, canvasData.submissionId, pseudonym);
+        return `${parts.join('_')}.psd`;
+    }
+
+    /**
+     * Remove the real filename and extracted name from a filename check
+     * @param {Object} check - Outcome of Grader.checkFilename
+     * @returns {Object} - Outcome safe to return and store
+     */
+    scrubFilenameCheck(check) {
+        const { studentName, ...scrubbed } = check;
+        return { ...scrubbed, actual: 'Hidden for anonymization' };
+    }
+
+    /**
+     * Encrypt the pseudonym-to-student mapping with the passphrase
+     * (PBKDF2-SHA-256 key, AES-256-GCM; the browser decrypts it with WebCrypto)
+     * @returns {Object} - Encrypted mapping with its KDF parameters, base64 encoded
+     */
+    async encryptMapping() {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = await pbkdf2(this.passphrase, salt, PBKDF2_ITERATIONS, 32, 'sha256');
+
+        const payload = JSON.stringify({
+            createdAt: new Date().toISOString(),
+            method: this.method,
+            students: Array.from(this.students.values())
+        });
+
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        // WebCrypto expects the authentication tag appended to the ciphertext
+        const data = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+        return {
+            version: 1,
+            cipher: 'AES-GCM',
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: PBKDF2_ITERATIONS,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+}
+
+module.exports = Anonymizer;
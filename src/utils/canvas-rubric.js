@@ -0,0 +1,363 @@
+const Rubric = require('./rubric');
+
+/**
+ * Which grading check a Canvas rubric row is about, tried in order against
+ * the row's name and then its description. Required layers and techniques
+ * come before the plain layer count so "Required layers" or "Layer masks"
+ * is not read as a layer count.
+ */
+const CHECK_KEYWORDS = [
+    ['layerNames', /layer naming|layer names? (quality|conventions?)|default (layer )?names?|descriptive names?/i],
+    ['emptyLayers', /empty layers?/i],
+    ['offCanvasLayers', /off[- ]?canvas|outside (the )?canvas/i],
+    ['hiddenLayers', /hidden layers?|unused layers?/i],
+    ['groupNesting', /nest(ed|ing)/i],
+    ['spelling', /spell(ing)?|typos?|proofread/i],
+    ['forbiddenText', /placeholder|lorem ipsum/i],
+    ['textLength', /character (count|limit)s?|text length|word count/i],
+    ['requiredText', /required (text|copy)|headline|\bcopy\b/i],
+    ['sizeHierarchy', /hierarchy/i],
+    ['textSize', /(text|type|font|body) sizes?|point sizes?|legib/i],
+    ['fauxStyles', /faux/i],
+    ['typefaces', /number of (typefaces|fonts)|typeface (count|limit)|font famil/i],
+    ['leading', /leading|line spacing/i],
+    ['tracking', /tracking|letter ?spacing|kerning/i],
+    ['contrast', /contrast|readability|wcag|accessib/i],
+    ['palette', /palette|brand colou?rs?|colou?r (scheme|choices?|harmony)/i],
+    ['bleedSize', /\bbleeds?\b|trim size/i],
+    ['safeMargin', /safe (margin|area|zone)|live area/i],
+    ['inkCoverage', /ink (coverage|limit)|total (area )?coverage|\btac\b/i],
+    ['spotChannels', /spot (colou?rs?|channels?)|pantone/i],
+    ['ungroupedLayers', /layer groups?|group(ed|ing)|organi[sz](ation|ed)/i],
+    ['requiredLayers', /required layers?|layer names?/i],
+    ['nonDestructive', /non-?destructive/i],
+    ['adjustmentLayers', /adjustment|curves|levels adjust/i],
+    ['layerMasks', /\bmask(s|ing)?\b/i],
+    ['layerEffects', /effects?|layer styles?|drop shadow|\bstroke\b|bevel|glow/i],
+    ['smartObjects', /smart objects?/i],
+    ['blendModes', /blend(ing)? modes?|blending/i],
+    ['layers', /\blayers?\b|layer count/i],
+    ['filename', /file ?names?|naming/i],
+    ['dimensions', /dimensions?|canvas size|document size|artboard size/i],
+    ['colorProfile', /colou?r profile|\bicc\b|srgb|fogra|swop|gracol|embedded profile/i],
+    ['colorMode', /colou?r mode|\brgb\b|\bcmyk\b|grayscale/i],
+    ['bitDepth', /bit depth|bits per channel|\b(8|16|32)[- ]bit\b/i],
+    ['resolution', /resolution|\bdpi\b|\bppi\b/i],
+    ['fonts', /fonts?|typeface|typograph/i]
+];
+
+const CSV_HEADERS = ['Rubric Name', 'Criteria Name', 'Criteria Description', 'Criteria Enable Range'];
+const CSV_RATING_HEADERS = ['Rating Name', 'Rating Description', 'Rating Points'];
+
+/**
+ * Converts between Canvas rubrics and grading rubrics (see rubric.js).
+ * Canvas exports rubrics as the CSV its rubric import takes, or as JSON from
+ * the Rubrics API; both map onto rubric rows whose check settings come from
+ * the criteria form, and rows no check can measure are left to the instructor.
+ */
+class CanvasRubric {
+    /**
+     * Import a Canvas rubric
+     * @param {string} content - CSV or JSON text
+     * @param {string} filename - Uploaded filename, used to tell the formats apart
+     * @returns {Object} - { rubric, unmatched, needsSettings } where rubric has title, rows and
+     *     no levels of its own, unmatched lists rows left for instructor review and
+     *     needsSettings lists rows whose check must be set up in the criteria form
+     * @throws {Error} - When the content is not a Canvas rubric
+     */
+    parse(content, filename = '') {
+        const text = String(content).replace(/^\uFEFF/, '');
+        const isJson = /\.json$/i.test(filename) || /^\s*[{[]/.test(text);
+        const canvasRubric = isJson ? this.parseJson(text) : this.parseCsv(text);
+
+        if (canvasRubric.criteria.length === 0) {
+            throw new Error('The rubric has no criteria');
+        }
+
+        return this.toRubric(canvasRubric);
+    }
+
+    /**
+     * Read a rubric from the Canvas Rubrics API (`data` or `criteria` rows)
+     * @param {string} text - JSON text
+     * @returns {Object} - { title, criteria: [{ id, name, description, points, useRange, ratings }] }
+     */
+    parseJson(text) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Rubric JSON could not be read: ${error.message}`);
+        }
+
+        // Accept a rubric, a list of rubrics, or an assignment with its rubric rows
+        const source = (Array.isArray(json) ? json[0] : json) || {};
+        let title = source.title;
+        let rows = source.data || source.criteria;
+
+        if (Array.isArray(source.rubric)) {
+            title = source.rubric_settings?.title;
+            rows = source.rubric;
+        } else if (source.rubric) {
+            title = source.rubric.title;
+            rows = source.rubric.data || source.rubric.criteria;
+        }
+
+        if (!Array.isArray(rows)) {
+            throw new Error('Rubric JSON has no "data" or "criteria" list');
+        }
+
+        return {
+            title: title || '',
+            criteria: rows.map(row => ({
+                id: row.id || null,
+                name: row.description || '',
+                description: row.long_description || '',
+                points: Number(row.points) || 0,
+                useRange: Boolean(row.criterion_use_range),
+                ratings: (row.ratings || []).map(rating => ({
+                    id: rating.id || null,
+                    name: rating.description || '',
+                    points: Number(rating.points) || 0
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Read a rubric in the Canvas rubric import CSV format. Only the first
+     * rubric in the file is used.
+     * @param {string} text - CSV text
+     * @returns {Object} - Same shape as parseJson
+     */
+    parseCsv(text) {
+        const [header, ...lines] = parseCsvRows(text).filter(row => row.some(cell => cell.trim()));
+        const column = name => (header || []).findIndex(cell => cell.trim().toLowerCase() === name.toLowerCase());
+        const nameColumn = column('Criteria Name');
+
+        if (nameColumn === -1) {
+            throw new Error('Rubric CSV needs a "Criteria Name" column');
+        }
+
+        const rubricColumn = column('Rubric Name');
+        const descriptionColumn = column('Criteria Description');
+        const rangeColumn = column('Criteria Enable Range');
+        const ratingColumns = header
+            .map((cell, index) => cell.trim().toLowerCase() === 'rating name' ? index : -1)
+            .filter(index => index !== -1);
+
+        const title = rubricColumn === -1 ? '' : (lines[0]?.[rubricColumn] || '');
+        const rows = lines.filter(line => rubricColumn === -1 || !line[rubricColumn] || line[rubricColumn] === title);
+
+        return {
+            title: title,
+            criteria: rows.map(line => {
+                const ratings = ratingColumns
+                    .filter(index => line[index] && line[index].trim())
+                    .map(index => ({
+                        id: null,
+                        name: line[index].trim(),
+                        points: Number(line[index + 2]) || 0
+                    }));
+
+                return {
+                    id: null,
+                    name: (line[nameColumn] || '').trim(),
+                    description: descriptionColumn === -1 ? '' : (line[descriptionColumn] || '').trim(),
+                    points: ratings.reduce((max, rating) => Math.max(max, rating.points), 0),
+                    useRange: rangeColumn !== -1 && /^(true|yes|1)$/i.test((line[rangeColumn] || '').trim()),
+                    ratings: ratings
+                };
+            })
+        };
+    }
+
+    /**
+     * Map Canvas criteria onto rubric rows. Each check is used once; rows no
+     * check matches become instructor-reviewed rows. Imported rows carry no
+     * settings, so rows whose check needs some (a layer list, a color mode)
+     * are listed for the instructor to set up in the form before grading.
+     * @param {Object} canvasRubric - Output of parseJson or parseCsv
+     * @returns {Object} - { rubric, unmatched, needsSettings }
+     */
+    toRubric(canvasRubric) {
+        const usedTypes = new Set();
+        const unmatched = [];
+        const needsSettings = [];
+
+        const rows = canvasRubric.criteria.map(criterion => {
+            let type = this.matchCheckType(criterion, usedTypes);
+            if (type) {
+                usedTypes.add(type);
+            } else {
+                type = 'manual';
+                unmatched.push(criterion.name);
+            }
+
+            const missing = Rubric.missingSettings(type, {});
+            if (missing) {
+                needsSettings.push({ name: criterion.name, type: type, missing: missing });
+            }
+
+            return {
+                type: type,
+                title: criterion.name || Rubric.CHECK_TYPES[type].title,
+                description: criterion.description,
+                points: criterion.points,
+                levels: this.ratingsToLevels(criterion),
+                canvasId: criterion.id
+            };
+        });
+
+        return {
+            rubric: { title: canvasRubric.title, rows: rows },
+            unmatched: unmatched,
+            needsSettings: needsSettings
+        };
+    }
+
+    /**
+     * Find the check a Canvas criterion describes
+     * @param {Object} criterion - Parsed Canvas criterion
+     * @param {Set} usedTypes - Checks already taken by earlier rows
+     * @returns {string|null} - Check type, or null when none fits
+     */
+    matchCheckType(criterion, usedTypes) {
+        for (const text of [criterion.name, criterion.description]) {
+            const match = CHECK_KEYWORDS.find(([type, pattern]) => !usedTypes.has(type) && pattern.test(text || ''));
+            if (match) return match[0];
+        }
+        return null;
+    }
+
+    /**
+     * Turn Canvas ratings into levels. A rating covers scores from its own
+     * points up, or with ranges enabled, from the next lower rating up.
+     * @param {Object} criterion - Parsed Canvas criterion
+     * @returns {Array|null} - Levels ({ name, min, id }), or null to use the defaults
+     */
+    ratingsToLevels(criterion) {
+        if (criterion.ratings.length === 0 || criterion.points <= 0) return null;
+
+        const ratings = criterion.ratings.slice().sort((a, b) => b.points - a.points);
+        return ratings.map((rating, index) => {
+            const minPoints = criterion.useRange ? (ratings[index + 1]?.points || 0) : rating.points;
+            const level = {
+                name: rating.name || `${rating.points} pts`,
+                min: Math.round((minPoints / criterion.points) * 10000) / 100
+            };
+            if (rating.id) level.id = rating.id;
+            return level;
+        });
+    }
+
+    /**
+     * Export a rubric in the Canvas rubric import CSV format. Each level
+     * becomes a ranged rating worth the top of its point range.
+     * @param {Rubric} rubric - Rubric to export
+     * @returns {string} - CSV text
+     */
+    toCsv(rubric) {
+        const ratingCount = rubric.rows.reduce((max, row) => Math.max(max, row.levels.length), 0);
+        const header = CSV_HEADERS.slice();
+        for (let i = 0; i < ratingCount; i++) {
+            header.push(...CSV_RATING_HEADERS);
+        }
+
+        const lines = rubric.rows.map(row => {
+            const cells = [rubric.title || 'PSD Grading Rubric', row.title, row.description, 'TRUE'];
+            rubric.levelRanges(row).forEach(range => {
+                cells.push(range.name, '', range.max);
+            });
+            return cells;
+        });
+
+        return [header, ...lines].map(cells => cells.map(csvCell).join(',')).join('\n');
+    }
+
+    /**
+     * Export a rubric in the shape of the Canvas Rubrics API. Only IDs that
+     * came from Canvas are exported; Canvas assigns IDs to the other rows.
+     * @param {Rubric} rubric - Rubric to export
+     * @returns {Object} - Canvas rubric JSON
+     */
+    toJson(rubric) {
+        return {
+            title: rubric.title || 'PSD Grading Rubric',
+            points_possible: rubric.maxScore,
+            free_form_criterion_comments: false,
+            data: rubric.rows.map(row => ({
+                ...(row.canvasId ? { id: row.canvasId } : {}),
+                description: row.title,
+                long_description: row.description,
+                points: row.points,
+                criterion_use_range: true,
+                ratings: rubric.levelRanges(row).map(range => ({
+                    ...(range.id ? { id: range.id } : {}),
+                    description: range.name,
+                    long_description: '',
+                    points: range.max
+                }))
+            }))
+        };
+    }
+}
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {Array} - Rows of cell strings
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Quote a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} - CSV-safe cell
+ */
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = CanvasRubric;
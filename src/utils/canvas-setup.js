@@ -0,0 +1,45 @@
+const { createCanvas, Image } = require('canvas');
+const psd = require('ag-psd');
+const psdReader = require('ag-psd/dist/psdReader');
+const { version: psdVersion } = require('ag-psd/package.json');
+
+// Header color mode of CMYK documents
+const CMYK_MODE = 4;
+
+/**
+ * Give ag-psd a node-canvas implementation so composite images, layer pixels
+ * and the JPEG thumbnail resource can be decoded.
+ * Must run once per thread before readPsd is called.
+ */
+function initializePsdCanvas() {
+    psd.initializeCanvas(
+        (width, height) => createCanvas(width, height),
+        (data) => {
+            const image = new Image();
+            image.src = Buffer.from(data);
+            const canvas = createCanvas(image.width, image.height);
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            return canvas;
+        }
+    );
+}
+
+/**
+ * Let ag-psd read CMYK documents. It decodes CMYK layers and composites
+ * (converting them to RGB) but only lists Bitmap, Grayscale and RGB as
+ * supported, so CMYK print files would otherwise get a header-only analysis.
+ * The list is not part of ag-psd's public API, which is why package.json pins
+ * ag-psd to an exact version; check this still works before upgrading it.
+ * Must run once per thread before readPsd is called.
+ * @throws {Error} - When the installed ag-psd no longer exposes the list
+ */
+function enableCmykDocuments() {
+    if (!Array.isArray(psdReader.supportedColorModes)) {
+        throw new Error(`ag-psd ${psdVersion} does not expose supportedColorModes; CMYK documents cannot be enabled`);
+    }
+    if (!psdReader.supportedColorModes.includes(CMYK_MODE)) {
+        psdReader.supportedColorModes.push(CMYK_MODE);
+    }
+}
+
+module.exports = { initializePsdCanvas, enableCmykDocuments };
@@ -0,0 +1,568 @@
+const FontCatalog = require('./font-catalog');
+
+/**
+ * Color checks: the dominant colors of the rendered document, whether
+ * those, the text colors and the solid fill layers stay within a palette the
+ * instructor supplies, and the WCAG contrast of text against what it sits on.
+ * Colors are compared in CIELAB with the CIEDE2000 difference (ΔE), where
+ * about 2 is the smallest difference most people see.
+ */
+
+// Pixels are counted in buckets of 5 bits per channel (32 levels)
+const BUCKET_SHIFT = 3;
+
+// Buckets with less of the image than this (percent) are noise, e.g. anti-aliased edges
+const MIN_BUCKET_PERCENT = 0.05;
+
+// Buckets closer than this (ΔE) are merged into one dominant color
+const CLUSTER_DELTA_E = 5;
+
+// Dominant colors are kept down to this share of the image (percent), at most MAX_DOMINANT of them
+const MIN_DOMINANT_PERCENT = 0.5;
+const MAX_DOMINANT = 16;
+
+// Colors closer than this (ΔE) are reported as one color with several places it was found
+const SAME_COLOR_DELTA_E = 2.3;
+
+// Colors with less chroma than this (CIELAB) read as white, black or gray
+const NEUTRAL_CHROMA = 5;
+
+const DEFAULT_TOLERANCE = 10;
+const DEFAULT_MIN_COVERAGE = 2;
+
+// At most this many pixels behind a text layer are sampled
+const MAX_CONTRAST_SAMPLES = 10000;
+
+// Contrast is reported for the background pixel this far (percent) into the
+// worst-contrasting pixels, so a few stray pixels do not fail a layer
+const CONTRAST_PERCENTILE = 10;
+
+// WCAG 2 minimum contrast ratios for normal and large text
+const CONTRAST_LEVELS = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 }
+};
+
+// WCAG large text: 18 pt, or 14 pt when bold
+const LARGE_TEXT_PT = 18;
+const LARGE_BOLD_TEXT_PT = 14;
+const BOLD_WEIGHTS = ['Bold', 'Extra Bold', 'Heavy', 'Black'];
+
+// A text layer is quoted in feedback by at most this many characters
+const EXCERPT_LENGTH = 30;
+
+const fontCatalog = new FontCatalog();
+
+class ColorChecks {
+    /**
+     * Dominant colors of a rendered image, largest first. Transparent pixels are ignored.
+     * @param {Object} canvas - Canvas with the rendered document (see PreviewRenderer.renderDocument)
+     * @returns {Array} - Colors ({ hex, percent })
+     */
+    dominantColors(canvas) {
+        const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const buckets = new Map();
+        let total = 0;
+
+        for (let index = 0; index < data.length; index += 4) {
+            if (data[index + 3] < 128) continue;
+            const r = data[index];
+            const g = data[index + 1];
+            const b = data[index + 2];
+            const key = ((r >> BUCKET_SHIFT) << 10) | ((g >> BUCKET_SHIFT) << 5) | (b >> BUCKET_SHIFT);
+            const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+            bucket.count++;
+            bucket.r += r;
+            bucket.g += g;
+            bucket.b += b;
+            buckets.set(key, bucket);
+            total++;
+        }
+        if (total === 0) return [];
+
+        // Largest buckets seed the clusters, so each cluster is named after its most common shade
+        const clusters = [];
+        Array.from(buckets.values())
+            .filter(bucket => bucket.count / total * 100 >= MIN_BUCKET_PERCENT)
+            .sort((a, b) => b.count - a.count)
+            .forEach(bucket => {
+                const lab = rgbToLab({ r: bucket.r / bucket.count, g: bucket.g / bucket.count, b: bucket.b / bucket.count });
+                const cluster = clusters.find(candidate => deltaE(candidate.lab, lab) < CLUSTER_DELTA_E);
+                if (cluster) {
+                    cluster.count += bucket.count;
+                    cluster.r += bucket.r;
+                    cluster.g += bucket.g;
+                    cluster.b += bucket.b;
+                } else {
+                    clusters.push({ lab: lab, count: bucket.count, r: bucket.r, g: bucket.g, b: bucket.b });
+                }
+            });
+
+        return clusters
+            .map(cluster => ({
+                hex: rgbToHex({ r: cluster.r / cluster.count, g: cluster.g / cluster.count, b: cluster.b / cluster.count }),
+                percent: Math.round(cluster.count / total * 1000) / 10
+            }))
+            .filter(color => color.percent >= MIN_DOMINANT_PERCENT)
+            .sort((a, b) => b.percent - a.percent)
+            .slice(0, MAX_DOMINANT);
+    }
+
+    /**
+     * Contrast of a text color against the pixels behind a text layer. When the
+     * image still contains the text, pixels less than halfway from the text color
+     * to the most different pixel are taken to be text or its anti-aliased edges.
+     * @param {Object} canvas - Rendered background (see PreviewRenderer.renderBackground)
+     * @param {Object} box - Area behind the layer in canvas pixels ({ left, top, right, bottom })
+     * @param {string} color - Text color as hex
+     * @param {boolean} withoutText - Whether the canvas was rendered without text layers
+     * @returns {Object|null} - { background (hex), ratio }, or null when the area is empty
+     */
+    measureContrast(canvas, box, color, withoutText) {
+        const left = Math.max(0, Math.floor(box.left));
+        const top = Math.max(0, Math.floor(box.top));
+        const width = Math.min(canvas.width, Math.ceil(box.right)) - left;
+        const height = Math.min(canvas.height, Math.ceil(box.bottom)) - top;
+        if (width <= 0 || height <= 0) return null;
+
+        const { data } = canvas.getContext('2d').getImageData(left, top, width, height);
+        const text = hexToRgb(color);
+        const textLuminance = relativeLuminance(text);
+        const step = Math.max(1, Math.floor(Math.sqrt(width * height / MAX_CONTRAST_SAMPLES)));
+        let pixels = [];
+
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const index = (y * width + x) * 4;
+                const rgb = { r: data[index], g: data[index + 1], b: data[index + 2] };
+                pixels.push({ rgb: rgb, distance: Math.hypot(rgb.r - text.r, rgb.g - text.g, rgb.b - text.b) });
+            }
+        }
+
+        if (!withoutText) {
+            const farthest = Math.max(...pixels.map(pixel => pixel.distance));
+            pixels = pixels.filter(pixel => pixel.distance > 0 && pixel.distance >= farthest / 2);
+        }
+        if (pixels.length === 0) return null;
+
+        const measured = pixels
+            .map(pixel => ({ rgb: pixel.rgb, ratio: contrastRatio(textLuminance, relativeLuminance(pixel.rgb)) }))
+            .sort((a, b) => a.ratio - b.ratio);
+        const worst = measured[Math.floor((measured.length - 1) * CONTRAST_PERCENTILE / 100)];
+
+        return { background: rgbToHex(worst.rgb), ratio: Math.round(worst.ratio * 100) / 100 };
+    }
+
+    /**
+     * WCAG contrast of every visible text layer whose background was measured
+     * (see FileProcessor.measureTextContrast). Each style run must meet the
+     * ratio for its size; the layer is graded by its worst run.
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - { level: 'AA' or 'AAA', allowed }
+     * @returns {Object} - Check outcome with `layers` (every layer measured) and `flagged` (layers below the level)
+     */
+    checkContrast(analysis, settings) {
+        const level = CONTRAST_LEVELS[settings.level] ? settings.level : 'AA';
+        const allowed = Math.max(0, Number(settings.allowed) || 0);
+        const pointsPerPixel = 72 / (Number(analysis.resolution) || 72);
+        const textLayers = (analysis.layers || []).filter(layer => layer.isText && layer.visible !== false);
+        const measuredLayers = textLayers.filter(layer => layer.contrast && layer.contrast.length > 0);
+
+        const layers = measuredLayers.map(layer => {
+            const runs = (layer.textRuns && layer.textRuns.length > 0 ? layer.textRuns : [{ color: null, sizePx: layer.fontSize }])
+                .map(run => {
+                    const measurement = layer.contrast.find(entry => entry.color === run.color) || layer.contrast[0];
+                    const size = run.sizePx ? Math.round(run.sizePx * pointsPerPixel * 10) / 10 : null;
+                    const large = size !== null && (size >= LARGE_TEXT_PT || (size >= LARGE_BOLD_TEXT_PT && isBold(run)));
+                    const required = ratio => CONTRAST_LEVELS[ratio][large ? 'large' : 'normal'];
+                    return { ...measurement, size: size, large: large, aa: measurement.ratio >= required('AA'), aaa: measurement.ratio >= required('AAA'), required: required(level) };
+                });
+            const worst = runs.reduce((lowest, run) => run.ratio / run.required < lowest.ratio / lowest.required ? run : lowest);
+
+            return {
+                layer: layer.name,
+                text: excerpt(layer.textContent),
+                color: worst.color,
+                background: worst.background,
+                ratio: worst.ratio,
+                large: worst.large,
+                aa: runs.every(run => run.aa),
+                aaa: runs.every(run => run.aaa),
+                passed: runs.every(run => run[level.toLowerCase()]),
+                required: worst.required,
+                box: documentBox(layer.bounds, analysis)
+            };
+        });
+
+        const flagged = layers
+            .filter(layer => !layer.passed)
+            .map(layer => ({
+                layer: layer.layer,
+                text: layer.text,
+                reason: `${layer.ratio}:1 (${layer.color} on ${layer.background}), needs ${layer.required}:1 for ${layer.large ? 'large' : 'normal'} text`,
+                box: layer.box
+            }));
+
+        let actual;
+        if (textLayers.length === 0) {
+            actual = 'No text layers';
+        } else if (layers.length === 0) {
+            actual = 'Contrast could not be measured (no rendered pixels behind the text)';
+        } else {
+            actual = flagged.length > 0
+                ? `${flagged.length} of ${layers.length} text layer${layers.length === 1 ? '' : 's'} below ${level}: ${flagged.map(entry => `${entry.layer} (${entry.reason})`).join('; ')}`
+                : `All ${layers.length} text layer${layers.length === 1 ? '' : 's'} meet ${level}`;
+        }
+
+        return {
+            id: 'contrast',
+            criterion: 'Text Contrast',
+            expected: `WCAG ${level}: ${CONTRAST_LEVELS[level].normal}:1, or ${CONTRAST_LEVELS[level].large}:1 for large text${allowed > 0 ? `; up to ${allowed} layer${allowed === 1 ? '' : 's'} below` : ''}`,
+            actual: actual,
+            passed: (textLayers.length === 0 || layers.length > 0) && flagged.length <= allowed,
+            flagged: flagged,
+            checkedCount: layers.length,
+            wcagLevel: level,
+            layers: layers
+        };
+    }
+
+    /**
+     * Check the document's dominant colors, text colors and solid fill layers against a palette
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - { colors (hex), tolerance (ΔE), minCoverage (percent), allowNeutrals, allowed }
+     * @returns {Object} - Check outcome with `colors` (every color found) and `flagged` (off-palette colors)
+     */
+    checkPalette(analysis, settings) {
+        const palette = (settings.colors || []).map(normalizeHex).filter(Boolean);
+        const tolerance = Number(settings.tolerance) > 0 ? Number(settings.tolerance) : DEFAULT_TOLERANCE;
+        const minCoverage = settings.minCoverage === null || settings.minCoverage === undefined || settings.minCoverage === ''
+            ? DEFAULT_MIN_COVERAGE
+            : Math.max(0, Number(settings.minCoverage) || 0);
+        const allowNeutrals = settings.allowNeutrals !== false;
+        const allowed = Math.max(0, Number(settings.allowed) || 0);
+        const paletteLab = palette.map(hex => ({ hex: hex, lab: rgbToLab(hexToRgb(hex)) }));
+
+        const colors = colorSources(analysis, minCoverage).map(color => {
+            const lab = rgbToLab(hexToRgb(color.hex));
+            const nearest = paletteLab
+                .map(entry => ({ hex: entry.hex, deltaE: deltaE(lab, entry.lab) }))
+                .sort((a, b) => a.deltaE - b.deltaE)[0];
+            const neutral = Math.hypot(lab.a, lab.b) < NEUTRAL_CHROMA;
+            const distance = nearest ? Math.round(nearest.deltaE * 10) / 10 : null;
+
+            return {
+                hex: color.hex,
+                where: color.where,
+                nearest: nearest ? nearest.hex : null,
+                deltaE: distance,
+                neutral: neutral,
+                onPalette: (allowNeutrals && neutral) || (distance !== null && distance <= tolerance)
+            };
+        });
+
+        const flagged = colors
+            .filter(color => !color.onPalette)
+            .map(color => ({
+                layer: color.where.join(', '),
+                hex: color.hex,
+                nearest: color.nearest,
+                deltaE: color.deltaE,
+                reason: color.nearest ? `${color.hex}, ΔE ${color.deltaE} from ${color.nearest}` : color.hex
+            }));
+
+        let actual = flagged.length > 0
+            ? `${flagged.length} off-palette color${flagged.length === 1 ? '' : 's'}: ${flagged.map(entry => `${entry.hex} (${entry.layer})`).join('; ')}`
+            : colors.length > 0 ? `All ${colors.length} color${colors.length === 1 ? '' : 's'} on the palette` : 'No colors found';
+        if (!Array.isArray(analysis.dominantColors)) {
+            actual += ' (image not rendered; only text and fill colors checked)';
+        }
+
+        return {
+            id: 'palette',
+            criterion: 'Color Palette',
+            expected: palette.length > 0
+                ? `Colors within ΔE ${tolerance} of ${palette.join(', ')}${allowNeutrals ? ', or neutral' : ''}`
+                : 'A palette to compare against',
+            actual: actual,
+            passed: palette.length > 0 && flagged.length <= allowed,
+            flagged: flagged,
+            checkedCount: colors.length,
+            palette: palette,
+            colors: colors
+        };
+    }
+}
+
+/**
+ * Every color to check, with where each was found. Colors that look the same
+ * are merged, so a brand color used in several layers is listed once.
+ * @param {Object} analysis - File analysis
+ * @param {number} minCoverage - Smallest share of the image (percent) a dominant color needs to count
+ * @returns {Array} - Colors ({ hex, where })
+ */
+function colorSources(analysis, minCoverage) {
+    const found = [];
+    const add = (hex, where) => {
+        if (!hex) return;
+        const lab = rgbToLab(hexToRgb(hex));
+        const color = found.find(entry => deltaE(entry.lab, lab) < SAME_COLOR_DELTA_E);
+        if (!color) {
+            found.push({ hex: hex, lab: lab, where: [where] });
+        } else if (!color.where.includes(where)) {
+            color.where.push(where);
+        }
+    };
+
+    (analysis.dominantColors || [])
+        .filter(color => color.percent >= minCoverage)
+        .forEach(color => add(color.hex, `${color.percent}% of the image`));
+
+    (analysis.layers || [])
+        .filter(layer => layer.visible !== false)
+        .forEach(layer => {
+            (layer.textRuns || []).forEach(run => add(run.color, `text in ${layer.name}`));
+            add(layer.fillColor, `fill layer ${layer.name}`);
+        });
+
+    return found.map(color => ({ hex: color.hex, where: color.where }));
+}
+
+/**
+ * Whether a style run is set in a bold (or heavier) font, or faux bold
+ * @param {Object} run - Text run
+ * @returns {boolean}
+ */
+function isBold(run) {
+    if (run.fauxBold) return true;
+    if (!run.font) return false;
+    const weight = fontCatalog.resolve(run.font).weight;
+    return BOLD_WEIGHTS.includes(weight) || Number(weight) >= 700;
+}
+
+/**
+ * Layer bounds as percentages of the document, for marking the layer on a preview
+ * @param {Object} bounds - { left, top, right, bottom } in pixels
+ * @param {Object} analysis - File analysis with the document size
+ * @returns {Object|null} - { left, top, width, height } in percent
+ */
+function documentBox(bounds, analysis) {
+    if (!bounds || !analysis.width || !analysis.height) return null;
+    const percent = (value, size) => Math.round(value / size * 1000) / 10;
+    return {
+        left: percent(bounds.left, analysis.width),
+        top: percent(bounds.top, analysis.height),
+        width: percent(bounds.right - bounds.left, analysis.width),
+        height: percent(bounds.bottom - bounds.top, analysis.height)
+    };
+}
+
+/**
+ * Start of a layer's text for feedback, on one line
+ * @param {string} text - Layer text
+ * @returns {string}
+ */
+function excerpt(text) {
+    const line = String(text || '').replace(/\s+/g, ' ').trim();
+    return line.length > EXCERPT_LENGTH ? `${line.slice(0, EXCERPT_LENGTH - 1)}…` : line;
+}
+
+/**
+ * WCAG relative luminance
+ * @param {Object} rgb - { r, g, b } from 0 to 255
+ * @returns {number} - From 0 (black) to 1 (white)
+ */
+function relativeLuminance({ r, g, b }) {
+    return 0.2126 * linearChannel(r) + 0.7152 * linearChannel(g) + 0.0722 * linearChannel(b);
+}
+
+/**
+ * WCAG contrast ratio of two luminances
+ * @param {number} first - Relative luminance
+ * @param {number} second - Relative luminance
+ * @returns {number} - From 1 to 21
+ */
+function contrastRatio(first, second) {
+    return (Math.max(first, second) + 0.05) / (Math.min(first, second) + 0.05);
+}
+
+/**
+ * "#1B365D" form of a hex color as typed
+ * @param {string} value - e.g. "1b365d" or "#1B365D"
+ * @returns {string|null}
+ */
+function normalizeHex(value) {
+    const match = String(value || '').trim().match(/^#?([0-9a-f]{6})$/i);
+    return match ? `#${match[1].toUpperCase()}` : null;
+}
+
+/**
+ * Hex form of a color as ag-psd decodes it. Text colors are RGB from 0 to
+ * 255; descriptor colors (fill layers) may also be CMYK, grayscale or HSB in
+ * percent, or Lab. CMYK is converted without a color profile, so it is approximate.
+ * @param {Object} color - ag-psd color
+ * @returns {string|null}
+ */
+function toHex(color) {
+    if (!color || typeof color !== 'object') return null;
+
+    if ('r' in color) return rgbToHex(color);
+    if ('fr' in color) return rgbToHex({ r: color.fr * 255, g: color.fg * 255, b: color.fb * 255 });
+    if ('h' in color) return rgbToHex(hsbToRgb(color));
+    if ('c' in color) {
+        const white = 255 * (1 - (color.k || 0) / 100);
+        return rgbToHex({
+            r: white * (1 - (color.c || 0) / 100),
+            g: white * (1 - (color.m || 0) / 100),
+            b: white * (1 - (color.y || 0) / 100)
+        });
+    }
+    if ('l' in color) return rgbToHex(labToRgb(color));
+    if ('k' in color) {
+        const value = 255 * (1 - color.k / 100);
+        return rgbToHex({ r: value, g: value, b: value });
+    }
+    return null;
+}
+
+/**
+ * @param {Object} rgb - { r, g, b } from 0 to 255
+ * @returns {string} - e.g. "#1B365D"
+ */
+function rgbToHex({ r, g, b }) {
+    const channel = value => Math.max(0, Math.min(255, Math.round(value || 0))).toString(16).padStart(2, '0');
+    return `#${channel(r)}${channel(g)}${channel(b)}`.toUpperCase();
+}
+
+/**
+ * @param {string} hex - "#RRGGBB"
+ * @returns {Object} - { r, g, b } from 0 to 255
+ */
+function hexToRgb(hex) {
+    const value = parseInt(normalizeHex(hex).slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+/**
+ * @param {Object} hsb - { h } from 0 to 1 (degrees when above 1), { s, b } in percent
+ * @returns {Object} - { r, g, b } from 0 to 255
+ */
+function hsbToRgb({ h, s, b }) {
+    const hue = ((h > 1 ? h / 360 : h) % 1 + 1) % 1 * 6;
+    const saturation = (s || 0) / 100;
+    const value = (b || 0) / 100 * 255;
+    const sector = Math.floor(hue);
+    const fraction = hue - sector;
+    const p = value * (1 - saturation);
+    const q = value * (1 - saturation * fraction);
+    const t = value * (1 - saturation * (1 - fraction));
+    const [r, g, bl] = [[value, t, p], [q, value, p], [p, value, t], [p, q, value], [t, p, value], [value, p, q]][sector % 6];
+    return { r: r, g: g, b: bl };
+}
+
+/**
+ * sRGB channel to linear light
+ * @param {number} value - Channel from 0 to 255
+ * @returns {number} - From 0 to 1
+ */
+function linearChannel(value) {
+    const channel = value / 255;
+    return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * sRGB to CIELAB (D65 white)
+ * @param {Object} rgb - { r, g, b } from 0 to 255
+ * @returns {Object} - { l, a, b }
+ */
+function rgbToLab({ r, g, b }) {
+    const [lr, lg, lb] = [linearChannel(r), linearChannel(g), linearChannel(b)];
+    const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+    const y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750;
+    const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+    const f = value => value > 216 / 24389 ? Math.cbrt(value) : (24389 / 27 * value + 16) / 116;
+    const [fx, fy, fz] = [f(x), f(y), f(z)];
+
+    return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+/**
+ * CIELAB (D65 white) to sRGB, clipped to the sRGB gamut
+ * @param {Object} lab - { l, a, b }
+ * @returns {Object} - { r, g, b } from 0 to 255
+ */
+function labToRgb({ l, a, b }) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inverse = value => value * value * value > 216 / 24389 ? value * value * value : (116 * value - 16) / (24389 / 27);
+    const [x, y, z] = [inverse(fx) * 0.95047, inverse(fy), inverse(fz) * 1.08883];
+    const gamma = value => {
+        const channel = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+        return Math.max(0, Math.min(1, channel)) * 255;
+    };
+
+    return {
+        r: gamma(x * 3.2404542 - y * 1.5371385 - z * 0.4985314),
+        g: gamma(-x * 0.9692660 + y * 1.8760108 + z * 0.0415560),
+        b: gamma(x * 0.0556434 - y * 0.2040259 + z * 1.0572252)
+    };
+}
+
+/**
+ * CIEDE2000 color difference
+ * @param {Object} first - { l, a, b }
+ * @param {Object} second - { l, a, b }
+ * @returns {number} - ΔE; 0 for the same color
+ */
+function deltaE(first, second) {
+    const radians = Math.PI / 180;
+    const chroma1 = Math.hypot(first.a, first.b);
+    const chroma2 = Math.hypot(second.a, second.b);
+    const meanChroma7 = Math.pow((chroma1 + chroma2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(meanChroma7 / (meanChroma7 + Math.pow(25, 7))));
+    const a1 = first.a * (1 + g);
+    const a2 = second.a * (1 + g);
+    const c1 = Math.hypot(a1, first.b);
+    const c2 = Math.hypot(a2, second.b);
+    const hue = (b, a) => a === 0 && b === 0 ? 0 : (Math.atan2(b, a) / radians + 360) % 360;
+    const h1 = hue(first.b, a1);
+    const h2 = hue(second.b, a2);
+
+    const deltaL = second.l - first.l;
+    const deltaC = c2 - c1;
+    let deltaH = 0;
+    if (c1 * c2 !== 0) {
+        deltaH = h2 - h1;
+        if (deltaH > 180) deltaH -= 360;
+        if (deltaH < -180) deltaH += 360;
+    }
+    const deltaBigH = 2 * Math.sqrt(c1 * c2) * Math.sin(deltaH / 2 * radians);
+
+    const meanL = (first.l + second.l) / 2;
+    const meanC = (c1 + c2) / 2;
+    let meanH = h1 + h2;
+    if (c1 * c2 !== 0) {
+        meanH = Math.abs(h1 - h2) <= 180 ? (h1 + h2) / 2 : (h1 + h2 + (h1 + h2 < 360 ? 360 : -360)) / 2;
+    }
+
+    const t = 1 - 0.17 * Math.cos((meanH - 30) * radians) + 0.24 * Math.cos(2 * meanH * radians) +
+        0.32 * Math.cos((3 * meanH + 6) * radians) - 0.20 * Math.cos((4 * meanH - 63) * radians);
+    const meanC7 = Math.pow(meanC, 7);
+    const rotation = -2 * Math.sqrt(meanC7 / (meanC7 + Math.pow(25, 7))) *
+        Math.sin(60 * Math.exp(-Math.pow((meanH - 275) / 25, 2)) * radians);
+    const sl = 1 + 0.015 * Math.pow(meanL - 50, 2) / Math.sqrt(20 + Math.pow(meanL - 50, 2));
+    const sc = 1 + 0.045 * meanC;
+    const sh = 1 + 0.015 * meanC * t;
+
+    return Math.sqrt(
+        Math.pow(deltaL / sl, 2) + Math.pow(deltaC / sc, 2) + Math.pow(deltaBigH / sh, 2) +
+        rotation * (deltaC / sc) * (deltaBigH / sh)
+    );
+}
+
+ColorChecks.toHex = toHex;
+ColorChecks.normalizeHex = normalizeHex;
+ColorChecks.documentBox = documentBox;
+
+module.exports = ColorChecks;
@@ -0,0 +1,592 @@
+const Ajv = require('ajv');
+const Rubric = require('./rubric');
+
+const PATTERN_TYPES = ['custom', 'exact', 'contains', 'regex', 'class_name_assignment', 'name_class_assignment', 'assignment_name_class'];
+const SCORING_RULES = ['all', 'perItem', 'proportional', 'bands'];
+
+// Form input that holds the setting a form-built row is missing (see Rubric.missingSettings)
+const FORM_SETTING_FIELDS = {
+    filename: 'filename.pattern',
+    dimensions: 'technical.width',
+    colorMode: 'technical.colorMode',
+    layers: 'technical.minLayers',
+    requiredLayers: 'technical.requiredLayers',
+    resolution: 'technical.resolution',
+    bitDepth: 'technical.bitDepth',
+    colorProfile: 'technical.colorProfile.profiles',
+    requiredText: 'text.requiredText.phrases',
+    textLength: 'text.textLength.min',
+    palette: 'color.palette.colors',
+    bleedSize: 'preflight.bleedSize.width',
+    safeMargin: 'preflight.safeMargin.margin'
+};
+
+const points = { type: 'number', minimum: 0 };
+const optionalPoints = { type: ['number', 'null'], minimum: 0 };
+const percent = { type: 'number', minimum: 0, maximum: 100 };
+const nameList = { type: 'array', items: { type: 'string' } };
+
+const bands = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['within', 'credit'],
+        properties: {
+            within: points,
+            credit: percent
+        }
+    }
+};
+
+const technique = {
+    type: ['object', 'null'],
+    properties: {
+        min: { type: ['integer', 'null'], minimum: 0 },
+        types: nameList
+    }
+};
+
+const allowedCount = { type: ['integer', 'null'], minimum: 0 };
+
+const hexColor = { type: 'string', pattern: '^#?[0-9a-fA-F]{6}$' };
+
+const organizationCheck = {
+    type: ['object', 'null'],
+    properties: {
+        allowed: allowedCount
+    }
+};
+
+const phraseList = {
+    type: 'array',
+    items: {
+        type: ['string', 'object'],
+        minLength: 1,
+        required: ['text'],
+        properties: {
+            text: { type: 'string', minLength: 1 },
+            layer: { type: 'string' }
+        }
+    }
+};
+
+const range = {
+    type: ['object', 'null'],
+    properties: {
+        min: { type: ['number', 'null'] },
+        max: { type: ['number', 'null'] }
+    }
+};
+
+const levels = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['name', 'min'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            min: percent,
+            id: { type: ['string', 'number'] }
+        }
+    }
+};
+
+/**
+ * JSON Schema for the criteria object built by getEnabledCriteria() in main.js.
+ * Unknown properties are allowed so older sessions and presets still load;
+ * rules JSON Schema cannot express are checked in CriteriaValidator.validate.
+ */
+const CRITERIA_SCHEMA = {
+    type: 'object',
+    properties: {
+        filename: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                patternType: { enum: PATTERN_TYPES },
+                pattern: { type: 'string' },
+                points: points,
+                caseSensitive: { type: 'boolean' }
+            },
+            allOf: [
+                {
+                    if: { properties: { enabled: { const: true } }, required: ['enabled'] },
+                    then: { required: ['patternType'] }
+                },
+                {
+                    // The named presets supply their own pattern
+                    if: {
+                        properties: { enabled: { const: true }, patternType: { enum: ['custom', 'exact', 'contains', 'regex'] } },
+                        required: ['enabled', 'patternType']
+                    },
+                    then: { required: ['pattern'], properties: { pattern: { type: 'string', minLength: 1 } } }
+                },
+                {
+                    if: { properties: { patternType: { const: 'regex' } }, required: ['patternType'] },
+                    then: { properties: { pattern: { type: 'string', format: 'regex' } } }
+                }
+            ]
+        },
+        technical: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                width: { type: ['integer', 'null'], minimum: 1 },
+                height: { type: ['integer', 'null'], minimum: 1 },
+                colorMode: { enum: ['', 'RGB', 'CMYK', 'Grayscale', null] },
+                minLayers: { type: ['integer', 'null'], minimum: 0 },
+                requiredLayers: nameList,
+                resolution: { type: ['number', 'null'], exclusiveMinimum: 0 },
+                bitDepth: { enum: [1, 8, 16, 32, null] },
+                colorProfile: {
+                    type: ['object', 'null'],
+                    properties: {
+                        profiles: nameList
+                    }
+                },
+                pointsPerCriterion: points
+            }
+        },
+        fonts: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                approvedFonts: nameList,
+                requiredFonts: nameList,
+                pointsPerCriterion: points
+            }
+        },
+        techniques: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                pointsPerCriterion: points,
+                ...Object.fromEntries(Rubric.TECHNIQUE_TYPES.map(type => [type, technique])),
+                nonDestructive: {
+                    type: ['object', 'null'],
+                    properties: {
+                        minNonDestructive: { type: 'integer', minimum: 0 },
+                        maxDestructive: { type: 'integer', minimum: 0 }
+                    }
+                }
+            }
+        },
+        organization: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                pointsPerCriterion: points,
+                ...Object.fromEntries(Rubric.ORGANIZATION_TYPES.map(type => [type, organizationCheck])),
+                ungroupedLayers: {
+                    ...organizationCheck,
+                    properties: { allowed: allowedCount, threshold: allowedCount }
+                },
+                groupNesting: {
+                    ...organizationCheck,
+                    properties: { allowed: allowedCount, maxDepth: { type: ['integer', 'null'], minimum: 1 } }
+                }
+            }
+        },
+        text: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                pointsPerCriterion: points,
+                requiredText: {
+                    type: ['object', 'null'],
+                    properties: {
+                        phrases: phraseList,
+                        matchPercent: { type: ['number', 'null'], minimum: 1, maximum: 100 }
+                    }
+                },
+                forbiddenText: {
+                    type: ['object', 'null'],
+                    properties: {
+                        phrases: nameList
+                    }
+                },
+                textLength: {
+                    type: ['object', 'null'],
+                    properties: {
+                        min: allowedCount,
+                        max: allowedCount,
+                        layer: { type: 'string' }
+                    }
+                },
+                spelling: {
+                    type: ['object', 'null'],
+                    properties: {
+                        customWords: nameList,
+                        allowed: allowedCount
+                    }
+                }
+            }
+        },
+        typography: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                pointsPerCriterion: points,
+                textSize: {
+                    type: ['object', 'null'],
+                    properties: { min: { type: 'number', exclusiveMinimum: 0 } }
+                },
+                sizeHierarchy: {
+                    type: ['object', 'null'],
+                    properties: { min: { type: 'integer', minimum: 1 } }
+                },
+                fauxStyles: { type: ['object', 'null'] },
+                typefaces: {
+                    type: ['object', 'null'],
+                    properties: { max: { type: 'integer', minimum: 1 } }
+                },
+                leading: {
+                    ...range,
+                    properties: {
+                        min: { type: ['number', 'null'], minimum: 0 },
+                        max: { type: ['number', 'null'], exclusiveMinimum: 0 }
+                    }
+                },
+                tracking: range
+            }
+        },
+        color: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                pointsPerCriterion: points,
+                palette: {
+                    type: ['object', 'null'],
+                    required: ['colors'],
+                    properties: {
+                        colors: { type: 'array', minItems: 1, items: hexColor },
+                        tolerance: { type: ['number', 'null'], exclusiveMinimum: 0 },
+                        minCoverage: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+                        allowNeutrals: { type: 'boolean' },
+                        allowed: allowedCount
+                    }
+                },
+                contrast: {
+                    type: ['object', 'null'],
+                    properties: {
+                        level: { enum: ['AA', 'AAA'] },
+                        allowed: allowedCount
+                    }
+                }
+            }
+        },
+        preflight: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                pointsPerCriterion: points,
+                unit: { enum: ['in', 'mm', 'px'] },
+                bleed: { type: ['number', 'null'], minimum: 0 },
+                bleedSize: {
+                    type: ['object', 'null'],
+                    required: ['width', 'height'],
+                    properties: {
+                        width: { type: 'number', exclusiveMinimum: 0 },
+                        height: { type: 'number', exclusiveMinimum: 0 }
+                    }
+                },
+                safeMargin: {
+                    type: ['object', 'null'],
+                    required: ['margin'],
+                    properties: {
+                        margin: { type: 'number', minimum: 0 },
+                        layers: nameList,
+                        allowed: allowedCount
+                    }
+                },
+                inkCoverage: {
+                    type: ['object', 'null'],
+                    properties: {
+                        max: { type: ['number', 'null'], exclusiveMinimum: 0, maximum: 400 }
+                    }
+                },
+                spotChannels: {
+                    type: ['object', 'null'],
+                    properties: {
+                        mode: { enum: ['none', 'required'] },
+                        names: nameList
+                    }
+                }
+            }
+        },
+        scoring: {
+            type: 'object',
+            properties: {
+                weights: {
+                    type: 'object',
+                    additionalProperties: optionalPoints
+                },
+                partialCredit: {
+                    type: 'object',
+                    additionalProperties: { enum: SCORING_RULES }
+                },
+                bands: {
+                    type: 'object',
+                    additionalProperties: bands
+                },
+                levels: levels
+            }
+        },
+        rubric: {
+            type: 'object',
+            required: ['rows'],
+            properties: {
+                title: { type: 'string' },
+                levels: levels,
+                rows: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['type', 'points'],
+                        properties: {
+                            id: { type: 'string' },
+                            type: { enum: Object.keys(Rubric.CHECK_TYPES) },
+                            title: { type: 'string' },
+                            description: { type: 'string' },
+                            points: points,
+                            settings: { type: 'object' },
+                            scoring: { enum: SCORING_RULES },
+                            bands: bands,
+                            levels: { ...levels, type: ['array', 'null'] },
+                            canvasId: { type: ['string', 'number', 'null'] }
+                        }
+                    }
+                }
+            }
+        },
+        ferpa: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                method: { enum: ['canvas', 'sequential', 'random'] },
+                // Anonymizer drops anything else; underscores would break Canvas filename parsing
+                prefix: { type: 'string', pattern: '^[A-Za-z0-9-]*$' }
+            }
+        },
+        late: {
+            type: 'object',
+            properties: {
+                type: { enum: ['none', 'flat', 'perDay'] },
+                percent: percent,
+                dueDate: { type: ['string', 'null'], format: 'date-time' },
+                capPercent: { ...percent, type: ['number', 'null'] },
+                graceMinutes: { type: 'integer', minimum: 0 },
+                useFileTimes: { type: 'boolean' }
+            }
+        },
+        canvas: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                assignmentName: { type: 'string' },
+                sectionName: { type: 'string' },
+                assignmentId: { type: 'string' },
+                studentIdSource: { type: 'string' }
+            }
+        }
+    }
+};
+
+const TYPE_NAMES = {
+    integer: 'a whole number',
+    number: 'a number',
+    string: 'text',
+    boolean: 'true or false',
+    array: 'a list',
+    object: 'an object'
+};
+
+/**
+ * Checks criteria against CRITERIA_SCHEMA before anything is graded, so bad
+ * input is reported field by field instead of producing confusing scores.
+ */
+class CriteriaValidator {
+    constructor() {
+        const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+        ajv.addFormat('regex', source => {
+            try {
+                new RegExp(source);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        });
+        ajv.addFormat('date-time', value => !Number.isNaN(Date.parse(value)));
+
+        this.validateSchema = ajv.compile(CRITERIA_SCHEMA);
+    }
+
+    /**
+     * Validate a criteria object
+     * @param {Object} criteria - Nested grading criteria
+     * @returns {Array} - Problems ({ field, message }) with dotted field paths
+     *     such as `technical.width`; empty when the criteria are valid
+     */
+    validate(criteria) {
+        if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+            return [{ field: '', message: 'Criteria must be an object' }];
+        }
+
+        if (!this.validateSchema(criteria)) {
+            return this.describeErrors(this.validateSchema.errors);
+        }
+
+        return this.checkScoringRules(criteria)
+            .concat(this.checkRowSettings(criteria))
+            .concat(this.checkLimits(criteria));
+    }
+
+    /**
+     * Every rubric row must resolve to settings its check can grade with: explicit
+     * rows from the row itself or the matching form section, form-built rows from
+     * their form section (see Rubric.missingSettings)
+     * @param {Object} criteria - Criteria that passed the schema
+     * @returns {Array} - Problems ({ field, message })
+     */
+    checkRowSettings(criteria) {
+        if (!Array.isArray(criteria.rubric?.rows)) {
+            return Rubric.formRows(criteria)
+                .map(row => {
+                    const missing = Rubric.missingSettings(row.type, row.settings);
+                    return missing && {
+                        field: FORM_SETTING_FIELDS[row.type],
+                        message: `${Rubric.CHECK_TYPES[row.type].title} needs ${missing}`
+                    };
+                })
+                .filter(Boolean);
+        }
+
+        return criteria.rubric.rows
+            .map((row, index) => {
+                const missing = Rubric.missingSettings(row.type, Rubric.rowSettings(criteria, row));
+                if (!missing) return null;
+
+                const where = row.settings ? 'in its settings' : 'in its settings or the criteria form';
+                return {
+                    field: `rubric.rows.${index}.settings`,
+                    message: `${row.title || Rubric.CHECK_TYPES[row.type].title} needs ${missing} ${where}`
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Ranges JSON Schema cannot compare, such as a minimum above its maximum
+     * @param {Object} criteria - Criteria that passed the schema
+     * @returns {Array} - Problems ({ field, message })
+     */
+    checkLimits(criteria) {
+        const ranges = {
+            'text.textLength': criteria.text?.textLength,
+            'typography.leading': criteria.typography?.leading,
+            'typography.tracking': criteria.typography?.tracking
+        };
+        const isSet = value => value !== null && value !== undefined;
+
+        return Object.entries(ranges)
+            .filter(([, range]) => range && isSet(range.min) && isSet(range.max) && range.min > range.max)
+            .map(([field, range]) => ({ field: `${field}.max`, message: `Must be at least the minimum (${range.min})` }));
+    }
+
+    /**
+     * Partial-credit rules must be ones the check supports (see Rubric.CHECK_TYPES)
+     * @param {Object} criteria - Criteria that passed the schema
+     * @returns {Array} - Problems ({ field, message })
+     */
+    checkScoringRules(criteria) {
+        const errors = [];
+        const check = (type, scoring, field) => {
+            const checkType = Rubric.CHECK_TYPES[type];
+            if (checkType && scoring && !checkType.scoring.includes(scoring)) {
+                errors.push({ field, message: `${checkType.title} does not support "${scoring}" partial credit` });
+            }
+        };
+
+        Object.entries(criteria.scoring?.partialCredit || {}).forEach(([type, scoring]) => {
+            check(type, scoring, `scoring.partialCredit.${type}`);
+        });
+        (criteria.rubric?.rows || []).forEach((row, index) => {
+            check(row.type, row.scoring, `rubric.rows.${index}.scoring`);
+        });
+
+        return errors;
+    }
+
+    /**
+     * Turn Ajv errors into one readable message per field
+     * @param {Array} ajvErrors - Errors from the compiled schema
+     * @returns {Array} - Problems ({ field, message })
+     */
+    describeErrors(ajvErrors) {
+        const errors = new Map();
+
+        ajvErrors.forEach(error => {
+            // "must match then schema" only repeats the errors inside it
+            if (error.keyword === 'if') return;
+
+            let path = error.instancePath.slice(1).split('/').filter(Boolean);
+            if (error.keyword === 'required') {
+                path = path.concat(error.params.missingProperty);
+            }
+
+            const field = path.join('.');
+            if (!errors.has(field)) {
+                errors.set(field, this.describeError(error));
+            }
+        });
+
+        return Array.from(errors, ([field, message]) => ({ field, message }));
+    }
+
+    /**
+     * Readable message for one Ajv error
+     * @param {Object} error - Ajv error
+     * @returns {string}
+     */
+    describeError(error) {
+        const params = error.params;
+
+        switch (error.keyword) {
+            case 'required':
+                return 'Is required';
+            case 'type': {
+                const type = String(params.type).split(',')[0];
+                return `Must be ${TYPE_NAMES[type] || type}`;
+            }
+            case 'minimum':
+                return `Must be at least ${params.limit}`;
+            case 'maximum':
+                return `Must be at most ${params.limit}`;
+            case 'exclusiveMinimum':
+                return `Must be more than ${params.limit}`;
+            case 'minLength':
+                return 'Cannot be empty';
+            case 'minItems':
+                return `Needs at least ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+            case 'enum':
+            case 'const': {
+                const allowed = (params.allowedValues || [params.allowedValue]).filter(value => value !== null && value !== '');
+                return `Must be one of: ${allowed.join(', ')}`;
+            }
+            case 'pattern':
+                return params.pattern === hexColor.pattern
+                    ? 'Must be a hex color such as #1B365D'
+                    : 'May only contain letters, digits and "-"';
+            case 'format':
+                return params.format === 'regex' ? 'Is not a valid regular expression' : 'Is not a valid date and time';
+            default:
+                return error.message;
+        }
+    }
+}
+
+CriteriaValidator.SCHEMA = CRITERIA_SCHEMA;
+
+module.exports = CriteriaValidator;
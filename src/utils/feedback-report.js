@@ -0,0 +1,437 @@
+const yazl = require('yazl');
+const Grader = require('./grader');
+const Rubric = require('./rubric');
+
+/**
+ * Builds standalone HTML feedback reports from graded results and bundles
+ * them into a ZIP that Canvas accepts as bulk-uploaded submission feedback.
+ */
+class FeedbackReport {
+    constructor() {
+        this.grader = new Grader();
+    }
+
+    /**
+     * Bundle one report per submission into a ZIP
+     * @param {Object} session - Saved session (name, criteria, files)
+     * @returns {stream.Readable} - ZIP contents
+     */
+    createZip(session) {
+        const zip = new yazl.ZipFile();
+        const usedNames = new Set();
+
+        session.files.forEach(file => {
+            const name = this.uniqueName(this.entryName(file), usedNames);
+            zip.addBuffer(Buffer.from(this.render(file, session)), name);
+        });
+
+        zip.end();
+        return zip.outputStream;
+    }
+
+    /**
+     * ZIP entry name for a submission's report. Canvas matches bulk feedback
+     * to students by the name/user/submission prefix of its download filenames.
+     * @param {Object} file - Graded result
+     * @returns {string} - Entry name
+     */
+    entryName(file) {
+        const canvasData = file.canvasData;
+
+        if (canvasData) {
+            const parts = [canvasData.studentName];
+            if (canvasData.isLate) parts.push('LATE');
+            parts.push(canvasData.userId, canvasData.submissionId, canvasData.originalFilename);
+            return `${parts.join('_')}_feedback.html`;
+        }
+
+        const baseName = file.filename.split('/').pop().replace(/\.psd$/i, '');
+        return `${baseName}_feedback.html`;
+    }
+
+    /**
+     * Avoid overwriting entries when two files share a name
+     * @param {string} name - Preferred entry name
+     * @param {Set} usedNames - Names already in the ZIP
+     * @returns {string} - Name not yet used
+     */
+    uniqueName(name, usedNames) {
+        let candidate = name;
+        let counter = 2;
+
+        while (usedNames.has(candidate)) {
+            candidate = name.replace(/\.html$/, `_${counter++}.html`);
+        }
+
+        usedNames.add(candidate);
+        return candidate;
+    }
+
+    /**
+     * Render the feedback report for one submission
+     * @param {Object} file - Graded result, with any overrides and comment
+     * @param {Object} session - Session the result belongs to
+     * @returns {string} - Standalone HTML document
+     */
+    render(file, session) {
+        const assignmentName = session.criteria?.canvas?.assignmentName || session.name;
+        const studentName = file.canvasData ? file.canvasData.studentName : (file.studentName || '');
+        const submittedName = file.canvasData ? file.canvasData.originalFilename : file.filename;
+        const reviewedScore = this.grader.reviewedScore(file);
+        const finalScore = this.grader.finalScore(file);
+        const percentage = file.maxScore > 0 ? Math.round((finalScore / file.maxScore) * 100) : 0;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Feedback: ${escapeHtml(assignmentName)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 860px; margin: 30px auto; padding: 0 20px; }
+    h1 { font-size: 1.5rem; margin-bottom: 4px; }
+    .meta { color: #6b7280; margin-bottom: 20px; }
+    .score { font-size: 2rem; font-weight: 700; }
+    .thumbnail { max-width: 480px; max-height: 360px; border: 1px solid #e5e7eb; border-radius: 6px; margin: 15px 0; }
+    table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+    th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    th { background: #f9fafb; }
+    .pass { color: #059669; font-weight: 600; }
+    .fail { color: #dc2626; font-weight: 600; }
+    .note { color: #5b21b6; font-size: 0.9rem; }
+    .comment { background: #f5f3ff; border-left: 3px solid #8b5cf6; padding: 12px 15px; margin: 20px 0; }
+    .error { background: #fef2f2; border-left: 3px solid #dc2626; padding: 12px 15px; }
+    ul { margin: 6px 0; padding-left: 20px; }
+    .marked { position: relative; display: inline-block; }
+    .marked .thumbnail { display: block; margin: 10px 0; }
+    .mark { position: absolute; border: 2px solid #dc2626; box-sizing: border-box; }
+    .swatch { display: inline-block; width: 14px; height: 14px; border: 1px solid #d1d5db; border-radius: 2px; vertical-align: middle; margin-right: 4px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(assignmentName)}</h1>
+<div class="meta">
+    ${studentName ? `${escapeHtml(studentName)} · ` : ''}${escapeHtml(submittedName)}${file.isLate ? ' · <strong>Late</strong>' : ''}
+</div>
+<div class="score">${percentage}%</div>
+<div>${finalScore} / ${file.maxScore} points</div>
+${reviewedScore !== file.score ? `<div class="note">Includes instructor adjustments (automated score ${file.score} / ${file.maxScore})</div>` : ''}
+${this.renderLatePenalty(file, reviewedScore)}
+${file.preview || file.thumbnail ? `<img class="thumbnail" src="${escapeHtml(file.preview || file.thumbnail)}" alt="Preview of submitted file">` : ''}
+${file.error ? `<div class="error">Your file could not be graded automatically: ${escapeHtml(file.error)}</div>` : ''}
+${this.renderChecks(file)}
+${this.renderFonts(file)}
+${this.renderMissingLayers(file)}
+${this.renderEditingAudit(file)}
+${this.renderOrganization(file)}
+${this.renderTextContent(file)}
+${this.renderTypography(file)}
+${this.renderColorPalette(file)}
+${this.renderContrast(file)}
+${this.renderPreflight(file)}
+${file.comment ? `<div class="comment"><strong>Instructor comment</strong><br>${escapeHtml(file.comment).replace(/\n/g, '<br>')}</div>` : ''}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Late penalty line, or a note that it was waived
+     * @param {Object} file - Graded result
+     * @param {number} reviewedScore - Score before the penalty
+     * @returns {string} - HTML
+     */
+    renderLatePenalty(file, reviewedScore) {
+        if (!file.late || file.late.penaltyPoints === 0) return '';
+
+        const days = `${file.late.daysLate} day${file.late.daysLate === 1 ? '' : 's'} late`;
+        if (file.lateWaived) {
+            return `<div class="note">Submitted ${days}; the late penalty was waived</div>`;
+        }
+
+        return `<div class="note">Submitted ${days}: −${file.late.penaltyPoints} points (${file.late.penaltyPercent}%) from ${reviewedScore} / ${file.maxScore}</div>`;
+    }
+
+    /**
+     * Table of expected vs actual values, level and points for each criterion
+     * @param {Object} file - Graded result
+     * @returns {string} - HTML
+     */
+    renderChecks(file) {
+        if (!file.checks || file.checks.length === 0) return '';
+
+        const overrides = file.overrides || {};
+        const rows = file.checks.map(check => {
+            const override = overrides[check.id];
+            const points = override ? override.points : check.points;
+            const level = Rubric.levelForPoints(points, check.levels);
+
+            return `
+    <tr>
+        <td>${escapeHtml(check.criterion)}</td>
+        <td>${escapeHtml(check.expected)}</td>
+        <td>${escapeHtml(check.actual)}</td>
+        <td class="${check.manual ? '' : check.passed ? 'pass' : 'fail'}">${check.manual ? 'Instructor review' : check.passed ? '✓ Met' : '✗ Not met'}</td>
+        <td>${escapeHtml(level || '')}</td>
+        <td>
+            ${points} / ${check.maxPoints}
+            ${override ? `<div class="note">Adjusted by instructor: ${escapeHtml(override.reason)}</div>` : ''}
+        </td>
+    </tr>`;
+        }).join('');
+
+        return `
+<table>
+    <thead>
+        <tr><th>Criterion</th><th>Expected</th><th>Your file</th><th>Result</th><th>Level</th><th>Points</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+</table>`;
+    }
+
+    /**
+     * Fonts used in the file, marked approved or not
+     * @param {Object} file - Graded result
+     * @returns {string} - HTML
+     */
+    renderFonts(file) {
+        const fontCheck = (file.checks || []).find(check => (check.type || check.id) === 'fonts');
+        if (!fontCheck || !fontCheck.fontDetails || fontCheck.fontDetails.length === 0) return '';
+
+        const fonts = fontCheck.fontDetails.map(font =>
+            `<li class="${font.approved ? 'pass' : 'fail'}">${font.approved ? '✓' : '✗'} ${escapeHtml(font.name)}${font.family && font.family !== font.name ? ` – ${escapeHtml(font.family)}` : ''}${font.approved ? '' : ' (not approved)'}</li>`
+        ).join('');
+        const missing = (fontCheck.violations || [])
+            .filter(violation => violation.startsWith('Missing'))
+            .map(violation => `<li class="fail">${escapeHtml(violation)}</li>`)
+            .join('');
+
+        return `
+<h2>Fonts</h2>
+<ul>${fonts}${missing}</ul>`;
+    }
+
+    /**
+     * Required layers that were not found
+     * @param {Object} file - Graded result
+     * @returns {string} - HTML
+     */
+    renderMissingLayers(file) {
+        const layerCheck = (file.checks || []).find(check => (check.type || check.id) === 'requiredLayers');
+        const missing = layerCheck && layerCheck.details ? layerCheck.details.filter(layer => !layer.found) : [];
+        if (missing.length === 0) return '';
+
+        return `
+<h2>Missing required layers</h2>
+<ul>${missing.map(layer => `<li class="fail">${escapeHtml(layer.name)}</li>`).join('')}</ul>`;
+    }
+
+    /**
+     * Layers the non-destructive editing audit flagged
+     * @param {Object} file - Graded result
+     * @returns {string} - HTML
+     */
+    renderEditingAudit(file) {
+        const auditCheck = (file.checks || []).find(check => (check.type || check.id) === 'nonDestructive');
+        if (!auditCheck || !auditCheck.audit) return '';
+
+        const flagged = auditCheck.audit.destructive.map(entry =>
+            `<li class="fail">${escapeHtml(entry.layer)}: ${escapeHtml(entry.description)}</li>`
+        ).join('');
+
+        // A clean audit is not proof of non-destructive editing, so say what it cannot see
+        return `
+<h2>Destructive edits</h2>
+${flagged ? `<ul>${flagged}</ul>` : '<p>None found</p>'}
+${auditCheck.note ? `<div class="note">${escapeHtml(auditCheck.note)}</div>` : ''}`;
+    }
+
+    /**
+     * Layers flagged by the layer organization checks, under each check
+     * @param {Object} file - Graded result
+     * @returns {string} - HTML
+     */
+    renderOrganization(file) {
+        const checks = (file.checks || []).filter(check =>
+            Rubric.ORGANIZATION_TYPES.includes(check.type || check.id) && check.flagged && check.flagged.length > 0
+        );
+        if (checks.length === 0) return '';
+
+        const sections = checks.map(check => {
+            const flagged = check.flagged.map(entry =>
+                `<li class="fail">${escapeHtml(entry.layer)}: ${escapeHtml(entry.reason)}</li>`
+            ).join('');
+            return `<h3>${escapeHtml(check.criterion)}</h3>
+<ul>${flagged}</ul>`;
+        }).join('\n');
+
+        return `
+<h2>Layer organization</h2>
+${sections}`;
+    }
+
+    /**
+     * Required phrases not found, layers with placeholder text or the wrong length, and misspellings
+     * @param {Object} file - Graded result
+     * @returns {string} - HTML
+     */
+    renderTextContent(file) {
+        const findCheck = type => (file.checks || []).find(check => (check.type || check.id) === type);
+        const items = [];
+
+        (findCheck('requiredText')?.details || []).filter(detail => !detail.found).forEach(detail => {
+            items.push(`Missing "${detail.text}"${detail.layer ? ` in ${detail.layer}` : ''}`);
+        });
+        ['forbiddenText', 'textLength'].forEach(type => {
+            (findCheck(type)?.flagged || []).forEach(entry => items.push(`${entry.layer}: ${entry.reason}`));
+        });
+        (findCheck('spelling')?.misspellings || []).forEach(entry => {
+            const suggestions = entry.suggestions.length > 0 ? ` (did you mean ${entry.suggestions.join(', ')}?)` : '';
+            items.push(`${entry.layer}: "${entry.word}" may be misspelled${suggestions}`);
+        });
+        if (items.length === 0) return '';
+
+        return `
+<h2>Text</h2>
+<ul>${items.map(item => `<li class="fail">${escapeHtml(item)}</li>`).join('')}</ul>`;
+    }
+
+    /**
+     * Text runs outside the typography rules, under each rule
+     * @param {Object} file - Graded result
+     * @returns {string} - HTML
+     */
+    renderTypography(file) {
+        const checks = (file.checks || []).filter(check =>
+            Rubric.TYPOGRAPHY_TYPES.includes(check.type || check.id) && check.flagged && check.flagged.length > 0
+        );
+        if (checks.length === 0) return '';
+
+        const sections = checks.map(check => {
+            const flagged = check.flagged.map(entry =>
+                `<li class="fail">${escapeHtml(entry.layer)} “${escapeHtml(entry.text)}”: ${escapeHtml(entry.reason)}</li>`
+            ).join('');
+            return `<h3>${escapeHtml(check.criterion)}</h3>
+<ul>${flagged}</ul>`;
+        }).join('\n');
+
+        return `
+<h2>Typography</h2>
+${sections}`;
+    }
+
+    /**
+     * Off-palette colors as swatches, with where each was found and the closest palette color
+     * @param {Object} file - Graded result
+     * @returns {string} - HTML
+     */
+    renderColorPalette(file) {
+        const check = (file.checks || []).find(candidate => (candidate.type || candidate.id) === 'palette');
+        if (!check || !check.flagged || check.flagged.length === 0) return '';
+
+        const swatch = hex => `<span class="swatch" style="background: ${escapeHtml(hex)}"></span>`;
+        const flagged = check.flagged.map(entry =>
+            `<li>${swatch(entry.hex)}<span class="fail">${escapeHtml(entry.hex)}</span> in ${escapeHtml(entry.layer)}${entry.nearest
+                ? ` – closest palette color ${swatch(entry.nearest)}${escapeHtml(entry.nearest)} (ΔE ${escapeHtml(entry.deltaE)})`
+                : ''}</li>`
+        ).join('');
+
+        return `
+<h2>Color palette</h2>
+<p>${(check.palette || []).map(hex => `${swatch(hex)}${escapeHtml(hex)}`).join(' ')}</p>
+<ul>${flagged}</ul>`;
+    }
+
+    /**
+     * Text layers without enough contrast, outlined on the preview
+     * @param {Object} file - Graded result
+     * @returns {string} - HTML
+     */
+    renderContrast(file) {
+        const check = (file.checks || []).find(candidate => (candidate.type || candidate.id) === 'contrast');
+        if (!check || !check.flagged || check.flagged.length === 0) return '';
+
+        const image = file.preview || file.thumbnail;
+        const boxes = check.flagged.map(entry => entry.box).filter(Boolean);
+        const marked = image && boxes.length > 0
+            ? `<div class="marked"><img class="thumbnail" src="${escapeHtml(image)}" alt="Low-contrast text outlined">${boxes.map(box =>
+                `<span class="mark" style="left: ${box.left}%; top: ${box.top}%; width: ${box.width}%; height: ${box.height}%"></span>`
+            ).join('')}</div>`
+            : '';
+        const flagged = check.flagged.map(entry =>
+            `<li class="fail">${escapeHtml(entry.layer)} “${escapeHtml(entry.text)}”: ${escapeHtml(entry.reason)}</li>`
+        ).join('');
+
+        return `
+<h2>Text contrast (WCAG ${escapeHtml(check.wcagLevel)})</h2>
+${marked}
+<ul>${flagged}</ul>`;
+    }
+
+    /**
+     * Preflight report: a pass/fail line for each print requirement (the
+     * preflight checks plus color mode, color profile, resolution and bit depth), with layers
+     * outside the safe margin outlined on the preview
+     * @param {Object} file - Graded result
+     * @returns {string} - HTML
+     */
+    renderPreflight(file) {
+        const checks = file.checks || [];
+        if (!checks.some(check => Rubric.PREFLIGHT_TYPES.includes(check.type || check.id))) return '';
+
+        const items = checks.filter(check =>
+            ['colorMode', 'colorProfile', 'resolution', 'bitDepth', ...Rubric.PREFLIGHT_TYPES].includes(check.type || check.id)
+        );
+        const passed = items.filter(check => check.passed).length;
+        const rows = items.map(check => `
+    <tr>
+        <td>${escapeHtml(check.criterion)}</td>
+        <td class="${check.passed ? 'pass' : 'fail'}">${check.passed ? 'PASS' : 'FAIL'}</td>
+        <td>${escapeHtml(check.actual)}</td>
+        <td>${escapeHtml(check.expected)}</td>
+    </tr>`).join('');
+
+        const safeMargin = checks.find(check => (check.type || check.id) === 'safeMargin');
+        const flagged = safeMargin?.flagged || [];
+        const image = file.preview || file.thumbnail;
+        const boxes = flagged.map(entry => entry.box).filter(Boolean);
+        const marked = image && boxes.length > 0
+            ? `<div class="marked"><img class="thumbnail" src="${escapeHtml(image)}" alt="Layers outside the safe margin outlined">${boxes.map(box =>
+                `<span class="mark" style="left: ${box.left}%; top: ${box.top}%; width: ${box.width}%; height: ${box.height}%"></span>`
+            ).join('')}</div>`
+            : '';
+        const layers = flagged.length > 0
+            ? `<h3>Outside the safe margin</h3>
+${marked}
+<ul>${flagged.map(entry => `<li class="fail">${escapeHtml(entry.layer)}: ${escapeHtml(entry.reason)}</li>`).join('')}</ul>`
+            : '';
+
+        return `
+<h2>Print preflight</h2>
+<p class="${passed === items.length ? 'pass' : 'fail'}">${passed} of ${items.length} preflight items passed${passed === items.length ? ' – ready for print' : ' – fix the failed items before sending to print'}</p>
+<table>
+    <thead>
+        <tr><th>Item</th><th>Status</th><th>Your file</th><th>Required</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+</table>
+${layers}`;
+    }
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = FeedbackReport;
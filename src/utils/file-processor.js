@@ -1,10 +1,43 @@
 const fs = require('fs');
 const path = require('path');
 const { readPsd } = require('ag-psd');
-const JSZip = require('jszip');
+const Grader = require('./grader');
+const Rubric = require('./rubric');
+const LayerChecks = require('./layer-checks');
+const PreviewRenderer = require('./preview-renderer');
+const ColorChecks = require('./color-checks');
+const PsdSections = require('./psd-sections');
+const AnalysisCache = require('./analysis-cache');
+const ZipReader = require('./zip-reader');
+
+// Bump when analyses gain or change fields, so cached analyses are redone on upload
+const ANALYSIS_VERSION = 11;
+
+// Longest side, in pixels, of the rendering sampled for dominant colors
+const COLOR_SAMPLE_SIZE = 200;
 
 class FileProcessor {
-    constructor() {
+    /**
+     * @param {Object} options - Processor options
+     * @param {WorkerPool} options.pool - Parse PSDs on worker threads (see psd-worker.js)
+     * @param {AnalysisCache} options.cache - Reuse analyses of files that were parsed before
+     * @param {number} options.pixelAuditMaxMb - Largest file whose layer pixels are decoded
+     *     to look for erased areas (default 50); bigger files skip that part of the editing audit
+     * @param {number} options.maxFileMb - Largest file that is parsed at all (default 500)
+     * @param {number} options.maxMegapixels - Largest canvas, width x height from the header,
+     *     that is parsed at all (default 150)
+     */
+    constructor(options = {}) {
+        this.grader = new Grader();
+        this.layerChecks = new LayerChecks();
+        this.previewRenderer = new PreviewRenderer();
+        this.colorChecks = new ColorChecks();
+        this.pool = options.pool || null;
+        this.cache = options.cache || null;
+        this.pixelAuditMaxBytes = (options.pixelAuditMaxMb || 50) * 1024 * 1024;
+        this.maxFileBytes = (options.maxFileMb || 500) * 1024 * 1024;
+        this.maxPixels = (options.maxMegapixels || 150) * 1000000;
+
         this.systemFiles = [
             '.DS_Store', 'Thumbs.db', 'desktop.ini', '.localized',
             '.DocumentRevisions-V100', '.fseventsd', '.Spotlight-V100',
@@ -15,119 +48,387 @@ class FileProcessor {
     }
 
     /**
-     * Process multiple files with given criteria
-     * @param {Array} files - Array of file objects with path and metadata
-     * @param {Object} criteria - Grading criteria
+     * Process multiple uploaded files with given criteria
+     * @param {Array} files - Uploaded files ({ originalname, path } on disk or { originalname, buffer })
+     * @param {Object} criteria - Nested grading criteria
+     * @param {Object} options - Optional hooks
+     * @param {AbortSignal} options.signal - Stops processing when aborted; files being parsed on
+     *     workers are dropped and left out of the results
+     * @param {Function} options.onProgress - Called with { currentFile, completed, total } before each file
+     * @param {Function} options.onResult - Called with { result, index, completed, total } after each file
+     * @param {Anonymizer} options.anonymizer - Replaces student names before files are processed
      * @returns {Array} - Array of results
      */
-    async processFiles(files, criteria) {
+    async processFiles(files, criteria, options = {}) {
+        const { signal, onProgress, onResult, anonymizer } = options;
         const results = [];
-        const uploadsDir = path.join(__dirname, '..', '..', 'uploads');
+        const readers = [];
+        const entries = await this.collectEntries(files, readers);
+        const total = entries.length;
         
-        console.log(`Processing ${files.length} files with criteria:`, criteria);
+        if (anonymizer) {
+            anonymizer.prepare(entries, criteria, this);
+        }
+        let nextIndex = 0;
+        let completed = 0;
         
-        for (const fileInfo of files) {
-            try {
-                const filePath = path.join(uploadsDir, fileInfo.filename);
-                console.log(`Processing file: ${fileInfo.originalName}`);
+        console.log(`Processing ${total} PSD files from ${files.length} uploads`);
+        
+        // Each lane takes the next entry until none are left; one lane per worker
+        const runLane = async () => {
+            while (nextIndex < total && !signal?.aborted) {
+                const index = nextIndex++;
+                const entry = entries[index];
                 
-                // Determine if it's a ZIP or PSD file
-                if (fileInfo.originalName.toLowerCase().endsWith('.zip')) {
-                    // Process ZIP file
-                    const zipResults = await this.processZipFile(filePath, criteria);
-                    results.push(...zipResults);
-                } else if (fileInfo.originalName.toLowerCase().endsWith('.psd')) {
-                    // Process single PSD file
-                    const result = await this.processPSDFile(filePath, fileInfo.originalName, criteria);
-                    results.push(result);
+                if (onProgress) {
+                    onProgress({ currentFile: entry.filename, completed, total });
                 }
                 
-            } catch (error) {
-                console.error(`Error processing ${fileInfo.originalName}:`, error);
-                results.push({
-                    filename: fileInfo.originalName,
-                    originalFilename: fileInfo.originalName,
-                    error: error.message,
-                    score: 0,
-                    maxScore: this.getMaxScore(criteria),
-                    percentage: 0,
-                    analysis: null
-                });
+                let result;
+                try {
+                    result = await this.processEntry(entry, criteria, signal);
+                } catch (error) {
+                    if (error.name === 'AbortError') return;
+                    throw error;
+                }
+                results[index] = result;
+                completed++;
+                
+                if (onResult) {
+                    onResult({ result, index, completed, total });
+                }
+                
+                // Yield so progress events flush between files
+                await new Promise(resolve => setImmediate(resolve));
             }
+        };
+        
+        const lanes = Math.min(this.pool ? this.pool.size : 1, total);
+        try {
+            await Promise.all(Array.from({ length: lanes }, runLane));
+        } finally {
+            readers.forEach(reader => reader.close());
         }
         
-        return results;
+        if (signal?.aborted) {
+            console.log(`Processing cancelled after ${completed} of ${total} files`);
+        }
+        
+        // Cancelled runs leave gaps for files that never started
+        return results.filter(Boolean);
     }
 
     /**
-     * Process a ZIP file containing PSD files
-     * @param {string} zipPath - Path to ZIP file
-     * @param {Object} criteria - Grading criteria
-     * @returns {Array} - Array of results
+     * Load, analyze and grade one entry, reporting failures on the result
+     * @param {Object} entry - Entry from collectEntries
+     * @param {Object} criteria - Nested grading criteria
+     * @param {AbortSignal} signal - Cancels the entry's analysis
+     * @returns {Object} - Result object
+     * @throws {Error} - AbortError when the signal is aborted during analysis
      */
-    async processZipFile(zipPath, criteria) {
-        const results = [];
+    async processEntry(entry, criteria, signal = null) {
+        const submission = {
+            submittedAt: entry.lastModified ? entry.lastModified.toISOString() : null,
+            filenameCheck: entry.filenameCheck,
+            pseudonym: entry.pseudonym
+        };
         
         try {
-            const zipData = fs.readFileSync(zipPath);
-            const zip = await JSZip.loadAsync(zipData);
+            if (entry.error) {
+                throw entry.error;
+            }
+            return await this.processPSDFile(await entry.load(), entry.filename, criteria, submission, signal);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error(`Error processing ${entry.filename}:`, error.message);
+            return this.grader.errorResult({ filename: entry.filename, ...submission }, criteria, error);
+        }
+    }
+
+    /**
+     * List the PSD files contained in a set of uploads, expanding ZIP archives.
+     * Nothing is read yet: each entry's load() pulls that one file from disk or the archive.
+     * @param {Array} files - Uploaded files ({ originalname, path } or { originalname, buffer },
+     *     optionally with the lastModified Date the browser reported)
+     * @param {Array} readers - Collects opened archives so the caller can close them
+     * @returns {Array} - Entries ({ filename, load, lastModified, error }); an
+     *     anonymizer later adds { pseudonym, filenameCheck }
+     */
+    async collectEntries(files, readers) {
+        const entries = [];
+        
+        for (const file of files) {
+            const lowerName = file.originalname.toLowerCase();
             
-            // Extract and process each PSD file in the ZIP
-            for (const [filename, file] of Object.entries(zip.files)) {
-                if (this.isSystemFile(filename)) {
-                    continue; // Skip system files
-                }
-                
-                if (filename.toLowerCase().endsWith('.psd') && !file.dir) {
-                    try {
-                        console.log(`Processing PSD from ZIP: ${filename}`);
-                        
-                        // Get the PSD data
-                        const psdData = await file.async('uint8array');
-                        
-                        // Analyze the PSD
-                        const analysis = await this.analyzePSDData(psdData, filename);
-                        const result = this.gradeFile(analysis, criteria);
-                        
-                        results.push(result);
-                        
-                    } catch (error) {
-                        console.error(`Error processing ${filename} from ZIP:`, error);
-                        results.push({
-                            filename: filename,
-                            originalFilename: filename,
-                            error: error.message,
-                            score: 0,
-                            maxScore: this.getMaxScore(criteria),
-                            percentage: 0,
-                            analysis: null
-                        });
-                    }
+            if (lowerName.endsWith('.zip')) {
+                try {
+                    const reader = file.path
+                        ? await ZipReader.open(file.path)
+                        : await ZipReader.fromBuffer(file.buffer);
+                    readers.push(reader);
+                    entries.push(...await this.listZipEntries(reader));
+                } catch (error) {
+                    entries.push({
+                        filename: file.originalname,
+                        error: new Error(`Failed to process ZIP file: ${error.message}`)
+                    });
                 }
+            } else if (lowerName.endsWith('.psd')) {
+                entries.push({
+                    filename: file.originalname,
+                    lastModified: file.lastModified || null,
+                    load: async () => file.path ? fs.promises.readFile(file.path) : file.buffer
+                });
             }
-            
-        } catch (error) {
-            throw new Error(`Failed to process ZIP file: ${error.message}`);
         }
         
-        return results;
+        return entries;
     }
 
     /**
-     * Process a single PSD file
-     * @param {string} filePath - Path to PSD file
+     * List the PSD files inside a ZIP archive
+     * @param {ZipReader} reader - Open archive
+     * @returns {Array} - Entries ({ filename, load, lastModified })
+     */
+    async listZipEntries(reader) {
+        const listed = await reader.listEntries();
+        
+        return listed
+            .filter(item =>
+                !item.isDirectory &&
+                item.fileName.toLowerCase().endsWith('.psd') &&
+                !this.isSystemFile(item.fileName) &&
+                !this.isSystemFile(path.basename(item.fileName))
+            )
+            .map(item => ({
+                filename: path.basename(item.fileName),
+                lastModified: item.lastModified,
+                load: () => reader.readEntry(item, this.maxFileBytes)
+            }));
+    }
+
+    /**
+     * Delete uploaded files that were stored on disk
+     * @param {Array} files - Uploaded files ({ path })
+     */
+    async removeUploads(files) {
+        await Promise.all(files.filter(file => file.path).map(file =>
+            fs.promises.unlink(file.path).catch(error => {
+                console.log(`Could not remove upload ${file.path}:`, error.message);
+            })
+        ));
+    }
+
+    /**
+     * Analyze and grade a single PSD file
+     * @param {Buffer} psdData - PSD file contents
      * @param {string} originalName - Original filename
-     * @param {Object} criteria - Grading criteria
-     * @returns {Object} - Result object
+     * @param {Object} criteria - Nested grading criteria
+     * @param {Object} submission - Submission details ({ submittedAt, filenameCheck, pseudonym })
+     * @param {AbortSignal} signal - Cancels the analysis
+     * @returns {Object} - Result object (errors are reported on the result)
+     * @throws {Error} - AbortError when the signal is aborted during analysis
      */
-    async processPSDFile(filePath, originalName, criteria) {
+    async processPSDFile(psdData, originalName, criteria, submission = {}, signal = null) {
+        const fileInfo = {
+            filename: originalName,
+            canvasData: this.parseCanvasFilename(originalName),
+            submittedAt: submission.submittedAt,
+            filenameCheck: submission.filenameCheck,
+            pseudonym: submission.pseudonym
+        };
+        
+        // Hash before analyzing: the bytes may be handed off to a worker
+        const fileHash = AnalysisCache.hash(psdData);
+        
         try {
-            const psdData = fs.readFileSync(filePath);
-            const analysis = await this.analyzePSDData(psdData, originalName);
-            return this.gradeFile(analysis, criteria);
+            let analysis = this.cache ? await this.cache.get(fileHash) : null;
+            
+            if (analysis && analysis.analysisVersion === ANALYSIS_VERSION) {
+                console.log(`Using cached analysis for ${originalName}`);
+                analysis = { ...analysis, filename: originalName, originalFilename: originalName };
+            } else {
+                analysis = await this.analyze(psdData, originalName, signal);
+                if (this.cache) {
+                    await this.cache.set(fileHash, analysis);
+                }
+            }
+            
+            const result = this.grader.gradeFile(analysis, criteria, fileInfo);
+            result.fileHash = fileHash;
+            return result;
             
         } catch (error) {
-            throw new Error(`Failed to process PSD file ${originalName}: ${error.message}`);
+            if (error.name === 'AbortError') throw error;
+            console.error(`Failed to process PSD file ${originalName}:`, error.message);
+            return this.grader.errorResult(fileInfo, criteria, error);
+        }
+    }
+
+    /**
+     * Record which files were graded so the batch can be re-graded later
+     * @param {Array} results - Results from processFiles
+     * @returns {Object|null} - Batch record, or null when no cache is configured
+     */
+    async createBatch(results) {
+        if (!this.cache) return null;
+        
+        return this.cache.saveBatch(results.map(result => {
+            const file = {
+                filename: result.filename,
+                hash: result.fileHash || null,
+                submittedAt: result.submittedAt || null,
+                error: result.fileHash ? null : result.error || null
+            };
+            
+            // The real name is gone, so keep the filename check graded from it
+            if (result.anonymized) {
+                file.pseudonym = result.pseudonym;
+                file.filenameCheck = (result.checks || []).find(check => check.type === 'filename') || null;
+            }
+            
+            return file;
+        }));
+    }
+
+    /**
+     * Re-grade a previous batch from cached analyses, without re-parsing
+     * @param {Object} batch - Batch record from createBatch
+     * @param {Object} criteria - Nested grading criteria
+     * @returns {Array} - Array of results
+     */
+    async regradeBatch(batch, criteria) {
+        const results = [];
+        const filenameRow = Rubric.fromCriteria(criteria).find('filename');
+        
+        for (const file of batch.files) {
+            const fileInfo = {
+                filename: file.filename,
+                canvasData: this.parseCanvasFilename(file.filename),
+                submittedAt: file.submittedAt,
+                filenameCheck: file.filenameCheck,
+                pseudonym: file.pseudonym
+            };
+            
+            if (file.pseudonym && !file.filenameCheck && filenameRow) {
+                fileInfo.filenameCheck = {
+                    id: 'filename',
+                    criterion: 'Filename',
+                    expected: 'Original filename',
+                    actual: 'Not kept for anonymized files; upload again to check filenames',
+                    passed: false
+                };
+            }
+            const cached = file.hash ? await this.cache.get(file.hash) : null;
+            
+            if (!cached) {
+                const reason = file.error || 'Analysis is no longer cached; upload the file again';
+                results.push(this.grader.errorResult(fileInfo, criteria, reason));
+                continue;
+            }
+            
+            // Analyses from older versions lack fields newer checks read
+            if (cached.analysisVersion !== ANALYSIS_VERSION) {
+                results.push(this.grader.errorResult(fileInfo, criteria, 'Analysis is out of date; upload the file again'));
+                continue;
+            }
+            
+            try {
+                const analysis = { ...cached, filename: file.filename, originalFilename: file.filename };
+                const result = this.grader.gradeFile(analysis, criteria, fileInfo);
+                result.fileHash = file.hash;
+                results.push(result);
+            } catch (error) {
+                console.error(`Failed to re-grade ${file.filename}:`, error.message);
+                results.push(this.grader.errorResult(fileInfo, criteria, error));
+            }
+        }
+        
+        return results;
+    }
+
+    /**
+     * Parse Canvas "Download Submissions" filenames
+     * (studentname_[LATE_]userid_submissionid_originalname.psd)
+     * @param {string} filename - Filename to parse
+     * @returns {Object|null} - Canvas submission info, or null if not a Canvas filename
+     */
+    parseCanvasFilename(filename) {
+        // Remove file extension first
+        const nameWithoutExt = filename.replace(/\.(psd|zip)$/i, '');
+        const parts = nameWithoutExt.split('_');
+        
+        const isLate = parts[1] === 'LATE';
+        const startIdx = isLate ? 2 : 1;
+        
+        // Canvas user and submission IDs are numeric; anything else is not a Canvas filename
+        if (parts.length < startIdx + 3 || !/^\d+$/.test(parts[startIdx]) || !/^\d+$/.test(parts[startIdx + 1])) {
+            return null;
+        }
+        
+        const result = {
+            studentName: parts[0],
+            isLate: isLate,
+            submissionStatus: isLate ? 'LATE' : parts[1],
+            userId: parts[startIdx],
+            submissionId: parts[startIdx + 1],
+            originalFilename: parts.slice(startIdx + 2).join('_') // Rejoin remaining parts
+        };
+        
+        // Canvas concatenates first and last name, so this is a best guess
+        const nameMatch = result.studentName.match(/^([a-z]+)([A-Z][a-z]+)?$/);
+        if (nameMatch) {
+            result.firstName = nameMatch[1];
+            result.lastName = nameMatch[2] || nameMatch[1];
+        } else {
+            result.firstName = '';
+            result.lastName = result.studentName;
+        }
+        
+        return result;
+    }
+
+    /**
+     * Analyze PSD data, on a worker thread when a pool is configured
+     * @param {Buffer} psdData - PSD file contents
+     * @param {string} filename - Filename for reference
+     * @param {AbortSignal} signal - Terminates the worker parsing the file when aborted
+     * @returns {Object} - Analysis results
+     */
+    async analyze(psdData, filename, signal = null) {
+        // Decoded pixels live outside the worker's heap limit, so refuse huge files before parsing
+        this.checkSizeLimits(psdData);
+        
+        if (!this.pool) {
+            return this.analyzePSDData(psdData, filename);
+        }
+        
+        // Move the bytes to the worker instead of copying them when the buffer owns its memory
+        const ownsMemory = psdData.byteOffset === 0 && psdData.byteLength === psdData.buffer.byteLength;
+        const data = ownsMemory ? psdData : new Uint8Array(psdData);
+        
+        return this.pool.run({ data, filename }, [data.buffer], signal);
+    }
+
+    /**
+     * Reject files too large to parse safely, by file size and by canvas size from the header
+     * @param {Uint8Array|Buffer} psdData - PSD file contents
+     * @throws {Error} - When the file or its canvas is over the configured limit
+     */
+    checkSizeLimits(psdData) {
+        if (psdData.length > this.maxFileBytes) {
+            const sizeMb = Math.round(psdData.length / 1024 / 1024);
+            throw new Error(`File is too large to grade (${sizeMb}MB, limit ${this.maxFileBytes / 1024 / 1024}MB)`);
+        }
+        
+        // Width and height sit at the same offsets in PSD and PSB headers
+        if (psdData.length < 26) return;
+        const view = new DataView(psdData.buffer, psdData.byteOffset, psdData.byteLength);
+        const height = view.getUint32(14, false);
+        const width = view.getUint32(18, false);
+        
+        if (width * height > this.maxPixels) {
+            throw new Error(`Image is too large to grade (${width}x${height}, limit ${this.maxPixels / 1000000} megapixels)`);
         }
     }
 
@@ -142,8 +443,10 @@ class FileProcessor {
         let parseError = null;
         let basicInfo = null;
         
-        // Convert Buffer to Uint8Array if needed
-        const uint8Data = psdData instanceof Buffer ? new Uint8Array(psdData) : psdData;
+        // View a Buffer as a plain Uint8Array without copying it
+        const uint8Data = psdData instanceof Buffer
+            ? new Uint8Array(psdData.buffer, psdData.byteOffset, psdData.byteLength)
+            : psdData;
         
         // First, try to extract basic header information without full parsing
         try {
@@ -153,11 +456,18 @@ class FileProcessor {
             console.log(`Could not extract basic info for ${filename}:`, headerError.message);
         }
         
+        // Layer pixels show erased areas, but decoding them costs memory
+        const readLayerPixels = uint8Data.length <= this.pixelAuditMaxBytes;
+        let layerPixelsRead = false;
+        
+        // Channels, the color profile and CMYK ink come from the raw file, so they survive fallback parsing
+        const sectionInfo = this.readSections(uint8Data, filename);
+        
         // Try full parsing with multiple approaches
         const parseAttempts = [
             // Attempt 1: Full parsing with composite image
             () => readPsd(uint8Data, {
-                skipLayerImageData: true,
+                skipLayerImageData: !readLayerPixels,
                 skipCompositeImageData: false, // Keep composite for thumbnail
                 skipThumbnail: false, // Keep thumbnail
                 logMissingFeatures: false,
@@ -191,6 +501,7 @@ class FileProcessor {
         for (let i = 0; i < parseAttempts.length; i++) {
             try {
                 psd = parseAttempts[i]();
+                layerPixelsRead = i === 0 && readLayerPixels;
                 if (i > 0) {
                     parseError = `Used fallback parsing method ${i + 1}`;
                 }
@@ -202,7 +513,10 @@ class FileProcessor {
                     // All parsing attempts failed, but we might have basic info
                     if (basicInfo) {
                         console.log(`Using header-only analysis for ${filename} (${basicInfo.colorMode})`);
-                        return this.createFallbackAnalysis(basicInfo, filename, uint8Data.length, `${basicInfo.colorMode} file - header analysis only`);
+                        return {
+                            ...this.createFallbackAnalysis(basicInfo, filename, uint8Data.length, `${basicInfo.colorMode} file - header analysis only`),
+                            ...sectionInfo
+                        };
                     } else {
                         throw new Error(`Unable to analyze PSD file: ${parseError}`);
                     }
@@ -262,15 +576,12 @@ class FileProcessor {
                 console.log(`Resolution extraction failed for ${filename}, using default`);
             }
 
-            // Generate thumbnail if possible
-            let thumbnail = null;
-            try {
-                thumbnail = this.generateThumbnail(psd, filename);
-            } catch (thumbError) {
-                console.log(`Thumbnail generation failed for ${filename}`);
-            }
+            // Render the thumbnail and preview if possible
+            const images = this.renderPreviews(psd, filename);
+            this.measureTextContrast(psd, layers, filename);
             
             const analysis = {
+                analysisVersion: ANALYSIS_VERSION,
                 filename: filename,
                 originalFilename: filename,
                 width: psd.width || 0,
@@ -279,12 +590,18 @@ class FileProcessor {
                 bitDepth: bitDepth,
                 resolution: resolution,
                 hasTransparency: hasTransparency,
-                layerCount: layers.length,
-                layerNames: layerNames,
+                // A flattened file has no layer records but still has its background
+                layerCount: layers.length || 1,
+                layerNames: layerNames.length > 0 ? layerNames : ['Background'],
                 layers: layers,
+                fonts: Array.from(new Set(layers.flatMap(layer => layer.fonts || []))),
+                editingAudit: this.layerChecks.auditEditing(layers, layerPixelsRead),
                 fileSize: psdData.length,
                 parseNote: parseError, // Include any parsing notes
-                thumbnail: thumbnail // Base64 encoded thumbnail
+                thumbnail: images.thumbnail, // JPEG data URLs
+                preview: images.preview,
+                dominantColors: this.sampleColors(psd, filename),
+                ...sectionInfo
             };
             
             console.log(`Analysis complete for ${filename}:`, {
@@ -397,6 +714,7 @@ class FileProcessor {
      */
     createFallbackAnalysis(basicInfo, filename, fileSize, note) {
         return {
+            analysisVersion: ANALYSIS_VERSION,
             filename: filename,
             originalFilename: filename,
             width: basicInfo.width,
@@ -414,6 +732,7 @@ class FileProcessor {
                 opacity: 255,
                 blendMode: 'normal'
             }],
+            fonts: [],
             fileSize: fileSize,
             parseNote: note,
             isLimitedParse: true
@@ -448,10 +767,14 @@ class FileProcessor {
                 // Extract font information from text style
                 if (layer.text.style) {
                     layerInfo.fontSize = layer.text.style.fontSize;
-                    layerInfo.fontName = layer.text.style.fontName;
+                    layerInfo.fontName = layer.text.style.font?.name || layer.text.style.fontName;
                     layerInfo.fontColor = layer.text.style.fillColor;
                     layerInfo.fontFamily = layer.text.style.fontFamily;
                 }
+
+                // Every font used by the layer, including later style runs
+                layerInfo.fonts = this.getTextFonts(layer.text);
+                layerInfo.textRuns = this.getTextRuns(layer.text);
                 
                 // Extract from document (alternative path for font info)
                 if (layer.text.document && layer.text.document.engineData) {
@@ -486,13 +809,15 @@ class FileProcessor {
             // Check for adjustment layers
             if (layer.adjustment) {
                 layerInfo.isAdjustment = true;
-                layerInfo.adjustmentType = Object.keys(layer.adjustment)[0];
+                // ag-psd names the adjustment in `type`, e.g. 'curves' or 'hue/saturation'
+                layerInfo.adjustmentType = layer.adjustment.type || 'unknown';
             }
             
-            // Check for layer effects
-            if (layer.effects) {
+            // Check for layer effects that are switched on
+            const effects = this.getLayerEffects(layer.effects);
+            if (effects.length > 0) {
                 layerInfo.hasEffects = true;
-                layerInfo.effects = Object.keys(layer.effects);
+                layerInfo.effects = effects;
             }
             
             // Check for masks
@@ -500,15 +825,42 @@ class FileProcessor {
                 layerInfo.hasMask = true;
             }
             
-            // Check for smart objects
+            // Check for smart objects; Photoshop stores a filter mask with smart filters
             if (layer.placedLayer) {
                 layerInfo.isSmartObject = true;
             }
+            if (layer.filterMask) {
+                layerInfo.hasSmartFilters = true;
+            }
+            
+            // Share of a pixel layer in see-through holes, a sign of erasing
+            if (layerInfo.type === 'raster') {
+                const holePercent = this.measureHoles(layer);
+                if (holePercent !== null) {
+                    layerInfo.holePercent = holePercent;
+                }
+            }
             
             // Check for vector layers
             if (layer.vectorMask || layer.vectorStroke) {
                 layerInfo.isVector = true;
             }
+
+            // Solid color fill layers (and shapes filled with a color)
+            if (layer.vectorFill && layer.vectorFill.type === 'color') {
+                layerInfo.fillColor = ColorChecks.toHex(layer.vectorFill.color);
+            }
+            
+            // Pixel bounds; ag-psd trims them to the layer's content, so empty layers have no area
+            if (layerInfo.type !== 'group' && layerInfo.type !== 'adjustment') {
+                layerInfo.bounds = {
+                    left: layer.left || 0,
+                    top: layer.top || 0,
+                    right: layer.right || 0,
+                    bottom: layer.bottom || 0
+                };
+            }
+            layerInfo.isEmpty = this.isEmptyLayer(layer, layerInfo);
             
             layers.push(layerInfo);
             
@@ -528,301 +880,269 @@ class FileProcessor {
     }
 
     /**
-     * Generate thumbnail from PSD data
-     * @param {Object} psd - Parsed PSD object
-     * @param {string} filename - Filename for logging
-     * @returns {string|null} - Base64 encoded thumbnail or null
+     * Whether a layer has nothing in it: a group without layers, blank text or a pixel layer without pixels
+     * @param {Object} layer - ag-psd layer
+     * @param {Object} layerInfo - The layer as extractLayers describes it
+     * @returns {boolean}
      */
-    generateThumbnail(psd, filename) {
-        try {
-            // Try to use existing thumbnail first
-            if (psd.thumbnail) {
-                return this.imageDataToBase64(psd.thumbnail, psd.width, psd.height);
+    isEmptyLayer(layer, layerInfo) {
+        switch (layerInfo.type) {
+            case 'group':
+                return !layer.children || layer.children.length === 0;
+            case 'text':
+                return !String(layerInfo.textContent || '').trim();
+            case 'raster': {
+                // Fill layers cover the canvas without pixels of their own
+                if (layer.vectorFill) return false;
+                const bounds = layerInfo.bounds;
+                return bounds.right <= bounds.left || bounds.bottom <= bounds.top;
             }
+            default:
+                return false;
+        }
+    }
 
-            // Try to use composite image data
-            if (psd.canvas) {
-                return this.canvasToBase64(psd.canvas);
+    /**
+     * Percent of a layer's pixels (within its bounds) that are mostly transparent
+     * and enclosed by opaque pixels. ag-psd trims bounds to the layer's content,
+     * so transparency connected to the edge of the bounds is the outline of a
+     * cut-out or brush stroke; only holes inside the content point to erasing.
+     * @param {Object} layer - ag-psd layer, read with layer image data
+     * @returns {number|null} - Percent, or null when the layer's pixels were not read
+     */
+    measureHoles(layer) {
+        let image = layer.imageData || null;
+        if (!image && layer.canvas && layer.canvas.width > 0 && layer.canvas.height > 0) {
+            image = layer.canvas.getContext('2d').getImageData(0, 0, layer.canvas.width, layer.canvas.height);
+        }
+        if (!image || !image.data || image.data.length === 0) return null;
+        
+        const { width, height, data } = image;
+        const pixelCount = width * height;
+        // 1: transparent, 2: transparent and connected to the edge of the bounds
+        const state = new Uint8Array(pixelCount);
+        let transparent = 0;
+        for (let i = 0; i < pixelCount; i++) {
+            if (data[i * 4 + 3] < 128) {
+                state[i] = 1;
+                transparent++;
             }
-
-            // If we have composite image data
-            if (psd.imageData) {
-                return this.imageDataToBase64(psd.imageData, psd.width, psd.height);
+        }
+        
+        // Flood fill from the edges; each pixel enters the stack at most once
+        const stack = new Int32Array(pixelCount);
+        let size = 0;
+        const visit = index => {
+            if (state[index] === 1) {
+                state[index] = 2;
+                stack[size++] = index;
             }
-
-            return null;
-        } catch (error) {
-            console.log(`Thumbnail generation failed for ${filename}:`, error.message);
-            return null;
+        };
+        for (let x = 0; x < width; x++) {
+            visit(x);
+            visit((height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            visit(y * width);
+            visit(y * width + width - 1);
+        }
+        
+        let outside = 0;
+        while (size > 0) {
+            const index = stack[--size];
+            const x = index % width;
+            outside++;
+            if (x > 0) visit(index - 1);
+            if (x < width - 1) visit(index + 1);
+            if (index >= width) visit(index - width);
+            if (index < pixelCount - width) visit(index + width);
         }
+        
+        return Math.round(((transparent - outside) / pixelCount) * 1000) / 10;
     }
 
     /**
-     * Convert image data to base64
-     * @param {Uint8Array} imageData - Raw image data
-     * @param {number} width - Image width
-     * @param {number} height - Image height
-     * @returns {string} - Base64 encoded image
+     * Names of the layer effects that are switched on
+     * @param {Object} effects - ag-psd layer effects
+     * @returns {Array} - Effect names such as 'dropShadow' and 'stroke'
      */
-    imageDataToBase64(imageData, width, height) {
-        // This is a simplified approach - in a real implementation you'd want to use a proper image library
-        // For now, we'll create a simple placeholder that indicates we have image data
-        const hasData = imageData && imageData.length > 0;
-        return hasData ? 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==' : null;
+    getLayerEffects(effects) {
+        if (!effects || effects.disabled) return [];
+
+        return Object.keys(effects).filter(name => {
+            if (name === 'disabled' || name === 'scale') return false;
+            // Shadows, fills, strokes and gradient overlays can be stacked, so they come as lists
+            const entries = [].concat(effects[name]);
+            return entries.some(entry => entry && typeof entry === 'object' && entry.enabled !== false);
+        });
     }
 
     /**
-     * Convert canvas to base64
-     * @param {HTMLCanvasElement} canvas - Canvas element
-     * @returns {string} - Base64 encoded image
+     * Collect the fonts used by a text layer
+     * @param {Object} text - ag-psd text data
+     * @returns {Array} - Unique font names
      */
-    canvasToBase64(canvas) {
-        try {
-            return canvas.toDataURL('image/png');
-        } catch (error) {
-            return null;
-        }
+    getTextFonts(text) {
+        const fonts = new Set();
+        const addFont = (style) => {
+            const name = style?.font?.name || style?.fontName;
+            if (name) fonts.add(name);
+        };
+
+        addFont(text.style);
+        (text.styleRuns || []).forEach(run => addFont(run.style));
+
+        // Older files only carry style runs in the raw engine data
+        const runArray = text.document?.engineData?.EngineDict?.StyleRun?.RunArray || [];
+        runArray.forEach(run => {
+            const font = run.StyleSheet?.StyleSheetData?.Font;
+            if (typeof font === 'string') fonts.add(font);
+        });
+
+        return Array.from(fonts);
     }
 
     /**
-     * Determine layer type
-     * @param {Object} layer - Layer object
-     * @returns {string} - Layer type
+     * Character style of each run of a text layer, from the style runs ag-psd
+     * decodes out of the engine data. Sizes are in pixels, scaled by the
+     * layer's transform; at 72 ppi a pixel is a point.
+     * @param {Object} text - ag-psd layer text
+     * @returns {Array} - Runs ({ text, font, sizePx, leadingPx, tracking, allCaps, fauxBold, fauxItalic, color })
      */
-    getLayerType(layer) {
-        if (layer.text) return 'text';
-        if (layer.adjustment) return 'adjustment';
-        if (layer.placedLayer) return 'smartObject';
-        if (layer.vectorMask || layer.vectorStroke) return 'shape';
-        if (layer.children) return 'group';
-        return 'raster';
+    getTextRuns(text) {
+        const content = String(text.text || '');
+        const runs = text.styleRuns && text.styleRuns.length > 0
+            ? text.styleRuns
+            : [{ length: content.length, style: {} }];
+        // Free-transformed type keeps its original size and scales it in the transform
+        const scale = Array.isArray(text.transform) ? Math.hypot(text.transform[2], text.transform[3]) || 1 : 1;
+        const round = value => Math.round(value * 100) / 100;
+        let offset = 0;
+
+        return runs.map(run => {
+            const style = { ...(text.style || {}), ...(run.style || {}) };
+            const runText = content.slice(offset, offset + run.length);
+            offset += run.length;
+
+            return {
+                text: runText.replace(/\s+/g, ' ').trim(),
+                font: style.font?.name || null,
+                sizePx: style.fontSize ? round(style.fontSize * scale) : null,
+                leadingPx: !style.autoLeading && style.leading ? round(style.leading * scale) : null,
+                tracking: style.tracking || 0,
+                allCaps: style.fontCaps === 2,
+                fauxBold: Boolean(style.fauxBold),
+                fauxItalic: Boolean(style.fauxItalic),
+                color: ColorChecks.toHex(style.fillColor)
+            };
+        }).filter(run => run.text);
     }
 
     /**
-     * Grade a file based on analysis and criteria
-     * @param {Object} analysis - File analysis results
-     * @param {Object} criteria - Grading criteria
-     * @returns {Object} - Grading results
+     * Render the thumbnail and preview of a parsed PSD
+     * @param {Object} psd - Parsed PSD object
+     * @param {string} filename - Filename for logging
+     * @returns {Object} - { thumbnail, preview } data URLs, null when they cannot be rendered
      */
-    gradeFile(analysis, criteria) {
-        const pointsPerCriterion = parseInt(criteria.pointsPerCriterion) || 20;
-        let score = 0;
-        let maxScore = 0;
-        const checks = [];
-
-        // Filename check
-        if (criteria.enableFilenameSection) {
-            const filenamePoints = parseInt(criteria.filenamePoints) || 10;
-            maxScore += filenamePoints;
-            
-            const passed = this.checkFilename(
-                analysis.originalFilename,
-                criteria.filenamePattern,
-                criteria.filenamePatternType,
-                criteria.filenameCaseSensitive
-            );
-            
-            if (passed) score += filenamePoints;
-            
-            let expectedDisplay = criteria.filenamePattern;
-            if (criteria.filenamePatternType === 'custom' || criteria.filenamePatternType.includes('_')) {
-                expectedDisplay = criteria.filenamePattern.replace(/\{([^}]+)\}/g, '<$1>');
-            }
-            
-            checks.push({
-                criterion: 'Filename',
-                expected: expectedDisplay,
-                actual: analysis.originalFilename.replace(/\.psd$/i, ''),
-                passed: passed,
-                points: passed ? filenamePoints : 0
-            });
+    renderPreviews(psd, filename) {
+        try {
+            return this.previewRenderer.render(psd);
+        } catch (error) {
+            console.log(`Preview rendering failed for ${filename}:`, error.message);
+            return { thumbnail: null, preview: null };
         }
+    }
 
-        // Width check
-        if (criteria.reqWidth) {
-            maxScore += pointsPerCriterion;
-            const passed = analysis.width == criteria.reqWidth;
-            if (passed) score += pointsPerCriterion;
-            checks.push({
-                criterion: 'Width',
-                expected: criteria.reqWidth + 'px',
-                actual: analysis.width + 'px',
-                passed: passed,
-                points: passed ? pointsPerCriterion : 0
-            });
+    /**
+     * Dominant colors of the rendered document
+     * @param {Object} psd - Parsed PSD object
+     * @param {string} filename - Filename for logging
+     * @returns {Array|null} - Colors ({ hex, percent }), null when the document cannot be rendered
+     */
+    sampleColors(psd, filename) {
+        try {
+            const rendered = this.previewRenderer.renderDocument(psd, COLOR_SAMPLE_SIZE);
+            return rendered ? this.colorChecks.dominantColors(rendered.canvas) : null;
+        } catch (error) {
+            console.log(`Color sampling failed for ${filename}:`, error.message);
+            return null;
         }
+    }
 
-        // Height check
-        if (criteria.reqHeight) {
-            maxScore += pointsPerCriterion;
-            const passed = analysis.height == criteria.reqHeight;
-            if (passed) score += pointsPerCriterion;
-            checks.push({
-                criterion: 'Height',
-                expected: criteria.reqHeight + 'px',
-                actual: analysis.height + 'px',
-                passed: passed,
-                points: passed ? pointsPerCriterion : 0
-            });
-        }
+    /**
+     * Measure each visible text layer's colors against the pixels behind it,
+     * adding `contrast` ({ color, background, ratio } per text color) to the layer
+     * @param {Object} psd - Parsed PSD object
+     * @param {Array} layers - Layers from extractLayers
+     * @param {string} filename - Filename for logging
+     */
+    measureTextContrast(psd, layers, filename) {
+        const textLayers = layers.filter(layer =>
+            layer.isText && layer.visible && layer.bounds && layer.bounds.right > layer.bounds.left && layer.bounds.bottom > layer.bounds.top
+        );
+        if (textLayers.length === 0) return;
 
-        // Color mode check
-        if (criteria.reqColorMode) {
-            maxScore += pointsPerCriterion;
-            const passed = analysis.colorMode === criteria.reqColorMode;
-            if (passed) score += pointsPerCriterion;
-            checks.push({
-                criterion: 'Color Mode',
-                expected: criteria.reqColorMode,
-                actual: analysis.colorMode,
-                passed: passed,
-                points: passed ? pointsPerCriterion : 0
-            });
-        }
+        try {
+            const rendered = this.previewRenderer.renderBackground(psd);
+            if (!rendered) return;
 
-        // Minimum layers check
-        if (criteria.minLayers) {
-            maxScore += pointsPerCriterion;
-            const passed = analysis.layerCount >= criteria.minLayers;
-            if (passed) score += pointsPerCriterion;
-            checks.push({
-                criterion: 'Minimum Layers',
-                expected: criteria.minLayers + '+ layers',
-                actual: analysis.layerCount + ' layers',
-                passed: passed,
-                points: passed ? pointsPerCriterion : 0
-            });
-        }
+            textLayers.forEach(layer => {
+                const box = {
+                    left: layer.bounds.left * rendered.scale,
+                    top: layer.bounds.top * rendered.scale,
+                    right: layer.bounds.right * rendered.scale,
+                    bottom: layer.bounds.bottom * rendered.scale
+                };
+                const runColors = (layer.textRuns || []).map(run => run.color).filter(Boolean);
+                const colors = Array.from(new Set(runColors.length > 0 ? runColors : [ColorChecks.toHex(layer.fontColor) || '#000000']));
 
-        // Required layer names check
-        if (criteria.reqLayers && criteria.reqLayers.length > 0) {
-            maxScore += pointsPerCriterion;
-            const requiredLayers = criteria.reqLayers.split(',').map(s => s.trim()).filter(s => s);
-            const foundLayers = requiredLayers.filter(reqLayer => 
-                analysis.layerNames.some(layer => 
-                    layer.toLowerCase().includes(reqLayer.toLowerCase())
-                )
-            );
-            const passed = foundLayers.length === requiredLayers.length;
-            if (passed) score += pointsPerCriterion;
-            checks.push({
-                criterion: 'Required Layers',
-                expected: requiredLayers.join(', '),
-                actual: foundLayers.length > 0 ? foundLayers.join(', ') : 'None found',
-                passed: passed,
-                points: passed ? pointsPerCriterion : 0,
-                requiredLayers: requiredLayers,
-                foundLayers: foundLayers
+                layer.contrast = colors
+                    .map(color => {
+                        const measurement = this.colorChecks.measureContrast(rendered.canvas, box, color, rendered.withoutText);
+                        return measurement ? { color: color, ...measurement } : null;
+                    })
+                    .filter(Boolean);
             });
+        } catch (error) {
+            console.log(`Contrast measurement failed for ${filename}:`, error.message);
         }
-
-        return {
-            filename: analysis.filename,
-            originalFilename: analysis.originalFilename,
-            score: score,
-            maxScore: maxScore,
-            percentage: maxScore > 0 ? Math.round((score / maxScore) * 100) : 0,
-            checks: checks,
-            analysis: analysis
-        };
     }
 
     /**
-     * Check if filename matches pattern
-     * @param {string} filename - Filename to check
-     * @param {string} pattern - Pattern to match
-     * @param {string} patternType - Type of pattern
-     * @param {string} caseSensitive - Case sensitivity
-     * @returns {boolean} - Whether filename matches
+     * Read what ag-psd does not decode from the raw file: the alpha and spot
+     * channels, the embedded color profile and total ink on the composite of CMYK documents
+     * @param {Uint8Array} data - PSD file data
+     * @param {string} filename - Filename for logging
+     * @returns {Object} - { extraChannels, iccProfile, inkCoverage } (see PsdSections), null where they cannot be read
      */
-    checkFilename(filename, pattern, patternType, caseSensitive) {
-        // Strip directory path and get just the filename
-        const baseFilename = filename.split('/').pop().split('\\').pop();
-        
-        // Remove .psd extension for checking
-        const nameWithoutExt = baseFilename.replace(/\.psd$/i, '');
-        
-        // Handle case sensitivity
-        let checkName = caseSensitive === 'yes' ? nameWithoutExt : nameWithoutExt.toLowerCase();
-        let checkPattern = caseSensitive === 'yes' ? pattern : pattern.toLowerCase();
-        
-        console.log('Filename validation:', {
-            originalFilename: filename,
-            baseFilename: baseFilename,
-            nameWithoutExt: nameWithoutExt,
-            checkName: checkName,
-            pattern: pattern,
-            checkPattern: checkPattern,
-            patternType: patternType,
-            caseSensitive: caseSensitive
-        });
-        
-        switch(patternType) {
-            case 'exact':
-                const exactMatch = checkName === checkPattern;
-                console.log(`Exact match result: ${exactMatch}`);
-                return exactMatch;
-                
-            case 'contains':
-                const containsMatch = checkName.includes(checkPattern);
-                console.log(`Contains match result: ${containsMatch}`);
-                return containsMatch;
-                
-            case 'regex':
-                try {
-                    const regex = new RegExp(pattern, caseSensitive === 'yes' ? '' : 'i');
-                    const regexMatch = regex.test(nameWithoutExt);
-                    console.log(`Regex match result: ${regexMatch} (pattern: ${regex})`);
-                    return regexMatch;
-                } catch(e) {
-                    console.error('Invalid regex pattern:', e);
-                    return false;
-                }
-                
-            default:
-                // Handle placeholder patterns
-                let protectedPattern = checkPattern
-                    .replace(/\{CLASS\}/gi, '<<<CLASS>>>')
-                    .replace(/\{LASTNAME\}/gi, '<<<LASTNAME>>>')
-                    .replace(/\{FIRSTNAME\}/gi, '<<<FIRSTNAME>>>')
-                    .replace(/\{ASSIGNMENT\}/gi, '<<<ASSIGNMENT>>>')
-                    .replace(/\{NUMBER\}/gi, '<<<NUMBER>>>')
-                    .replace(/\{ANY\}/gi, '<<<ANY>>>');
-                
-                // Escape special regex characters
-                let escapedPattern = protectedPattern.replace(/[.*+?^${}()|\[\]\\]/g, '\\$&');
-                
-                // Replace placeholders with regex patterns
-                let regexPattern = escapedPattern
-                    .replace(/<<<CLASS>>>/g, '([A-Za-z]{2,5}[\\s-]?\\d{2,4})')
-                    .replace(/<<<LASTNAME>>>/g, '([A-Za-z]+)')
-                    .replace(/<<<FIRSTNAME>>>/g, '([A-Za-z]+)')
-                    .replace(/<<<ASSIGNMENT>>>/g, '([A-Za-z]*\\d[A-Za-z0-9]*)')
-                    .replace(/<<<NUMBER>>>/g, '(\\d+)')
-                    .replace(/<<<ANY>>>/g, '(.+)');
-                
-                try {
-                    const regex = new RegExp('^' + regexPattern + '$', caseSensitive === 'yes' ? '' : 'i');
-                    const placeholderMatch = regex.test(checkName);
-                    
-                    console.log('Placeholder pattern validation:', {
-                        originalPattern: pattern,
-                        protectedPattern: protectedPattern,
-                        escapedPattern: escapedPattern,
-                        finalRegexPattern: regexPattern,
-                        finalRegex: regex.toString(),
-                        testString: checkName,
-                        result: placeholderMatch
-                    });
-                    
-                    return placeholderMatch;
-                } catch(e) {
-                    console.error('Error creating pattern:', e);
-                    return false;
-                }
+    readSections(data, filename) {
+        try {
+            const sections = new PsdSections(data);
+            return {
+                extraChannels: sections.extraChannels(),
+                iccProfile: sections.iccProfile(),
+                inkCoverage: sections.inkCoverage()
+            };
+        } catch (error) {
+            console.log(`Could not read sections of ${filename}:`, error.message);
+            return { extraChannels: null, iccProfile: null, inkCoverage: null };
         }
     }
 
+    /**
+     * Determine layer type
+     * @param {Object} layer - Layer object
+     * @returns {string} - Layer type
+     */
+    getLayerType(layer) {
+        if (layer.text) return 'text';
+        if (layer.adjustment) return 'adjustment';
+        if (layer.placedLayer) return 'smartObject';
+        if (layer.vectorMask || layer.vectorStroke) return 'shape';
+        if (layer.children) return 'group';
+        return 'raster';
+    }
+
     /**
      * Check if filename is a system file
      * @param {string} filename - Filename to check
@@ -847,30 +1167,6 @@ class FileProcessor {
         
         return false;
     }
-
-    /**
-     * Calculate maximum possible score
-     * @param {Object} criteria - Grading criteria
-     * @returns {number} - Maximum score
-     */
-    getMaxScore(criteria) {
-        const pointsPerCriterion = parseInt(criteria.pointsPerCriterion) || 20;
-        let maxScore = 0;
-
-        if (criteria.enableFilenameSection) {
-            maxScore += parseInt(criteria.filenamePoints) || 10;
-        }
-
-        if (criteria.reqWidth) maxScore += pointsPerCriterion;
-        if (criteria.reqHeight) maxScore += pointsPerCriterion;
-        if (criteria.reqColorMode) maxScore += pointsPerCriterion;
-        if (criteria.minLayers) maxScore += pointsPerCriterion;
-        if (criteria.reqLayers && criteria.reqLayers.trim()) {
-            maxScore += pointsPerCriterion;
-        }
-
-        return maxScore;
-    }
 }
 
 module.exports = FileProcessor;
@@ -0,0 +1,221 @@
+const TextChecks = require('./text-checks');
+
+/**
+ * Font families by display name, with the PostScript name prefixes their
+ * fonts use and other names instructors write them as. PSDs record the
+ * PostScript name of each font (e.g. "MrsEavesOT-Roman"), which rarely
+ * contains the family name as written in an approved-fonts list.
+ */
+const FAMILIES = [
+    { family: 'Franklin Gothic', postscript: ['FranklinGothic', 'ITCFranklinGothic', 'FranklinGothicURW'] },
+    { family: 'Adobe Jenson', postscript: ['AJenson'], aliases: ['Jenson'] },
+    { family: 'Sabon', postscript: ['Sabon', 'SabonNext'] },
+    { family: 'Mr Eaves', postscript: ['MrEaves', 'MrEavesSan', 'MrEavesXLSan', 'MrEavesMod', 'MrEavesXLMod'], aliases: ['Mr. Eaves', 'Mr Eaves Sans', 'Mr Eaves Modern'] },
+    { family: 'Mrs Eaves', postscript: ['MrsEaves', 'MrsEavesXLSerif', 'MrsEavesPetiteCaps', 'MrsEavesAllSmallCaps', 'MrsEavesSmallCaps'], aliases: ['Mrs. Eaves'] },
+    { family: 'FF Ernestine', postscript: ['Ernestine', 'FFErnestine'], aliases: ['Ernestine', 'FF. Ernestine'] },
+    { family: 'Adobe Garamond', postscript: ['AGaramond', 'AdobeGaramond'], aliases: ['Garamond Premier'] },
+    { family: 'FF Scala', postscript: ['Scala', 'FFScala'], aliases: ['Scala'] },
+    { family: 'FF Scala Sans', postscript: ['ScalaSans', 'FFScalaSans'], aliases: ['Scala Sans'] },
+    { family: 'FF Meta', postscript: ['Meta', 'FFMeta', 'MetaPlus'], aliases: ['Meta'] },
+    { family: 'FF Meta Serif', postscript: ['MetaSerif', 'FFMetaSerif'], aliases: ['Meta Serif'] },
+    { family: 'Adobe Caslon', postscript: ['ACaslon', 'AdobeCaslon'], aliases: ['Caslon'] },
+    { family: 'Filosofia', postscript: ['Filosofia', 'FilosofiaUnicase', 'FilosofiaGrand'] },
+    { family: 'Meno', postscript: ['Meno', 'MenoText', 'MenoBanner', 'MenoDisplay', 'MenoBannerCondensed'] },
+    { family: 'Baskerville', postscript: ['Baskerville', 'BaskervilleMT', 'NewBaskerville', 'ITCNewBaskerville', 'LibreBaskerville'] },
+    { family: 'Interstate', postscript: ['Interstate', 'InterstateMono'] },
+    { family: 'News Gothic', postscript: ['NewsGothic', 'NewsGothicMT', 'NewsGothicBT'] },
+    { family: 'Nobel', postscript: ['Nobel'] },
+    { family: 'Degular', postscript: ['Degular', 'DegularDisplay', 'DegularText', 'DegularMono'] },
+    { family: 'Clarendon', postscript: ['Clarendon', 'ClarendonURW', 'ClarendonText', 'ClarendonBT'] },
+    { family: 'Ambroise', postscript: ['Ambroise', 'AmbroiseFirmin', 'AmbroiseFrancois'] },
+    { family: 'Proxima Nova', postscript: ['ProximaNova', 'ProximaNovaCond', 'ProximaNovaExCn', 'ProximaNovaScosf'] },
+    { family: 'Rockwell', postscript: ['Rockwell', 'RockwellNova'] },
+    { family: 'Trade Gothic', postscript: ['TradeGothic', 'TradeGothicNext', 'TradeGothicNextLT', 'TradeGothicNo', 'TradeGothicCondEighteen'] },
+    { family: 'Bookmania', postscript: ['Bookmania'] },
+    { family: 'Museo Slab', postscript: ['MuseoSlab'] },
+    { family: 'Museo Sans', postscript: ['MuseoSans'] },
+    { family: 'Helvetica', postscript: ['Helvetica', 'HelveticaLT'] },
+    { family: 'Helvetica Neue', postscript: ['HelveticaNeue', 'HelveticaNeueLT'] },
+    { family: 'Arial', postscript: ['Arial', 'ArialMT'] },
+    { family: 'Times New Roman', postscript: ['TimesNewRoman', 'TimesNewRomanPS', 'TimesNewRomanPSMT'] },
+    { family: 'Times', postscript: ['Times', 'TimesLT'] },
+    { family: 'Futura', postscript: ['Futura', 'FuturaPT', 'FuturaStd', 'FuturaBT'] },
+    { family: 'Myriad', postscript: ['Myriad', 'MyriadPro', 'MyriadVariable'], aliases: ['Myriad Pro'] },
+    { family: 'Minion', postscript: ['Minion', 'MinionPro', 'MinionVariableConcept'], aliases: ['Minion Pro'] },
+    { family: 'Gill Sans', postscript: ['GillSans', 'GillSansMT', 'GillSansNova'] },
+    { family: 'Avenir', postscript: ['Avenir', 'AvenirLT'] },
+    { family: 'Avenir Next', postscript: ['AvenirNext', 'AvenirNextLT'] },
+    { family: 'Georgia', postscript: ['Georgia'] },
+    { family: 'Garamond', postscript: ['Garamond', 'EBGaramond', 'ITCGaramond'] },
+    { family: 'Bodoni', postscript: ['Bodoni', 'BauerBodoni', 'BodoniMT', 'ITCBodoni', 'BodoniSvtyTwoITC'] },
+    { family: 'Univers', postscript: ['Univers', 'UniversLT', 'UniversNext'] },
+    { family: 'Gotham', postscript: ['Gotham', 'GothamNarrow', 'GothamRounded'] }
+];
+
+// Foundry prefixes and format suffixes that are not part of a family name
+const FOUNDRY_PREFIX = /^(ff|itc|lt)(?=[a-z]{3})/;
+const FORMAT_SUFFIX = /(ot|pro|std|lt|mt|ps|com|offc|web|ttf|otf|variable|vf)$/;
+
+// Style words in the part of a PostScript name after the hyphen, with the weight each means
+const WEIGHTS = [
+    ['thin', 'Thin'], ['hairline', 'Thin'],
+    ['extralight', 'Extra Light'], ['ultralight', 'Extra Light'],
+    ['light', 'Light'], ['lt', 'Light'],
+    ['book', 'Book'], ['regular', 'Regular'], ['roman', 'Regular'], ['normal', 'Regular'], ['reg', 'Regular'], ['norm', 'Regular'],
+    ['medium', 'Medium'], ['med', 'Medium'],
+    ['semibold', 'Semibold'], ['demibold', 'Semibold'], ['demi', 'Semibold'], ['sb', 'Semibold'],
+    ['extrabold', 'Extra Bold'], ['ultrabold', 'Extra Bold'], ['heavy', 'Heavy'], ['black', 'Black'],
+    ['bold', 'Bold'], ['bd', 'Bold']
+];
+const ITALIC = /(italic|oblique|ital|it)$/;
+
+// Shortest catalog key a longer name may start with, so "Metallica" is not FF Meta
+const MIN_PREFIX_LENGTH = 5;
+
+// How similar (0-1) an unmatched name must be to a family to suggest it
+const SUGGEST_SIMILARITY = 0.6;
+
+/**
+ * Maps font names, as PSDs record them (PostScript names) or as people write
+ * them (family names), onto font families, so approved and required font
+ * lists match by family rather than by substring.
+ */
+class FontCatalog {
+    /**
+     * @param {Array} families - Catalog entries ({ family, postscript, aliases }); defaults to FAMILIES
+     */
+    constructor(families = FAMILIES) {
+        this.families = families;
+        // Every key a family is known by, longest first so "metaserif" wins over "meta"
+        this.keys = families
+            .flatMap(entry => [entry.family, ...(entry.aliases || []), ...(entry.postscript || [])]
+                .map(name => ({ key: familyKey(name), family: entry.family })))
+            .filter(entry => entry.key)
+            .sort((a, b) => b.key.length - a.key.length);
+    }
+
+    /**
+     * Work out the family, weight and style of a font
+     * @param {string} name - PostScript name (e.g. "MrsEavesOT-Roman") or family name (e.g. "Mrs. Eaves")
+     * @returns {Object} - { name, family, weight, italic, known } where `known` says the family is in the catalog
+     */
+    resolve(name) {
+        const text = String(name || '').trim();
+        const hyphen = text.indexOf('-');
+        const familyPart = hyphen > 0 && !/\s/.test(text) ? text.slice(0, hyphen) : text;
+        const stylePart = familyPart === text ? '' : text.slice(hyphen + 1);
+        const key = familyKey(familyPart);
+
+        // PostScript family parts run width and optical variants on, e.g. "MrEavesXLModOT"
+        const match = this.keys.find(entry => entry.key === key) ||
+            this.keys.find(entry => entry.key.length >= MIN_PREFIX_LENGTH && key.startsWith(entry.key));
+        const style = parseStyle(stylePart);
+
+        return {
+            name: text,
+            family: match ? match.family : splitWords(familyPart),
+            weight: style.weight,
+            italic: style.italic,
+            known: Boolean(match)
+        };
+    }
+
+    /**
+     * Whether a font belongs to a family
+     * @param {string} font - Font name from the PSD
+     * @param {string} family - Family name as written in the criteria
+     * @returns {boolean}
+     */
+    isFamily(font, family) {
+        return familyKey(this.resolve(font).family) === familyKey(this.resolve(family).family);
+    }
+
+    /**
+     * Closest family to a name that matched nothing, for "did you mean" hints
+     * @param {string} name - Font or family name
+     * @param {Array} families - Names to pick from; defaults to the catalog's families
+     * @returns {string|null} - The closest name as given, or null when nothing is close
+     */
+    suggest(name, families = this.families.map(entry => entry.family)) {
+        const key = familyKey(this.resolve(name).family);
+        let best = { family: null, score: 0 };
+
+        families.forEach(family => {
+            const score = TextChecks.similarity(key, familyKey(this.resolve(family).family));
+            if (score > best.score) best = { family: family, score: score };
+        });
+
+        return best.score >= SUGGEST_SIMILARITY && best.score < 1 ? best.family : null;
+    }
+
+    /**
+     * Check a list of family names as entered for approved or required fonts
+     * @param {Array} names - Family names
+     * @returns {Array} - One entry per name ({ name, family, known, suggestion })
+     */
+    checkNames(names) {
+        return (names || []).map(name => {
+            const resolved = this.resolve(name);
+            return {
+                name: name,
+                family: resolved.family,
+                known: resolved.known,
+                suggestion: resolved.known ? null : this.suggest(name)
+            };
+        });
+    }
+}
+
+/**
+ * Comparable form of a family name: lowercase letters and digits only,
+ * without foundry prefixes or format suffixes ("FF Meta Pro" -> "meta")
+ * @param {string} name - Family or PostScript family name
+ * @returns {string}
+ */
+function familyKey(name) {
+    let key = String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    let previous;
+    do {
+        previous = key;
+        key = key.replace(FORMAT_SUFFIX, '').replace(FOUNDRY_PREFIX, '');
+    } while (key !== previous && key.length > 3);
+    return key || previous;
+}
+
+/**
+ * Weight and italic from the style part of a PostScript name, e.g. "BoldIt"
+ * @param {string} style - Text after the hyphen
+ * @returns {Object} - { weight, italic }
+ */
+function parseStyle(style) {
+    let text = String(style || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    // Format suffixes come last ("BoldItalicMT", "ItPS"), so drop them before looking for the italic
+    let previous;
+    do {
+        previous = text;
+        text = text.replace(FORMAT_SUFFIX, '');
+    } while (text !== previous && text.length > 0);
+
+    const italic = ITALIC.test(text);
+    if (italic) text = text.replace(ITALIC, '');
+
+    const numeric = text.match(/^\d{3}$/);
+    const weight = numeric ? numeric[0] : (WEIGHTS.find(([word]) => text.startsWith(word) || text === word) || [null, 'Regular'])[1];
+    return { weight: weight, italic: italic };
+}
+
+/**
+ * Family name for a font the catalog does not know: "OpenSans" -> "Open Sans"
+ * @param {string} name - PostScript family part or family name
+ * @returns {string}
+ */
+function splitWords(name) {
+    return String(name || '')
+        .replace(/(MT|PS|OT|Pro|Std)$/, '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .trim() || String(name || '');
+}
+
+FontCatalog.FAMILIES = FAMILIES;
+
+module.exports = FontCatalog;
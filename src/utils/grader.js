@@ -0,0 +1,827 @@
+/**
+ * Grading pipeline shared by the web UI and programmatic callers.
+ * Takes a PSD analysis (see FileProcessor.analyzePSDData) and the nested
+ * criteria object built by getEnabledCriteria() in main.js, which is turned
+ * into a rubric (see rubric.js) before any check runs.
+ */
+
+const Rubric = require('./rubric');
+const FontCatalog = require('./font-catalog');
+const LayerChecks = require('./layer-checks');
+const OrganizationChecks = require('./organization-checks');
+const TextChecks = require('./text-checks');
+const TypographyChecks = require('./typography-checks');
+const ColorChecks = require('./color-checks');
+const PreflightChecks = require('./preflight-checks');
+
+const PATTERN_PRESETS = {
+    class_name_assignment: '{CLASS}_{LASTNAME}_{ASSIGNMENT}',
+    name_class_assignment: '{LASTNAME}_{CLASS}_{ASSIGNMENT}',
+    assignment_name_class: '{ASSIGNMENT}_{LASTNAME}_{CLASS}'
+};
+
+const PLACEHOLDER_PATTERNS = {
+    CLASS: '[A-Za-z]{2,5}[\\s\\-]?\\d{2,4}',
+    LASTNAME: '[A-Za-z\\-]+',
+    FIRSTNAME: '[A-Za-z\\-]+',
+    ASSIGNMENT: '[A-Za-z]*[\\s\\-]?\\d+[A-Za-z0-9]*',
+    NUMBER: '\\d+',
+    ANY: '.+'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class Grader {
+    constructor() {
+        this.layerChecks = new LayerChecks();
+        this.organizationChecks = new OrganizationChecks();
+        this.textChecks = new TextChecks();
+        this.typographyChecks = new TypographyChecks();
+        this.colorChecks = new ColorChecks();
+        this.preflightChecks = new PreflightChecks();
+        this.fontCatalog = new FontCatalog();
+    }
+
+    /**
+     * Grade a single analyzed file
+     * @param {Object} analysis - Analysis from FileProcessor.analyzePSDData
+     * @param {Object} criteria - Nested criteria (filename, technical, fonts, ...)
+     * @param {Object} fileInfo - Submission info ({ filename, canvasData, submittedAt, filenameCheck, pseudonym });
+     *     an anonymized file brings a filename check graded before its name was replaced
+     * @returns {Object} - Result with score, maxScore and per-criterion checks
+     */
+    gradeFile(analysis, criteria, fileInfo = {}) {
+        const canvasData = fileInfo.canvasData || null;
+        const filename = fileInfo.filename || analysis.filename;
+        const rubric = Rubric.fromCriteria(criteria);
+        const submission = { ...fileInfo, filename, canvasData };
+
+        const checks = rubric.rows.map(row => this.scoreRow(row, rubric, analysis, submission));
+
+        const score = Math.round(checks.reduce((sum, check) => sum + check.points, 0) * 100) / 100;
+        const maxScore = rubric.maxScore;
+
+        const result = {
+            filename: filename,
+            displayName: canvasData ? `${canvasData.lastName} - ${canvasData.originalFilename}` : filename,
+            score: score,
+            maxScore: maxScore,
+            percentage: maxScore > 0 ? Math.round((score / maxScore) * 100) : 0,
+            checks: checks,
+            thumbnail: analysis.thumbnail || null,
+            preview: analysis.preview || null,
+            colorProfile: analysis.iccProfile ? analysis.iccProfile.name : null,
+            bitDepth: analysis.bitDepth || null
+        };
+
+        if (canvasData) {
+            result.canvasData = canvasData;
+            result.studentName = canvasData.lastName;
+            result.canvasUserId = canvasData.userId;
+            result.isLate = canvasData.isLate;
+        } else {
+            const filenameCheck = checks.find(check => check.type === 'filename');
+            if (filenameCheck?.studentName) {
+                result.studentName = filenameCheck.studentName;
+            }
+        }
+
+        result.submittedAt = fileInfo.submittedAt || null;
+        result.late = this.assessLate(result, criteria.late);
+
+        this.markAnonymized(result, fileInfo);
+        return result;
+    }
+
+    /**
+     * Build the result for a file that could not be analyzed
+     * @param {Object} fileInfo - Submission info ({ filename, canvasData })
+     * @param {Object} criteria - Nested criteria
+     * @param {Error|string} error - What went wrong
+     * @returns {Object} - Zero-score result carrying the error message
+     */
+    errorResult(fileInfo, criteria, error) {
+        const result = {
+            filename: fileInfo.filename,
+            displayName: fileInfo.filename,
+            error: error instanceof Error ? error.message : String(error),
+            score: 0,
+            maxScore: this.getMaxScore(criteria),
+            percentage: 0,
+            checks: [],
+            thumbnail: null,
+            preview: null
+        };
+
+        if (fileInfo.canvasData) {
+            result.canvasData = fileInfo.canvasData;
+            result.studentName = fileInfo.canvasData.lastName;
+            result.canvasUserId = fileInfo.canvasData.userId;
+            result.isLate = fileInfo.canvasData.isLate;
+        }
+
+        result.submittedAt = fileInfo.submittedAt || null;
+        this.markAnonymized(result, fileInfo);
+        return result;
+    }
+
+    /**
+     * Flag a result whose filename was replaced with a pseudonym
+     * @param {Object} result - Graded result
+     * @param {Object} fileInfo - Submission info
+     */
+    markAnonymized(result, fileInfo) {
+        if (fileInfo.pseudonym) {
+            result.anonymized = true;
+            result.pseudonym = fileInfo.pseudonym;
+        }
+    }
+
+    /**
+     * Run a rubric row's check and score it
+     * @param {Object} row - Normalized rubric row
+     * @param {Rubric} rubric - Rubric the row belongs to
+     * @param {Object} analysis - File analysis
+     * @param {Object} fileInfo - Submission info ({ filename, canvasData, filenameCheck })
+     * @returns {Object} - Check outcome with points, maxPoints and the level reached
+     */
+    scoreRow(row, rubric, analysis, fileInfo) {
+        const outcome = this.runCheck(row, analysis, fileInfo);
+        const credit = outcome.passed ? 1 : this.partialCredit(row, outcome, analysis);
+        const points = Math.round(row.points * credit * 100) / 100;
+        const levels = rubric.levelRanges(row);
+
+        return {
+            ...outcome,
+            id: row.id,
+            type: row.type,
+            criterion: row.title,
+            points: points,
+            maxPoints: row.points,
+            level: Rubric.levelForPoints(points, levels),
+            levels: levels,
+            canvasId: row.canvasId
+        };
+    }
+
+    /**
+     * Run the check a rubric row points at
+     * @param {Object} row - Normalized rubric row
+     * @param {Object} analysis - File analysis
+     * @param {Object} fileInfo - Submission info
+     * @returns {Object} - Check outcome with a `passed` flag
+     */
+    runCheck(row, analysis, fileInfo) {
+        const settings = row.settings;
+
+        switch (row.type) {
+            case 'filename': {
+                if (fileInfo.filenameCheck) return fileInfo.filenameCheck;
+
+                // Canvas prefixes the student's filename; grade what the student submitted
+                const canvasData = fileInfo.canvasData;
+                const submittedName = canvasData ? `${canvasData.originalFilename}.psd` : fileInfo.filename;
+                return this.checkFilename(submittedName, settings);
+            }
+            case 'dimensions':
+                return this.checkDimensions(analysis, settings);
+            case 'colorMode':
+                return this.checkColorMode(analysis, settings);
+            case 'layers':
+                return this.checkLayerCount(analysis, settings);
+            case 'requiredLayers':
+                return this.checkRequiredLayers(analysis, settings);
+            case 'resolution':
+                return this.checkResolution(analysis, settings);
+            case 'bitDepth':
+                return this.checkBitDepth(analysis, settings);
+            case 'colorProfile':
+                return this.checkColorProfile(analysis, settings);
+            case 'fonts':
+                return this.checkFonts(analysis, settings);
+            case 'adjustmentLayers':
+            case 'layerMasks':
+            case 'layerEffects':
+            case 'smartObjects':
+            case 'blendModes':
+                return this.layerChecks.checkTechnique(row.type, analysis, settings);
+            case 'nonDestructive':
+                return this.layerChecks.checkNonDestructive(analysis, settings);
+            case 'layerNames':
+            case 'emptyLayers':
+            case 'offCanvasLayers':
+            case 'hiddenLayers':
+            case 'ungroupedLayers':
+            case 'groupNesting':
+                return this.organizationChecks.checkOrganization(row.type, analysis, settings);
+            case 'requiredText':
+                return this.textChecks.checkRequiredText(analysis, settings);
+            case 'forbiddenText':
+                return this.textChecks.checkForbiddenText(analysis, settings);
+            case 'textLength':
+                return this.textChecks.checkTextLength(analysis, settings);
+            case 'spelling':
+                return this.textChecks.checkSpelling(analysis, settings);
+            case 'textSize':
+            case 'sizeHierarchy':
+            case 'fauxStyles':
+            case 'typefaces':
+            case 'leading':
+            case 'tracking':
+                return this.typographyChecks.checkTypography(row.type, analysis, settings);
+            case 'palette':
+                return this.colorChecks.checkPalette(analysis, settings);
+            case 'contrast':
+                return this.colorChecks.checkContrast(analysis, settings);
+            case 'bleedSize':
+                return this.preflightChecks.checkBleedSize(analysis, settings);
+            case 'safeMargin':
+                return this.preflightChecks.checkSafeMargin(analysis, settings);
+            case 'inkCoverage':
+                return this.preflightChecks.checkInkCoverage(analysis, settings);
+            case 'spotChannels':
+                return this.preflightChecks.checkSpotChannels(analysis, settings);
+            case 'manual':
+                return {
+                    expected: row.description || 'Reviewed by instructor',
+                    actual: 'Awaiting instructor review',
+                    passed: false,
+                    manual: true
+                };
+            default:
+                throw new Error(`Unknown rubric check: ${row.type}`);
+        }
+    }
+
+    /**
+     * Share of a row's points earned by a check that was not fully met
+     * @param {Object} row - Normalized rubric row
+     * @param {Object} check - Check outcome
+     * @param {Object} analysis - File analysis
+     * @returns {number} - Credit from 0 to 1
+     */
+    partialCredit(row, check, analysis) {
+        const settings = row.settings;
+
+        switch (row.scoring) {
+            case 'perItem': {
+                if (row.type === 'requiredLayers' || row.type === 'requiredText') {
+                    const details = check.details || [];
+                    return details.length > 0 ? details.filter(detail => detail.found).length / details.length : 0;
+                }
+                // Fonts: each used font and each required font is one item
+                const items = (check.fontDetails || []).length + (settings.requiredFonts || []).length;
+                return items > 0 ? Math.max(0, (items - check.violations.length) / items) : 0;
+            }
+            case 'proportional': {
+                if (row.type === 'nonDestructive') {
+                    const edits = check.nonDestructiveCount + check.destructiveCount;
+                    return edits > 0 ? check.nonDestructiveCount / edits : 0;
+                }
+                if (row.type === 'spelling') {
+                    return check.wordCount > 0 ? 1 - check.misspellings.length / check.wordCount : 1;
+                }
+                // Checks that flag layers (or text runs, or colors) earn the share of those checked not flagged
+                if (check.flagged) {
+                    return check.checkedCount > 0 ? 1 - check.flagged.length / check.checkedCount : 0;
+                }
+                if (check.required > 0) {
+                    return Math.min(1, check.count / check.required);
+                }
+                const actual = row.type === 'layers' ? analysis.layerCount : analysis.resolution;
+                const required = row.type === 'layers' ? settings.minLayers : settings.resolution;
+                return required > 0 ? Math.min(1, Math.max(0, (Number(actual) || 0) / required)) : 0;
+            }
+            case 'bands': {
+                const deviation = this.deviationPercent(row, analysis);
+                const band = row.bands.find(candidate => deviation <= candidate.within);
+                return band ? band.credit / 100 : 0;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * How far a measured value is from the requirement, for tolerance bands
+     * @param {Object} row - Normalized rubric row (dimensions or resolution)
+     * @param {Object} analysis - File analysis
+     * @returns {number} - Percent off the requirement
+     */
+    deviationPercent(row, analysis) {
+        const settings = row.settings;
+        const off = (actual, required) => Math.abs((Number(actual) || 0) - required) / required * 100;
+
+        if (row.type === 'resolution') {
+            // Resolution above the minimum is never penalized
+            return analysis.resolution >= settings.resolution ? 0 : off(analysis.resolution, settings.resolution);
+        }
+
+        return Math.max(
+            settings.width ? off(analysis.width, settings.width) : 0,
+            settings.height ? off(analysis.height, settings.height) : 0
+        );
+    }
+
+    /**
+     * Check filename against the configured pattern
+     * @param {string} filename - Filename to check
+     * @param {Object} criteria - criteria.filename
+     * @returns {Object} - Check outcome
+     */
+    checkFilename(filename, criteria) {
+        const baseFilename = filename.split('/').pop().split('\\').pop();
+        const nameWithoutExt = baseFilename.replace(/\.psd$/i, '');
+        const patternType = criteria.patternType || 'custom';
+        const pattern = PATTERN_PRESETS[patternType] || criteria.pattern || '';
+
+        const usesPlaceholders = Boolean(PATTERN_PRESETS[patternType]) || patternType === 'custom';
+
+        const passed = this.matchFilenamePattern(nameWithoutExt, pattern, patternType, criteria.caseSensitive);
+
+        const check = {
+            id: 'filename',
+            criterion: 'Filename',
+            expected: usesPlaceholders ? pattern.replace(/\{([^}]+)\}/g, '<$1>') : pattern,
+            actual: nameWithoutExt,
+            passed: passed
+        };
+
+        if (usesPlaceholders) {
+            const match = this.extractFromPattern(nameWithoutExt, pattern);
+            if (match?.LASTNAME) {
+                check.studentName = match.LASTNAME;
+            }
+        }
+
+        return check;
+    }
+
+    /**
+     * Test a filename (without extension) against a pattern
+     * @param {string} name - Filename without extension
+     * @param {string} pattern - Pattern text
+     * @param {string} patternType - exact, contains, regex, custom or a preset
+     * @param {boolean} caseSensitive - Whether to match case
+     * @returns {boolean} - Whether the filename matches
+     */
+    matchFilenamePattern(name, pattern, patternType, caseSensitive = false) {
+        const checkName = caseSensitive ? name : name.toLowerCase();
+        const checkPattern = caseSensitive ? pattern : pattern.toLowerCase();
+
+        switch (patternType) {
+            case 'exact':
+                return checkName === checkPattern;
+
+            case 'contains':
+                return checkName.includes(checkPattern);
+
+            case 'regex':
+                try {
+                    return new RegExp(pattern, caseSensitive ? '' : 'i').test(name);
+                } catch (e) {
+                    console.error('Invalid regex pattern:', e.message);
+                    return false;
+                }
+
+            default:
+                try {
+                    return this.buildPlaceholderRegex(pattern, caseSensitive, false).test(name);
+                } catch (e) {
+                    console.error('Pattern error:', e.message);
+                    return false;
+                }
+        }
+    }
+
+    /**
+     * Extract placeholder values ({LASTNAME}, {CLASS}, ...) from a filename
+     * @param {string} name - Filename without extension
+     * @param {string} pattern - Placeholder pattern
+     * @returns {Object|null} - Captured values keyed by placeholder
+     */
+    extractFromPattern(name, pattern) {
+        try {
+            const match = name.match(this.buildPlaceholderRegex(pattern, false, true));
+            return match?.groups || null;
+        } catch (e) {
+            console.error('Pattern extraction error:', e.message);
+            return null;
+        }
+    }
+
+    /**
+     * Convert a placeholder pattern into an anchored regular expression
+     * @param {string} pattern - Placeholder pattern
+     * @param {boolean} caseSensitive - Whether to match case
+     * @param {boolean} named - Use named capture groups
+     * @returns {RegExp} - Compiled expression
+     */
+    buildPlaceholderRegex(pattern, caseSensitive, named) {
+        const seen = new Set();
+        const source = pattern
+            .split(/(\{[A-Za-z]+\})/)
+            .map(part => {
+                const placeholder = part.match(/^\{([A-Za-z]+)\}$/)?.[1].toUpperCase();
+                if (placeholder && PLACEHOLDER_PATTERNS[placeholder]) {
+                    // Named groups must be unique, so only the first occurrence is named
+                    const group = named && !seen.has(placeholder) ? `?<${placeholder}>` : '';
+                    seen.add(placeholder);
+                    return `(${group}${PLACEHOLDER_PATTERNS[placeholder]})`;
+                }
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+
+        return new RegExp('^' + source + '$', caseSensitive ? '' : 'i');
+    }
+
+    /**
+     * Check document dimensions
+     * @param {Object} analysis - File analysis
+     * @param {Object} criteria - criteria.technical
+     * @returns {Object} - Check outcome
+     */
+    checkDimensions(analysis, criteria) {
+        const widthOk = !criteria.width || analysis.width === criteria.width;
+        const heightOk = !criteria.height || analysis.height === criteria.height;
+
+        return {
+            id: 'dimensions',
+            criterion: 'Dimensions',
+            expected: `${criteria.width || 'any'}x${criteria.height || 'any'}px`,
+            actual: `${analysis.width}x${analysis.height}px`,
+            passed: widthOk && heightOk
+        };
+    }
+
+    /**
+     * Check color mode
+     * @param {Object} analysis - File analysis
+     * @param {Object} criteria - criteria.technical
+     * @returns {Object} - Check outcome
+     */
+    checkColorMode(analysis, criteria) {
+        return {
+            id: 'colorMode',
+            criterion: 'Color Mode',
+            expected: criteria.colorMode,
+            actual: analysis.colorMode,
+            passed: analysis.colorMode === criteria.colorMode
+        };
+    }
+
+    /**
+     * Check minimum layer count (hidden layers and groups included)
+     * @param {Object} analysis - File analysis
+     * @param {Object} criteria - criteria.technical
+     * @returns {Object} - Check outcome
+     */
+    checkLayerCount(analysis, criteria) {
+        return {
+            id: 'layers',
+            criterion: 'Minimum Layers',
+            expected: `${criteria.minLayers}+ layers`,
+            actual: `${analysis.layerCount} layers`,
+            passed: analysis.layerCount >= criteria.minLayers
+        };
+    }
+
+    /**
+     * Check that required layer names are present
+     * @param {Object} analysis - File analysis
+     * @param {Object} criteria - criteria.technical
+     * @returns {Object} - Check outcome with a per-layer breakdown
+     */
+    checkRequiredLayers(analysis, criteria) {
+        const layerNames = analysis.layerNames || [];
+        const details = criteria.requiredLayers.map(required => {
+            const actualMatch = layerNames.find(name =>
+                name.toLowerCase().includes(required.toLowerCase())
+            );
+            return {
+                name: required,
+                found: Boolean(actualMatch),
+                actualMatch: actualMatch || null
+            };
+        });
+        const found = details.filter(detail => detail.found);
+
+        return {
+            id: 'requiredLayers',
+            criterion: 'Required Layers',
+            expected: criteria.requiredLayers.join(', '),
+            actual: found.length > 0 ? found.map(detail => detail.actualMatch).join(', ') : 'None found',
+            passed: found.length === details.length,
+            details: details
+        };
+    }
+
+    /**
+     * Check minimum resolution (DPI)
+     * @param {Object} analysis - File analysis
+     * @param {Object} criteria - criteria.technical
+     * @returns {Object} - Check outcome
+     */
+    checkResolution(analysis, criteria) {
+        return {
+            id: 'resolution',
+            criterion: 'Resolution',
+            expected: `${criteria.resolution}+ DPI`,
+            actual: `${analysis.resolution} DPI`,
+            passed: analysis.resolution >= criteria.resolution
+        };
+    }
+
+    /**
+     * Check bits per channel
+     * @param {Object} analysis - File analysis
+     * @param {Object} criteria - criteria.technical
+     * @returns {Object} - Check outcome
+     */
+    checkBitDepth(analysis, criteria) {
+        return {
+            id: 'bitDepth',
+            criterion: 'Bit Depth',
+            expected: `${criteria.bitDepth}-bit`,
+            actual: `${analysis.bitDepth}-bit`,
+            passed: Number(analysis.bitDepth) === Number(criteria.bitDepth)
+        };
+    }
+
+    /**
+     * Check the embedded ICC color profile. Names match when the profile's
+     * description contains them, ignoring case and punctuation, so "Coated
+     * FOGRA39" accepts "Coated FOGRA39 (ISO 12647-2:2004)". A file without a
+     * profile always fails.
+     * @param {Object} analysis - File analysis
+     * @param {Object} criteria - criteria.technical, with colorProfile: { profiles } (empty accepts any profile)
+     * @returns {Object} - Check outcome
+     */
+    checkColorProfile(analysis, criteria) {
+        const profiles = (criteria.colorProfile?.profiles || []).filter(name => String(name).trim());
+        const profile = analysis.iccProfile;
+        const comparable = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const matches = profile && (profiles.length === 0 ||
+            profiles.some(name => comparable(profile.name).includes(comparable(name))));
+
+        return {
+            id: 'colorProfile',
+            criterion: 'Color Profile',
+            expected: profiles.length > 0 ? `${profiles.join(' or ')} embedded` : 'An embedded color profile',
+            actual: profile ? `${profile.name} embedded` : 'No color profile embedded',
+            passed: Boolean(matches),
+            profile: profile ? profile.name : null
+        };
+    }
+
+    /**
+     * Check fonts used in text layers against approved and required lists.
+     * Fonts match by family through the font catalog, so "Mrs. Eaves" approves
+     * MrsEavesOT-Roman; an unapproved font close to an approved name is reported as a near miss.
+     * @param {Object} analysis - File analysis
+     * @param {Object} criteria - criteria.fonts
+     * @returns {Object} - Check outcome with per-font details
+     */
+    checkFonts(analysis, criteria) {
+        const usedFonts = analysis.fonts || [];
+        const approvedList = (criteria.approvedFonts || []).map(font => font.trim()).filter(Boolean);
+        const violations = [];
+
+        const fontDetails = usedFonts.map(font => {
+            const resolved = this.fontCatalog.resolve(font);
+            const approved = approvedList.length === 0 || approvedList.some(entry => this.fontCatalog.isFamily(font, entry));
+            const nearMiss = approved ? null : this.fontCatalog.suggest(font, approvedList);
+            if (!approved) {
+                violations.push(`Unapproved font: ${font} (${resolved.family})`);
+            }
+            return {
+                name: font,
+                family: resolved.family,
+                weight: resolved.weight,
+                italic: resolved.italic,
+                approved: approved,
+                nearMiss: nearMiss
+            };
+        });
+
+        (criteria.requiredFonts || []).forEach(required => {
+            if (!usedFonts.some(font => this.fontCatalog.isFamily(font, required))) {
+                violations.push(`Missing required font: ${required}`);
+            }
+        });
+
+        return {
+            id: 'fonts',
+            criterion: 'Fonts',
+            expected: approvedList.length > 0 ? 'Approved fonts only' : 'Any font',
+            actual: fontDetails.length > 0
+                ? fontDetails.map(font => font.family === font.name ? font.name : `${font.name} (${font.family})`).join(', ')
+                : 'No text layers',
+            passed: violations.length === 0,
+            hasNoFonts: usedFonts.length === 0,
+            fontDetails: fontDetails,
+            violations: violations
+        };
+    }
+
+    /**
+     * Calculate the maximum score a file can earn under the criteria
+     * @param {Object} criteria - Nested criteria
+     * @returns {number} - Maximum score, 0 when the criteria do not make a usable rubric
+     */
+    getMaxScore(criteria) {
+        try {
+            return Rubric.fromCriteria(criteria).maxScore;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Summarize a batch of results
+     * @param {Array} results - Graded results
+     * @returns {Object} - Summary statistics
+     */
+    summarize(results) {
+        const summary = {
+            totalFiles: results.length,
+            averageScore: 0,
+            passed: 0,
+            failed: 0
+        };
+
+        const validFiles = results.filter(file => file.maxScore > 0);
+        const totalScore = validFiles.reduce((sum, file) => sum + this.finalScore(file), 0);
+        const totalMaxScore = validFiles.reduce((sum, file) => sum + file.maxScore, 0);
+        summary.averageScore = totalMaxScore > 0 ? Math.round((totalScore / totalMaxScore) * 100) : 0;
+
+        validFiles.forEach(file => {
+            if ((this.finalScore(file) / file.maxScore) * 100 >= 70) {
+                summary.passed++;
+            } else {
+                summary.failed++;
+            }
+        });
+
+        return summary;
+    }
+
+    /**
+     * Work out how late a submission is and what the late policy deducts.
+     * For Canvas submission files, Canvas's LATE flag decides whether a file is
+     * late. File times are modification times on disk, which copying or
+     * unzipping changes, so they are only used when the policy opts in with
+     * `useFileTimes`: to count days for Canvas files Canvas marked late, and
+     * to decide lateness for other files.
+     * @param {Object} result - Graded result with submittedAt, canvasData, isLate and maxScore
+     * @param {Object} policy - Late policy ({ type, percent, dueDate, capPercent, graceMinutes, useFileTimes })
+     * @returns {Object|null} - { daysLate, penaltyPercent, penaltyPoints }, or null with no policy
+     */
+    assessLate(result, policy) {
+        if (!policy || !['flat', 'perDay'].includes(policy.type)) return null;
+
+        const dueTime = policy.dueDate ? Date.parse(policy.dueDate) : NaN;
+        const submittedTime = policy.useFileTimes && result.submittedAt ? Date.parse(result.submittedAt) : NaN;
+        const graceMs = (Number(policy.graceMinutes) || 0) * 60 * 1000;
+        let daysLate = 0;
+
+        // Days are counted from the due date once the grace period is used up
+        if (!isNaN(dueTime) && !isNaN(submittedTime) && submittedTime - dueTime > graceMs) {
+            daysLate = Math.ceil((submittedTime - dueTime) / DAY_MS);
+        }
+        if (result.canvasData) {
+            daysLate = result.isLate ? Math.max(1, daysLate) : 0;
+        }
+
+        if (daysLate === 0) {
+            return { daysLate: 0, penaltyPercent: 0, penaltyPoints: 0 };
+        }
+
+        const percent = Number(policy.percent) || 0;
+        let penaltyPercent = policy.type === 'flat' ? percent : percent * daysLate;
+        if (Number(policy.capPercent) > 0) {
+            penaltyPercent = Math.min(penaltyPercent, Number(policy.capPercent));
+        }
+        penaltyPercent = Math.min(penaltyPercent, 100);
+
+        return {
+            daysLate: daysLate,
+            penaltyPercent: penaltyPercent,
+            // Like Canvas late policies, the deduction is a share of the points possible
+            penaltyPoints: Math.round(result.maxScore * penaltyPercent) / 100
+        };
+    }
+
+    /**
+     * Points the late policy takes off a result, unless the instructor waived it
+     * @param {Object} result - Graded result
+     * @returns {number} - Points deducted
+     */
+    latePenalty(result) {
+        if (result.lateWaived || !result.late) return 0;
+        return result.late.penaltyPoints;
+    }
+
+    /**
+     * Final score: reviewed score less any late penalty, never below zero
+     * @param {Object} result - Graded result
+     * @returns {number} - Score that is reported and exported
+     */
+    finalScore(result) {
+        const score = this.reviewedScore(result) - this.latePenalty(result);
+        return Math.max(0, Math.round(score * 100) / 100);
+    }
+
+    /**
+     * Score a result after instructor overrides. The automated `score` and
+     * check points are left as graded so overrides stay visible and reversible.
+     * @param {Object} result - Graded result, optionally with `overrides`
+     * @returns {number} - Score with overridden checks replaced
+     */
+    reviewedScore(result) {
+        const overrides = result.overrides || {};
+        if (!result.checks || Object.keys(overrides).length === 0) {
+            return result.score;
+        }
+
+        const score = result.checks.reduce((sum, check) => {
+            const override = overrides[check.id];
+            return sum + (override ? override.points : check.points);
+        }, 0);
+        // Partial credit leaves fractional points; keep sums to two decimals
+        return Math.round(score * 100) / 100;
+    }
+
+    /**
+     * Check instructor overrides and comment before they are saved
+     * @param {Object} result - Graded result being reviewed
+     * @param {Object} review - { overrides: { [checkId]: { points, reason } }, comment, lateWaived }
+     * @returns {Array<string>} - Problems found, empty when the review is valid
+     */
+    validateReview(result, review) {
+        const errors = [];
+        const overrides = review.overrides || {};
+
+        if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+            return ['overrides must be an object keyed by check ID'];
+        }
+        if (review.comment !== undefined && typeof review.comment !== 'string') {
+            errors.push('comment must be text');
+        }
+        if (review.lateWaived !== undefined && typeof review.lateWaived !== 'boolean') {
+            errors.push('lateWaived must be true or false');
+        }
+
+        Object.entries(overrides).forEach(([checkId, override]) => {
+            const check = (result.checks || []).find(c => c.id === checkId);
+            if (!check) {
+                errors.push(`${checkId}: no such check on this file`);
+                return;
+            }
+
+            const points = Number(override?.points);
+            if (!Number.isFinite(points) || points < 0 || points > check.maxPoints) {
+                errors.push(`${check.criterion}: points must be between 0 and ${check.maxPoints}`);
+            }
+            if (typeof override?.reason !== 'string' || !override.reason.trim()) {
+                errors.push(`${check.criterion}: a reason is required`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Attach validated overrides and comment to a result
+     * @param {Object} result - Graded result being reviewed
+     * @param {Object} review - Review that passed validateReview
+     * @returns {Object} - Result with `overrides`, `comment` and `lateWaived`
+     */
+    applyReview(result, review) {
+        const previous = result.overrides || {};
+        const overrides = {};
+
+        Object.entries(review.overrides || {}).forEach(([checkId, override]) => {
+            const points = Number(override.points);
+            const reason = override.reason.trim();
+            const unchanged = previous[checkId] &&
+                previous[checkId].points === points && previous[checkId].reason === reason;
+
+            overrides[checkId] = {
+                points: points,
+                reason: reason,
+                updatedAt: unchanged ? previous[checkId].updatedAt : new Date().toISOString()
+            };
+        });
+
+        return {
+            ...result,
+            overrides: overrides,
+            comment: (review.comment || '').trim(),
+            lateWaived: Boolean(review.lateWaived)
+        };
+    }
+}
+
+module.exports = Grader;
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+class JobManager {
+    /**
+     * @param {FileProcessor} fileProcessor - Processor used to grade job files
+     * @param {Object} options - Job options
+     * @param {number} options.retentionMs - How long finished jobs stay available
+     * @param {SessionStore} options.sessions - Where finished jobs are saved as sessions
+     */
+    constructor(fileProcessor, options = {}) {
+        this.fileProcessor = fileProcessor;
+        this.retentionMs = options.retentionMs || 60 * 60 * 1000;
+        this.sessions = options.sessions || null;
+        this.jobs = new Map();
+    }
+
+    /**
+     * Create a grading job and start processing it in the background
+     * @param {Array} files - Uploaded files ({ originalname, path })
+     * @param {Object} criteria - Nested grading criteria
+     * @param {Object} options - Job options
+     * @param {Anonymizer} options.anonymizer - Replaces student names when FERPA mode is on
+     * @param {Object} options.preset - Preset version the criteria came from, recorded on the session
+     * @returns {Object} - The job record
+     */
+    createJob(files, criteria, options = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            total: 0,
+            completed: 0,
+            currentFile: null,
+            results: [],
+            summary: null,
+            batchId: null,
+            sessionId: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            preset: options.preset || null,
+            events: new EventEmitter(),
+            controller: new AbortController()
+        };
+
+        this.jobs.set(job.id, job);
+        this.runJob(job, files, criteria, options.anonymizer || null);
+
+        return job;
+    }
+
+    /**
+     * Process a job's files, emitting progress as each file finishes
+     * @param {Object} job - Job record
+     * @param {Array} files - Uploaded files
+     * @param {Object} criteria - Nested grading criteria
+     * @param {Anonymizer} anonymizer - Replaces student names, or null
+     */
+    async runJob(job, files, criteria, anonymizer) {
+        job.status = 'running';
+
+        try {
+            await this.fileProcessor.processFiles(files, criteria, {
+                signal: job.controller.signal,
+                anonymizer: anonymizer,
+                onProgress: ({ currentFile, completed, total }) => {
+                    job.currentFile = currentFile;
+                    job.completed = completed;
+                    job.total = total;
+                    job.events.emit('progress', this.getProgress(job));
+                },
+                onResult: ({ result, index, completed, total }) => {
+                    job.results[index] = result;
+                    job.completed = completed;
+                    job.total = total;
+                    job.events.emit('result', { ...this.getProgress(job), index, result });
+                }
+            });
+
+            const batch = await this.fileProcessor.createBatch(job.results.filter(Boolean));
+            job.batchId = batch ? batch.id : null;
+            job.status = job.controller.signal.aborted ? 'cancelled' : 'completed';
+        } catch (error) {
+            console.error(`❌ Job ${job.id} failed:`, error);
+            job.status = 'failed';
+            job.error = error.message;
+        }
+
+        await this.fileProcessor.removeUploads(files);
+
+        job.currentFile = null;
+        job.summary = this.fileProcessor.grader.summarize(job.results.filter(Boolean));
+        await this.saveSession(job, criteria, anonymizer);
+        job.finishedAt = new Date().toISOString();
+        job.events.emit('done', this.getProgress(job));
+        job.events.removeAllListeners();
+
+        // Finished jobs stay around long enough for clients to reconnect
+        setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+    }
+
+    /**
+     * Save a finished job's results as a grading session
+     * @param {Object} job - Job record
+     * @param {Object} criteria - Nested grading criteria
+     * @param {Anonymizer} anonymizer - Supplies the encrypted name mapping, or null
+     */
+    async saveSession(job, criteria, anonymizer) {
+        const files = job.results.filter(Boolean);
+        if (!this.sessions || job.status === 'failed' || files.length === 0) return;
+
+        try {
+            const session = await this.sessions.create({
+                criteria: criteria,
+                files: files,
+                summary: job.summary,
+                batchId: job.batchId,
+                mapping: anonymizer ? await anonymizer.encryptMapping() : null,
+                preset: job.preset
+            });
+            job.sessionId = session.id;
+        } catch (error) {
+            console.error(`❌ Could not save session for job ${job.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Get a job by ID
+     * @param {string} id - Job ID
+     * @returns {Object|null} - Job record
+     */
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Request cancellation of a running job
+     * @param {string} id - Job ID
+     * @returns {boolean} - Whether the job was running and is now cancelling
+     */
+    cancelJob(id) {
+        const job = this.getJob(id);
+        if (!job || this.isFinished(job)) {
+            return false;
+        }
+
+        job.controller.abort();
+        job.status = 'cancelling';
+        job.events.emit('progress', this.getProgress(job));
+        return true;
+    }
+
+    /**
+     * Whether a job has stopped processing
+     * @param {Object} job - Job record
+     * @returns {boolean}
+     */
+    isFinished(job) {
+        return FINISHED_STATUSES.includes(job.status);
+    }
+
+    /**
+     * Progress snapshot sent to clients
+     * @param {Object} job - Job record
+     * @returns {Object} - Status, counts and summary
+     */
+    getProgress(job) {
+        return {
+            jobId: job.id,
+            status: job.status,
+            currentFile: job.currentFile,
+            completed: job.completed,
+            total: job.total,
+            summary: job.summary,
+            batchId: job.batchId,
+            sessionId: job.sessionId,
+            error: job.error
+        };
+    }
+
+    /**
+     * Serializable view of a job including its results so far
+     * @param {Object} job - Job record
+     * @returns {Object}
+     */
+    toJSON(job) {
+        return {
+            ...this.getProgress(job),
+            createdAt: job.createdAt,
+            finishedAt: job.finishedAt,
+            files: job.results.filter(Boolean)
+        };
+    }
+}
+
+module.exports = JobManager;
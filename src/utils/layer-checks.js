@@ -0,0 +1,213 @@
+/**
+ * Technique checks on the layer list from FileProcessor.extractLayers: does
+ * the file use adjustment layers, masks, effects, smart objects or blend
+ * modes, and on which layers. Each check's settings are `{ min, types }`,
+ * where an empty `types` list accepts any kind. The editing audit weighs
+ * non-destructive techniques against signs of destructive edits.
+ */
+
+// Layer style names as Photoshop shows them, keyed by ag-psd effect name
+const EFFECT_LABELS = {
+    dropShadow: 'Drop Shadow',
+    innerShadow: 'Inner Shadow',
+    outerGlow: 'Outer Glow',
+    innerGlow: 'Inner Glow',
+    bevel: 'Bevel & Emboss',
+    satin: 'Satin',
+    solidFill: 'Color Overlay',
+    gradientOverlay: 'Gradient Overlay',
+    patternOverlay: 'Pattern Overlay',
+    stroke: 'Stroke'
+};
+
+// Blend modes that leave a layer looking as if it had none
+const NEUTRAL_BLEND_MODES = ['normal', 'pass through'];
+
+// A pixel layer without a mask with this much (percent) of its area in enclosed holes has likely been erased.
+// Transparency reaching the edge of the layer's bounds is only the outline of a cut-out or brush stroke.
+const ERASED_MIN_HOLE_PERCENT = 2;
+
+// Placed files keep their filename as the layer name after they are rasterized
+const PLACED_FILE_NAME = /\.(jpe?g|png|gif|tiff?|webp|heic|bmp|psd|psb|ai|eps|svg|pdf)$|^(vector )?smart object/i;
+
+const DESTRUCTIVE_REASONS = {
+    erased: 'Erased pixels instead of a mask',
+    rasterizedPlacement: 'Placed image rasterized instead of kept as a smart object'
+};
+
+// A PSD keeps no history, so adjustments applied straight to pixels look like any other pixels
+const AUDIT_LIMITATION = 'Adjustments applied directly to pixels (Image > Adjustments) leave no trace in a PSD and are not detected';
+
+/**
+ * What each technique check looks for. `features` lists what a layer uses
+ * (empty when it does not count), `nouns` name one and several matching layers.
+ */
+const TECHNIQUES = {
+    adjustmentLayers: {
+        title: 'Adjustment Layers',
+        nouns: ['adjustment layer', 'adjustment layers'],
+        features: layer => layer.isAdjustment ? [layer.adjustmentType || 'adjustment'] : []
+    },
+    layerMasks: {
+        title: 'Layer Masks',
+        nouns: ['layer with a mask', 'layers with masks'],
+        features: layer => layer.hasMask ? ['mask'] : []
+    },
+    layerEffects: {
+        title: 'Layer Effects',
+        nouns: ['layer with effects', 'layers with effects'],
+        features: layer => (layer.effects || [])
+            .filter(effect => EFFECT_LABELS[effect])
+            .map(effect => EFFECT_LABELS[effect])
+    },
+    smartObjects: {
+        title: 'Smart Objects',
+        nouns: ['smart object', 'smart objects'],
+        features: layer => layer.isSmartObject ? ['smart object'] : []
+    },
+    blendModes: {
+        title: 'Blend Modes',
+        nouns: ['layer with a blend mode other than Normal', 'layers with blend modes other than Normal'],
+        features: layer => layer.blendMode && !NEUTRAL_BLEND_MODES.includes(layer.blendMode) ? [layer.blendMode] : []
+    }
+};
+
+class LayerChecks {
+    /**
+     * Check that enough layers use a technique
+     * @param {string} type - Key of TECHNIQUES, e.g. 'layerEffects'
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - { min, types }
+     * @returns {Object} - Check outcome naming each matching layer
+     */
+    checkTechnique(type, analysis, settings) {
+        const technique = TECHNIQUES[type];
+        const min = Math.max(1, Number(settings.min) || 1);
+        const wanted = (settings.types || []).map(normalizeName).filter(Boolean);
+        // Layer styles can be named either way ("solidFill" or "Color Overlay")
+        const accepts = feature => wanted.length === 0 || wanted.includes(normalizeName(feature)) ||
+            wanted.includes(normalizeName(effectKey(feature)));
+
+        const details = (analysis.layers || [])
+            .map(layer => ({ name: layer.name, features: technique.features(layer).filter(accepts) }))
+            .filter(detail => detail.features.length > 0);
+
+        const kinds = wanted.length > 0 ? ` (${settings.types.join(' or ')})` : '';
+        const listed = details.map(detail => `${detail.name} (${detail.features.join(', ')})`).join('; ');
+
+        return {
+            id: type,
+            criterion: technique.title,
+            expected: `At least ${min} ${technique.nouns[min === 1 ? 0 : 1]}${kinds}`,
+            actual: details.length > 0 ? `${details.length} found: ${listed}` : 'None found',
+            passed: details.length >= min,
+            count: details.length,
+            required: min,
+            details: details
+        };
+    }
+
+    /**
+     * Audit how non-destructively a file was edited. Adjustment layers count in the
+     * file's favour, but baked-in adjustments (applied straight to a layer's pixels)
+     * cannot be told apart from painted pixels, so they are never flagged.
+     * @param {Array} layers - Layers from FileProcessor.extractLayers
+     * @param {boolean} pixelsRead - Whether layer pixels were decoded, so erasing can be seen
+     * @returns {Object} - { nonDestructive: { adjustmentLayers, masks, smartObjects, smartFilters }
+     *     (layer names), destructive: [{ layer, reason, description }], pixelsRead }
+     */
+    auditEditing(layers, pixelsRead) {
+        const names = predicate => layers.filter(predicate).map(layer => layer.name);
+        const destructive = [];
+        const flag = (layer, reason) => destructive.push({
+            layer: layer.name,
+            reason: reason,
+            description: DESTRUCTIVE_REASONS[reason]
+        });
+
+        layers.filter(layer => layer.type === 'raster').forEach(layer => {
+            // Placed images can be transparent to begin with, so they are not checked for erasing
+            if (PLACED_FILE_NAME.test(layer.name)) {
+                flag(layer, 'rasterizedPlacement');
+                return;
+            }
+            if (!layer.hasMask && layer.holePercent >= ERASED_MIN_HOLE_PERCENT) {
+                flag(layer, 'erased');
+            }
+        });
+
+        return {
+            nonDestructive: {
+                adjustmentLayers: names(layer => layer.isAdjustment),
+                masks: names(layer => layer.hasMask),
+                smartObjects: names(layer => layer.isSmartObject),
+                smartFilters: names(layer => layer.hasSmartFilters)
+            },
+            destructive: destructive,
+            pixelsRead: Boolean(pixelsRead)
+        };
+    }
+
+    /**
+     * Score the editing audit: enough non-destructive techniques, few enough destructive edits
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - { minNonDestructive, maxDestructive }
+     * @returns {Object} - Check outcome with the audit, counts for partial credit and a
+     *     `note` on what the audit cannot detect
+     */
+    checkNonDestructive(analysis, settings) {
+        const audit = analysis.editingAudit || this.auditEditing(analysis.layers || [], false);
+        const minNonDestructive = Math.max(0, Number(settings.minNonDestructive) || 0);
+        const maxDestructive = Math.max(0, Number(settings.maxDestructive) || 0);
+
+        const techniques = Object.entries({
+            'adjustment layer': audit.nonDestructive.adjustmentLayers,
+            'mask': audit.nonDestructive.masks,
+            'smart object': audit.nonDestructive.smartObjects,
+            'smart filter': audit.nonDestructive.smartFilters
+        }).filter(([, layers]) => layers.length > 0);
+        const nonDestructiveCount = techniques.reduce((sum, [, layers]) => sum + layers.length, 0);
+        const destructiveCount = audit.destructive.length;
+
+        const used = techniques.map(([name, layers]) => `${layers.length} ${name}${layers.length === 1 ? '' : 's'}`);
+        const flagged = audit.destructive.map(entry => `${entry.layer} (${entry.description.toLowerCase()})`);
+
+        return {
+            id: 'nonDestructive',
+            criterion: 'Non-Destructive Editing',
+            expected: `At least ${minNonDestructive} non-destructive edit${minNonDestructive === 1 ? '' : 's'}, at most ${maxDestructive} destructive`,
+            actual: `${nonDestructiveCount} non-destructive${used.length > 0 ? ` (${used.join(', ')})` : ''}; ` +
+                `${destructiveCount} destructive${flagged.length > 0 ? `: ${flagged.join('; ')}` : ''}`,
+            passed: nonDestructiveCount >= minNonDestructive && destructiveCount <= maxDestructive,
+            nonDestructiveCount: nonDestructiveCount,
+            destructiveCount: destructiveCount,
+            note: AUDIT_LIMITATION,
+            audit: audit
+        };
+    }
+}
+
+/**
+ * Lowercase a technique name and drop spaces and punctuation, so "Hue/Saturation",
+ * "hue saturation" and "huesaturation" all match
+ * @param {string} name - Type, effect or blend mode name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * ag-psd name of a layer style label, e.g. 'Color Overlay' -> 'solidFill'
+ * @param {string} label - Layer style label
+ * @returns {string} - Effect key, or the label when it is not a layer style
+ */
+function effectKey(label) {
+    return Object.keys(EFFECT_LABELS).find(key => EFFECT_LABELS[key] === label) || label;
+}
+
+LayerChecks.TECHNIQUES = TECHNIQUES;
+LayerChecks.EFFECT_LABELS = EFFECT_LABELS;
+LayerChecks.DESTRUCTIVE_REASONS = DESTRUCTIVE_REASONS;
+
+module.exports = LayerChecks;
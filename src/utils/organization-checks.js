@@ -0,0 +1,145 @@
+/**
+ * Layer organization checks on the layer list from FileProcessor.extractLayers:
+ * default names, empty layers, layers outside the canvas, hidden layers,
+ * ungrouped layers in busy files and deeply nested groups. Each check flags
+ * layers and passes when no more than `allowed` of them are flagged.
+ */
+
+// Names Photoshop gives new layers and groups, e.g. "Layer 1", "Layer 12 copy", "Group 3"
+const DEFAULT_NAME = /^(layer|group|shape|rectangle|ellipse|polygon|line|path) \d+( copy( \d+)?)?$/i;
+
+// Name extractLayers gives layers saved without one
+const UNNAMED_LAYER = 'Unnamed Layer';
+
+const DEFAULT_UNGROUPED_THRESHOLD = 10;
+const DEFAULT_MAX_GROUP_DEPTH = 3;
+
+/**
+ * What each check flags. `applies` picks the layers the check looks at;
+ * `reason(layer, context)` describes a flagged layer, or returns null when the
+ * layer is fine. The context holds the analysis, settings and checked layers.
+ */
+const ORGANIZATION_CHECKS = {
+    layerNames: {
+        title: 'Layer Names',
+        expected: () => 'Descriptive layer and group names',
+        applies: layer => !isBackground(layer),
+        reason: layer => DEFAULT_NAME.test(layer.name) || layer.name === UNNAMED_LAYER
+            ? 'Default name'
+            : null
+    },
+    emptyLayers: {
+        title: 'Empty Layers',
+        expected: () => 'No empty layers or groups',
+        applies: () => true,
+        reason: layer => {
+            if (!layer.isEmpty) return null;
+            return layer.type === 'group' ? 'Empty group' : 'No content';
+        }
+    },
+    offCanvasLayers: {
+        title: 'Layers Outside the Canvas',
+        expected: () => 'Every layer at least partly on the canvas',
+        applies: layer => Boolean(layer.bounds) && !layer.isEmpty,
+        reason: (layer, { analysis }) => isOffCanvas(layer.bounds, analysis) ? 'Entirely outside the canvas' : null
+    },
+    hiddenLayers: {
+        title: 'Hidden Layers',
+        expected: () => 'No hidden layers left in the file',
+        applies: () => true,
+        reason: layer => layer.visible === false ? 'Hidden' : null
+    },
+    ungroupedLayers: {
+        title: 'Layer Groups',
+        expected: settings => `Layers organized into groups once there are more than ${ungroupedThreshold(settings)}`,
+        applies: layer => layer.type !== 'group' && !isBackground(layer),
+        reason: (layer, { settings, checked }) => {
+            if (checked.length <= ungroupedThreshold(settings)) return null;
+            return layer.depth === 0 ? 'Not in a group' : null;
+        }
+    },
+    groupNesting: {
+        title: 'Group Nesting',
+        expected: settings => `Groups nested at most ${maxGroupDepth(settings)} deep`,
+        applies: layer => layer.type === 'group',
+        reason: (layer, { settings }) => {
+            // A group at the top level is one deep
+            const level = (layer.depth || 0) + 1;
+            return level > maxGroupDepth(settings) ? `Nested ${level} groups deep` : null;
+        }
+    }
+};
+
+class OrganizationChecks {
+    /**
+     * Flag layers that break an organization rule
+     * @param {string} type - Key of ORGANIZATION_CHECKS, e.g. 'layerNames'
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - { allowed } plus `threshold` (ungroupedLayers) or `maxDepth` (groupNesting)
+     * @returns {Object} - Check outcome with each flagged layer and counts for partial credit
+     */
+    checkOrganization(type, analysis, settings) {
+        const check = ORGANIZATION_CHECKS[type];
+        const allowed = Math.max(0, Number(settings.allowed) || 0);
+
+        const checked = (analysis.layers || []).filter(check.applies);
+        const flagged = checked
+            .map(layer => ({ layer: layer.name, reason: check.reason(layer, { analysis, settings, checked }) }))
+            .filter(entry => entry.reason);
+
+        const expected = check.expected(settings) + (allowed > 0 ? ` (up to ${allowed} allowed)` : '');
+        const listed = flagged.map(entry => `${entry.layer} (${entry.reason.toLowerCase()})`).join('; ');
+
+        return {
+            id: type,
+            criterion: check.title,
+            expected: expected,
+            actual: flagged.length > 0 ? `${flagged.length} flagged: ${listed}` : 'None flagged',
+            passed: flagged.length <= allowed,
+            flagged: flagged,
+            checkedCount: checked.length
+        };
+    }
+}
+
+/**
+ * Whether a layer is the locked background every flattened file starts with
+ * @param {Object} layer - Layer from extractLayers
+ * @returns {boolean}
+ */
+function isBackground(layer) {
+    return layer.depth === 0 && layer.name === 'Background';
+}
+
+/**
+ * Whether layer bounds lie entirely outside the document
+ * @param {Object} bounds - { left, top, right, bottom } in pixels
+ * @param {Object} analysis - File analysis with width and height
+ * @returns {boolean}
+ */
+function isOffCanvas(bounds, analysis) {
+    if (!analysis.width || !analysis.height) return false;
+    return bounds.right <= 0 || bounds.bottom <= 0 || bounds.left >= analysis.width || bounds.top >= analysis.height;
+}
+
+/**
+ * Layer count above which layers must be grouped
+ * @param {Object} settings - Check settings
+ * @returns {number}
+ */
+function ungroupedThreshold(settings) {
+    return Number.isInteger(settings.threshold) && settings.threshold >= 0 ? settings.threshold : DEFAULT_UNGROUPED_THRESHOLD;
+}
+
+/**
+ * Deepest group nesting allowed
+ * @param {Object} settings - Check settings
+ * @returns {number}
+ */
+function maxGroupDepth(settings) {
+    return Number(settings.maxDepth) > 0 ? Number(settings.maxDepth) : DEFAULT_MAX_GROUP_DEPTH;
+}
+
+OrganizationChecks.CHECKS = ORGANIZATION_CHECKS;
+
+module.exports = OrganizationChecks;
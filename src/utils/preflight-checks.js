@@ -0,0 +1,277 @@
+const ColorChecks = require('./color-checks');
+
+/**
+ * Print preflight checks, the way a print shop vets a file before it goes to
+ * press: the document is the trim size plus bleed on every side, the layers
+ * that matter stay inside a safe margin, total ink (C + M + Y + K) on the
+ * CMYK composite stays under a limit, and spot channels are there only when
+ * the job calls for them. Sizes are given in inches, millimetres or pixels
+ * and converted with the document's resolution.
+ */
+
+const MM_PER_INCH = 25.4;
+
+// Document sizes may be off by this many pixels from rounding the trim and bleed
+const SIZE_TOLERANCE_PX = 1;
+
+// Common limit for coated stock; uncoated stock is often 260-280%
+const DEFAULT_MAX_INK = 300;
+
+const UNITS = ['in', 'mm', 'px'];
+
+// Layer sides, with the document edge each is measured from
+const SIDES = ['left', 'top', 'right', 'bottom'];
+
+class PreflightChecks {
+    /**
+     * Check that the document is the trim size plus bleed on every side
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - { unit, bleed, width, height } with the trim size and bleed in `unit`
+     * @returns {Object} - Check outcome
+     */
+    checkBleedSize(analysis, settings) {
+        const { unit, perPixel } = units(analysis, settings);
+        const bleed = Math.max(0, Number(settings.bleed) || 0);
+        const trim = { width: Number(settings.width) || 0, height: Number(settings.height) || 0 };
+        const expectedPx = {
+            width: Math.round((trim.width + 2 * bleed) / perPixel),
+            height: Math.round((trim.height + 2 * bleed) / perPixel)
+        };
+        const trimPx = { width: Math.round(trim.width / perPixel), height: Math.round(trim.height / perPixel) };
+        const close = (actual, expected) => Math.abs(actual - expected) <= SIZE_TOLERANCE_PX;
+
+        const passed = close(analysis.width, expectedPx.width) && close(analysis.height, expectedPx.height);
+        const noBleed = bleed > 0 && close(analysis.width, trimPx.width) && close(analysis.height, trimPx.height);
+
+        return {
+            id: 'bleedSize',
+            criterion: 'Document Size with Bleed',
+            expected: `${formatSize(trim, unit)} trim + ${formatLength(bleed, unit)} bleed = ` +
+                describeSize(expectedPx, unit, perPixel, analysis.resolution),
+            actual: describeSize({ width: analysis.width, height: analysis.height }, unit, perPixel, analysis.resolution) +
+                (noBleed ? ' – trim size with no bleed added' : ''),
+            passed: passed
+        };
+    }
+
+    /**
+     * Flag layers that come closer to the trim edge than the safe margin.
+     * Text layers are checked unless `layers` names the layers to check.
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - { unit, bleed, margin, layers (name fragments), allowed }
+     * @returns {Object} - Check outcome with each flagged layer (and its box on the preview) and counts for partial credit
+     */
+    checkSafeMargin(analysis, settings) {
+        const { unit, perPixel } = units(analysis, settings);
+        const bleed = Math.max(0, Number(settings.bleed) || 0);
+        const margin = Math.max(0, Number(settings.margin) || 0);
+        const allowed = Math.max(0, Number(settings.allowed) || 0);
+        const names = (settings.layers || []).map(name => String(name).toLowerCase()).filter(Boolean);
+        const bleedPx = bleed / perPixel;
+        const marginPx = margin / perPixel;
+
+        const checked = (analysis.layers || []).filter(layer =>
+            layer.visible !== false && hasArea(layer.bounds) &&
+            (names.length > 0
+                ? names.some(name => String(layer.name).toLowerCase().includes(name))
+                : layer.isText)
+        );
+
+        const flagged = checked
+            .map(layer => {
+                const distances = trimDistances(layer.bounds, analysis, bleedPx);
+                const sides = SIDES.filter(side => distances[side] < marginPx - 0.5);
+                if (sides.length === 0) return null;
+
+                return {
+                    layer: layer.name,
+                    reason: sides.map(side => distances[side] < 0
+                        ? `past the ${side} trim edge`
+                        : `${formatLength(distances[side] * perPixel, unit)} from the ${side} trim edge`
+                    ).join(', '),
+                    box: ColorChecks.documentBox(layer.bounds, analysis)
+                };
+            })
+            .filter(Boolean);
+
+        const what = names.length > 0 ? `Layers matching ${settings.layers.join(', ')}` : 'Text layers';
+        let actual;
+        if (checked.length === 0) {
+            actual = names.length > 0 ? 'No matching layers' : 'No text layers';
+        } else {
+            actual = flagged.length > 0
+                ? `${flagged.length} of ${checked.length} outside the safe area: ${flagged.map(entry => `${entry.layer} (${entry.reason})`).join('; ')}`
+                : `All ${checked.length} inside the safe area`;
+        }
+
+        return {
+            id: 'safeMargin',
+            criterion: 'Safe Margin',
+            expected: `${what} at least ${formatLength(margin, unit)} inside the trim` +
+                (allowed > 0 ? ` (up to ${allowed} allowed outside)` : ''),
+            actual: actual,
+            passed: flagged.length <= allowed,
+            flagged: flagged,
+            checkedCount: checked.length
+        };
+    }
+
+    /**
+     * Check the highest total ink on the CMYK composite against a limit
+     * @param {Object} analysis - File analysis with `inkCoverage` (see PsdSections.inkCoverage)
+     * @param {Object} settings - { max } in percent (default 300)
+     * @returns {Object} - Check outcome with the share of the image over the limit
+     */
+    checkInkCoverage(analysis, settings) {
+        const max = Number(settings.max) > 0 ? Number(settings.max) : DEFAULT_MAX_INK;
+        const coverage = analysis.inkCoverage;
+        const expected = `Total ink at most ${max}%`;
+
+        if (analysis.colorMode !== 'CMYK') {
+            return {
+                id: 'inkCoverage',
+                criterion: 'Total Ink Coverage',
+                expected: expected,
+                actual: `Not measured: the file is ${analysis.colorMode || 'not'}${analysis.colorMode ? ', not' : ''} CMYK`,
+                passed: false
+            };
+        }
+        if (!coverage || !coverage.samples) {
+            return {
+                id: 'inkCoverage',
+                criterion: 'Total Ink Coverage',
+                expected: expected,
+                actual: 'Not measured: the CMYK composite could not be read',
+                passed: false
+            };
+        }
+
+        const over = coverage.histogram.slice(Math.floor(max) + 1).reduce((sum, count) => sum + count, 0);
+        const overPercent = Math.round(over / coverage.samples * 1000) / 10;
+
+        return {
+            id: 'inkCoverage',
+            criterion: 'Total Ink Coverage',
+            expected: expected,
+            actual: `Highest ${coverage.max}%` + (over > 0 ? `; ${overPercent || '< 0.1'}% of the image is over ${max}%` : ''),
+            passed: coverage.max <= max,
+            maxInk: coverage.max,
+            overPercent: overPercent
+        };
+    }
+
+    /**
+     * Check for spot color channels: none at all, or the ones the job needs
+     * @param {Object} analysis - File analysis with `extraChannels` (see PsdSections.extraChannels)
+     * @param {Object} settings - { mode: 'none' or 'required', names } where `names` are the spot colors needed
+     * @returns {Object} - Check outcome with the spot channels found
+     */
+    checkSpotChannels(analysis, settings) {
+        const spots = (analysis.extraChannels || []).filter(channel => channel.kind === 'spot').map(channel => channel.name);
+        const found = spots.length > 0 ? spots.join(', ') : 'No spot channels';
+
+        if (settings.mode !== 'required') {
+            return {
+                id: 'spotChannels',
+                criterion: 'Spot Channels',
+                expected: 'No spot channels (process colors only)',
+                actual: found,
+                passed: spots.length === 0,
+                spotChannels: spots
+            };
+        }
+
+        const names = (settings.names || []).filter(Boolean);
+        const missing = names.filter(name => !spots.some(spot => spot.toLowerCase().includes(String(name).toLowerCase())));
+
+        return {
+            id: 'spotChannels',
+            criterion: 'Spot Channels',
+            expected: names.length > 0 ? `Spot channels for ${names.join(', ')}` : 'At least one spot channel',
+            actual: found + (spots.length > 0 && missing.length > 0 ? `; missing ${missing.join(', ')}` : ''),
+            passed: spots.length > 0 && missing.length === 0,
+            spotChannels: spots
+        };
+    }
+}
+
+/**
+ * Unit the settings use and its size in document pixels
+ * @param {Object} analysis - File analysis with the resolution
+ * @param {Object} settings - Check settings with `unit`
+ * @returns {Object} - { unit, perPixel } where perPixel is the length of one pixel in the unit
+ */
+function units(analysis, settings) {
+    const unit = UNITS.includes(settings.unit) ? settings.unit : 'in';
+    const resolution = Number(analysis.resolution) || 72;
+
+    if (unit === 'px') return { unit: unit, perPixel: 1 };
+    return { unit: unit, perPixel: unit === 'mm' ? MM_PER_INCH / resolution : 1 / resolution };
+}
+
+/**
+ * How far each side of a layer is inside the trim edge, in pixels; negative past it
+ * @param {Object} bounds - { left, top, right, bottom } in pixels
+ * @param {Object} analysis - File analysis with the document size
+ * @param {number} bleedPx - Bleed on each side, in pixels
+ * @returns {Object} - { left, top, right, bottom }
+ */
+function trimDistances(bounds, analysis, bleedPx) {
+    return {
+        left: bounds.left - bleedPx,
+        top: bounds.top - bleedPx,
+        right: analysis.width - bleedPx - bounds.right,
+        bottom: analysis.height - bleedPx - bounds.bottom
+    };
+}
+
+/**
+ * Whether layer bounds cover any pixels
+ * @param {Object} bounds - { left, top, right, bottom }
+ * @returns {boolean}
+ */
+function hasArea(bounds) {
+    return Boolean(bounds) && bounds.right > bounds.left && bounds.bottom > bounds.top;
+}
+
+/**
+ * Length for feedback, e.g. "0.125 in"
+ * @param {number} value - Length in the unit
+ * @param {string} unit - 'in', 'mm' or 'px'
+ * @returns {string}
+ */
+function formatLength(value, unit) {
+    const places = unit === 'in' ? 1000 : unit === 'mm' ? 10 : 1;
+    return `${Math.round(value * places) / places} ${unit}`;
+}
+
+/**
+ * Width and height for feedback, e.g. "8.5 x 11 in"
+ * @param {Object} size - { width, height } in the unit
+ * @param {string} unit - 'in', 'mm' or 'px'
+ * @returns {string}
+ */
+function formatSize(size, unit) {
+    return `${formatLength(size.width, unit).split(' ')[0]} x ${formatLength(size.height, unit)}`;
+}
+
+/**
+ * Document size in the unit and in pixels, e.g. "8.75 x 11.25 in (2625 x 3375 px at 300 ppi)"
+ * @param {Object} sizePx - { width, height } in pixels
+ * @param {string} unit - 'in', 'mm' or 'px'
+ * @param {number} perPixel - Length of one pixel in the unit
+ * @param {number} resolution - Pixels per inch
+ * @returns {string}
+ */
+function describeSize(sizePx, unit, perPixel, resolution) {
+    const pixels = `${sizePx.width} x ${sizePx.height} px`;
+    if (unit === 'px') return pixels;
+
+    const size = formatSize({ width: sizePx.width * perPixel, height: sizePx.height * perPixel }, unit);
+    return `${size} (${pixels} at ${Number(resolution) || 72} ppi)`;
+}
+
+PreflightChecks.UNITS = UNITS;
+PreflightChecks.DEFAULT_MAX_INK = DEFAULT_MAX_INK;
+
+module.exports = PreflightChecks;
@@ -0,0 +1,255 @@
+const Datastore = require('@seald-io/nedb');
+
+const EXPORT_FORMAT = 'psd-grading-preset';
+
+/**
+ * Saves named criteria presets in an embedded NeDB datastore. Saving a preset
+ * again adds a version instead of replacing it, so sessions can point at the
+ * exact criteria they were graded with.
+ */
+class PresetStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.filename - Datafile path; omit to keep presets in memory only
+     */
+    constructor(options = {}) {
+        this.db = new Datastore({
+            filename: options.filename,
+            autoload: true
+        });
+        // Latest pending version save per preset ID, so version numbers are handed out one at a time
+        this.writes = new Map();
+    }
+
+    /**
+     * Create a preset with its first version
+     * @param {Object} preset - Preset contents
+     * @param {string} preset.name - Display name
+     * @param {Object} preset.criteria - Nested grading criteria
+     * @param {string} preset.note - What this version is for
+     * @returns {Object} - The saved preset
+     */
+    async create({ name, criteria, note }) {
+        const now = new Date().toISOString();
+        const doc = await this.db.insertAsync({
+            name: name,
+            latestVersion: 1,
+            versions: [createVersion(1, criteria, note, now)],
+            createdAt: now,
+            updatedAt: now
+        });
+
+        return this.toJSON(doc);
+    }
+
+    /**
+     * List presets by name, without their version history
+     * @returns {Array} - Preset summaries
+     */
+    async list() {
+        const docs = await this.db
+            .findAsync({}, { versions: 0 })
+            .sort({ name: 1 });
+
+        return docs.map(doc => this.toJSON(doc));
+    }
+
+    /**
+     * Get a preset with every version
+     * @param {string} id - Preset ID
+     * @returns {Object|null} - Preset, or null if unknown
+     */
+    async get(id) {
+        const doc = await this.db.findOneAsync({ _id: id });
+        return doc ? this.toJSON(doc) : null;
+    }
+
+    /**
+     * Get one version of a preset
+     * @param {string} id - Preset ID
+     * @param {number} version - Version number
+     * @returns {Object|null} - { id, name, version, note, criteria, createdAt }, or null if unknown
+     */
+    async getVersion(id, version) {
+        const preset = await this.get(id);
+        const match = preset && preset.versions.find(entry => entry.version === Number(version));
+        return match ? { id: preset.id, name: preset.name, ...match } : null;
+    }
+
+    /**
+     * Save new criteria as the next version of a preset
+     * @param {string} id - Preset ID
+     * @param {Object} version - Version contents
+     * @param {Object} version.criteria - Nested grading criteria
+     * @param {string} version.note - What changed
+     * @returns {Object|null} - Updated preset, or null if unknown
+     */
+    addVersion(id, { criteria, note }) {
+        return this.serialize(id, async () => {
+            const preset = await this.get(id);
+            if (!preset) return null;
+
+            const now = new Date().toISOString();
+            const next = preset.latestVersion + 1;
+            const { affectedDocuments } = await this.db.updateAsync(
+                { _id: id },
+                {
+                    $push: { versions: createVersion(next, criteria, note, now) },
+                    $set: { latestVersion: next, updatedAt: now }
+                },
+                { returnUpdatedDocs: true }
+            );
+
+            return affectedDocuments ? this.toJSON(affectedDocuments) : null;
+        });
+    }
+
+    /**
+     * Run a preset update once the preset's earlier updates have finished
+     * @param {string} id - Preset ID
+     * @param {Function} task - Async update
+     * @returns {Promise} - Resolves or rejects with the task
+     */
+    serialize(id, task) {
+        const previous = this.writes.get(id) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+
+        this.writes.set(id, current);
+        current.catch(() => {}).then(() => {
+            if (this.writes.get(id) === current) this.writes.delete(id);
+        });
+        return current;
+    }
+
+    /**
+     * Rename a preset
+     * @param {string} id - Preset ID
+     * @param {string} name - New display name
+     * @returns {Object|null} - Updated preset, or null if unknown
+     */
+    async rename(id, name) {
+        const { affectedDocuments } = await this.db.updateAsync(
+            { _id: id },
+            { $set: { name: name, updatedAt: new Date().toISOString() } },
+            { returnUpdatedDocs: true }
+        );
+
+        return affectedDocuments ? this.toJSON(affectedDocuments) : null;
+    }
+
+    /**
+     * Delete a preset and its history
+     * @param {string} id - Preset ID
+     * @returns {boolean} - Whether a preset was deleted
+     */
+    async delete(id) {
+        const removed = await this.db.removeAsync({ _id: id }, {});
+        return removed > 0;
+    }
+
+    /**
+     * Whether criteria are the same as a preset version's, ignoring key order
+     * @param {Object} presetCriteria - Criteria saved in a version
+     * @param {Object} criteria - Criteria a run was graded with
+     * @returns {boolean}
+     */
+    isSameCriteria(presetCriteria, criteria) {
+        return canonicalJson(presetCriteria) === canonicalJson(criteria);
+    }
+
+    /**
+     * Preset as a shareable file, with its full version history
+     * @param {Object} preset - Preset from get()
+     * @returns {Object} - Export file contents
+     */
+    toExport(preset) {
+        return {
+            format: EXPORT_FORMAT,
+            exportedAt: new Date().toISOString(),
+            name: preset.name,
+            versions: preset.versions
+        };
+    }
+
+    /**
+     * Save an exported preset file as a new preset, keeping its version numbers.
+     * Callers validate each version's criteria first.
+     * @param {Object} file - Export file contents from toExport()
+     * @returns {Object} - The saved preset
+     * @throws {Error} - When the file is not an exported preset or repeats a version number
+     */
+    async import(file) {
+        if (!file || file.format !== EXPORT_FORMAT || !Array.isArray(file.versions) || file.versions.length === 0) {
+            throw new Error('Not an exported criteria preset');
+        }
+
+        const now = new Date().toISOString();
+        const versions = file.versions
+            .filter(entry => entry && entry.criteria && Number.isInteger(entry.version))
+            .map(entry => createVersion(entry.version, entry.criteria, entry.note, entry.createdAt || now))
+            .sort((a, b) => a.version - b.version);
+
+        if (versions.length === 0) {
+            throw new Error('The preset file has no usable versions');
+        }
+
+        const repeated = versions.find((entry, index) => index > 0 && entry.version === versions[index - 1].version);
+        if (repeated) {
+            throw new Error(`The preset file has more than one version ${repeated.version}`);
+        }
+
+        const doc = await this.db.insertAsync({
+            name: String(file.name || 'Imported preset'),
+            latestVersion: versions[versions.length - 1].version,
+            versions: versions,
+            createdAt: now,
+            updatedAt: now
+        });
+
+        return this.toJSON(doc);
+    }
+
+    /**
+     * Public view of a stored document
+     * @param {Object} doc - NeDB document
+     * @returns {Object} - Preset with `id` instead of `_id`
+     */
+    toJSON(doc) {
+        const { _id, ...preset } = doc;
+        return { id: _id, ...preset };
+    }
+}
+
+/**
+ * One saved version of a preset
+ * @param {number} version - Version number
+ * @param {Object} criteria - Nested grading criteria
+ * @param {string} note - What this version is for
+ * @param {string} createdAt - ISO timestamp
+ * @returns {Object} - Version record
+ */
+function createVersion(version, criteria, note, createdAt) {
+    return {
+        version: version,
+        note: note ? String(note) : '',
+        criteria: criteria || {},
+        createdAt: createdAt
+    };
+}
+
+/**
+ * JSON with object keys sorted, for comparing criteria
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+    return JSON.stringify(value, (key, entry) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return entry;
+        return Object.keys(entry).sort().reduce((sorted, name) => {
+            sorted[name] = entry[name];
+            return sorted;
+        }, {});
+    });
+}
+
+module.exports = PresetStore;
@@ -0,0 +1,228 @@
+const { createCanvas } = require('canvas');
+
+/**
+ * Renders what a submission looks like: a small thumbnail for the results
+ * table and a mid-size preview for the gallery and feedback reports. The
+ * image comes from the composite Photoshop saves with the file, the
+ * thumbnail resource, or by compositing the layer pixels ag-psd decoded.
+ */
+
+// Longest side, in pixels, of the thumbnail and of the preview
+const THUMBNAIL_SIZE = 160;
+const PREVIEW_SIZE = 640;
+
+const JPEG_QUALITY = 0.8;
+
+// Blend modes (as ag-psd names them) canvas can draw; anything else is drawn as normal
+const COMPOSITE_OPERATIONS = new Set([
+    'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+    'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+]);
+
+class PreviewRenderer {
+    /**
+     * Render the thumbnail and preview of a parsed PSD. The thumbnail prefers
+     * the saved composite, then the thumbnail resource, then the layers; the
+     * preview skips the thumbnail resource unless nothing else is available,
+     * since it is too small to show at preview size.
+     * @param {Object} psd - Document from ag-psd's readPsd
+     * @returns {Object} - { thumbnail, preview } as JPEG data URLs (null when there is nothing to draw)
+     */
+    render(psd) {
+        const composite = this.savedComposite(psd);
+        const embedded = psd.imageResources?.thumbnail || null;
+        let layers;
+        const layerComposite = () => {
+            if (layers === undefined) layers = this.compositeLayers(psd, PREVIEW_SIZE);
+            return layers;
+        };
+
+        const thumbnailSource = composite || embedded || layerComposite();
+        const previewSource = composite || layerComposite() || embedded;
+
+        return {
+            thumbnail: thumbnailSource ? toDataUrl(thumbnailSource, THUMBNAIL_SIZE) : null,
+            preview: previewSource ? toDataUrl(previewSource, PREVIEW_SIZE) : null
+        };
+    }
+
+    /**
+     * The document as it looks, at most `maxSize` pixels on its longest side,
+     * for analysis steps that sample rendered pixels
+     * @param {Object} psd - Document from ag-psd's readPsd
+     * @param {number} maxSize - Longest side of the returned canvas
+     * @returns {Object|null} - { canvas, scale } where scale maps document pixels to canvas pixels, or null
+     */
+    renderDocument(psd, maxSize = PREVIEW_SIZE) {
+        const source = this.savedComposite(psd) || this.compositeLayers(psd, maxSize);
+        if (!source) return null;
+
+        const canvas = scaleToFit(source, maxSize);
+        return { canvas: canvas, scale: canvas.width / (psd.width || source.width) };
+    }
+
+    /**
+     * What the document's text sits on: the layers composited without text
+     * layers, or the full document (text included) when layer pixels were not decoded
+     * @param {Object} psd - Document from ag-psd's readPsd
+     * @param {number} maxSize - Longest side of the returned canvas
+     * @returns {Object|null} - { canvas, scale, withoutText }, or null when nothing can be drawn
+     */
+    renderBackground(psd, maxSize = PREVIEW_SIZE) {
+        const background = this.compositeLayers(psd, maxSize, layer => Boolean(layer.text));
+        if (background) {
+            return { canvas: background, scale: background.width / psd.width, withoutText: true };
+        }
+
+        const rendered = this.renderDocument(psd, maxSize);
+        return rendered ? { ...rendered, withoutText: false } : null;
+    }
+
+    /**
+     * The composite image saved in the file, unless Photoshop says it is not a
+     * real one (files saved with Maximize Compatibility off)
+     * @param {Object} psd - Document from ag-psd's readPsd
+     * @returns {Object|null} - Canvas
+     */
+    savedComposite(psd) {
+        if (!psd.canvas) return null;
+        if (psd.imageResources?.versionInfo?.hasRealMergedData === false) return null;
+        return psd.canvas;
+    }
+
+    /**
+     * Composite the decoded layer pixels over white, honouring visibility,
+     * opacity, fill opacity, layer masks and the blend modes canvas supports.
+     * Adjustment layers, effects and clipping masks are not rendered.
+     * @param {Object} psd - Document from ag-psd's readPsd
+     * @param {number} maxSize - Longest side of the result
+     * @param {Function} skip - Optional test for layers to leave out
+     * @returns {Object|null} - Canvas, or null when no layer has pixels
+     */
+    compositeLayers(psd, maxSize, skip = null) {
+        if (!psd.width || !psd.height || !hasLayerPixels(psd.children)) return null;
+
+        const scale = Math.min(1, maxSize / Math.max(psd.width, psd.height));
+        const canvas = createCanvas(Math.max(1, Math.round(psd.width * scale)), Math.max(1, Math.round(psd.height * scale)));
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        drawLayers(context, psd.children, 1, scale, skip);
+        return canvas;
+    }
+}
+
+/**
+ * Draw layers bottom to top (ag-psd lists children bottom first); groups draw
+ * their children with the group's opacity
+ * @param {Object} context - 2D context of the output canvas
+ * @param {Array} layers - ag-psd layers
+ * @param {number} opacity - Opacity inherited from enclosing groups
+ * @param {number} scale - Output pixels per document pixel
+ * @param {Function} skip - Optional test for layers to leave out
+ */
+function drawLayers(context, layers, opacity, scale, skip) {
+    (layers || []).forEach(layer => {
+        if (layer.hidden || (skip && skip(layer))) return;
+        const alpha = opacity * (layer.opacity ?? 1);
+
+        if (layer.children) {
+            drawLayers(context, layer.children, alpha, scale, skip);
+            return;
+        }
+        if (!layer.canvas || !layer.canvas.width || !layer.canvas.height) return;
+
+        const operation = String(layer.blendMode || 'normal').replace(/ /g, '-');
+        context.save();
+        context.globalAlpha = alpha * (layer.fillOpacity ?? 1);
+        context.globalCompositeOperation = COMPOSITE_OPERATIONS.has(operation) ? operation : 'source-over';
+        context.drawImage(
+            applyMask(layer),
+            (layer.left || 0) * scale,
+            (layer.top || 0) * scale,
+            layer.canvas.width * scale,
+            layer.canvas.height * scale
+        );
+        context.restore();
+    });
+}
+
+/**
+ * Layer pixels with the layer mask applied as transparency
+ * @param {Object} layer - ag-psd layer with a canvas
+ * @returns {Object} - The layer canvas, or a masked copy
+ */
+function applyMask(layer) {
+    const mask = layer.mask;
+    if (!mask || !mask.canvas || mask.disabled) return layer.canvas;
+
+    const { width, height } = layer.canvas;
+    const output = createCanvas(width, height);
+    const context = output.getContext('2d');
+    context.drawImage(layer.canvas, 0, 0);
+
+    const pixels = context.getImageData(0, 0, width, height);
+    const maskWidth = mask.canvas.width;
+    const maskHeight = mask.canvas.height;
+    const maskPixels = mask.canvas.getContext('2d').getImageData(0, 0, maskWidth, maskHeight).data;
+    const offsetX = (mask.left || 0) - (layer.left || 0);
+    const offsetY = (mask.top || 0) - (layer.top || 0);
+    // Outside its bounds a mask is its default color: white shows the layer, black hides it
+    const outside = mask.defaultColor ?? 255;
+
+    for (let y = 0; y < height; y++) {
+        const maskY = y - offsetY;
+        for (let x = 0; x < width; x++) {
+            const maskX = x - offsetX;
+            const inside = maskX >= 0 && maskY >= 0 && maskX < maskWidth && maskY < maskHeight;
+            const value = inside ? maskPixels[(maskY * maskWidth + maskX) * 4] : outside;
+            const index = (y * width + x) * 4 + 3;
+            pixels.data[index] = Math.round(pixels.data[index] * value / 255);
+        }
+    }
+
+    context.putImageData(pixels, 0, 0);
+    return output;
+}
+
+/**
+ * Whether any visible layer has decoded pixels
+ * @param {Array} layers - ag-psd layers
+ * @returns {boolean}
+ */
+function hasLayerPixels(layers) {
+    return (layers || []).some(layer => !layer.hidden && (layer.canvas || hasLayerPixels(layer.children)));
+}
+
+/**
+ * Copy of an image scaled down to fit a size, over white so transparent areas
+ * do not turn black in a JPEG
+ * @param {Object} source - Canvas
+ * @param {number} maxSize - Longest side
+ * @returns {Object} - Canvas
+ */
+function scaleToFit(source, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+    const canvas = createCanvas(Math.max(1, Math.round(source.width * scale)), Math.max(1, Math.round(source.height * scale)));
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * JPEG data URL of an image scaled to fit a size
+ * @param {Object} source - Canvas
+ * @param {number} maxSize - Longest side
+ * @returns {string}
+ */
+function toDataUrl(source, maxSize) {
+    return scaleToFit(source, maxSize).toDataURL('image/jpeg', JPEG_QUALITY);
+}
+
+PreviewRenderer.THUMBNAIL_SIZE = THUMBNAIL_SIZE;
+PreviewRenderer.PREVIEW_SIZE = PREVIEW_SIZE;
+
+module.exports = PreviewRenderer;
@@ -0,0 +1,343 @@
+/**
+ * Reads the parts of a PSD that ag-psd leaves out: image resources it does
+ * not decode (channel display info, the ICC profile) and the composite's CMYK channels, which
+ * ag-psd converts to RGB as it reads them (and rejects when a CMYK document
+ * has spot channels). Only the file's section layout is parsed up front;
+ * channel data is decoded row by row when asked for.
+ */
+
+// Channel kinds in the DisplayInfo resources (1077 and the older 1007)
+const CHANNEL_KINDS = { 0: 'alpha', 1: 'alpha', 2: 'spot' };
+
+// At most this many composite pixels are sampled for ink coverage
+const MAX_INK_SAMPLES = 1000000;
+
+// Highest total ink (four channels at 100%), in percent
+const MAX_TOTAL_INK = 400;
+
+class PsdSections {
+    /**
+     * @param {Uint8Array} data - PSD or PSB file contents
+     * @throws {Error} - When the data is not a PSD or a section runs past the end of the file
+     */
+    constructor(data) {
+        this.data = data;
+        this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        if (data.length < 26 || String.fromCharCode(...data.subarray(0, 4)) !== '8BPS') {
+            throw new Error('Invalid PSD signature');
+        }
+
+        this.version = this.view.getUint16(4);
+        this.channels = this.view.getUint16(12);
+        this.height = this.view.getUint32(14);
+        this.width = this.view.getUint32(18);
+        this.depth = this.view.getUint16(22);
+        this.colorMode = this.view.getUint16(24);
+
+        let offset = 26;
+        offset += 4 + this.view.getUint32(offset); // Color mode data
+
+        const resourcesLength = this.view.getUint32(offset);
+        this.resources = readResources(this.view, offset + 4, offset + 4 + resourcesLength);
+        offset += 4 + resourcesLength;
+
+        // PSB files give the layer and mask section an 8-byte length
+        const layersLength = this.version === 2
+            ? this.view.getUint32(offset) * 2 ** 32 + this.view.getUint32(offset + 4)
+            : this.view.getUint32(offset);
+        offset += (this.version === 2 ? 8 : 4) + layersLength;
+
+        if (offset > data.length) {
+            throw new Error('PSD sections run past the end of the file');
+        }
+        this.imageDataOffset = offset;
+    }
+
+    /**
+     * Contents of an image resource
+     * @param {number} id - Resource ID, e.g. 1077
+     * @returns {Uint8Array|null}
+     */
+    resource(id) {
+        const found = this.resources.get(id);
+        return found ? this.data.subarray(found.offset, found.offset + found.length) : null;
+    }
+
+    /**
+     * Channels after the color channels, with their names and whether each is a spot color or an alpha channel
+     * @returns {Array} - Channels ({ name, kind: 'spot' or 'alpha' })
+     */
+    extraChannels() {
+        const names = this.channelNames();
+        const kinds = this.channelKinds();
+        const count = Math.max(names.length, kinds.length);
+
+        return Array.from({ length: count }, (value, index) => ({
+            name: names[index] || `Alpha ${index + 1}`,
+            kind: kinds[index] || 'alpha'
+        }));
+    }
+
+    /**
+     * Names of the alpha and spot channels, from the Unicode (1045) or Pascal (1006) name resource
+     * @returns {Array} - Names
+     */
+    channelNames() {
+        const unicode = this.resource(1045);
+        if (unicode) {
+            const names = [];
+            const view = new DataView(unicode.buffer, unicode.byteOffset, unicode.byteLength);
+            let offset = 0;
+            while (offset + 4 <= unicode.length) {
+                const length = view.getUint32(offset);
+                let name = '';
+                for (let index = 0; index < length && offset + 6 + index * 2 <= unicode.length; index++) {
+                    name += String.fromCharCode(view.getUint16(offset + 4 + index * 2));
+                }
+                names.push(name.replace(/\0+$/, ''));
+                offset += 4 + length * 2;
+            }
+            return names;
+        }
+
+        const pascal = this.resource(1006);
+        const names = [];
+        let offset = 0;
+        while (pascal && offset < pascal.length) {
+            const length = pascal[offset];
+            names.push(String.fromCharCode(...pascal.subarray(offset + 1, offset + 1 + length)));
+            offset += 1 + length;
+        }
+        return names;
+    }
+
+    /**
+     * Kind of each alpha or spot channel, from DisplayInfo (1077, or 1007 in older files)
+     * @returns {Array} - 'spot' or 'alpha' per channel
+     */
+    channelKinds() {
+        const current = this.resource(1077);
+        if (current) {
+            // A version number, then 13 bytes per channel ending with its kind
+            return Array.from({ length: Math.floor((current.length - 4) / 13) }, (value, index) =>
+                CHANNEL_KINDS[current[4 + index * 13 + 12]] || 'alpha'
+            );
+        }
+
+        const legacy = this.resource(1007);
+        if (legacy) {
+            // 14 bytes per channel: the kind, then a padding byte
+            return Array.from({ length: Math.floor(legacy.length / 14) }, (value, index) =>
+                CHANNEL_KINDS[legacy[index * 14 + 12]] || 'alpha'
+            );
+        }
+        return [];
+    }
+
+    /**
+     * The embedded ICC color profile (resource 1039), unless the file was saved
+     * untagged ("Don't Color Manage", resource 1041)
+     * @returns {Object|null} - { name, colorSpace } with the profile's description and data color space
+     *     ('RGB', 'CMYK', 'GRAY', ...), or null when no profile is embedded
+     */
+    iccProfile() {
+        const untagged = this.resource(1041);
+        const profile = this.resource(1039);
+        if ((untagged && untagged[0] === 1) || !profile || profile.length < 132) return null;
+
+        const view = new DataView(profile.buffer, profile.byteOffset, profile.byteLength);
+        const tagCount = view.getUint32(128);
+        let name = null;
+
+        for (let index = 0; index < tagCount && 144 + index * 12 <= profile.length; index++) {
+            const entry = 132 + index * 12;
+            if (signature(profile, entry) !== 'desc') continue;
+            name = readDescription(profile, view.getUint32(entry + 4), view.getUint32(entry + 8));
+            break;
+        }
+
+        return { name: name || 'Unnamed profile', colorSpace: signature(profile, 16).trim() };
+    }
+
+    /**
+     * Total ink (C + M + Y + K, in percent) across the composite of a CMYK
+     * document, sampled on an even grid for large images
+     * @returns {Object|null} - { max, histogram (samples per whole percent, 0-400), samples },
+     *     or null when the document is not CMYK or its composite cannot be read
+     */
+    inkCoverage() {
+        if (this.colorMode !== 4 || (this.depth !== 8 && this.depth !== 16)) return null;
+        if (this.imageDataOffset + 2 > this.data.length) return null;
+
+        const rows = this.channelRows();
+        if (!rows) return null;
+
+        const bytesPerSample = this.depth / 8;
+        const step = Math.max(1, Math.ceil(Math.sqrt(this.width * this.height / MAX_INK_SAMPLES)));
+        const histogram = new Array(MAX_TOTAL_INK + 1).fill(0);
+        const row = new Uint8Array(this.width * bytesPerSample);
+        const totals = new Float64Array(Math.ceil(this.width / step));
+        let max = 0;
+        let samples = 0;
+
+        for (let y = 0; y < this.height; y += step) {
+            totals.fill(0);
+            for (let channel = 0; channel < 4; channel++) {
+                rows(channel, y, row);
+                for (let x = 0, sample = 0; x < this.width; x += step, sample++) {
+                    // CMYK is stored inverted: 255 is no ink. 16-bit samples are read by their high byte.
+                    totals[sample] += (255 - row[x * bytesPerSample]) / 255 * 100;
+                }
+            }
+            totals.forEach(total => {
+                const percent = Math.min(MAX_TOTAL_INK, Math.round(total));
+                histogram[percent]++;
+                if (percent > max) max = percent;
+                samples++;
+            });
+        }
+
+        return { max: max, histogram: histogram, samples: samples };
+    }
+
+    /**
+     * Reader for rows of the composite's channels, for raw and RLE compressed image data
+     * @returns {Function|null} - (channel, y, target) filling `target` with the row's bytes, or null for other compression
+     */
+    channelRows() {
+        const compression = this.view.getUint16(this.imageDataOffset);
+        const rowBytes = this.width * this.depth / 8;
+        const start = this.imageDataOffset + 2;
+
+        if (compression === 0) {
+            return (channel, y, target) => {
+                const offset = start + (channel * this.height + y) * rowBytes;
+                target.set(this.data.subarray(offset, offset + rowBytes));
+            };
+        }
+        if (compression !== 1) return null;
+
+        // RLE data starts with the byte count of every row of every channel (4 bytes each in PSB files)
+        const countBytes = this.version === 2 ? 4 : 2;
+        const rowCount = this.channels * this.height;
+        const rowOffsets = new Float64Array(rowCount);
+        let offset = start + rowCount * countBytes;
+        for (let index = 0; index < rowCount; index++) {
+            rowOffsets[index] = offset;
+            offset += countBytes === 4 ? this.view.getUint32(start + index * 4) : this.view.getUint16(start + index * 2);
+        }
+        if (offset > this.data.length) return null;
+
+        return (channel, y, target) => unpackBits(this.data, rowOffsets[channel * this.height + y], target);
+    }
+}
+
+/**
+ * Index the image resource blocks of the resources section
+ * @param {DataView} view - File contents
+ * @param {number} offset - Start of the first block
+ * @param {number} end - End of the section
+ * @returns {Map} - Resource ID -> { offset, length } of its data
+ */
+function readResources(view, offset, end) {
+    const resources = new Map();
+
+    while (offset + 12 <= end) {
+        const signature = view.getUint32(offset);
+        // '8BIM', or '8B64' / 'MeSa' / 'PHUT' / 'AgHg' / 'DCSR' written by other apps
+        if (signature !== 0x3842494d && signature !== 0x38423634 && signature !== 0x4d655361 &&
+            signature !== 0x50485554 && signature !== 0x41674867 && signature !== 0x44435352) break;
+
+        const id = view.getUint16(offset + 4);
+        // Pascal name padded to an even length, counting its length byte
+        const nameLength = view.getUint8(offset + 6);
+        let position = offset + 6 + ((nameLength + 2) & ~1);
+        const length = view.getUint32(position);
+        position += 4;
+
+        if (!resources.has(id)) resources.set(id, { offset: position, length: length });
+        offset = position + length + (length & 1);
+    }
+
+    return resources;
+}
+
+/**
+ * Four-character code, e.g. an ICC tag or color space signature
+ * @param {Uint8Array} data - Bytes
+ * @param {number} offset - Start of the code
+ * @returns {string}
+ */
+function signature(data, offset) {
+    return String.fromCharCode(...data.subarray(offset, offset + 4));
+}
+
+/**
+ * Text of an ICC profile description tag: a 'desc' tag (ICC v2, ASCII) or a
+ * 'mluc' tag (ICC v4, UTF-16 per language, English preferred)
+ * @param {Uint8Array} profile - Profile bytes
+ * @param {number} offset - Start of the tag
+ * @param {number} size - Tag size
+ * @returns {string|null}
+ */
+function readDescription(profile, offset, size) {
+    if (offset + Math.min(size, 12) > profile.length || size < 12) return null;
+
+    const view = new DataView(profile.buffer, profile.byteOffset, profile.byteLength);
+    const type = signature(profile, offset);
+
+    if (type === 'desc') {
+        const length = Math.min(view.getUint32(offset + 8), size - 12, profile.length - offset - 12);
+        return String.fromCharCode(...profile.subarray(offset + 12, offset + 12 + length)).replace(/\0.*$/, '').trim() || null;
+    }
+
+    if (type === 'mluc' && size >= 16) {
+        const count = view.getUint32(offset + 8);
+        const recordSize = view.getUint32(offset + 12);
+        const records = Array.from({ length: count }, (value, index) => {
+            const record = offset + 16 + index * recordSize;
+            return record + 12 <= profile.length
+                ? { language: signature(profile, record).slice(0, 2), length: view.getUint32(record + 4), start: offset + view.getUint32(record + 8) }
+                : null;
+        }).filter(Boolean);
+        const record = records.find(candidate => candidate.language === 'en') || records[0];
+        if (!record || record.start + record.length > profile.length) return null;
+
+        let text = '';
+        for (let index = 0; index + 1 < record.length; index += 2) {
+            text += String.fromCharCode(view.getUint16(record.start + index));
+        }
+        return text.replace(/\0.*$/, '').trim() || null;
+    }
+
+    return null;
+}
+
+/**
+ * Decode one PackBits compressed row
+ * @param {Uint8Array} data - File contents
+ * @param {number} offset - Start of the compressed row
+ * @param {Uint8Array} target - Decoded row; filled up to its length
+ */
+function unpackBits(data, offset, target) {
+    let position = offset;
+    let written = 0;
+
+    while (written < target.length && position < data.length) {
+        const header = data[position++];
+        if (header < 128) {
+            const count = Math.min(header + 1, target.length - written);
+            target.set(data.subarray(position, position + count), written);
+            position += header + 1;
+            written += count;
+        } else if (header > 128) {
+            const count = Math.min(257 - header, target.length - written);
+            target.fill(data[position++], written, written + count);
+            written += count;
+        }
+        // 128 is a no-op
+    }
+}
+
+module.exports = PsdSections;
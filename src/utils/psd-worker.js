@@ -0,0 +1,24 @@
+/**
+ * Worker thread that parses PSD files off the main Express thread.
+ * Receives { id, data, filename } and replies with { id, result } or { id, error }.
+ */
+
+const { parentPort } = require('worker_threads');
+const { initializePsdCanvas, enableCmykDocuments } = require('./canvas-setup');
+const FileProcessor = require('./file-processor');
+
+initializePsdCanvas();
+enableCmykDocuments();
+
+const processor = new FileProcessor({
+    pixelAuditMaxMb: parseInt(process.env.PSD_PIXEL_AUDIT_MAX_MB) || 50
+});
+
+parentPort.on('message', async ({ id, data, filename }) => {
+    try {
+        const result = await processor.analyzePSDData(data, filename);
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,460 @@
+/**
+ * Rubric model behind grading. A rubric is a list of rows, each pointing at
+ * one check with its own weight (points), partial-credit rule and named
+ * performance levels. The criteria form is one way to build a rubric (see
+ * fromForm); API callers can pass explicit rows as `criteria.rubric`, and
+ * Canvas rubrics are imported into the same shape (see canvas-rubric.js).
+ */
+
+/**
+ * Checks a rubric row can use, with the partial-credit rules each supports.
+ * 'all' is all-or-nothing; the others are worked out by Grader.partialCredit.
+ */
+const CHECK_TYPES = {
+    filename: { title: 'Filename', scoring: ['all'] },
+    dimensions: { title: 'Dimensions', scoring: ['all', 'bands'] },
+    colorMode: { title: 'Color Mode', scoring: ['all'] },
+    layers: { title: 'Minimum Layers', scoring: ['all', 'proportional'] },
+    requiredLayers: { title: 'Required Layers', scoring: ['all', 'perItem'] },
+    resolution: { title: 'Resolution', scoring: ['all', 'proportional', 'bands'] },
+    bitDepth: { title: 'Bit Depth', scoring: ['all'] },
+    colorProfile: { title: 'Color Profile', scoring: ['all'] },
+    fonts: { title: 'Fonts', scoring: ['all', 'perItem'] },
+    // Techniques (see layer-checks.js); proportional credit is matching layers / minimum
+    adjustmentLayers: { title: 'Adjustment Layers', scoring: ['all', 'proportional'] },
+    layerMasks: { title: 'Layer Masks', scoring: ['all', 'proportional'] },
+    layerEffects: { title: 'Layer Effects', scoring: ['all', 'proportional'] },
+    smartObjects: { title: 'Smart Objects', scoring: ['all', 'proportional'] },
+    blendModes: { title: 'Blend Modes', scoring: ['all', 'proportional'] },
+    // Proportional credit is the share of non-destructive edits among all edits found
+    nonDestructive: { title: 'Non-Destructive Editing', scoring: ['all', 'proportional'] },
+    // Organization (see organization-checks.js); proportional credit is the share of layers not flagged
+    layerNames: { title: 'Layer Names', scoring: ['all', 'proportional'] },
+    emptyLayers: { title: 'Empty Layers', scoring: ['all', 'proportional'] },
+    offCanvasLayers: { title: 'Layers Outside the Canvas', scoring: ['all', 'proportional'] },
+    hiddenLayers: { title: 'Hidden Layers', scoring: ['all', 'proportional'] },
+    ungroupedLayers: { title: 'Layer Groups', scoring: ['all', 'proportional'] },
+    groupNesting: { title: 'Group Nesting', scoring: ['all', 'proportional'] },
+    // Text content (see text-checks.js); proportional spelling credit is the share of words spelled right
+    requiredText: { title: 'Required Text', scoring: ['all', 'perItem'] },
+    forbiddenText: { title: 'Placeholder Text', scoring: ['all', 'proportional'] },
+    textLength: { title: 'Text Length', scoring: ['all', 'proportional'] },
+    spelling: { title: 'Spelling', scoring: ['all', 'proportional'] },
+    // Typography (see typography-checks.js); proportional credit is the share of text runs not flagged,
+    // or distinct sizes found / minimum for the hierarchy
+    textSize: { title: 'Text Size', scoring: ['all', 'proportional'] },
+    sizeHierarchy: { title: 'Type Hierarchy', scoring: ['all', 'proportional'] },
+    fauxStyles: { title: 'Faux Styles', scoring: ['all', 'proportional'] },
+    typefaces: { title: 'Typefaces', scoring: ['all'] },
+    leading: { title: 'Leading', scoring: ['all', 'proportional'] },
+    tracking: { title: 'Tracking', scoring: ['all', 'proportional'] },
+    // Color (see color-checks.js); proportional credit is the share of colors found that are on the palette,
+    // or of text layers with enough contrast
+    palette: { title: 'Color Palette', scoring: ['all', 'proportional'] },
+    contrast: { title: 'Text Contrast', scoring: ['all', 'proportional'] },
+    // Print preflight (see preflight-checks.js); proportional safe-margin credit is the share of layers inside it
+    bleedSize: { title: 'Document Size with Bleed', scoring: ['all'] },
+    safeMargin: { title: 'Safe Margin', scoring: ['all', 'proportional'] },
+    inkCoverage: { title: 'Total Ink Coverage', scoring: ['all'] },
+    spotChannels: { title: 'Spot Channels', scoring: ['all'] },
+    // Nothing to measure automatically; the instructor scores it with an override
+    manual: { title: 'Instructor Review', scoring: ['all'] }
+};
+
+// Checks configured in the techniques block of the criteria form
+const TECHNIQUE_TYPES = ['adjustmentLayers', 'layerMasks', 'layerEffects', 'smartObjects', 'blendModes'];
+
+// Checks configured in the organization block of the criteria form
+const ORGANIZATION_TYPES = ['layerNames', 'emptyLayers', 'offCanvasLayers', 'hiddenLayers', 'ungroupedLayers', 'groupNesting'];
+
+// Checks configured in the text block of the criteria form
+const TEXT_TYPES = ['requiredText', 'forbiddenText', 'textLength', 'spelling'];
+
+// Checks configured in the typography block of the criteria form
+const TYPOGRAPHY_TYPES = ['textSize', 'sizeHierarchy', 'fauxStyles', 'typefaces', 'leading', 'tracking'];
+
+// Checks configured in the color block of the criteria form
+const COLOR_TYPES = ['palette', 'contrast'];
+
+// Checks configured in the preflight block of the criteria form
+const PREFLIGHT_TYPES = ['bleedSize', 'safeMargin', 'inkCoverage', 'spotChannels'];
+
+// Filename pattern types that bring their own pattern (see Grader PATTERN_PRESETS)
+const FILENAME_PRESETS = ['class_name_assignment', 'name_class_assignment', 'assignment_name_class'];
+
+const isSet = value => value !== null && value !== undefined && value !== '';
+const hasItems = list => Array.isArray(list) && list.length > 0;
+
+/**
+ * What a check needs from its settings before it can grade anything, with a
+ * test for it. Checks not listed here have working defaults.
+ */
+const REQUIRED_SETTINGS = {
+    filename: ['a filename pattern', settings => isSet(settings.pattern) || FILENAME_PRESETS.includes(settings.patternType)],
+    dimensions: ['a width or height', settings => Number(settings.width) > 0 || Number(settings.height) > 0],
+    colorMode: ['a color mode', settings => isSet(settings.colorMode)],
+    layers: ['a minimum layer count', settings => isSet(settings.minLayers) && Number(settings.minLayers) >= 0],
+    requiredLayers: ['a list of required layers', settings => hasItems(settings.requiredLayers)],
+    resolution: ['a minimum resolution', settings => Number(settings.resolution) > 0],
+    bitDepth: ['a bit depth', settings => Number(settings.bitDepth) > 0],
+    colorProfile: ['color profile settings', settings => Boolean(settings.colorProfile) && typeof settings.colorProfile === 'object'],
+    requiredText: ['a list of required phrases', settings => hasItems(settings.phrases)],
+    textLength: ['a minimum or maximum length', settings => Number(settings.min) > 0 || Number(settings.max) > 0],
+    palette: ['a list of palette colors', settings => hasItems(settings.colors)],
+    bleedSize: ['a trim width and height', settings => Number(settings.width) > 0 && Number(settings.height) > 0],
+    safeMargin: ['a safe margin', settings => isSet(settings.margin) && Number(settings.margin) >= 0]
+};
+
+// Minimum percent of a row's points for each level, best level first
+const DEFAULT_LEVELS = [
+    { name: 'Exemplary', min: 90 },
+    { name: 'Proficient', min: 70 },
+    { name: 'Developing', min: 0 }
+];
+
+class Rubric {
+    /**
+     * @param {Object} rubric - Rubric definition
+     * @param {string} rubric.title - Display title
+     * @param {Array} rubric.levels - Default levels ({ name, min } with min a percent of the row's points)
+     * @param {Array} rubric.rows - Rows ({ id, type, title, description, points, settings, scoring, bands, levels, canvasId })
+     * @throws {Error} - When a row uses an unknown check or partial-credit rule
+     */
+    constructor({ title, levels, rows } = {}) {
+        this.title = title || '';
+        this.levels = normalizeLevels(levels) || DEFAULT_LEVELS;
+
+        const usedIds = new Set();
+        this.rows = (rows || []).map(row => this.normalizeRow(row, usedIds));
+    }
+
+    /**
+     * Rubric for a set of criteria: the explicit `criteria.rubric` when given,
+     * otherwise one built from the criteria form. Explicit rows without
+     * settings use the matching form section.
+     * @param {Object} criteria - Nested grading criteria
+     * @returns {Rubric}
+     * @throws {Error} - When a row has no settings its check can grade with (see Rubric.missingSettings)
+     */
+    static fromCriteria(criteria = {}) {
+        if (Array.isArray(criteria.rubric?.rows)) {
+            return new Rubric({
+                ...criteria.rubric,
+                rows: criteria.rubric.rows.map(row => row.settings ? row : {
+                    ...row,
+                    settings: rowSettings(criteria, row)
+                })
+            });
+        }
+        return Rubric.fromForm(criteria);
+    }
+
+    /**
+     * Build a rubric from the criteria form blocks (filename, technical, fonts, techniques, organization,
+     * text, typography, color, preflight).
+     * `criteria.scoring` adds per-check weights, partial credit and levels.
+     * @param {Object} criteria - Nested grading criteria
+     * @returns {Rubric}
+     */
+    static fromForm(criteria = {}) {
+        return new Rubric({
+            title: criteria.canvas?.assignmentName || '',
+            levels: criteria.scoring?.levels,
+            rows: formRows(criteria)
+        });
+    }
+
+    /**
+     * Fill in defaults for a row and check its check type, settings and scoring rule
+     * @param {Object} row - Row as given
+     * @param {Set} usedIds - IDs of earlier rows
+     * @returns {Object} - Normalized row
+     */
+    normalizeRow(row, usedIds) {
+        const type = CHECK_TYPES[row.type];
+        if (!type) {
+            throw new Error(`Unknown rubric check: ${row.type}`);
+        }
+
+        const missing = missingSettings(row.type, row.settings || {});
+        if (missing) {
+            throw new Error(`${row.title || type.title} needs ${missing} to grade against`);
+        }
+
+        const scoring = row.scoring || 'all';
+        if (!type.scoring.includes(scoring)) {
+            throw new Error(`${type.title} does not support "${scoring}" partial credit`);
+        }
+
+        // Row IDs key overrides and end up in HTML attributes, so keep them plain
+        const baseId = String(row.id || row.type).replace(/[^A-Za-z0-9_-]/g, '') || row.type;
+        let id = baseId;
+        let counter = 2;
+        while (usedIds.has(id)) {
+            id = `${baseId}-${counter++}`;
+        }
+        usedIds.add(id);
+
+        return {
+            id: id,
+            type: row.type,
+            title: row.title || type.title,
+            description: row.description || '',
+            points: Math.max(0, Number(row.points) || 0),
+            settings: row.settings || {},
+            scoring: scoring,
+            bands: scoring === 'bands' ? normalizeBands(row.bands) : null,
+            levels: normalizeLevels(row.levels) || this.levels,
+            canvasId: row.canvasId || null
+        };
+    }
+
+    /**
+     * First row using a check type
+     * @param {string} type - Check type, e.g. 'filename'
+     * @returns {Object|null} - Row, or null if the rubric does not use the check
+     */
+    find(type) {
+        return this.rows.find(row => row.type === type) || null;
+    }
+
+    /**
+     * Total points of all rows
+     * @returns {number}
+     */
+    get maxScore() {
+        return this.rows.reduce((sum, row) => sum + row.points, 0);
+    }
+
+    /**
+     * Point range of each of a row's levels
+     * @param {Object} row - Normalized row
+     * @returns {Array} - Levels, best first ({ name, min, max } in points)
+     */
+    levelRanges(row) {
+        let max = row.points;
+
+        return row.levels.map(level => {
+            const min = Math.round(row.points * level.min) / 100;
+            const range = { name: level.name, min: min, max: max };
+            if (level.id) range.id = level.id;
+            max = min;
+            return range;
+        });
+    }
+
+    /**
+     * Plain-object form of the rubric, as accepted by the constructor
+     * @returns {Object}
+     */
+    toJSON() {
+        return { title: this.title, levels: this.levels, rows: this.rows };
+    }
+}
+
+/**
+ * Rows for the checks the criteria form turns on, before they are normalized
+ * @param {Object} criteria - Nested grading criteria
+ * @returns {Array} - Rows ({ type, points, settings, scoring, bands })
+ */
+function formRows(criteria) {
+    const scoring = criteria.scoring || {};
+    const weights = scoring.weights || {};
+    const partialCredit = scoring.partialCredit || {};
+    const bands = scoring.bands || {};
+    const rows = [];
+
+    const addRow = (type, settings, defaultPoints) => {
+        const weight = weights[type];
+        rows.push({
+            type: type,
+            points: weight !== null && weight !== undefined && weight !== '' ? weight : defaultPoints,
+            settings: settings,
+            scoring: partialCredit[type] || 'all',
+            bands: bands[type]
+        });
+    };
+
+    if (criteria.filename?.enabled) {
+        addRow('filename', criteria.filename, criteria.filename.points);
+    }
+
+    if (criteria.technical?.enabled) {
+        const technical = criteria.technical;
+        const points = technical.pointsPerCriterion;
+
+        if (technical.width || technical.height) addRow('dimensions', technical, points);
+        if (technical.colorMode) addRow('colorMode', technical, points);
+        if (technical.minLayers !== null && technical.minLayers !== undefined) addRow('layers', technical, points);
+        if (technical.requiredLayers?.length > 0) addRow('requiredLayers', technical, points);
+        if (technical.resolution) addRow('resolution', technical, points);
+        if (technical.bitDepth) addRow('bitDepth', technical, points);
+        if (technical.colorProfile) addRow('colorProfile', technical, points);
+    }
+
+    if (criteria.fonts?.enabled) {
+        addRow('fonts', criteria.fonts, criteria.fonts.pointsPerCriterion);
+    }
+
+    if (criteria.techniques?.enabled) {
+        const techniques = criteria.techniques;
+        TECHNIQUE_TYPES
+            .filter(type => techniques[type]?.min > 0)
+            .forEach(type => addRow(type, techniques[type], techniques.pointsPerCriterion));
+        if (techniques.nonDestructive) {
+            addRow('nonDestructive', techniques.nonDestructive, techniques.pointsPerCriterion);
+        }
+    }
+
+    if (criteria.organization?.enabled) {
+        const organization = criteria.organization;
+        ORGANIZATION_TYPES
+            .filter(type => organization[type])
+            .forEach(type => addRow(type, organization[type], organization.pointsPerCriterion));
+    }
+
+    if (criteria.text?.enabled) {
+        const text = criteria.text;
+        TEXT_TYPES
+            .filter(type => text[type])
+            .forEach(type => addRow(type, text[type], text.pointsPerCriterion));
+    }
+
+    if (criteria.typography?.enabled) {
+        const typography = criteria.typography;
+        TYPOGRAPHY_TYPES
+            .filter(type => typography[type])
+            .forEach(type => addRow(type, typography[type], typography.pointsPerCriterion));
+    }
+
+    if (criteria.color?.enabled) {
+        const color = criteria.color;
+        COLOR_TYPES
+            .filter(type => color[type])
+            .forEach(type => addRow(type, color[type], color.pointsPerCriterion));
+    }
+
+    if (criteria.preflight?.enabled) {
+        const preflight = criteria.preflight;
+        PREFLIGHT_TYPES
+            .filter(type => preflight[type])
+            .forEach(type => addRow(type, preflightSettings(preflight, type), preflight.pointsPerCriterion));
+    }
+
+    return rows;
+}
+
+/**
+ * What a row's settings lack for its check to grade anything
+ * @param {string} type - Check type
+ * @param {Object} settings - Row settings
+ * @returns {string|null} - Description of what is missing, e.g. "a list of required layers", or null when usable
+ */
+function missingSettings(type, settings) {
+    const required = REQUIRED_SETTINGS[type];
+    return required && !required[1](settings || {}) ? required[0] : null;
+}
+
+/**
+ * Settings an explicit rubric row grades with: its own, or the matching form section's
+ * @param {Object} criteria - Nested grading criteria
+ * @param {Object} row - Row as given in criteria.rubric.rows
+ * @returns {Object} - Settings for the row's check
+ */
+function rowSettings(criteria, row) {
+    return row.settings || formSettings(criteria, row.type);
+}
+
+/**
+ * Form section that holds the settings for a check type
+ * @param {Object} criteria - Nested grading criteria
+ * @param {string} type - Check type
+ * @returns {Object} - Settings for the check
+ */
+function formSettings(criteria, type) {
+    if (type === 'filename') return criteria.filename || {};
+    if (type === 'fonts') return criteria.fonts || {};
+    if (type === 'manual') return {};
+    if (TECHNIQUE_TYPES.includes(type) || type === 'nonDestructive') return criteria.techniques?.[type] || {};
+    if (ORGANIZATION_TYPES.includes(type)) return criteria.organization?.[type] || {};
+    if (TEXT_TYPES.includes(type)) return criteria.text?.[type] || {};
+    if (TYPOGRAPHY_TYPES.includes(type)) return criteria.typography?.[type] || {};
+    if (COLOR_TYPES.includes(type)) return criteria.color?.[type] || {};
+    if (PREFLIGHT_TYPES.includes(type)) return preflightSettings(criteria.preflight || {}, type);
+    return criteria.technical || {};
+}
+
+/**
+ * Settings for a preflight check: its own block plus the unit and bleed the preflight checks share
+ * @param {Object} preflight - criteria.preflight
+ * @param {string} type - Preflight check type
+ * @returns {Object} - Settings for the check
+ */
+function preflightSettings(preflight, type) {
+    return { unit: preflight.unit, bleed: preflight.bleed, ...(preflight[type] || {}) };
+}
+
+/**
+ * Level a score falls in
+ * @param {number} points - Points earned
+ * @param {Array} ranges - Output of Rubric.levelRanges
+ * @returns {string|null} - Level name, or null when there are no levels
+ */
+function levelForPoints(points, ranges) {
+    if (!ranges || ranges.length === 0) return null;
+
+    const level = ranges.find(range => points >= range.min);
+    return (level || ranges[ranges.length - 1]).name;
+}
+
+/**
+ * Sort levels best first and clamp their minimums to 0-100
+ * @param {Array} levels - Levels as given
+ * @returns {Array|null} - Levels, or null when none were given
+ */
+function normalizeLevels(levels) {
+    if (!Array.isArray(levels) || levels.length === 0) return null;
+
+    return levels
+        .filter(level => level && level.name)
+        .map(level => {
+            const normalized = {
+                name: String(level.name),
+                min: Math.min(100, Math.max(0, Number(level.min) || 0))
+            };
+            // Canvas rating ID, kept so rubric assessments can name the rating
+            if (level.id) normalized.id = String(level.id);
+            return normalized;
+        })
+        .sort((a, b) => b.min - a.min);
+}
+
+/**
+ * Sort tolerance bands tightest first. A band gives `credit` percent of the
+ * row's points when the value is off by at most `within` percent.
+ * @param {Array} bands - Bands as given
+ * @returns {Array} - Bands ({ within, credit })
+ */
+function normalizeBands(bands) {
+    return (Array.isArray(bands) ? bands : [])
+        .map(band => ({
+            within: Math.max(0, Number(band.within) || 0),
+            credit: Math.min(100, Math.max(0, Number(band.credit) || 0))
+        }))
+        .sort((a, b) => a.within - b.within);
+}
+
+Rubric.CHECK_TYPES = CHECK_TYPES;
+Rubric.DEFAULT_LEVELS = DEFAULT_LEVELS;
+Rubric.TECHNIQUE_TYPES = TECHNIQUE_TYPES;
+Rubric.ORGANIZATION_TYPES = ORGANIZATION_TYPES;
+Rubric.TEXT_TYPES = TEXT_TYPES;
+Rubric.TYPOGRAPHY_TYPES = TYPOGRAPHY_TYPES;
+Rubric.COLOR_TYPES = COLOR_TYPES;
+Rubric.PREFLIGHT_TYPES = PREFLIGHT_TYPES;
+Rubric.levelForPoints = levelForPoints;
+Rubric.missingSettings = missingSettings;
+Rubric.rowSettings = rowSettings;
+Rubric.formRows = formRows;
+
+module.exports = Rubric;
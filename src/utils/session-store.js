@@ -0,0 +1,213 @@
+const Datastore = require('@seald-io/nedb');
+
+/**
+ * Saves grading sessions (criteria, per-file results and thumbnails) in an
+ * embedded NeDB datastore so past results can be reopened and exported again.
+ */
+
+// Result fields too large to store: NeDB appends the whole session on every
+// update, so each override would copy them again. Readers fall back to the thumbnail.
+const UNSTORED_FIELDS = ['analysis', 'preview'];
+class SessionStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.filename - Datafile path; omit to keep sessions in memory only
+     */
+    constructor(options = {}) {
+        this.db = new Datastore({
+            filename: options.filename,
+            autoload: true
+        });
+        // Latest pending write per session ID, so read-modify-write updates run one at a time
+        this.writes = new Map();
+    }
+
+    /**
+     * Save a finished grading run as a new session
+     * @param {Object} session - Session contents
+     * @param {string} session.name - Display name
+     * @param {Object} session.criteria - Criteria the files were graded with
+     * @param {Array} session.files - Per-file results
+     * @param {Object} session.summary - Output of Grader.summarize
+     * @param {string} session.batchId - Batch ID for re-grading, if cached
+     * @param {Object} session.mapping - Encrypted pseudonym mapping for anonymized sessions
+     * @param {Object} session.preset - Preset version the criteria came from ({ id, name, version, modified })
+     * @returns {Object} - The saved session
+     */
+    async create({ name, criteria, files, summary, batchId, mapping, preset }) {
+        const now = new Date().toISOString();
+        const doc = await this.db.insertAsync({
+            name: name || defaultSessionName(criteria, files),
+            criteria: criteria,
+            files: files.map(storedFile),
+            fileCount: files.length,
+            summary: summary,
+            batchId: batchId || null,
+            mapping: mapping || null,
+            preset: preset || null,
+            createdAt: now,
+            updatedAt: now
+        });
+
+        return this.toJSON(doc);
+    }
+
+    /**
+     * List sessions, newest first, without their per-file results
+     * @returns {Array} - Session summaries
+     */
+    async list() {
+        const docs = await this.db
+            .findAsync({}, { files: 0, criteria: 0 })
+            .sort({ createdAt: -1 });
+
+        return docs.map(doc => this.toJSON(doc));
+    }
+
+    /**
+     * Get a session with its results
+     * @param {string} id - Session ID
+     * @returns {Object|null} - Session, or null if unknown
+     */
+    async get(id) {
+        const doc = await this.db.findOneAsync({ _id: id });
+        return doc ? this.toJSON(doc) : null;
+    }
+
+    /**
+     * Get the encrypted pseudonym mapping of an anonymized session
+     * @param {string} id - Session ID
+     * @returns {Object|null} - Encrypted mapping, or null if there is none
+     */
+    async getMapping(id) {
+        const doc = await this.db.findOneAsync({ _id: id }, { mapping: 1 });
+        return doc ? doc.mapping || null : null;
+    }
+
+    /**
+     * Update fields of a session
+     * @param {string} id - Session ID
+     * @param {Object} fields - Fields to replace (name, criteria, files, summary, preset)
+     * @returns {Object|null} - Updated session, or null if unknown
+     */
+    update(id, fields) {
+        return this.serialize(id, () => this.write(id, fields));
+    }
+
+    /**
+     * Replace one file's result within a session. Runs after any other update
+     * of the same session, so concurrent reviews of different files all survive.
+     * @param {string} id - Session ID
+     * @param {number} index - Position of the file in the session
+     * @param {Function} change - Receives the stored result and returns the new one
+     * @param {Function} summarize - Rebuilds the session summary from all results
+     * @returns {Object|null} - Updated session, or null if the session or file is unknown
+     */
+    updateFile(id, index, change, summarize) {
+        return this.serialize(id, async () => {
+            const session = await this.get(id);
+            if (!session || !session.files[index]) return null;
+
+            const files = session.files.slice();
+            files[index] = change(files[index]);
+
+            return this.write(id, { files, summary: summarize(files) });
+        });
+    }
+
+    /**
+     * Run a session update once the session's earlier updates have finished
+     * @param {string} id - Session ID
+     * @param {Function} task - Async update
+     * @returns {Promise} - Resolves or rejects with the task
+     */
+    serialize(id, task) {
+        const previous = this.writes.get(id) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+
+        this.writes.set(id, current);
+        current.catch(() => {}).then(() => {
+            if (this.writes.get(id) === current) this.writes.delete(id);
+        });
+        return current;
+    }
+
+    /**
+     * Store changed fields of a session
+     * @param {string} id - Session ID
+     * @param {Object} fields - Fields to replace
+     * @returns {Object|null} - Updated session, or null if unknown
+     */
+    async write(id, fields) {
+        const changes = { ...fields, updatedAt: new Date().toISOString() };
+        if (fields.files) {
+            changes.files = fields.files.map(storedFile);
+            changes.fileCount = fields.files.length;
+        }
+
+        const { affectedDocuments } = await this.db.updateAsync(
+            { _id: id },
+            { $set: changes },
+            { returnUpdatedDocs: true }
+        );
+
+        return affectedDocuments ? this.toJSON(affectedDocuments) : null;
+    }
+
+    /**
+     * Rename a session
+     * @param {string} id - Session ID
+     * @param {string} name - New display name
+     * @returns {Object|null} - Updated session, or null if unknown
+     */
+    rename(id, name) {
+        return this.update(id, { name });
+    }
+
+    /**
+     * Delete a session
+     * @param {string} id - Session ID
+     * @returns {boolean} - Whether a session was deleted
+     */
+    async delete(id) {
+        const removed = await this.db.removeAsync({ _id: id }, {});
+        return removed > 0;
+    }
+
+    /**
+     * Public view of a stored document
+     * @param {Object} doc - NeDB document
+     * @returns {Object} - Session with `id` instead of `_id` and without its mapping
+     */
+    toJSON(doc) {
+        // The mapping is only handed out on its own, see getMapping()
+        const { _id, mapping, ...session } = doc;
+        return { id: _id, ...session, anonymized: Boolean(mapping) };
+    }
+}
+
+/**
+ * Result as stored in a session, without its analysis and preview image
+ * @param {Object} file - Per-file result
+ * @returns {Object} - Result to store
+ */
+function storedFile(file) {
+    const stored = { ...file };
+    UNSTORED_FIELDS.forEach(field => delete stored[field]);
+    return stored;
+}
+
+/**
+ * Name a session after its Canvas assignment, or its file count
+ * @param {Object} criteria - Nested grading criteria
+ * @param {Array} files - Per-file results
+ * @returns {string} - Session name
+ */
+function defaultSessionName(criteria, files) {
+    const assignmentName = criteria && criteria.canvas && criteria.canvas.assignmentName;
+    if (assignmentName) return assignmentName;
+
+    return `${files.length} file${files.length === 1 ? '' : 's'}`;
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const nspell = require('nspell');
+
+/**
+ * Checks on what text layers say: required copy (matched fuzzily, so a
+ * typo or stray punctuation still counts), forbidden placeholder text,
+ * character limits, and an offline spell check against the bundled English
+ * dictionary plus a per-assignment word list.
+ */
+
+const DEFAULT_MATCH_PERCENT = 85;
+const DEFAULT_FORBIDDEN = ['Lorem ipsum'];
+
+// Suggestions are slow to work out for long words, so only the first few misspellings get them
+const MAX_SUGGESTED = 10;
+
+// Words with letters and inner apostrophes, e.g. "festival" or "don't"
+const WORD_PATTERN = /[\p{L}]+(?:'[\p{L}]+)*/gu;
+
+let spellChecker = null;
+
+class TextChecks {
+    /**
+     * Check that each required phrase appears, in a named layer when one is given
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - { phrases: [{ text, layer }], matchPercent }
+     * @returns {Object} - Check outcome with one detail per phrase
+     */
+    checkRequiredText(analysis, settings) {
+        const matchPercent = Number(settings.matchPercent) > 0 ? Number(settings.matchPercent) : DEFAULT_MATCH_PERCENT;
+        const layers = textLayers(analysis);
+
+        const details = normalizePhrases(settings.phrases).map(phrase => {
+            const candidates = phrase.layer
+                ? layers.filter(layer => normalizeText(layer.name) === normalizeText(phrase.layer))
+                : layers;
+            let best = { score: 0, layer: null, match: null };
+
+            candidates.forEach(layer => {
+                const match = bestMatch(phrase.text, layer.textContent);
+                if (match.score > best.score) {
+                    best = { score: match.score, layer: layer.name, match: match.text };
+                }
+            });
+
+            return {
+                text: phrase.text,
+                layer: phrase.layer || null,
+                found: best.score >= matchPercent,
+                score: best.score,
+                foundIn: best.layer,
+                match: best.match,
+                layerMissing: Boolean(phrase.layer) && candidates.length === 0
+            };
+        });
+
+        const found = details.filter(detail => detail.found);
+        const describe = detail => {
+            const where = detail.layer ? ` in ${detail.layer}` : '';
+            if (detail.layerMissing) return `"${detail.text}"${where}: no text layer named ${detail.layer}`;
+            if (!detail.found) return `"${detail.text}"${where}: not found`;
+            return detail.score < 100
+                ? `"${detail.text}"${where}: close match "${detail.match}" (${detail.score}%)`
+                : `"${detail.text}"${where}: found`;
+        };
+
+        return {
+            id: 'requiredText',
+            criterion: 'Required Text',
+            expected: details.map(detail => `"${detail.text}"${detail.layer ? ` in ${detail.layer}` : ''}`).join(', '),
+            actual: `${found.length} of ${details.length} found: ${details.map(describe).join('; ')}`,
+            passed: details.length > 0 && found.length === details.length,
+            details: details
+        };
+    }
+
+    /**
+     * Flag text layers containing placeholder or other forbidden text
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - { phrases }; defaults to "Lorem ipsum"
+     * @returns {Object} - Check outcome with each flagged layer
+     */
+    checkForbiddenText(analysis, settings) {
+        const phrases = (settings.phrases && settings.phrases.length > 0 ? settings.phrases : DEFAULT_FORBIDDEN)
+            .map(phrase => String(phrase).trim())
+            .filter(Boolean);
+        const layers = textLayers(analysis);
+
+        const flagged = layers.map(layer => {
+            const text = normalizeText(layer.textContent);
+            const matches = phrases.filter(phrase => containsWords(text, normalizeText(phrase)));
+            return { layer: layer.name, reason: matches.length > 0 ? `Contains "${matches.join('", "')}"` : null };
+        }).filter(entry => entry.reason);
+
+        return {
+            id: 'forbiddenText',
+            criterion: 'Placeholder Text',
+            expected: `No ${phrases.map(phrase => `"${phrase}"`).join(' or ')}`,
+            actual: flagged.length > 0
+                ? `${flagged.length} flagged: ${flagged.map(entry => `${entry.layer} (${entry.reason.toLowerCase()})`).join('; ')}`
+                : 'None found',
+            passed: flagged.length === 0,
+            flagged: flagged,
+            checkedCount: layers.length
+        };
+    }
+
+    /**
+     * Check the character count of text layers, or of the layer named in the settings
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - { min, max, layer }
+     * @returns {Object} - Check outcome with each layer outside the limits
+     */
+    checkTextLength(analysis, settings) {
+        const min = Number(settings.min) > 0 ? Number(settings.min) : 0;
+        const max = Number(settings.max) > 0 ? Number(settings.max) : Infinity;
+        const layers = textLayers(analysis).filter(layer =>
+            !settings.layer || normalizeText(layer.name) === normalizeText(settings.layer)
+        );
+
+        const flagged = layers.map(layer => {
+            const length = characterCount(layer.textContent);
+            let reason = null;
+            if (length < min) reason = `${length} characters, fewer than ${min}`;
+            if (length > max) reason = `${length} characters, more than ${max}`;
+            return { layer: layer.name, reason: reason };
+        }).filter(entry => entry.reason);
+
+        const limits = [min > 0 ? `at least ${min}` : '', max < Infinity ? `at most ${max}` : ''].filter(Boolean).join(' and ');
+        const scope = settings.layer ? `${settings.layer}: ` : 'Each text layer: ';
+        let actual = flagged.length > 0
+            ? `${flagged.length} outside the limits: ${flagged.map(entry => `${entry.layer} (${entry.reason})`).join('; ')}`
+            : `${layers.length} text layer${layers.length === 1 ? '' : 's'} within the limits`;
+        if (layers.length === 0) {
+            actual = settings.layer ? `No text layer named ${settings.layer}` : 'No text layers';
+        }
+
+        return {
+            id: 'textLength',
+            criterion: 'Text Length',
+            expected: `${scope}${limits || 'any length'} characters`,
+            actual: actual,
+            passed: layers.length > 0 && flagged.length === 0,
+            flagged: flagged,
+            checkedCount: layers.length
+        };
+    }
+
+    /**
+     * Spell check every text layer
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - { customWords, allowed }
+     * @returns {Object} - Check outcome listing misspellings ({ layer, word, suggestions })
+     */
+    checkSpelling(analysis, settings) {
+        const checker = getSpellChecker();
+        const allowed = Math.max(0, Number(settings.allowed) || 0);
+        const customWords = new Set((settings.customWords || []).map(word => String(word).trim().toLowerCase()));
+        const misspellings = [];
+        let wordCount = 0;
+
+        textLayers(analysis).forEach(layer => {
+            const words = String(layer.textContent || '').replace(/[‘’]/g, "'").match(WORD_PATTERN) || [];
+            wordCount += words.length;
+
+            words.forEach(word => {
+                if (customWords.has(word.toLowerCase()) || checker.correct(word)) return;
+                // Possessives of words the dictionary knows, e.g. "Festival's"
+                if (/'s$/i.test(word) && checker.correct(word.slice(0, -2))) return;
+
+                misspellings.push({
+                    layer: layer.name,
+                    word: word,
+                    suggestions: misspellings.length < MAX_SUGGESTED ? checker.suggest(word).slice(0, 3) : []
+                });
+            });
+        });
+
+        const listed = misspellings.map(entry =>
+            `"${entry.word}" in ${entry.layer}${entry.suggestions.length > 0 ? ` (${entry.suggestions.join(', ')}?)` : ''}`
+        );
+
+        return {
+            id: 'spelling',
+            criterion: 'Spelling',
+            expected: allowed > 0 ? `At most ${allowed} misspelled word${allowed === 1 ? '' : 's'}` : 'No misspelled words',
+            actual: misspellings.length > 0 ? `${misspellings.length} misspelled: ${listed.join('; ')}` : `${wordCount} words, none misspelled`,
+            passed: misspellings.length <= allowed,
+            misspellings: misspellings,
+            wordCount: wordCount
+        };
+    }
+}
+
+/**
+ * The English spell checker, loaded on first use (building it takes a moment)
+ * @returns {Object} - nspell instance
+ */
+function getSpellChecker() {
+    if (!spellChecker) {
+        const dictionary = path.dirname(require.resolve('dictionary-en'));
+        spellChecker = nspell({
+            aff: fs.readFileSync(path.join(dictionary, 'index.aff')),
+            dic: fs.readFileSync(path.join(dictionary, 'index.dic'))
+        });
+    }
+    return spellChecker;
+}
+
+/**
+ * Text layers with their content
+ * @param {Object} analysis - File analysis
+ * @returns {Array} - Layers from extractLayers
+ */
+function textLayers(analysis) {
+    return (analysis.layers || []).filter(layer => layer.isText);
+}
+
+/**
+ * Required phrases as { text, layer }; plain strings have no layer
+ * @param {Array} phrases - Phrases as given
+ * @returns {Array}
+ */
+function normalizePhrases(phrases) {
+    return (phrases || [])
+        .map(phrase => typeof phrase === 'string' ? { text: phrase } : phrase || {})
+        .map(phrase => ({ text: String(phrase.text || '').trim(), layer: String(phrase.layer || '').trim() }))
+        .filter(phrase => phrase.text);
+}
+
+/**
+ * Lowercase text without accents or punctuation, with single spaces between words
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Whether normalized text contains a normalized phrase as whole words
+ * @param {string} text - Normalized text
+ * @param {string} phrase - Normalized phrase
+ * @returns {boolean}
+ */
+function containsWords(text, phrase) {
+    return phrase.length > 0 && ` ${text} `.includes(` ${phrase} `);
+}
+
+/**
+ * Closest run of words in a layer's text to a phrase. Runs of one word fewer
+ * or more than the phrase are tried too, so a dropped or added word still matches.
+ * @param {string} phrase - Required phrase
+ * @param {string} text - Layer text
+ * @returns {Object} - { score (percent similar), text (the closest run) }
+ */
+function bestMatch(phrase, text) {
+    const wanted = normalizeText(phrase);
+    const haystack = normalizeText(text);
+    if (!wanted || !haystack) return { score: 0, text: null };
+    if (containsWords(haystack, wanted)) return { score: 100, text: wanted };
+
+    const words = haystack.split(' ');
+    const size = wanted.split(' ').length;
+    let best = { score: 0, text: null };
+
+    for (let length = Math.max(1, size - 1); length <= size + 1; length++) {
+        for (let start = 0; start + length <= Math.max(words.length, length); start++) {
+            const candidate = words.slice(start, start + length).join(' ');
+            const score = Math.round(similarity(wanted, candidate) * 100);
+            if (score > best.score) best = { score: score, text: candidate };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Similarity of two strings from their edit distance, from 0 to 1
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Levenshtein distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Insertions, deletions and substitutions needed to turn a into b
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Characters in a layer's text, not counting line breaks
+ * @param {string} text - Layer text
+ * @returns {number}
+ */
+function characterCount(text) {
+    return Array.from(String(text || '').replace(/[\r\n]+/g, '')).length;
+}
+
+TextChecks.similarity = similarity;
+
+module.exports = TextChecks;
@@ -0,0 +1,257 @@
+const FontCatalog = require('./font-catalog');
+
+/**
+ * Typography checks on the style runs of text layers (see
+ * FileProcessor.getTextRuns): text sizes, size hierarchy, faux styles, the
+ * number of typefaces, leading and tracking. Sizes are graded in points at
+ * the document's resolution, the unit Photoshop's type tools show.
+ */
+
+// Sizes this close together (in points) look the same, so they count as one step of the hierarchy
+const SIZE_STEP = 0.5;
+
+// A run is quoted in feedback by at most this many characters
+const EXCERPT_LENGTH = 30;
+
+const fontCatalog = new FontCatalog();
+
+class TypographyChecks {
+    /**
+     * Run a typography check
+     * @param {string} type - Check type: 'textSize', 'sizeHierarchy', 'fauxStyles', 'typefaces', 'leading' or 'tracking'
+     * @param {Object} analysis - File analysis
+     * @param {Object} settings - Check settings (see each check)
+     * @returns {Object} - Check outcome
+     */
+    checkTypography(type, analysis, settings) {
+        const runs = textRuns(analysis);
+
+        switch (type) {
+            case 'textSize':
+                return this.checkTextSize(runs, settings);
+            case 'sizeHierarchy':
+                return this.checkSizeHierarchy(runs, settings);
+            case 'fauxStyles':
+                return this.checkFauxStyles(runs);
+            case 'typefaces':
+                return this.checkTypefaces(runs, settings);
+            case 'leading':
+                return this.checkLeading(runs, settings);
+            case 'tracking':
+                return this.checkTracking(runs, settings);
+            default:
+                throw new Error(`Unknown typography check: ${type}`);
+        }
+    }
+
+    /**
+     * Every run at least a minimum size
+     * @param {Array} runs - Runs from textRuns()
+     * @param {Object} settings - { min } in points
+     * @returns {Object} - Check outcome flagging smaller runs
+     */
+    checkTextSize(runs, settings) {
+        const min = Number(settings.min) || 0;
+        const sized = runs.filter(run => run.size !== null);
+
+        return flagRuns({
+            id: 'textSize',
+            criterion: 'Text Size',
+            expected: `At least ${min} pt`,
+            runs: sized,
+            reason: run => run.size < min ? `${run.size} pt` : null
+        });
+    }
+
+    /**
+     * Enough distinct sizes to show a hierarchy
+     * @param {Array} runs - Runs from textRuns()
+     * @param {Object} settings - { min } distinct sizes
+     * @returns {Object} - Check outcome with `count` and `required` for partial credit
+     */
+    checkSizeHierarchy(runs, settings) {
+        const required = Math.max(1, Number(settings.min) || 1);
+        const sizes = Array.from(new Set(runs
+            .filter(run => run.size !== null)
+            .map(run => Math.round(run.size / SIZE_STEP) * SIZE_STEP)
+        )).sort((a, b) => b - a);
+
+        return {
+            id: 'sizeHierarchy',
+            criterion: 'Type Hierarchy',
+            expected: `At least ${required} distinct text size${required === 1 ? '' : 's'}`,
+            actual: sizes.length > 0 ? `${sizes.length}: ${sizes.map(size => `${size} pt`).join(', ')}` : 'No text',
+            passed: sizes.length >= required,
+            count: sizes.length,
+            required: required,
+            sizes: sizes
+        };
+    }
+
+    /**
+     * No faux bold or faux italic
+     * @param {Array} runs - Runs from textRuns()
+     * @returns {Object} - Check outcome flagging runs with faux styles
+     */
+    checkFauxStyles(runs) {
+        return flagRuns({
+            id: 'fauxStyles',
+            criterion: 'Faux Styles',
+            expected: 'No faux bold or faux italic',
+            runs: runs,
+            reason: run => {
+                const faux = [run.fauxBold ? 'faux bold' : '', run.fauxItalic ? 'faux italic' : ''].filter(Boolean);
+                return faux.length > 0 ? faux.join(' and ') : null;
+            }
+        });
+    }
+
+    /**
+     * No more than a number of typefaces (font families)
+     * @param {Array} runs - Runs from textRuns()
+     * @param {Object} settings - { max }
+     * @returns {Object} - Check outcome
+     */
+    checkTypefaces(runs, settings) {
+        const max = Math.max(1, Number(settings.max) || 1);
+        const families = Array.from(new Set(runs.filter(run => run.font).map(run => fontFamily(run.font))));
+
+        return {
+            id: 'typefaces',
+            criterion: 'Typefaces',
+            expected: `At most ${max} typeface${max === 1 ? '' : 's'}`,
+            actual: families.length > 0 ? `${families.length}: ${families.join(', ')}` : 'No text',
+            passed: families.length <= max,
+            typefaces: families
+        };
+    }
+
+    /**
+     * Leading within a range, as a multiple of the text size. Auto leading
+     * (120% in Photoshop) is always within sensible limits, so only set leading is checked.
+     * @param {Array} runs - Runs from textRuns()
+     * @param {Object} settings - { min, max } ratios, e.g. 1.1 and 2
+     * @returns {Object} - Check outcome flagging runs outside the range
+     */
+    checkLeading(runs, settings) {
+        const min = limit(settings.min, -Infinity);
+        const max = limit(settings.max, Infinity);
+        const spaced = runs.filter(run => run.leading !== null && run.size);
+
+        return flagRuns({
+            id: 'leading',
+            criterion: 'Leading',
+            expected: `Leading ${describeRange(min, max, '× the text size')}`,
+            runs: spaced,
+            reason: run => {
+                const ratio = Math.round((run.leading / run.size) * 100) / 100;
+                return ratio < min || ratio > max ? `${run.leading} pt on ${run.size} pt text (${ratio}×)` : null;
+            }
+        });
+    }
+
+    /**
+     * Tracking within a range, in Photoshop's thousandths of an em
+     * @param {Array} runs - Runs from textRuns()
+     * @param {Object} settings - { min, max }
+     * @returns {Object} - Check outcome flagging runs outside the range
+     */
+    checkTracking(runs, settings) {
+        const min = limit(settings.min, -Infinity);
+        const max = limit(settings.max, Infinity);
+
+        return flagRuns({
+            id: 'tracking',
+            criterion: 'Tracking',
+            expected: `Tracking ${describeRange(min, max, '')}`.trim(),
+            runs: runs,
+            reason: run => run.tracking < min || run.tracking > max ? `tracking ${run.tracking}` : null
+        });
+    }
+}
+
+/**
+ * Style runs of every text layer with sizes in points
+ * @param {Object} analysis - File analysis
+ * @returns {Array} - Runs with `layer`, `size` and `leading` (points) added
+ */
+function textRuns(analysis) {
+    const pointsPerPixel = 72 / (Number(analysis.resolution) || 72);
+    const toPoints = pixels => pixels ? Math.round(pixels * pointsPerPixel * 10) / 10 : null;
+
+    return (analysis.layers || [])
+        .filter(layer => layer.isText)
+        .flatMap(layer => (layer.textRuns || []).map(run => ({
+            ...run,
+            layer: layer.name,
+            size: toPoints(run.sizePx),
+            leading: toPoints(run.leadingPx)
+        })));
+}
+
+/**
+ * Check outcome that lists each run a rule flags
+ * @param {Object} check - { id, criterion, expected, runs, reason(run) }
+ * @returns {Object} - Check outcome with `flagged` ({ layer, text, reason }) and `checkedCount`
+ */
+function flagRuns({ id, criterion, expected, runs, reason }) {
+    const flagged = runs
+        .map(run => ({ layer: run.layer, text: excerpt(run.text), reason: reason(run) }))
+        .filter(entry => entry.reason);
+
+    return {
+        id: id,
+        criterion: criterion,
+        expected: expected,
+        actual: flagged.length > 0
+            ? `${flagged.length} run${flagged.length === 1 ? '' : 's'} flagged: ${flagged.map(entry => `"${entry.text}" in ${entry.layer} (${entry.reason})`).join('; ')}`
+            : runs.length > 0 ? `All ${runs.length} text run${runs.length === 1 ? '' : 's'} within limits` : 'No text',
+        passed: flagged.length === 0,
+        flagged: flagged,
+        checkedCount: runs.length
+    };
+}
+
+/**
+ * Font family of a PostScript or display font name
+ * @param {string} font - e.g. 'Helvetica-Bold' or 'MinionPro-It'
+ * @returns {string} - e.g. 'Helvetica' or 'Minion'
+ */
+function fontFamily(font) {
+    return fontCatalog.resolve(font).family;
+}
+
+/**
+ * A range limit from the settings
+ * @param {*} value - Limit as given
+ * @param {number} fallback - -Infinity or Infinity when no limit is set
+ * @returns {number}
+ */
+function limit(value, fallback) {
+    return value === null || value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value);
+}
+
+/**
+ * "between 1.1 and 2", "at least 1.1" or "at most 2", followed by a unit
+ * @param {number} min - Lower limit, or -Infinity for none
+ * @param {number} max - Upper limit, or Infinity for none
+ * @param {string} unit - Unit to append
+ * @returns {string}
+ */
+function describeRange(min, max, unit) {
+    const hasMin = Number.isFinite(min);
+    const hasMax = Number.isFinite(max);
+    const range = hasMin && hasMax ? `between ${min} and ${max}` : hasMax ? `at most ${max}` : hasMin ? `at least ${min}` : 'any';
+    return `${range} ${unit}`.trim();
+}
+
+/**
+ * Start of a run's text for feedback
+ * @param {string} text - Run text
+ * @returns {string}
+ */
+function excerpt(text) {
+    return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+}
+
+module.exports = TypographyChecks;
@@ -0,0 +1,206 @@
+const { Worker } = require('worker_threads');
+
+class WorkerPool {
+    /**
+     * @param {string} workerPath - Worker script that answers { id, ...task } messages
+     * @param {Object} options - Pool options
+     * @param {number} options.size - Maximum number of concurrent workers
+     * @param {number} options.timeoutMs - Per-task time limit before the worker is terminated
+     * @param {number} options.maxHeapMb - Limit on each worker's JavaScript heap. ArrayBuffers,
+     *     decoded pixel data and node-canvas memory are allocated outside that heap and are not
+     *     covered, so callers must also refuse oversized inputs before sending them
+     */
+    constructor(workerPath, options = {}) {
+        this.workerPath = workerPath;
+        this.size = Math.max(1, options.size || 1);
+        this.timeoutMs = options.timeoutMs || 120000;
+        this.maxHeapMb = options.maxHeapMb || 1024;
+
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.nextTaskId = 1;
+    }
+
+    /**
+     * Run a task on the next free worker
+     * @param {Object} task - Message sent to the worker
+     * @param {Array} transferList - ArrayBuffers to move rather than copy
+     * @param {AbortSignal} signal - Drops the task when aborted; a running task's worker is terminated
+     * @returns {Promise} - Resolves with the worker's result, rejects on error, timeout, crash
+     *     or abort (with an error named AbortError)
+     */
+    run(task, transferList = [], signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                return reject(abortError());
+            }
+
+            const job = { id: this.nextTaskId++, task, transferList, signal };
+            const onAbort = () => this.abort(job);
+            job.resolve = (result) => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(result);
+            };
+            job.reject = (error) => {
+                signal?.removeEventListener('abort', onAbort);
+                reject(error);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Drop an aborted task: take it off the queue, or terminate the worker
+     * running it so its CPU and memory are freed straight away
+     * @param {Object} job - Task whose signal was aborted
+     */
+    abort(job) {
+        const queued = this.queue.indexOf(job);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            job.reject(abortError());
+            return;
+        }
+
+        const worker = this.workers.find(w => w.currentJob === job);
+        if (worker) {
+            this.failWorker(worker, abortError());
+        }
+    }
+
+    /**
+     * Hand queued tasks to idle workers, starting new workers up to the pool size
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            let worker = this.idle.pop();
+            if (!worker) {
+                if (this.workers.length >= this.size) return;
+                worker = this.createWorker();
+            }
+            this.assign(worker, this.queue.shift());
+        }
+    }
+
+    /**
+     * Start a worker thread with the configured heap limit.
+     * Only the V8 old generation is capped; native allocations can still grow past it.
+     * @returns {Worker}
+     */
+    createWorker() {
+        const worker = new Worker(this.workerPath, {
+            resourceLimits: { maxOldGenerationSizeMb: this.maxHeapMb }
+        });
+
+        worker.on('message', (message) => {
+            const job = worker.currentJob;
+            if (!job || message.id !== job.id) return;
+
+            this.release(worker);
+            if (message.error) {
+                job.reject(new Error(message.error));
+            } else {
+                job.resolve(message.result);
+            }
+        });
+
+        // Running out of heap and uncaught errors end the worker; only its task fails
+        worker.on('error', (error) => {
+            this.failWorker(worker, error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+                ? new Error(`Worker ran out of memory (limit ${this.maxHeapMb}MB)`)
+                : error);
+        });
+
+        worker.on('exit', (code) => {
+            if (worker.currentJob) {
+                this.failWorker(worker, new Error(`Worker exited unexpectedly (code ${code})`));
+            }
+            this.remove(worker);
+        });
+
+        worker.unref();
+        this.workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * Send a task to a worker and start its time limit
+     * @param {Worker} worker - Idle worker
+     * @param {Object} job - Queued task
+     */
+    assign(worker, job) {
+        worker.currentJob = job;
+        worker.ref();
+
+        job.timer = setTimeout(() => {
+            this.failWorker(worker, new Error(`Timed out after ${Math.round(this.timeoutMs / 1000)}s`));
+        }, this.timeoutMs);
+
+        worker.postMessage({ id: job.id, ...job.task }, job.transferList);
+    }
+
+    /**
+     * Return a worker to the idle list after a task finishes
+     * @param {Worker} worker - Worker that finished
+     */
+    release(worker) {
+        clearTimeout(worker.currentJob.timer);
+        worker.currentJob = null;
+        worker.unref();
+        this.idle.push(worker);
+        this.dispatch();
+    }
+
+    /**
+     * Reject a worker's task and replace the worker
+     * @param {Worker} worker - Worker that failed
+     * @param {Error} error - Reason reported for the task
+     */
+    failWorker(worker, error) {
+        const job = worker.currentJob;
+        if (job) {
+            clearTimeout(job.timer);
+            worker.currentJob = null;
+            job.reject(error);
+        }
+
+        this.remove(worker);
+        worker.terminate();
+        this.dispatch();
+    }
+
+    /**
+     * Forget a worker that is no longer usable
+     * @param {Worker} worker - Worker to drop
+     */
+    remove(worker) {
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+    }
+
+    /**
+     * Stop all workers and reject anything still queued
+     */
+    async destroy() {
+        this.queue.splice(0).forEach(job => job.reject(new Error('Worker pool destroyed')));
+        const workers = this.workers.splice(0);
+        this.idle = [];
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+}
+
+/**
+ * Error a task is rejected with when its signal is aborted
+ * @returns {Error}
+ */
+function abortError() {
+    const error = new Error('Cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,101 @@
+const yauzl = require('yauzl');
+
+/**
+ * Reads ZIP archives through their central directory so entries can be
+ * extracted one at a time instead of inflating the whole archive in memory.
+ */
+class ZipReader {
+    /**
+     * @param {yauzl.ZipFile} zipFile - Open yauzl archive (lazyEntries, no autoClose)
+     */
+    constructor(zipFile) {
+        this.zipFile = zipFile;
+    }
+
+    /**
+     * Open a ZIP archive on disk
+     * @param {string} zipPath - Path to the archive
+     * @returns {Promise<ZipReader>}
+     */
+    static open(zipPath) {
+        return new Promise((resolve, reject) => {
+            yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zipFile) => {
+                if (error) return reject(error);
+                resolve(new ZipReader(zipFile));
+            });
+        });
+    }
+
+    /**
+     * Open a ZIP archive that is already in memory
+     * @param {Buffer} buffer - Archive contents
+     * @returns {Promise<ZipReader>}
+     */
+    static fromBuffer(buffer) {
+        return new Promise((resolve, reject) => {
+            yauzl.fromBuffer(buffer, { lazyEntries: true, autoClose: false }, (error, zipFile) => {
+                if (error) return reject(error);
+                resolve(new ZipReader(zipFile));
+            });
+        });
+    }
+
+    /**
+     * List the archive's entries from the central directory
+     * @returns {Promise<Array>} - Entries ({ fileName, isDirectory, uncompressedSize, lastModified, entry })
+     */
+    listEntries() {
+        return new Promise((resolve, reject) => {
+            const entries = [];
+
+            this.zipFile.on('entry', (entry) => {
+                entries.push({
+                    fileName: entry.fileName,
+                    isDirectory: entry.fileName.endsWith('/'),
+                    uncompressedSize: entry.uncompressedSize,
+                    lastModified: entry.getLastModDate(),
+                    entry: entry
+                });
+                this.zipFile.readEntry();
+            });
+            this.zipFile.once('end', () => resolve(entries));
+            this.zipFile.once('error', reject);
+
+            this.zipFile.readEntry();
+        });
+    }
+
+    /**
+     * Inflate a single entry into memory
+     * @param {Object} listed - Entry returned by listEntries
+     * @param {number} maxBytes - Refuse entries that declare more uncompressed bytes than this
+     * @returns {Promise<Buffer>} - Entry contents
+     */
+    readEntry(listed, maxBytes = Infinity) {
+        return new Promise((resolve, reject) => {
+            // yauzl checks the inflated stream against the declared size, so the declared size is safe to trust
+            if (listed.uncompressedSize > maxBytes) {
+                const sizeMb = Math.round(listed.uncompressedSize / 1024 / 1024);
+                return reject(new Error(`File is too large to grade (${sizeMb}MB uncompressed, limit ${Math.round(maxBytes / 1024 / 1024)}MB)`));
+            }
+
+            this.zipFile.openReadStream(listed.entry, (error, stream) => {
+                if (error) return reject(error);
+
+                const chunks = [];
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => resolve(Buffer.concat(chunks, listed.uncompressedSize)));
+                stream.on('error', reject);
+            });
+        });
+    }
+
+    /**
+     * Release the archive's file handle
+     */
+    close() {
+        this.zipFile.close();
+    }
+}
+
+module.exports = ZipReader;